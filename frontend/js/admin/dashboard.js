@@ -16,10 +16,27 @@ class AdminDashboard {
         this.filters = {
             search: '',
             status: '',
+            verification: '',
             country: ''
         };
         this.searchDebounceTimer = null;
         this.apiTimeout = 15000; // 15 secondi timeout
+        this.roster = [];
+        this.rejectionResolve = null; // risposta in attesa dal riquadro del rifiuto
+        this.rosterLimits = { min: 11, max: 25 };
+        this.sorteggio = null;
+        this.partite = [];
+        this.calendarioParams = null;
+        this.classifiche = [];
+        this.tabellone = null;
+        this.edizioni = [];
+        this.galleria = { photos: [], page: 1, pages: 1 };
+        this.moderazione = [];
+        this.email = { emails: [], page: 1, pages: 1, status: '' };
+        this.modelli = { chiave: 'conferma', lingua: 'it', tipi: [], versioni: [] };
+        this.broadcast = { list: [], reportId: null };
+        // Edizione visualizzata (null = edizione corrente)
+        this.edizioneId = sessionStorage.getItem('edizioneId') || null;
         
         this.init();
     }
@@ -65,6 +82,19 @@ class AdminDashboard {
             });
         });
 
+        // Edizioni
+        document.getElementById('edizioneSelect').addEventListener('change', (e) => {
+            this.switchEdizione(e.target.value);
+        });
+
+        document.getElementById('edizioneCorrenteBtn').addEventListener('click', () => {
+            this.setEdizioneCorrente();
+        });
+
+        document.getElementById('edizioneNuovaBtn').addEventListener('click', () => {
+            this.createEdizione();
+        });
+
         // Refresh
         document.getElementById('refreshBtn').addEventListener('click', () => {
             this.refreshData();
@@ -93,6 +123,12 @@ class AdminDashboard {
             this.renderIscrizioni();
         });
 
+        document.getElementById('verificationFilter').addEventListener('change', (e) => {
+            this.filters.verification = e.target.value;
+            this.currentPage = 1;
+            this.renderIscrizioni();
+        });
+
         document.getElementById('countryFilter').addEventListener('change', (e) => {
             this.filters.country = e.target.value;
             this.renderIscrizioni();
@@ -150,12 +186,175 @@ class AdminDashboard {
             this.deleteCurrentIscrizione();
         });
 
+        // Capienza
+        document.getElementById('capacityForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCapacity();
+        });
+
+        // Finestra iscrizioni
+        document.getElementById('windowForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveRegistrationWindow();
+        });
+
+        // Verifica email
+        document.getElementById('verificationForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveVerification();
+        });
+
+        // Dettagli evento
+        document.getElementById('eventoForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveEvento();
+        });
+
+        // Torneo
+        document.getElementById('drawForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.runDraw();
+        });
+
+        document.getElementById('drawReset').addEventListener('click', () => {
+            this.resetDraw();
+        });
+
+        document.getElementById('calendarioForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.generateCalendario();
+        });
+
+        document.getElementById('calendarioReset').addEventListener('click', () => {
+            this.resetCalendario();
+        });
+
+        document.getElementById('tabelloneForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.generateTabellone();
+        });
+
+        document.getElementById('tabelloneReset').addEventListener('click', () => {
+            this.resetTabellone();
+        });
+
+        // Galleria
+        document.getElementById('galleriaForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.uploadFoto();
+        });
+
+        document.getElementById('galleriaPrev').addEventListener('click', () => {
+            this.loadGalleria(this.galleria.page - 1);
+        });
+
+        document.getElementById('galleriaNext').addEventListener('click', () => {
+            this.loadGalleria(this.galleria.page + 1);
+        });
+
+        // Email
+        document.getElementById('emailStatusFilter').addEventListener('change', (e) => {
+            this.email.status = e.target.value;
+            this.loadEmail(1);
+        });
+
+        document.getElementById('emailPrev').addEventListener('click', () => {
+            this.loadEmail(this.email.page - 1);
+        });
+
+        document.getElementById('emailNext').addEventListener('click', () => {
+            this.loadEmail(this.email.page + 1);
+        });
+
+        // Modelli email
+        document.getElementById('templateChiave').addEventListener('change', (e) => {
+            this.modelli.chiave = e.target.value;
+            this.loadTemplate();
+        });
+
+        document.getElementById('templateLingua').addEventListener('change', (e) => {
+            this.modelli.lingua = e.target.value;
+            this.loadTemplate();
+        });
+
+        ['templateOggetto', 'templateCorpo'].forEach(id => {
+            document.getElementById(id).addEventListener('focus', (e) => {
+                this.templateField = e.target;
+            });
+        });
+
+        document.getElementById('templateForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveTemplate();
+        });
+
+        document.getElementById('templateAnteprimaBtn').addEventListener('click', () => {
+            this.previewTemplate();
+        });
+
+        document.getElementById('templateProvaBtn').addEventListener('click', () => {
+            this.sendTestTemplate();
+        });
+
+        document.getElementById('templatePredefinitoBtn').addEventListener('click', () => {
+            this.restoreTemplate(null);
+        });
+
+        // Comunicazioni
+        ['broadcastEdizione', 'broadcastStatus', 'broadcastPaese', 'broadcastProvincia'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.previewBroadcast(false));
+        });
+
+        document.getElementById('broadcastAnteprimaBtn').addEventListener('click', () => {
+            this.previewBroadcast(true);
+        });
+
+        document.getElementById('broadcastForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendBroadcast();
+        });
+
+        document.getElementById('promemoriaForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePromemoria();
+        });
+
+        document.getElementById('promemoriaEseguiBtn').addEventListener('click', () => {
+            this.runPromemoria();
+        });
+
+        document.getElementById('notificheForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addNotificheDestinatario();
+        });
+
+        document.getElementById('notificheRiepilogoBtn').addEventListener('click', () => {
+            this.runRiepilogo();
+        });
+
         // Close modal on background click
         document.getElementById('detailModal').addEventListener('click', (e) => {
             if (e.target.id === 'detailModal') {
                 this.closeModal();
             }
         });
+
+        // Motivo del rifiuto
+        document.getElementById('rejectForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const rifiuto = this.getRejection();
+            if (rifiuto) this.closeRejection(rifiuto);
+        });
+
+        ['rejectClose', 'rejectCancel'].forEach(id => {
+            document.getElementById(id).addEventListener('click', () => this.closeRejection(null));
+        });
+
+        document.getElementById('rejectModal').addEventListener('click', (e) => {
+            if (e.target.id === 'rejectModal') {
+                this.closeRejection(null);
+            }
+        });
     }
 
     // ==========================================
@@ -198,7 +397,9 @@ class AdminDashboard {
 
     handleLogout() {
         this.adminKey = '';
+        this.edizioneId = null;
         sessionStorage.removeItem('adminKey');
+        sessionStorage.removeItem('edizioneId');
         document.getElementById('loginScreen').style.display = 'flex';
         document.getElementById('dashboard').style.display = 'none';
         document.getElementById('adminKey').value = '';
@@ -243,6 +444,10 @@ class AdminDashboard {
         if (params.key) {
             url.searchParams.set('key', params.key);
         }
+
+        if (this.edizioneId) {
+            url.searchParams.set('edizione', this.edizioneId);
+        }
         
         const response = await this.fetchWithTimeout(url);
         return response.json();
@@ -272,6 +477,32 @@ class AdminDashboard {
         return response.json();
     }
 
+    async apiPut(endpoint, data = {}) {
+        const url = new URL(endpoint, window.location.origin);
+        url.searchParams.set('key', this.adminKey);
+        
+        const response = await this.fetchWithTimeout(url, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(data)
+        });
+        return response.json();
+    }
+
+    /**
+     * Invio multipart (FormData): il browser imposta da solo il Content-Type
+     */
+    async apiUpload(endpoint, formData) {
+        const url = new URL(endpoint, window.location.origin);
+        url.searchParams.set('key', this.adminKey);
+        
+        const response = await this.fetchWithTimeout(url, {
+            method: 'POST',
+            body: formData
+        });
+        return response.json();
+    }
+
     async apiDelete(endpoint) {
         const url = new URL(endpoint, window.location.origin);
         url.searchParams.set('key', this.adminKey);
@@ -285,6 +516,7 @@ class AdminDashboard {
     // ==========================================
     async loadAllData() {
         await Promise.all([
+            this.loadEdizioni(),
             this.loadIscrizioni(),
             this.loadAnalytics()
         ]);
@@ -302,6 +534,9 @@ class AdminDashboard {
                 this.renderRecentTable();
                 this.renderIscrizioni();
                 this.renderCountryChart();
+                this.loadCapacity();
+                this.loadRegistrationWindow();
+                this.loadVerification();
             }
         } catch (error) {
             console.error('Errore caricamento iscrizioni:', error);
@@ -309,6 +544,124 @@ class AdminDashboard {
         }
     }
 
+    async loadCapacity() {
+        try {
+            const response = await this.apiCall('/api/admin/capienza', { key: this.adminKey });
+
+            if (response.success) {
+                this.renderCapacity(response.data);
+            }
+        } catch (error) {
+            console.error('Errore caricamento capienza:', error);
+        }
+    }
+
+    async loadRegistrationWindow() {
+        try {
+            const response = await this.apiCall('/api/admin/finestra-iscrizioni', { key: this.adminKey });
+
+            if (response.success) {
+                this.renderRegistrationWindow(response.data);
+            }
+        } catch (error) {
+            console.error('Errore caricamento finestra iscrizioni:', error);
+        }
+    }
+
+    renderRegistrationWindow(data) {
+        const labels = { open: '🟢 Aperte', not_open: '🕒 Non ancora aperte', closed: '🔴 Chiuse' };
+
+        document.getElementById('windowOpen').value = this.toDateTimeLocal(data.apertura);
+        document.getElementById('windowClose').value = this.toDateTimeLocal(data.chiusura);
+        document.getElementById('windowStatus').textContent = labels[data.stato] || data.stato;
+    }
+
+    // ISO -> valore per <input type="datetime-local"> nel fuso del browser
+    toDateTimeLocal(iso) {
+        if (!iso) return '';
+        const date = new Date(iso);
+        return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+    }
+
+    async saveRegistrationWindow() {
+        const openValue = document.getElementById('windowOpen').value;
+        const closeValue = document.getElementById('windowClose').value;
+
+        try {
+            const response = await this.apiPut('/api/admin/finestra-iscrizioni', {
+                apertura: openValue ? new Date(openValue).toISOString() : null,
+                chiusura: closeValue ? new Date(closeValue).toISOString() : null
+            });
+
+            if (response.success) {
+                this.renderRegistrationWindow(response.data);
+                this.showToast(response.message, 'success');
+            } else {
+                this.showToast(response.message || 'Errore aggiornamento date iscrizioni', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async loadVerification() {
+        try {
+            const response = await this.apiCall('/api/admin/verifica-email', { key: this.adminKey });
+
+            if (response.success) {
+                this.renderVerification(response.data);
+            }
+        } catch (error) {
+            console.error('Errore caricamento verifica email:', error);
+        }
+    }
+
+    renderVerification(data) {
+        document.getElementById('verificationHours').value = data.ore;
+        document.getElementById('verificationPending').textContent = data.daVerificare;
+    }
+
+    async saveVerification() {
+        const ore = parseInt(document.getElementById('verificationHours').value);
+
+        try {
+            const response = await this.apiPut('/api/admin/verifica-email', { ore });
+
+            if (response.success) {
+                this.renderVerification(response.data);
+                this.showToast(response.message, 'success');
+            } else {
+                this.showToast(response.message || 'Errore aggiornamento verifica email', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    renderCapacity(data) {
+        document.getElementById('capacityUsed').textContent = data.occupate;
+        document.getElementById('capacityMax').value = data.maxSquadre;
+        document.getElementById('capacityWaitlist').textContent = data.listaAttesa;
+    }
+
+    async saveCapacity() {
+        const maxSquadre = parseInt(document.getElementById('capacityMax').value);
+
+        try {
+            const response = await this.apiPut('/api/admin/capienza', { maxSquadre });
+
+            if (response.success) {
+                this.renderCapacity(response.data);
+                this.showToast(response.message, 'success');
+                await this.loadIscrizioni();
+            } else {
+                this.showToast(response.message || 'Errore aggiornamento capienza', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
     async loadAnalytics() {
         try {
             const response = await this.apiCall('/api/analytics/dashboard', { key: this.adminKey });
@@ -334,6 +687,107 @@ class AdminDashboard {
         }
     }
 
+    // ==========================================
+    // EDIZIONI
+    // ==========================================
+    async loadEdizioni() {
+        try {
+            const response = await this.apiCall('/api/admin/edizioni', { key: this.adminKey });
+
+            if (response.success) {
+                this.edizioni = response.data || [];
+                this.renderEdizioni();
+            }
+        } catch (error) {
+            console.error('Errore caricamento edizioni:', error);
+        }
+    }
+
+    renderEdizioni() {
+        const select = document.getElementById('edizioneSelect');
+        const corrente = this.edizioni.find(e => e.corrente === 1);
+        const selectedId = this.edizioneId ? parseInt(this.edizioneId) : corrente?.id;
+
+        select.innerHTML = this.edizioni.map(e => `
+            <option value="${e.id}" ${e.id === selectedId ? 'selected' : ''}>
+                ${e.anno}${e.corrente === 1 ? ' ⭐' : ''} (${e.iscrizioni} iscrizioni)
+            </option>
+        `).join('');
+
+        // Evidenzia quando si consulta un'edizione diversa da quella corrente
+        select.classList.toggle('past-edition', !!corrente && selectedId !== corrente.id);
+        document.getElementById('edizioneCorrenteBtn').disabled = !corrente || selectedId === corrente.id;
+    }
+
+    /**
+     * @param {string|null} id - Edizione da consultare (null = edizione corrente)
+     */
+    switchEdizione(id) {
+        const corrente = this.edizioni.find(e => e.corrente === 1);
+        this.edizioneId = !id || (corrente && parseInt(id) === corrente.id) ? null : String(id);
+
+        if (this.edizioneId) {
+            sessionStorage.setItem('edizioneId', this.edizioneId);
+        } else {
+            sessionStorage.removeItem('edizioneId');
+        }
+
+        this.selectedIds.clear();
+        this.currentPage = 1;
+        this.refreshData();
+
+        if (this.currentSection === 'galleria') {
+            this.loadGalleria(1);
+        }
+    }
+
+    async setEdizioneCorrente() {
+        const id = document.getElementById('edizioneSelect').value;
+        const edizione = this.edizioni.find(e => e.id === parseInt(id));
+        if (!edizione) return;
+
+        if (!confirm(`Impostare l'edizione ${edizione.anno} come corrente? Le nuove iscrizioni verranno registrate su questa edizione.`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiPut(`/api/admin/edizioni/${edizione.id}/corrente`);
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                this.switchEdizione(null);
+            } else {
+                this.showToast(response.message || 'Errore aggiornamento edizione', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async createEdizione() {
+        const anno = parseInt(prompt('Anno della nuova edizione:', new Date().getFullYear() + 1));
+        if (!anno) return;
+
+        const corrente = confirm(`Impostare l'edizione ${anno} come corrente?`);
+
+        try {
+            const response = await this.apiPost('/api/admin/edizioni', { anno, corrente });
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                if (corrente) {
+                    this.switchEdizione(null);
+                } else {
+                    await this.loadEdizioni();
+                }
+            } else {
+                this.showToast(response.message || 'Errore creazione edizione', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
     refreshData() {
         const btn = document.getElementById('refreshBtn');
         btn.innerHTML = '<span class="spinning">🔄</span>';
@@ -369,6 +823,10 @@ class AdminDashboard {
         const titles = {
             overview: 'Panoramica',
             iscrizioni: 'Gestione Iscrizioni',
+            torneo: 'Torneo',
+            galleria: 'Galleria',
+            email: 'Email Inviate',
+            broadcast: 'Comunicazioni ai Capitani',
             analytics: 'Analytics',
             logs: 'Log Attività'
         };
@@ -377,6 +835,20 @@ class AdminDashboard {
         // Load section-specific data
         if (section === 'logs') {
             this.loadLogs();
+        } else if (section === 'torneo') {
+            this.loadTorneo();
+        } else if (section === 'galleria') {
+            this.loadGalleria(1);
+            this.loadModerazione();
+        } else if (section === 'email') {
+            this.loadEmail(1);
+            this.loadTemplates();
+            this.loadNotifiche();
+        } else if (section === 'broadcast') {
+            this.renderBroadcastEdizioni();
+            this.previewBroadcast(false);
+            this.loadBroadcasts();
+            this.loadPromemoria();
         }
 
         this.currentSection = section;
@@ -421,7 +893,7 @@ class AdminDashboard {
                 <td>${this.escapeHtml(i.nome_capitano)} ${this.escapeHtml(i.cognome_capitano)}</td>
                 <td><span class="country-flag">${this.getCountryFlag(i.paese_squadra)}</span></td>
                 <td>${this.formatDate(i.created_at)}</td>
-                <td>${this.getStatusBadge(i.status)}</td>
+                <td>${this.getStatusBadge(i.status, i.posizione_attesa)}</td>
             </tr>
         `).join('');
     }
@@ -457,7 +929,7 @@ class AdminDashboard {
                     <td><span class="country-flag">${this.getCountryFlag(i.paese_squadra)}</span></td>
                     <td>${i.numero_giocatori}</td>
                     <td>${this.formatDate(i.created_at)}</td>
-                    <td>${this.getStatusBadge(i.status)}</td>
+                    <td>${this.getStatusBadge(i.status, i.posizione_attesa)}</td>
                     <td>
                         <button class="action-btn view" onclick="dashboard.viewIscrizione('${i.id}')" title="Dettagli">👁️</button>
                         <button class="action-btn approve" onclick="dashboard.updateStatus('${i.id}', 'approved')" title="Approva">✅</button>
@@ -494,9 +966,11 @@ class AdminDashboard {
                 i.citta_squadra.toLowerCase().includes(this.filters.search);
 
             const matchStatus = !this.filters.status || i.status === this.filters.status;
+            const matchVerification = !this.filters.verification ||
+                (this.filters.verification === 'unverified') === (i.status === 'unverified');
             const matchCountry = !this.filters.country || i.paese_squadra === this.filters.country;
 
-            return matchSearch && matchStatus && matchCountry;
+            return matchSearch && matchStatus && matchVerification && matchCountry;
         });
     }
 
@@ -873,7 +1347,15 @@ class AdminDashboard {
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Status</div>
-                    <div class="detail-value">${this.getStatusBadge(iscrizione.status)}</div>
+                    <div class="detail-value">${this.getStatusBadge(iscrizione.status, iscrizione.posizione_attesa)}</div>
+                </div>
+                <div class="detail-item">
+                    <div class="detail-label">Verifica Email</div>
+                    <div class="detail-value">${iscrizione.verificata_at
+                        ? `📧 Verificata il ${this.formatDateTime(iscrizione.verificata_at)}`
+                        : iscrizione.verifica_scadenza
+                            ? `✉️ Da verificare entro il ${this.formatDateTime(iscrizione.verifica_scadenza)}`
+                            : '-'}</div>
                 </div>
                 <div class="detail-item">
                     <div class="detail-label">Capitano</div>
@@ -899,6 +1381,12 @@ class AdminDashboard {
                     <div class="detail-label">Numero Giocatori</div>
                     <div class="detail-value">${iscrizione.numero_giocatori}</div>
                 </div>
+                ${iscrizione.status === 'rejected' && (iscrizione.motivo_rifiuto || iscrizione.messaggio_rifiuto) ? `
+                    <div class="detail-item full">
+                        <div class="detail-label">Motivo del Rifiuto</div>
+                        <div class="detail-value rejection-reason">${iscrizione.motivo_rifiuto ? `<strong>${this.formatMotivoRifiuto(iscrizione.motivo_rifiuto)}</strong>` : ''}${iscrizione.messaggio_rifiuto ? `\n${this.escapeHtml(iscrizione.messaggio_rifiuto)}` : ''}</div>
+                    </div>
+                ` : ''}
                 <div class="detail-item full">
                     <div class="detail-label">Note</div>
                     <div class="detail-value">${iscrizione.note ? this.escapeHtml(iscrizione.note) : '-'}</div>
@@ -911,24 +1399,195 @@ class AdminDashboard {
                     <div class="detail-label">IP</div>
                     <div class="detail-value">${iscrizione.ip_address || '-'}</div>
                 </div>
+                <div class="detail-item">
+                    <div class="detail-label">Lingua Email</div>
+                    <div class="detail-value">${this.getLinguaName(iscrizione.lingua)}</div>
+                </div>
+            </div>
+            <div class="roster-section">
+                <div class="roster-header">
+                    <h3>👥 Rosa Giocatori <span id="rosterCount" class="roster-count"></span></h3>
+                    <div class="roster-actions">
+                        <button class="btn-roster" id="rosterAdd">➕ Aggiungi</button>
+                        <button class="btn-roster primary" id="rosterSave">💾 Salva Rosa</button>
+                    </div>
+                </div>
+                <div class="table-container">
+                    <table class="data-table roster-table">
+                        <thead>
+                            <tr>
+                                <th>#</th>
+                                <th>Nome</th>
+                                <th>Cognome</th>
+                                <th>Data Nascita</th>
+                                <th>Ruolo</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody id="rosterTable">
+                            <tr>
+                                <td colspan="6" class="loading">Caricamento...</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="roster-section">
+                <div class="roster-header">
+                    <h3>📧 Email</h3>
+                </div>
+                <div class="table-container">
+                    <table class="data-table">
+                        <thead>
+                            <tr>
+                                <th>Data/Ora</th>
+                                <th>Tipo</th>
+                                <th>Oggetto</th>
+                                <th>Stato</th>
+                                <th>Invii</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody id="modalEmailTable">
+                            <tr>
+                                <td colspan="6" class="loading">Caricamento...</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
             </div>
         `;
 
+        document.getElementById('rosterAdd').addEventListener('click', () => this.addRosterRow());
+        document.getElementById('rosterSave').addEventListener('click', () => this.saveRoster());
+
         document.getElementById('detailModal').classList.add('active');
+        this.loadRoster(id);
+        this.loadIscrizioneEmail(id);
     }
 
     closeModal() {
         document.getElementById('detailModal').classList.remove('active');
         this.currentIscrizioneId = null;
+        this.roster = [];
+    }
+
+    // ==========================================
+    // ROSA GIOCATORI
+    // ==========================================
+    async loadRoster(id) {
+        try {
+            const response = await this.apiCall(`/api/iscrizioni/${id}/giocatori`, { key: this.adminKey });
+            
+            if (response.success && this.currentIscrizioneId === id) {
+                this.roster = (response.data || []).map(g => ({
+                    nome: g.nome,
+                    cognome: g.cognome,
+                    dataNascita: g.data_nascita,
+                    numeroMaglia: g.numero_maglia || '',
+                    ruolo: g.ruolo || ''
+                }));
+                this.rosterLimits = response.limits || this.rosterLimits;
+                this.renderRoster();
+            }
+        } catch (error) {
+            console.error('Errore caricamento rosa:', error);
+            this.showToast('Errore caricamento rosa', 'error');
+        }
+    }
+
+    renderRoster() {
+        const tbody = document.getElementById('rosterTable');
+        if (!tbody) return;
+
+        const { min, max } = this.rosterLimits;
+        const countEl = document.getElementById('rosterCount');
+        countEl.textContent = `${this.roster.length}/${max}`;
+        countEl.classList.toggle('invalid', this.roster.length < min || this.roster.length > max);
+        document.getElementById('rosterAdd').disabled = this.roster.length >= max;
+
+        if (this.roster.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="6" class="empty-state">
+                        <div class="empty-state-text">Nessun giocatore in rosa (minimo ${min})</div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const roles = ['portiere', 'difensore', 'centrocampista', 'attaccante'];
+
+        tbody.innerHTML = this.roster.map((g, index) => `
+            <tr data-index="${index}">
+                <td><input type="number" class="roster-input small" data-field="numeroMaglia" min="1" max="99" value="${this.escapeHtml(String(g.numeroMaglia))}"></td>
+                <td><input type="text" class="roster-input" data-field="nome" maxlength="30" value="${this.escapeHtml(g.nome)}"></td>
+                <td><input type="text" class="roster-input" data-field="cognome" maxlength="30" value="${this.escapeHtml(g.cognome)}"></td>
+                <td><input type="date" class="roster-input" data-field="dataNascita" value="${this.escapeHtml(g.dataNascita)}"></td>
+                <td>
+                    <select class="roster-input" data-field="ruolo">
+                        <option value="">-</option>
+                        ${roles.map(r => `<option value="${r}" ${g.ruolo === r ? 'selected' : ''}>${r}</option>`).join('')}
+                    </select>
+                </td>
+                <td><button class="action-btn delete" data-remove="${index}" title="Rimuovi">🗑️</button></td>
+            </tr>
+        `).join('');
+
+        tbody.querySelectorAll('.roster-input').forEach(input => {
+            input.addEventListener('change', (e) => {
+                const index = parseInt(e.target.closest('tr').dataset.index);
+                this.roster[index][e.target.dataset.field] = e.target.value;
+            });
+        });
+
+        tbody.querySelectorAll('[data-remove]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                this.roster.splice(parseInt(btn.dataset.remove), 1);
+                this.renderRoster();
+            });
+        });
+    }
+
+    addRosterRow() {
+        if (this.roster.length >= this.rosterLimits.max) return;
+        this.roster.push({ nome: '', cognome: '', dataNascita: '', numeroMaglia: '', ruolo: '' });
+        this.renderRoster();
+    }
+
+    async saveRoster() {
+        if (!this.currentIscrizioneId) return;
+
+        const { min, max } = this.rosterLimits;
+        if (this.roster.length < min || this.roster.length > max) {
+            this.showToast(`La rosa deve avere tra ${min} e ${max} giocatori`, 'warning');
+            return;
+        }
+
+        try {
+            const response = await this.apiPut(`/api/iscrizioni/${this.currentIscrizioneId}/giocatori`, {
+                giocatori: this.roster
+            });
+
+            if (response.success) {
+                this.showToast(`Rosa salvata (${response.count} giocatori)`, 'success');
+                await this.loadIscrizioni();
+            } else {
+                this.showToast(response.message || 'Errore salvataggio rosa', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async updateCurrentIscrizione(status) {
+        if (this.currentIscrizioneId) {
+            await this.updateStatus(this.currentIscrizioneId, status);
+            this.closeModal();
+        }
     }
 
-    async updateCurrentIscrizione(status) {
-        if (this.currentIscrizioneId) {
-            await this.updateStatus(this.currentIscrizioneId, status);
-            this.closeModal();
-        }
-    }
-
     async deleteCurrentIscrizione() {
         if (this.currentIscrizioneId) {
             await this.deleteIscrizione(this.currentIscrizioneId);
@@ -937,46 +1596,1595 @@ class AdminDashboard {
     }
 
     // ==========================================
-    // ACTIONS
+    // ACTIONS
+    // ==========================================
+    async updateStatus(id, status) {
+        // Il rifiuto si conferma dal riquadro del motivo
+        const rifiuto = status === 'rejected' ? await this.askRejection(1) : {};
+        if (!rifiuto) return;
+
+        if (status !== 'rejected' && !confirm(`Sei sicuro di voler ${status === 'approved' ? 'approvare' : 'rifiutare'} questa iscrizione?`)) {
+            return;
+        }
+
+        try {
+            const response = await this.apiPatch(`/api/iscrizioni/${id}`, { status, ...rifiuto });
+            
+            if (response.success) {
+                this.showToast(`Iscrizione ${status === 'approved' ? 'approvata' : 'rifiutata'}`, 'success');
+                if (response.promoted > 0) {
+                    this.showToast(`${response.promoted} squadre promosse dalla lista d'attesa`, 'info');
+                }
+                await this.loadIscrizioni();
+            } else {
+                this.showToast(response.message || 'Errore', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    /**
+     * Chiede motivo e messaggio del rifiuto
+     *
+     * @param {number} count - iscrizioni da rifiutare
+     * @returns {Promise<Object|null>} { motivo, messaggio } oppure null se annullato
+     */
+    askRejection(count) {
+        document.getElementById('rejectTitle').textContent = count === 1
+            ? 'Rifiuta Iscrizione'
+            : `Rifiuta ${count} Iscrizioni`;
+        document.getElementById('rejectForm').reset();
+        document.getElementById('rejectModal').classList.add('active');
+        document.getElementById('rejectMotivo').focus();
+
+        return new Promise(resolve => {
+            this.rejectionResolve = resolve;
+        });
+    }
+
+    getRejection() {
+        const motivo = document.getElementById('rejectMotivo').value;
+        const messaggio = document.getElementById('rejectMessaggio').value.trim();
+
+        if (motivo === 'altro' && !messaggio) {
+            this.showToast('Con il motivo "Altro" scrivi un messaggio al capitano', 'warning');
+            return null;
+        }
+        return { motivo, messaggio };
+    }
+
+    closeRejection(rifiuto) {
+        document.getElementById('rejectModal').classList.remove('active');
+        if (this.rejectionResolve) {
+            this.rejectionResolve(rifiuto);
+            this.rejectionResolve = null;
+        }
+    }
+
+    async deleteIscrizione(id) {
+        if (!confirm('Sei sicuro di voler eliminare questa iscrizione? L\'azione non può essere annullata.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiDelete(`/api/iscrizioni/${id}`);
+            
+            if (response.success) {
+                this.showToast('Iscrizione eliminata', 'success');
+                if (response.promoted > 0) {
+                    this.showToast(`${response.promoted} squadre promosse dalla lista d'attesa`, 'info');
+                }
+                await this.loadIscrizioni();
+            } else {
+                this.showToast(response.message || 'Errore', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    // ==========================================
+    // DETTAGLI EVENTO
+    // ==========================================
+    async loadEvento() {
+        try {
+            const response = await this.apiCall('/api/admin/evento', { key: this.adminKey });
+
+            if (response.success) {
+                this.renderEvento(response.data);
+            }
+        } catch (error) {
+            console.error('Errore caricamento dettagli evento:', error);
+        }
+    }
+
+    renderEvento(evento) {
+        document.getElementById('eventoData').value = evento.data || '';
+        document.getElementById('eventoOra').value = evento.ora;
+        document.getElementById('eventoLuogo').value = evento.luogo;
+        document.getElementById('eventoSede').value = evento.sede;
+        document.getElementById('eventoEmail').value = evento.email;
+        document.getElementById('eventoTelefono').value = evento.telefono;
+
+        // Il calendario partite parte dalla data dell'evento
+        const calDate = document.getElementById('calDate');
+        if (!calDate.value && evento.data) {
+            calDate.value = evento.data;
+            document.getElementById('calStart').value = evento.ora;
+        }
+    }
+
+    async saveEvento() {
+        try {
+            const response = await this.apiPut('/api/admin/evento', {
+                data: document.getElementById('eventoData').value || null,
+                ora: document.getElementById('eventoOra').value,
+                luogo: document.getElementById('eventoLuogo').value,
+                sede: document.getElementById('eventoSede').value,
+                email: document.getElementById('eventoEmail').value,
+                telefono: document.getElementById('eventoTelefono').value
+            });
+
+            if (response.success) {
+                this.renderEvento(response.data);
+                this.showToast(response.message, 'success');
+            } else {
+                this.showToast(response.message || 'Errore salvataggio dettagli evento', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    // ==========================================
+    // TORNEO
+    // ==========================================
+    async loadTorneo() {
+        this.renderSeedOptions();
+        this.loadEvento();
+
+        try {
+            const response = await this.apiCall('/api/admin/gironi', { key: this.adminKey });
+            
+            if (response.success) {
+                this.sorteggio = response.data;
+                this.renderGironi();
+            }
+        } catch (error) {
+            console.error('Errore caricamento gironi:', error);
+            this.showToast('Errore caricamento gironi', 'error');
+        }
+
+        await this.loadCalendario();
+        await this.loadClassifiche();
+        await this.loadTabellone();
+    }
+
+    renderSeedOptions() {
+        const select = document.getElementById('drawSeeds');
+        const selected = new Set([...select.selectedOptions].map(o => o.value));
+
+        select.innerHTML = this.iscrizioni
+            .filter(i => i.status === 'approved')
+            .map(i => `
+                <option value="${i.id}" ${selected.has(i.id) ? 'selected' : ''}>
+                    ${this.getCountryFlag(i.paese_squadra)} ${this.escapeHtml(i.nome_squadra)}
+                </option>
+            `).join('');
+    }
+
+    renderGironi() {
+        const container = document.getElementById('gironiGrid');
+        const info = document.getElementById('drawInfo');
+
+        if (!this.sorteggio) {
+            info.textContent = '';
+            container.innerHTML = '<div class="empty-state-text">Nessun sorteggio effettuato</div>';
+            return;
+        }
+
+        info.textContent = `Seed: ${this.sorteggio.seed} • ${this.formatDateTime(this.sorteggio.createdAt)}`;
+
+        container.innerHTML = this.sorteggio.gironi.map(girone => `
+            <div class="girone-card">
+                <h4>Girone ${this.escapeHtml(girone.nome)}</h4>
+                <ol class="girone-teams">
+                    ${girone.squadre.map(s => `
+                        <li>
+                            <span class="country-flag">${this.getCountryFlag(s.paese_squadra)}</span>
+                            <span>${this.escapeHtml(s.nome_squadra)}</span>
+                            ${s.testa_di_serie ? '<span class="seed-badge" title="Testa di serie">★</span>' : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `).join('');
+    }
+
+    async runDraw() {
+        const message = this.sorteggio
+            ? 'Un nuovo sorteggio sostituirà i gironi attuali. Continuare?'
+            : 'Eseguire il sorteggio dei gironi con le squadre approvate?';
+        if (!confirm(message)) return;
+
+        const seeds = [...document.getElementById('drawSeeds').selectedOptions].map(o => o.value);
+
+        try {
+            const response = await this.apiPost('/api/admin/gironi/sorteggio', {
+                groupSize: parseInt(document.getElementById('drawGroupSize').value),
+                separateCountries: document.getElementById('drawSeparate').checked,
+                seed: document.getElementById('drawSeed').value.trim(),
+                seeds
+            });
+
+            if (response.success) {
+                this.sorteggio = response.data;
+                this.partite = [];
+                this.renderGironi();
+                this.renderCalendario();
+                this.loadClassifiche();
+                this.showToast(response.message, response.data.conflicts > 0 ? 'warning' : 'success');
+            } else {
+                this.showToast(response.message || 'Errore sorteggio', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async resetDraw() {
+        if (!this.sorteggio) return;
+        if (!confirm('Annullare il sorteggio? Tutti i gironi verranno eliminati.')) return;
+
+        try {
+            const response = await this.apiDelete('/api/admin/gironi');
+
+            if (response.success) {
+                this.sorteggio = null;
+                this.partite = [];
+                this.renderGironi();
+                this.renderCalendario();
+                this.loadClassifiche();
+                this.showToast('Sorteggio annullato', 'success');
+            } else {
+                this.showToast(response.message || 'Errore', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    // ==========================================
+    // CALENDARIO PARTITE
+    // ==========================================
+    async loadCalendario() {
+        try {
+            const response = await this.apiCall('/api/admin/calendario', { key: this.adminKey });
+
+            if (response.success) {
+                this.partite = response.data;
+                this.calendarioParams = response.params;
+                this.renderCalendario();
+            }
+        } catch (error) {
+            console.error('Errore caricamento calendario:', error);
+            this.showToast('Errore caricamento calendario', 'error');
+        }
+    }
+
+    renderCalendario() {
+        const tbody = document.getElementById('calendarioTable');
+        const info = document.getElementById('calendarioInfo');
+
+        if (this.partite.length === 0) {
+            info.textContent = '';
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="7" class="empty-state">
+                        <div class="empty-state-text">Nessun calendario generato</div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        const last = this.partite.reduce((max, p) => p.fine > max ? p.fine : max, '');
+        info.textContent = `${this.partite.length} partite • fine ${last.replace('T', ' ')}`;
+
+        const fields = this.calendarioParams?.fields
+            || [...new Set(this.partite.map(p => p.campo))];
+
+        tbody.innerHTML = this.partite.map(p => `
+            <tr data-id="${p.id}">
+                <td><input type="datetime-local" class="roster-input" data-field="inizio" value="${this.escapeHtml(p.inizio)}"></td>
+                <td>
+                    <select class="roster-input" data-field="campo">
+                        ${fields.map(f => `<option value="${this.escapeHtml(f)}" ${f === p.campo ? 'selected' : ''}>${this.escapeHtml(f)}</option>`).join('')}
+                    </select>
+                </td>
+                <td>${p.girone ? this.escapeHtml(p.girone) : '-'}</td>
+                <td>
+                    ${this.getCountryFlag(p.paese_casa)} ${this.escapeHtml(p.squadra_casa || '-')}
+                    <strong>vs</strong>
+                    ${this.getCountryFlag(p.paese_ospite)} ${this.escapeHtml(p.squadra_ospite || '-')}
+                </td>
+                <td><button class="action-btn" data-move="${p.id}" title="Sposta">💾</button></td>
+                <td class="result-cell">
+                    <input type="number" class="roster-input small" data-field="golCasa" min="0" max="99" value="${p.gol_casa ?? ''}">
+                    <span>-</span>
+                    <input type="number" class="roster-input small" data-field="golOspite" min="0" max="99" value="${p.gol_ospite ?? ''}">
+                </td>
+                <td><button class="action-btn" data-result="${p.id}" title="Salva risultato">✅</button></td>
+            </tr>
+        `).join('');
+
+        tbody.querySelectorAll('[data-result]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const row = btn.closest('tr');
+                this.saveResult(btn.dataset.result,
+                    row.querySelector('[data-field="golCasa"]').value,
+                    row.querySelector('[data-field="golOspite"]').value
+                );
+            });
+        });
+
+        tbody.querySelectorAll('[data-move]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const row = btn.closest('tr');
+                this.moveMatch(btn.dataset.move, {
+                    inizio: row.querySelector('[data-field="inizio"]').value,
+                    campo: row.querySelector('[data-field="campo"]').value
+                });
+            });
+        });
+    }
+
+    async generateCalendario() {
+        if (!this.sorteggio) {
+            this.showToast('Effettua prima il sorteggio dei gironi', 'warning');
+            return;
+        }
+        if (this.partite.length > 0 && !confirm('Il nuovo calendario sostituirà quello attuale. Continuare?')) return;
+
+        const fields = document.getElementById('calFields').value
+            .split(',')
+            .map(f => f.trim())
+            .filter(Boolean);
+
+        try {
+            const response = await this.apiPost('/api/admin/calendario', {
+                date: document.getElementById('calDate').value || undefined,
+                startTime: document.getElementById('calStart').value,
+                fields,
+                matchDuration: parseInt(document.getElementById('calDuration').value),
+                changeover: parseInt(document.getElementById('calChangeover').value),
+                restGap: parseInt(document.getElementById('calRest').value)
+            });
+
+            if (response.success) {
+                this.partite = response.data;
+                this.calendarioParams = response.params;
+                this.renderCalendario();
+                this.loadClassifiche();
+                this.showToast(response.message, 'success');
+            } else {
+                this.showToast(response.message || 'Errore generazione calendario', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async moveMatch(id, changes, force = false) {
+        try {
+            const response = await this.apiPatch(`/api/admin/partite/${id}`, { ...changes, force });
+
+            if (response.success) {
+                await this.loadCalendario();
+                this.showToast('Partita spostata', 'success');
+            } else if (response.conflicts) {
+                const message = `${response.message}:\n- ${response.conflicts.join('\n- ')}\n\nSpostare comunque?`;
+                if (confirm(message)) {
+                    await this.moveMatch(id, changes, true);
+                } else {
+                    this.renderCalendario();
+                }
+            } else {
+                this.showToast(response.message || 'Errore spostamento', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async saveResult(id, golCasa, golOspite) {
+        try {
+            // Entrambi i campi vuoti: elimina il risultato
+            const response = golCasa === '' && golOspite === ''
+                ? await this.apiDelete(`/api/admin/partite/${id}/risultato`)
+                : await this.apiPut(`/api/admin/partite/${id}/risultato`, {
+                    golCasa: parseInt(golCasa),
+                    golOspite: parseInt(golOspite)
+                });
+
+            if (response.success) {
+                const partita = this.partite.find(p => String(p.id) === String(id));
+                if (partita) {
+                    partita.gol_casa = golCasa === '' ? null : parseInt(golCasa);
+                    partita.gol_ospite = golOspite === '' ? null : parseInt(golOspite);
+                }
+                await this.loadClassifiche();
+                this.showToast(response.message, 'success');
+            } else {
+                this.showToast(response.message || 'Errore salvataggio risultato', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async resetCalendario() {
+        if (this.partite.length === 0) return;
+        if (!confirm('Eliminare il calendario? Tutte le partite verranno rimosse.')) return;
+
+        try {
+            const response = await this.apiDelete('/api/admin/calendario');
+
+            if (response.success) {
+                this.partite = [];
+                this.renderCalendario();
+                this.loadClassifiche();
+                this.showToast('Calendario eliminato', 'success');
+            } else {
+                this.showToast(response.message || 'Errore', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    // ==========================================
+    // CLASSIFICHE
+    // ==========================================
+    async loadClassifiche() {
+        try {
+            const response = await this.apiCall('/api/admin/classifiche', { key: this.adminKey });
+
+            if (response.success) {
+                this.classifiche = response.data;
+                this.renderClassifiche();
+            }
+        } catch (error) {
+            console.error('Errore caricamento classifiche:', error);
+        }
+    }
+
+    renderClassifiche() {
+        const container = document.getElementById('classificheGrid');
+
+        if (this.classifiche.length === 0) {
+            container.innerHTML = '<div class="empty-state-text">Nessuna classifica disponibile</div>';
+            return;
+        }
+
+        container.innerHTML = this.classifiche.map(girone => `
+            <div class="girone-card">
+                <h4>Girone ${this.escapeHtml(girone.nome)}</h4>
+                <table class="standings-table">
+                    <thead>
+                        <tr>
+                            <th>#</th><th>Squadra</th><th>G</th><th>V</th><th>N</th><th>P</th><th>DR</th><th>Pt</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${girone.classifica.map(r => `
+                            <tr>
+                                <td>${r.posizione}</td>
+                                <td>${this.getCountryFlag(r.paese)} ${this.escapeHtml(r.nome)}</td>
+                                <td>${r.giocate}</td>
+                                <td>${r.vinte}</td>
+                                <td>${r.pareggiate}</td>
+                                <td>${r.perse}</td>
+                                <td>${r.differenza > 0 ? '+' : ''}${r.differenza}</td>
+                                <td><strong>${r.punti}</strong></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `).join('');
+    }
+
+    // ==========================================
+    // ELIMINAZIONE DIRETTA
+    // ==========================================
+    async loadTabellone() {
+        try {
+            const response = await this.apiCall('/api/admin/tabellone', { key: this.adminKey });
+
+            if (response.success) {
+                this.tabellone = response.data;
+                this.renderTabellone();
+            }
+        } catch (error) {
+            console.error('Errore caricamento tabellone:', error);
+        }
+    }
+
+    renderTabellone() {
+        const container = document.getElementById('bracketAdmin');
+        const info = document.getElementById('tabelloneInfo');
+
+        if (!this.tabellone) {
+            info.textContent = '';
+            container.innerHTML = '<div class="empty-state-text">Nessun tabellone generato</div>';
+            return;
+        }
+
+        info.textContent = this.tabellone.campione ? `🏆 Campione: ${this.tabellone.campione}` : '';
+
+        const team = (nome, paese, etichetta) => nome
+            ? `${this.getCountryFlag(paese)} ${this.escapeHtml(nome)}`
+            : `<span class="bracket-tbd">${this.escapeHtml(etichetta || 'Da definire')}</span>`;
+
+        const score = (value) => value ?? '';
+
+        container.innerHTML = this.tabellone.turni.map(turno => `
+            <div class="bracket-round">
+                <h4>${this.escapeHtml(turno.nome)}</h4>
+                ${turno.partite.map(p => `
+                    <div class="bracket-match ${p.vincitore ? 'decided' : ''}" data-id="${p.id}">
+                        <div class="bracket-team">
+                            <span>${team(p.squadraCasa, p.paeseCasa, p.etichettaCasa)}</span>
+                            <input type="number" class="roster-input small" data-field="golCasa" min="0" max="99" value="${score(p.golCasa)}">
+                            <input type="number" class="roster-input small penalty" data-field="rigoriCasa" min="0" max="99" value="${score(p.rigoriCasa)}" title="Rigori">
+                        </div>
+                        <div class="bracket-team">
+                            <span>${team(p.squadraOspite, p.paeseOspite, p.etichettaOspite)}</span>
+                            <input type="number" class="roster-input small" data-field="golOspite" min="0" max="99" value="${score(p.golOspite)}">
+                            <input type="number" class="roster-input small penalty" data-field="rigoriOspite" min="0" max="99" value="${score(p.rigoriOspite)}" title="Rigori">
+                        </div>
+                        ${p.squadraCasa && p.squadraOspite ? `
+                            <button class="btn-roster" data-bracket-save="${p.id}">Salva</button>
+                        ` : ''}
+                    </div>
+                `).join('')}
+            </div>
+        `).join('');
+
+        container.querySelectorAll('[data-bracket-save]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const match = btn.closest('.bracket-match');
+                const value = (field) => match.querySelector(`[data-field="${field}"]`).value;
+                this.saveBracketResult(btn.dataset.bracketSave, {
+                    golCasa: value('golCasa'),
+                    golOspite: value('golOspite'),
+                    rigoriCasa: value('rigoriCasa'),
+                    rigoriOspite: value('rigoriOspite')
+                });
+            });
+        });
+    }
+
+    async generateTabellone(force = false) {
+        if (!force && this.tabellone && !confirm('Il nuovo tabellone sostituirà quello attuale. Continuare?')) return;
+
+        try {
+            const response = await this.apiPost('/api/admin/tabellone', {
+                qualificatePerGirone: parseInt(document.getElementById('tabQualificate').value),
+                force
+            });
+
+            if (response.success) {
+                this.tabellone = response.data;
+                this.renderTabellone();
+                this.showToast(response.message, 'success');
+            } else if (response.pending) {
+                if (confirm(`${response.message}. Generare comunque il tabellone?`)) {
+                    await this.generateTabellone(true);
+                }
+            } else {
+                this.showToast(response.message || 'Errore generazione tabellone', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async saveBracketResult(id, values) {
+        const toScore = (value) => value === '' ? null : parseInt(value);
+
+        try {
+            // Gol vuoti: elimina il risultato
+            const response = values.golCasa === '' && values.golOspite === ''
+                ? await this.apiDelete(`/api/admin/tabellone/${id}/risultato`)
+                : await this.apiPut(`/api/admin/tabellone/${id}/risultato`, {
+                    golCasa: toScore(values.golCasa),
+                    golOspite: toScore(values.golOspite),
+                    rigoriCasa: toScore(values.rigoriCasa),
+                    rigoriOspite: toScore(values.rigoriOspite)
+                });
+
+            if (response.success) {
+                this.tabellone = response.data;
+                this.renderTabellone();
+                this.showToast(response.message, 'success');
+            } else {
+                this.showToast(response.message || 'Errore salvataggio risultato', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async resetTabellone() {
+        if (!this.tabellone) return;
+        if (!confirm('Eliminare il tabellone e tutti i risultati della fase finale?')) return;
+
+        try {
+            const response = await this.apiDelete('/api/admin/tabellone');
+
+            if (response.success) {
+                this.tabellone = null;
+                this.renderTabellone();
+                this.showToast(response.message, 'success');
+            } else {
+                this.showToast(response.message || 'Errore', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    // ==========================================
+    // GALLERIA
+    // ==========================================
+    
+    /**
+     * Edizione selezionata nel selettore (l'anno individua la galleria)
+     */
+    getEdizioneVisualizzata() {
+        const id = this.edizioneId ? parseInt(this.edizioneId) : null;
+        return this.edizioni.find(e => (id ? e.id === id : e.corrente === 1));
+    }
+
+    async loadGalleria(page = 1) {
+        const edizione = this.getEdizioneVisualizzata();
+        if (!edizione) return;
+
+        try {
+            const response = await this.apiCall(`/api/galleria?year=${edizione.anno}&page=${page}`);
+
+            if (response.success) {
+                this.galleria = {
+                    photos: response.data,
+                    page: response.pagination.page,
+                    pages: response.pagination.pages || 1,
+                    total: response.pagination.total
+                };
+                this.renderGalleria(edizione);
+            }
+        } catch (error) {
+            console.error('Errore caricamento galleria:', error);
+            this.showToast('Errore caricamento galleria', 'error');
+        }
+    }
+
+    renderGalleria(edizione) {
+        const container = document.getElementById('galleriaGrid');
+        const { photos, page, pages, total } = this.galleria;
+
+        document.getElementById('galleriaInfo').textContent = `Edizione ${edizione.anno} • ${total} foto`;
+
+        if (photos.length === 0) {
+            container.innerHTML = '<div class="empty-state-text">Nessuna foto caricata</div>';
+        } else {
+            container.innerHTML = photos.map(photo => `
+                <figure class="galleria-admin-item">
+                    <a href="${photo.web}" target="_blank" rel="noopener">
+                        <img src="${photo.thumb}" alt="${this.escapeHtml(photo.didascalia || '')}" loading="lazy">
+                    </a>
+                    <figcaption>
+                        ${photo.album ? `<span class="galleria-album">${this.escapeHtml(photo.album)}</span>` : ''}
+                        <span>${this.escapeHtml(photo.didascalia || '')}</span>
+                    </figcaption>
+                    <button class="action-btn delete" data-id="${photo.id}" title="Elimina">🗑️</button>
+                </figure>
+            `).join('');
+
+            container.querySelectorAll('.action-btn.delete').forEach(btn => {
+                btn.addEventListener('click', () => this.deleteFoto(parseInt(btn.dataset.id)));
+            });
+        }
+
+        document.getElementById('galleriaPageInfo').textContent = `Pagina ${page} di ${pages}`;
+        document.getElementById('galleriaPrev').disabled = page <= 1;
+        document.getElementById('galleriaNext').disabled = page >= pages;
+    }
+
+    // Coda di moderazione: le foto in attesa non sono pubbliche, l'anteprima passa dall'API admin
+    async loadModerazione() {
+        try {
+            const response = await this.apiCall('/api/admin/galleria?status=pending', { key: this.adminKey });
+
+            if (response.success) {
+                this.moderazione = response.data;
+                this.renderModerazione(response.pagination.total);
+            }
+        } catch (error) {
+            console.error('Errore caricamento foto da approvare:', error);
+        }
+    }
+
+    getAnteprimaUrl(id, variante = 'thumb') {
+        const url = new URL(`/api/admin/galleria/${id}/anteprima`, window.location.origin);
+        url.searchParams.set('key', this.adminKey);
+        url.searchParams.set('variante', variante);
+        return url.pathname + url.search;
+    }
+
+    renderModerazione(total) {
+        const container = document.getElementById('moderazioneGrid');
+        document.getElementById('moderazioneInfo').textContent = total > 0 ? `${total} in attesa` : '';
+
+        if (this.moderazione.length === 0) {
+            container.innerHTML = '<div class="empty-state-text">Nessuna foto in attesa</div>';
+            return;
+        }
+
+        container.innerHTML = this.moderazione.map(photo => `
+            <figure class="galleria-admin-item">
+                <a href="${this.getAnteprimaUrl(photo.id, 'web')}" target="_blank" rel="noopener">
+                    <img src="${this.getAnteprimaUrl(photo.id)}" alt="${this.escapeHtml(photo.didascalia || '')}" loading="lazy">
+                </a>
+                <figcaption>
+                    <span class="galleria-album">${this.escapeHtml(photo.autore || '')} • ${photo.anno}</span>
+                    ${photo.emailAutore ? `<span>${this.escapeHtml(photo.emailAutore)}</span>` : ''}
+                    <span>${this.escapeHtml(photo.didascalia || '')}</span>
+                    <span>${this.formatDateTime(photo.createdAt)}</span>
+                </figcaption>
+                <div class="galleria-moderazione-actions">
+                    <button class="btn-roster primary" data-id="${photo.id}" data-status="approved">✅ Approva</button>
+                    <button class="btn-roster" data-id="${photo.id}" data-status="rejected">❌ Rifiuta</button>
+                </div>
+            </figure>
+        `).join('');
+
+        container.querySelectorAll('[data-status]').forEach(btn => {
+            btn.addEventListener('click', () => this.moderateFoto(parseInt(btn.dataset.id), btn.dataset.status));
+        });
+    }
+
+    async moderateFoto(id, status) {
+        const data = { status };
+
+        if (status === 'approved') {
+            const album = prompt('Album (facoltativo):', '');
+            if (album === null) return;
+            data.album = album.trim();
+        } else if (!confirm('Rifiutare la foto? Il file verrà eliminato.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiPatch(`/api/admin/galleria/${id}`, data);
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                this.loadModerazione();
+                if (status === 'approved') this.loadGalleria(this.galleria.page);
+            } else {
+                this.showToast(response.message || 'Errore moderazione', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async uploadFoto() {
+        const edizione = this.getEdizioneVisualizzata();
+        const files = document.getElementById('galleriaFiles').files;
+        if (!edizione || files.length === 0) return;
+
+        const formData = new FormData();
+        [...files].forEach(file => formData.append('foto', file));
+        formData.append('anno', edizione.anno);
+        formData.append('album', document.getElementById('galleriaAlbum').value.trim());
+        formData.append('didascalia', document.getElementById('galleriaDidascalia').value.trim());
+
+        const btn = document.getElementById('galleriaUpload');
+        btn.disabled = true;
+
+        try {
+            const response = await this.apiUpload('/api/admin/galleria', formData);
+
+            if (response.success) {
+                document.getElementById('galleriaFiles').value = '';
+                document.getElementById('galleriaDidascalia').value = '';
+                this.showToast(response.message, 'success');
+                this.loadGalleria(1);
+            } else {
+                this.showToast(response.message || 'Errore caricamento foto', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    async deleteFoto(id) {
+        if (!confirm('Eliminare definitivamente questa foto?')) return;
+
+        try {
+            const response = await this.apiDelete(`/api/admin/galleria/${id}`);
+
+            if (response.success) {
+                this.showToast('Foto eliminata', 'success');
+                // Se la pagina resta vuota torna alla precedente
+                const page = this.galleria.photos.length === 1 ? Math.max(1, this.galleria.page - 1) : this.galleria.page;
+                this.loadGalleria(page);
+            } else {
+                this.showToast(response.message || 'Errore', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    // ==========================================
+    // EMAIL INVIATE
+    // ==========================================
+    async loadEmail(page = 1) {
+        const url = new URL('/api/admin/email', window.location.origin);
+        url.searchParams.set('page', page);
+        if (this.email.status) {
+            url.searchParams.set('status', this.email.status);
+        }
+
+        try {
+            const response = await this.apiCall(url.pathname + url.search, { key: this.adminKey });
+
+            if (response.success) {
+                this.email = {
+                    ...this.email,
+                    emails: response.data,
+                    page: response.pagination.page,
+                    pages: response.pagination.pages || 1
+                };
+                this.renderEmail(response.counts);
+
+                // Trasporto su file in sviluppo: le email si leggono nella casella
+                document.getElementById('mailboxLink').style.display = response.mailbox ? 'inline-block' : 'none';
+            }
+        } catch (error) {
+            console.error('Errore caricamento email:', error);
+            this.showToast('Errore caricamento email', 'error');
+        }
+    }
+
+    renderEmail(counts) {
+        const tbody = document.getElementById('emailTable');
+        const { emails, page, pages } = this.email;
+
+        document.getElementById('emailInfo').textContent =
+            `✅ ${counts.sent} consegnate • ⏳ ${counts.pending + counts.sending} in coda • ❌ ${counts.failed} non consegnate`;
+
+        if (emails.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="9" class="empty-state">
+                        <div class="empty-state-icon">📧</div>
+                        <div class="empty-state-text">Nessuna email</div>
+                    </td>
+                </tr>
+            `;
+        } else {
+            tbody.innerHTML = emails.map(email => `
+                <tr>
+                    <td>${this.formatDateTime(email.created_at)}</td>
+                    <td>${this.escapeHtml(email.destinatario)}</td>
+                    <td>${email.iscrizione_id && email.nome_squadra
+                        ? `<a href="#" data-iscrizione="${email.iscrizione_id}">${this.escapeHtml(email.nome_squadra)}</a>`
+                        : '-'}</td>
+                    <td>${this.formatEmailTipo(email.tipo)}</td>
+                    <td>${this.escapeHtml(email.oggetto)}</td>
+                    <td>${this.getEmailStatusBadge(email.status)}</td>
+                    <td>${email.tentativi}</td>
+                    <td class="email-errore">${email.ultimo_errore ? this.escapeHtml(email.ultimo_errore) : '-'}</td>
+                    <td>${email.status === 'failed'
+                        ? `<button class="btn-roster" data-reinvia="${email.id}">🔄 Reinvia</button>`
+                        : ''}</td>
+                </tr>
+            `).join('');
+
+            this.bindEmailActions(tbody);
+        }
+
+        document.getElementById('emailPageInfo').textContent = `Pagina ${page} di ${pages}`;
+        document.getElementById('emailPrev').disabled = page <= 1;
+        document.getElementById('emailNext').disabled = page >= pages;
+    }
+
+    bindEmailActions(container) {
+        container.querySelectorAll('[data-reinvia]').forEach(btn => {
+            btn.addEventListener('click', () => this.resendEmail(parseInt(btn.dataset.reinvia), btn));
+        });
+
+        container.querySelectorAll('[data-iscrizione]').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.viewIscrizione(link.dataset.iscrizione);
+            });
+        });
+    }
+
+    // Email di un'iscrizione (modal dettagli) con l'esito di ogni tentativo
+    async loadIscrizioneEmail(id) {
+        try {
+            const response = await this.apiCall(`/api/iscrizioni/${id}/email`, { key: this.adminKey });
+
+            if (response.success && this.currentIscrizioneId === id) {
+                this.renderIscrizioneEmail(response.data || []);
+            }
+        } catch (error) {
+            console.error('Errore caricamento email iscrizione:', error);
+        }
+    }
+
+    renderIscrizioneEmail(emails) {
+        const tbody = document.getElementById('modalEmailTable');
+        if (!tbody) return;
+
+        if (emails.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="empty-state-text">Nessuna email inviata</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = emails.map(email => `
+            <tr>
+                <td>${this.formatDateTime(email.created_at)}</td>
+                <td>${this.formatEmailTipo(email.tipo)}</td>
+                <td>${this.escapeHtml(email.oggetto)}</td>
+                <td>${this.getEmailStatusBadge(email.status)}</td>
+                <td class="email-invii">${email.invii.length === 0 ? '-' : email.invii.map(invio => `
+                    <div>
+                        ${invio.esito === 'sent' ? '✅' : '❌'} #${invio.tentativo} ${this.formatDateTime(invio.created_at)}
+                        <span class="email-errore">${this.escapeHtml(invio.esito === 'sent' ? invio.message_id || '' : invio.errore || '')}</span>
+                    </div>
+                `).join('')}</td>
+                <td>${email.status === 'failed'
+                    ? `<button class="btn-roster" data-reinvia="${email.id}">🔄 Reinvia</button>`
+                    : ''}</td>
+            </tr>
+        `).join('');
+
+        this.bindEmailActions(tbody);
+    }
+
+    async resendEmail(id, btn) {
+        btn.disabled = true;
+
+        try {
+            const response = await this.apiPost(`/api/admin/email/${id}/reinvia`);
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                if (this.currentIscrizioneId) this.loadIscrizioneEmail(this.currentIscrizioneId);
+                if (this.currentSection === 'email') this.loadEmail(this.email.page);
+                if (this.currentSection === 'broadcast') this.loadBroadcasts();
+            } else {
+                this.showToast(response.message || 'Errore reinvio email', 'error');
+                btn.disabled = false;
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+            btn.disabled = false;
+        }
+    }
+
+    // ==========================================
+    // MODELLI EMAIL
+    // ==========================================
+    async loadTemplates() {
+        try {
+            const response = await this.apiCall('/api/admin/email-template', { key: this.adminKey });
+
+            if (response.success) {
+                this.modelli.tipi = response.data;
+                this.renderTemplateOptions(response.lingue, response.segnaposto);
+                this.loadTemplate();
+            }
+        } catch (error) {
+            console.error('Errore caricamento modelli email:', error);
+            this.showToast('Errore caricamento modelli email', 'error');
+        }
+    }
+
+    renderTemplateOptions(lingue, segnaposto) {
+        const { chiave, lingua, tipi } = this.modelli;
+
+        document.getElementById('templateChiave').innerHTML = tipi.map(tipo => `
+            <option value="${tipo.chiave}" ${tipo.chiave === chiave ? 'selected' : ''}>
+                ${this.escapeHtml(tipo.descrizione)}${tipo.personalizzati.length > 0 ? ` ✏️ (${tipo.personalizzati.join(', ')})` : ''}
+            </option>
+        `).join('');
+
+        document.getElementById('templateLingua').innerHTML = lingue.map(code => `
+            <option value="${code}" ${code === lingua ? 'selected' : ''}>${this.getLinguaName(code)}</option>
+        `).join('');
+
+        const container = document.getElementById('templateSegnaposto');
+        container.innerHTML = Object.entries(segnaposto).map(([nome, descrizione]) => `
+            <button type="button" data-segnaposto="${nome}" title="${this.escapeHtml(descrizione)}">{{${nome}}}</button>
+        `).join('');
+
+        container.querySelectorAll('[data-segnaposto]').forEach(btn => {
+            btn.addEventListener('click', () => this.insertPlaceholder(`{{${btn.dataset.segnaposto}}}`));
+        });
+    }
+
+    async loadTemplate() {
+        const { chiave, lingua } = this.modelli;
+
+        try {
+            const response = await this.apiCall(
+                `/api/admin/email-template/${chiave}?lingua=${lingua}`,
+                { key: this.adminKey }
+            );
+
+            if (response.success) {
+                const { attivo, versioni } = response.data;
+                this.modelli.versioni = versioni;
+
+                document.getElementById('templateOggetto').value = attivo.oggetto;
+                document.getElementById('templateCorpo').value = attivo.corpo.trim();
+                document.getElementById('templateInfo').textContent = attivo.versione
+                    ? `Versione attiva: ${attivo.versione}`
+                    : 'Testo predefinito';
+                document.getElementById('templateAnteprima').hidden = true;
+
+                // L'ultima versione è quella in uso (anche quando riporta al testo predefinito)
+                this.renderTemplateVersions(versioni.length > 0 ? versioni[0].versione : null);
+            }
+        } catch (error) {
+            console.error('Errore caricamento modello email:', error);
+            this.showToast('Errore caricamento modello email', 'error');
+        }
+    }
+
+    renderTemplateVersions(attiva) {
+        const tbody = document.getElementById('templateVersioni');
+        const { versioni } = this.modelli;
+
+        if (versioni.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="empty-state-text">Nessuna versione salvata</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = versioni.map(versione => `
+            <tr>
+                <td>${versione.versione}${versione.versione === attiva ? ' <span class="status-badge approved">Attiva</span>' : ''}</td>
+                <td>${this.formatDateTime(versione.created_at)}</td>
+                <td>${versione.personalizzato ? this.escapeHtml(versione.oggetto) : '-'}</td>
+                <td>${versione.personalizzato ? 'Personalizzato' : 'Predefinito'}</td>
+                <td>${versione.versione !== attiva
+                    ? `<button class="btn-roster" data-versione="${versione.id}">↩️ Ripristina</button>`
+                    : ''}</td>
+            </tr>
+        `).join('');
+
+        tbody.querySelectorAll('[data-versione]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                const versione = this.modelli.versioni.find(v => v.id === parseInt(btn.dataset.versione));
+                this.restoreTemplate(versione);
+            });
+        });
+    }
+
+    // Inserisce il segnaposto nell'ultimo campo usato (oggetto o testo) alla posizione del cursore
+    insertPlaceholder(text) {
+        const field = this.templateField || document.getElementById('templateCorpo');
+        const start = field.selectionStart ?? field.value.length;
+        const end = field.selectionEnd ?? field.value.length;
+        field.value = field.value.slice(0, start) + text + field.value.slice(end);
+        field.focus();
+        field.setSelectionRange(start + text.length, start + text.length);
+    }
+
+    getTemplateDraft() {
+        return {
+            lingua: this.modelli.lingua,
+            oggetto: document.getElementById('templateOggetto').value.trim(),
+            corpo: document.getElementById('templateCorpo').value
+        };
+    }
+
+    async saveTemplate() {
+        try {
+            const response = await this.apiPut(`/api/admin/email-template/${this.modelli.chiave}`, this.getTemplateDraft());
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                this.loadTemplates();
+            } else {
+                this.showToast(response.message || 'Errore salvataggio modello', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async previewTemplate() {
+        try {
+            const response = await this.apiPost(`/api/admin/email-template/${this.modelli.chiave}/anteprima`, this.getTemplateDraft());
+
+            if (response.success) {
+                document.getElementById('templateAnteprimaOggetto').textContent = response.data.oggetto;
+                document.getElementById('templateAnteprimaFrame').srcdoc = response.data.html;
+                document.getElementById('templateAnteprima').hidden = false;
+            } else {
+                this.showToast(response.message || 'Errore anteprima', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async sendTestTemplate() {
+        try {
+            const response = await this.apiPost(`/api/admin/email-template/${this.modelli.chiave}/prova`, {
+                ...this.getTemplateDraft(),
+                email: document.getElementById('templateProvaEmail').value.trim()
+            });
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+            } else {
+                this.showToast(response.message || 'Errore invio prova', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    // Ripristina una versione dello storico (o il testo predefinito se null)
+    async restoreTemplate(versione) {
+        const message = versione
+            ? `Ripristinare la versione ${versione.versione} del modello?`
+            : 'Ripristinare il testo predefinito del modello? Le modifiche restano nello storico.';
+        if (!confirm(message)) return;
+
+        try {
+            const response = await this.apiPost(`/api/admin/email-template/${this.modelli.chiave}/ripristina`, {
+                lingua: this.modelli.lingua,
+                versione: versione ? versione.id : null
+            });
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                this.loadTemplates();
+            } else {
+                this.showToast(response.message || 'Errore ripristino modello', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    // ==========================================
+    // COMUNICAZIONI AI CAPITANI
     // ==========================================
-    async updateStatus(id, status) {
-        if (!confirm(`Sei sicuro di voler ${status === 'approved' ? 'approvare' : 'rifiutare'} questa iscrizione?`)) {
+    renderBroadcastEdizioni() {
+        const select = document.getElementById('broadcastEdizione');
+        const selected = select.value;
+
+        select.innerHTML = `
+            <option value="">Edizione corrente</option>
+            ${this.edizioni.map(e => `<option value="${e.id}">${e.anno}${e.corrente === 1 ? ' ⭐' : ''}</option>`).join('')}
+            <option value="tutte">Tutte le edizioni</option>
+        `;
+        select.value = selected;
+    }
+
+    getBroadcastData() {
+        return {
+            edizione: document.getElementById('broadcastEdizione').value,
+            status: document.getElementById('broadcastStatus').value,
+            paese: document.getElementById('broadcastPaese').value,
+            provinciaFoggia: document.getElementById('broadcastProvincia').value,
+            oggetto: document.getElementById('broadcastOggetto').value.trim(),
+            messaggio: document.getElementById('broadcastMessaggio').value.trim()
+        };
+    }
+
+    /**
+     * Conta i destinatari del segmento (e con withMessage mostra l'anteprima)
+     *
+     * @returns {number|null} numero di destinatari, null in caso di errore
+     */
+    async previewBroadcast(withMessage) {
+        const data = this.getBroadcastData();
+        if (!withMessage) {
+            delete data.oggetto;
+            delete data.messaggio;
+        } else if (!data.oggetto || !data.messaggio) {
+            this.showToast('Inserisci oggetto e messaggio', 'error');
+            return null;
+        }
+
+        try {
+            const response = await this.apiPost('/api/admin/broadcast/anteprima', data);
+
+            if (!response.success) {
+                this.showToast(response.message || 'Errore anteprima', 'error');
+                return null;
+            }
+
+            const { destinatari, anteprima } = response.data;
+            document.getElementById('broadcastDestinatari').textContent =
+                `👥 ${destinatari} ${destinatari === 1 ? 'destinatario' : 'destinatari'}`;
+
+            if (anteprima) {
+                document.getElementById('broadcastAnteprimaOggetto').textContent =
+                    `${anteprima.oggetto} — per ${anteprima.squadra}`;
+                document.getElementById('broadcastAnteprimaFrame').srcdoc = anteprima.html;
+                document.getElementById('broadcastAnteprima').hidden = false;
+            }
+            return destinatari;
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+            return null;
+        }
+    }
+
+    async sendBroadcast() {
+        const destinatari = await this.previewBroadcast(true);
+        if (destinatari === null) return;
+
+        if (destinatari === 0) {
+            this.showToast('Nessun destinatario nel segmento selezionato', 'error');
+            return;
+        }
+        if (!confirm(`Inviare la comunicazione a ${destinatari} ${destinatari === 1 ? 'destinatario' : 'destinatari'}?`)) {
             return;
         }
 
+        const btn = document.getElementById('broadcastInviaBtn');
+        btn.disabled = true;
+
         try {
-            const response = await this.apiPatch(`/api/iscrizioni/${id}`, { status });
-            
+            const response = await this.apiPost('/api/admin/broadcast', this.getBroadcastData());
+
             if (response.success) {
-                this.showToast(`Iscrizione ${status === 'approved' ? 'approvata' : 'rifiutata'}`, 'success');
-                await this.loadIscrizioni();
+                this.showToast(response.message, 'success');
+                document.getElementById('broadcastForm').reset();
+                document.getElementById('broadcastAnteprima').hidden = true;
+                this.previewBroadcast(false);
+                this.loadBroadcasts();
+                this.loadBroadcastReport(response.data.id);
             } else {
-                this.showToast(response.message || 'Errore', 'error');
+                this.showToast(response.message || 'Errore invio comunicazione', 'error');
             }
         } catch (error) {
             this.showToast('Errore di connessione', 'error');
+        } finally {
+            btn.disabled = false;
         }
     }
 
-    async deleteIscrizione(id) {
-        if (!confirm('Sei sicuro di voler eliminare questa iscrizione? L\'azione non può essere annullata.')) {
+    async loadBroadcasts() {
+        try {
+            const response = await this.apiCall('/api/admin/broadcast', { key: this.adminKey });
+
+            if (response.success) {
+                this.broadcast.list = response.data;
+                document.getElementById('broadcastRate').textContent = `Velocità di invio: ${response.rate} email al minuto`;
+                this.renderBroadcasts();
+
+                if (this.broadcast.reportId) {
+                    this.loadBroadcastReport(this.broadcast.reportId);
+                }
+            }
+        } catch (error) {
+            console.error('Errore caricamento comunicazioni:', error);
+            this.showToast('Errore caricamento comunicazioni', 'error');
+        }
+    }
+
+    renderBroadcasts() {
+        const tbody = document.getElementById('broadcastTable');
+        const { list } = this.broadcast;
+
+        if (list.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="8" class="empty-state">
+                        <div class="empty-state-icon">📣</div>
+                        <div class="empty-state-text">Nessuna comunicazione inviata</div>
+                    </td>
+                </tr>
+            `;
             return;
         }
 
+        tbody.innerHTML = list.map(broadcast => `
+            <tr>
+                <td>${this.formatDateTime(broadcast.created_at)}</td>
+                <td>${this.escapeHtml(broadcast.oggetto)}</td>
+                <td>${this.formatSegmento(broadcast.segmento)}</td>
+                <td>${broadcast.destinatari}</td>
+                <td>${broadcast.consegnate}</td>
+                <td>${broadcast.in_coda}</td>
+                <td>${broadcast.non_consegnate}</td>
+                <td><button class="btn-roster" data-report="${broadcast.id}">📋 Report</button></td>
+            </tr>
+        `).join('');
+
+        tbody.querySelectorAll('[data-report]').forEach(btn => {
+            btn.addEventListener('click', () => this.loadBroadcastReport(parseInt(btn.dataset.report)));
+        });
+    }
+
+    async loadBroadcastReport(id) {
         try {
-            const response = await this.apiDelete(`/api/iscrizioni/${id}`);
-            
+            const response = await this.apiCall(`/api/admin/broadcast/${id}`, { key: this.adminKey });
+
             if (response.success) {
-                this.showToast('Iscrizione eliminata', 'success');
-                await this.loadIscrizioni();
+                this.broadcast.reportId = id;
+                this.renderBroadcastReport(response.data);
+            }
+        } catch (error) {
+            console.error('Errore caricamento report comunicazione:', error);
+            this.showToast('Errore caricamento report', 'error');
+        }
+    }
+
+    renderBroadcastReport(broadcast) {
+        const tbody = document.getElementById('broadcastReportTable');
+
+        document.getElementById('broadcastReportTitle').textContent = `📋 Report: ${broadcast.oggetto}`;
+        document.getElementById('broadcastReportInfo').textContent =
+            `✅ ${broadcast.consegnate} consegnate • ⏳ ${broadcast.in_coda} in coda • ❌ ${broadcast.non_consegnate} non consegnate`;
+
+        tbody.innerHTML = broadcast.email.map(email => `
+            <tr>
+                <td>${email.iscrizione_id && email.nome_squadra
+                    ? `<a href="#" data-iscrizione="${email.iscrizione_id}">${this.escapeHtml(email.nome_squadra)}</a>`
+                    : '-'}</td>
+                <td>${this.escapeHtml(email.destinatario)}</td>
+                <td>${this.getEmailStatusBadge(email.status)}</td>
+                <td>${email.tentativi}</td>
+                <td>${email.sent_at ? this.formatDateTime(email.sent_at) : '-'}</td>
+                <td class="email-errore">${email.ultimo_errore ? this.escapeHtml(email.ultimo_errore) : '-'}</td>
+                <td>${email.status === 'failed'
+                    ? `<button class="btn-roster" data-reinvia="${email.id}">🔄 Reinvia</button>`
+                    : ''}</td>
+            </tr>
+        `).join('');
+
+        this.bindEmailActions(tbody);
+        document.getElementById('broadcastReport').hidden = false;
+    }
+
+    // Promemoria automatici prima del torneo
+    async loadPromemoria() {
+        try {
+            const response = await this.apiCall('/api/admin/promemoria', { key: this.adminKey });
+
+            if (response.success) {
+                this.renderPromemoria(response.data);
+            }
+        } catch (error) {
+            console.error('Errore caricamento promemoria:', error);
+        }
+    }
+
+    renderPromemoria(data) {
+        document.getElementById('promemoriaAttivi').checked = data.attivi;
+        document.getElementById('promemoriaGiorni').value = data.giorni.join(', ');
+
+        let info = `Edizione ${data.edizione}: data del torneo non impostata`;
+        if (data.dataTorneo) {
+            info = `Torneo il ${this.formatDate(data.dataTorneo)}`;
+            if (data.giorniMancanti > 0) info += ` • mancano ${data.giorniMancanti} giorni`;
+        }
+        document.getElementById('promemoriaInfo').textContent = info;
+
+        const oggi = new Date().toISOString().slice(0, 10);
+        document.getElementById('promemoriaTable').innerHTML = data.promemoria.map(p => `
+            <tr>
+                <td>${p.giorni === 1 ? '1 giorno prima' : `${p.giorni} giorni prima`}</td>
+                <td>${p.data ? this.formatDate(p.data) : '-'}${p.data && p.data < oggi && p.inviati === 0 ? ' <span class="draw-info">(passata)</span>' : ''}</td>
+                <td>${p.inviati}</td>
+                <td>${p.ultimo ? this.formatDateTime(p.ultimo) : '-'}</td>
+            </tr>
+        `).join('');
+    }
+
+    async savePromemoria() {
+        const giorni = document.getElementById('promemoriaGiorni').value
+            .split(',')
+            .map(value => value.trim())
+            .filter(Boolean)
+            .map(Number);
+
+        try {
+            const response = await this.apiPut('/api/admin/promemoria', {
+                attivi: document.getElementById('promemoriaAttivi').checked,
+                giorni
+            });
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                this.renderPromemoria(response.data);
             } else {
-                this.showToast(response.message || 'Errore', 'error');
+                this.showToast(response.message || 'Errore salvataggio promemoria', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async runPromemoria() {
+        if (!confirm('Eseguire ora il controllo dei promemoria? Le squadre già avvisate non riceveranno di nuovo lo stesso promemoria.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiPost('/api/admin/promemoria/esegui');
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                this.loadPromemoria();
+            } else {
+                this.showToast(response.message || 'Errore esecuzione promemoria', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    // Destinatari delle notifiche admin: email immediata o riepilogo giornaliero
+    async loadNotifiche() {
+        try {
+            const response = await this.apiCall('/api/admin/notifiche', { key: this.adminKey });
+
+            if (response.success) {
+                this.renderNotifiche(response.data);
+            }
+        } catch (error) {
+            console.error('Errore caricamento notifiche admin:', error);
+        }
+    }
+
+    renderNotifiche(data) {
+        const riepilogo = data.ultimoRiepilogo
+            ? `ultimo riepilogo ${this.formatDateTime(data.ultimoRiepilogo)}`
+            : 'nessun riepilogo inviato';
+        document.getElementById('notificheInfo').textContent = `Riepilogo: ${data.orario} • ${riepilogo}`;
+
+        const tbody = document.getElementById('notificheTable');
+
+        if (data.destinatari.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="4" class="empty-state-text">
+                        ${data.predefinito
+                            ? `Nessun destinatario: un'email per iscrizione a ${this.escapeHtml(data.predefinito)}`
+                            : 'Nessun destinatario e nessun indirizzo predefinito: le notifiche non partono'}
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = data.destinatari.map(d => `
+            <tr>
+                <td>${this.escapeHtml(d.email)}</td>
+                <td>
+                    <select data-notifiche-modalita="${d.id}">
+                        <option value="immediata" ${d.modalita === 'immediata' ? 'selected' : ''}>Un'email per iscrizione</option>
+                        <option value="riepilogo" ${d.modalita === 'riepilogo' ? 'selected' : ''}>Riepilogo giornaliero</option>
+                    </select>
+                </td>
+                <td>${this.formatDateTime(d.created_at)}</td>
+                <td><button class="btn-roster" data-notifiche-elimina="${d.id}">🗑️ Rimuovi</button></td>
+            </tr>
+        `).join('');
+
+        tbody.querySelectorAll('[data-notifiche-modalita]').forEach(select => {
+            select.addEventListener('change', () => this.updateNotificheDestinatario(select.dataset.notificheModalita, select.value));
+        });
+        tbody.querySelectorAll('[data-notifiche-elimina]').forEach(btn => {
+            btn.addEventListener('click', () => this.deleteNotificheDestinatario(btn.dataset.notificheElimina));
+        });
+    }
+
+    async addNotificheDestinatario() {
+        try {
+            const response = await this.apiPost('/api/admin/notifiche', {
+                email: document.getElementById('notificheEmail').value,
+                modalita: document.getElementById('notificheModalita').value
+            });
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                document.getElementById('notificheEmail').value = '';
+                this.renderNotifiche(response.data);
+            } else {
+                this.showToast(response.message || 'Errore aggiunta destinatario', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async updateNotificheDestinatario(id, modalita) {
+        try {
+            const response = await this.apiPatch(`/api/admin/notifiche/${id}`, { modalita });
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                this.renderNotifiche(response.data);
+            } else {
+                this.showToast(response.message || 'Errore aggiornamento destinatario', 'error');
+                this.loadNotifiche();
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    async deleteNotificheDestinatario(id) {
+        if (!confirm('Rimuovere questo destinatario dalle notifiche admin?')) return;
+
+        try {
+            const response = await this.apiDelete(`/api/admin/notifiche/${id}`);
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                this.renderNotifiche(response.data);
+            } else {
+                this.showToast(response.message || 'Errore rimozione destinatario', 'error');
             }
         } catch (error) {
             this.showToast('Errore di connessione', 'error');
         }
     }
 
+    async runRiepilogo() {
+        if (!confirm('Inviare ora il riepilogo agli admin in modalità riepilogo? Il prossimo riepilogo partirà da questo momento.')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiPost('/api/admin/notifiche/riepilogo');
+
+            if (response.success) {
+                this.showToast(response.message, 'success');
+                this.renderNotifiche(response.data);
+            } else {
+                this.showToast(response.message || 'Errore invio riepilogo', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    formatSegmento(segmento) {
+        const parts = [];
+        const edizione = this.edizioni.find(e => e.id === segmento.edizione);
+
+        parts.push(segmento.edizione === null ? 'Tutte le edizioni' : `Edizione ${edizione ? edizione.anno : segmento.edizione}`);
+        if (segmento.status) parts.push(this.getStatusBadge(segmento.status));
+        if (segmento.paese) parts.push(`${this.getCountryFlag(segmento.paese)} ${segmento.paese}`);
+        if (segmento.provinciaFoggia) parts.push(`Provincia di Foggia: ${segmento.provinciaFoggia === 'si' ? 'sì' : 'no'}`);
+
+        return parts.join(' • ');
+    }
+
     // ==========================================
     // BULK ACTIONS
     // ==========================================
@@ -1021,8 +3229,12 @@ class AdminDashboard {
     async bulkUpdateStatus(status) {
         if (this.selectedIds.size === 0) return;
 
+        // Il rifiuto si conferma dal riquadro del motivo, uguale per tutte
+        const rifiuto = status === 'rejected' ? await this.askRejection(this.selectedIds.size) : {};
+        if (!rifiuto) return;
+
         const action = status === 'approved' ? 'approvare' : 'rifiutare';
-        if (!confirm(`Sei sicuro di voler ${action} ${this.selectedIds.size} iscrizioni?`)) {
+        if (status !== 'rejected' && !confirm(`Sei sicuro di voler ${action} ${this.selectedIds.size} iscrizioni?`)) {
             return;
         }
 
@@ -1035,7 +3247,7 @@ class AdminDashboard {
         for (let i = 0; i < ids.length; i += BATCH_SIZE) {
             const batch = ids.slice(i, i + BATCH_SIZE);
             const results = await Promise.allSettled(
-                batch.map(id => this.apiPatch(`/api/iscrizioni/${id}`, { status }))
+                batch.map(id => this.apiPatch(`/api/iscrizioni/${id}`, { status, ...rifiuto }))
             );
             
             results.forEach(result => {
@@ -1145,15 +3357,61 @@ class AdminDashboard {
         return div.innerHTML;
     }
 
-    getStatusBadge(status) {
+    getStatusBadge(status, waitlistPosition = null) {
         const badges = {
             pending: '<span class="status-badge pending">⏳ In Attesa</span>',
             approved: '<span class="status-badge approved">✅ Approvata</span>',
-            rejected: '<span class="status-badge rejected">❌ Rifiutata</span>'
+            rejected: '<span class="status-badge rejected">❌ Rifiutata</span>',
+            waitlist: `<span class="status-badge waitlist">📋 Lista d'attesa${waitlistPosition ? ` #${waitlistPosition}` : ''}</span>`,
+            unverified: '<span class="status-badge unverified">✉️ Da verificare</span>'
+        };
+        return badges[status] || status;
+    }
+
+    getEmailStatusBadge(status) {
+        const badges = {
+            pending: '<span class="status-badge pending">⏳ In coda</span>',
+            sending: '<span class="status-badge pending">📤 In invio</span>',
+            sent: '<span class="status-badge approved">✅ Consegnata</span>',
+            failed: '<span class="status-badge rejected">❌ Non consegnata</span>'
         };
         return badges[status] || status;
     }
 
+    formatEmailTipo(tipo) {
+        const tipi = {
+            conferma: 'Conferma iscrizione',
+            promozione: 'Promozione dalla lista d\'attesa',
+            notifica_admin: 'Notifica admin',
+            cambio_stato: 'Cambio stato',
+            personalizzata: 'Personalizzata',
+            prova: 'Prova modello',
+            verifica: 'Verifica email',
+            promemoria: 'Promemoria torneo',
+            riepilogo_admin: 'Riepilogo admin'
+        };
+        return tipi[tipo] || tipo;
+    }
+
+    formatMotivoRifiuto(motivo) {
+        const motivi = {
+            dati_incompleti: 'Informazioni incomplete o non verificabili',
+            requisiti: 'Mancanza dei requisiti richiesti',
+            capienza: 'Numero massimo di squadre raggiunto',
+            duplicata: 'Iscrizione duplicata',
+            altro: 'Altro'
+        };
+        return motivi[motivo] || motivo;
+    }
+
+    getLinguaName(code) {
+        const lingue = {
+            it: 'Italiano', en: 'English', es: 'Español',
+            pt: 'Português', de: 'Deutsch', fr: 'Français'
+        };
+        return lingue[code] || 'Automatica (paese)';
+    }
+
     getCountryFlag(code) {
         const flags = {
             IT: '🇮🇹', US: '🇺🇸', GB: '🇬🇧', DE: '🇩🇪',
@@ -1212,7 +3470,46 @@ class AdminDashboard {
         const actions = {
             iscrizione_created: '➕ Nuova Iscrizione',
             iscrizione_status_changed: '🔄 Status Modificato',
-            iscrizione_deleted: '🗑️ Iscrizione Eliminata'
+            iscrizione_deleted: '🗑️ Iscrizione Eliminata',
+            iscrizione_promoted: '⬆️ Promossa da Lista d\'Attesa',
+            iscrizione_verified: '📧 Email Verificata',
+            capienza_updated: '🏟️ Capienza Modificata',
+            verifica_email_updated: '✉️ Scadenza Verifica Modificata',
+            evento_updated: '📍 Dettagli Evento Modificati',
+            finestra_iscrizioni_updated: '📅 Date Iscrizioni Modificate',
+            edizione_created: '🆕 Edizione Creata',
+            edizione_corrente_updated: '⭐ Edizione Corrente Modificata',
+            roster_updated: '👥 Rosa Aggiornata',
+            giocatore_added: '➕ Giocatore Aggiunto',
+            giocatore_updated: '✏️ Giocatore Modificato',
+            giocatore_deleted: '➖ Giocatore Rimosso',
+            sorteggio_created: '🎲 Sorteggio Gironi',
+            sorteggio_deleted: '🗑️ Sorteggio Annullato',
+            calendario_generated: '📅 Calendario Generato',
+            calendario_deleted: '🗑️ Calendario Eliminato',
+            partita_moved: '🔀 Partita Spostata',
+            risultato_saved: '⚽ Risultato Registrato',
+            risultato_deleted: '🗑️ Risultato Eliminato',
+            tabellone_created: '🏆 Tabellone Generato',
+            tabellone_deleted: '🗑️ Tabellone Eliminato',
+            eliminatoria_result_saved: '⚽ Risultato Fase Finale',
+            eliminatoria_result_deleted: '🗑️ Risultato Fase Finale Eliminato',
+            foto_caricate: '📷 Foto Caricate',
+            foto_deleted: '🗑️ Foto Eliminata',
+            foto_proposte: '📥 Foto Proposte',
+            foto_approved: '✅ Foto Approvata',
+            foto_rejected: '❌ Foto Rifiutata',
+            email_reinviata: '🔄 Email Reinviata',
+            email_template_updated: '✏️ Modello Email Salvato',
+            email_template_restored: '↩️ Modello Email Ripristinato',
+            email_template_test: '📨 Prova Modello Email',
+            broadcast_sent: '📣 Comunicazione Inviata',
+            promemoria_run: '⏰ Promemoria Eseguiti',
+            promemoria_updated: '⏰ Promemoria Configurati',
+            admin_destinatario_added: '🔔 Destinatario Notifiche Aggiunto',
+            admin_destinatario_updated: '🔔 Modalità Notifiche Modificata',
+            admin_destinatario_deleted: '🗑️ Destinatario Notifiche Rimosso',
+            riepilogo_admin_run: '📊 Riepilogo Admin Inviato'
         };
         return actions[action] || action;
     }
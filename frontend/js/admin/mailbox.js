@@ -0,0 +1,173 @@
+/**
+ * Casella di Sviluppo - Un Foggiano nel Mondo
+ * Elenco e anteprima delle email catturate dal trasporto su file
+ */
+
+class MailboxViewer {
+    constructor() {
+        // Stessa chiave della dashboard (sessionStorage della scheda)
+        this.adminKey = sessionStorage.getItem('adminKey') || '';
+        this.emails = [];
+        this.selectedId = null;
+        this.init();
+    }
+
+    init() {
+        if (!this.adminKey) {
+            window.location.href = '/admin';
+            return;
+        }
+
+        document.getElementById('mailboxRefresh').addEventListener('click', () => this.loadEmails());
+        document.getElementById('mailboxClear').addEventListener('click', () => this.clearMailbox());
+
+        this.loadEmails();
+    }
+
+    // ==========================================
+    // API
+    // ==========================================
+    async api(endpoint, options = {}) {
+        const url = new URL(endpoint, window.location.origin);
+        url.searchParams.set('key', this.adminKey);
+
+        const response = await fetch(url, options);
+        return response.json();
+    }
+
+    attachmentUrl(id, index) {
+        const url = new URL(`/api/admin/mailbox/${id}/allegati/${index}`, window.location.origin);
+        url.searchParams.set('key', this.adminKey);
+        return url.pathname + url.search;
+    }
+
+    // ==========================================
+    // ELENCO
+    // ==========================================
+    async loadEmails() {
+        try {
+            const response = await this.api('/api/admin/mailbox');
+
+            if (response.success) {
+                this.emails = response.data;
+                this.renderEmails();
+            } else {
+                this.showToast(response.message || 'Casella non disponibile', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    renderEmails() {
+        const tbody = document.getElementById('mailboxTable');
+        document.getElementById('mailboxCount').textContent = `${this.emails.length} email`;
+
+        if (this.emails.length === 0) {
+            tbody.innerHTML = `
+                <tr>
+                    <td colspan="3" class="empty-state">
+                        <div class="empty-state-icon">📭</div>
+                        <div class="empty-state-text">Nessuna email nella casella</div>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+
+        tbody.innerHTML = this.emails.map(email => `
+            <tr data-id="${email.id}" class="${email.id === this.selectedId ? 'selected' : ''}">
+                <td>${this.formatDateTime(email.data)}</td>
+                <td>${this.escapeHtml(email.to)}</td>
+                <td>${this.escapeHtml(email.subject)}${email.allegati.length > 0 ? ' 📎' : ''}</td>
+            </tr>
+        `).join('');
+
+        tbody.querySelectorAll('tr[data-id]').forEach(row => {
+            row.addEventListener('click', () => this.showEmail(row.dataset.id));
+        });
+    }
+
+    async clearMailbox() {
+        if (!confirm('Cancellare tutte le email della casella di sviluppo?')) return;
+
+        try {
+            const response = await this.api('/api/admin/mailbox', { method: 'DELETE' });
+
+            if (response.success) {
+                this.selectedId = null;
+                document.getElementById('mailboxMeta').innerHTML = '<p class="empty-state-text">Seleziona un\'email per visualizzarla</p>';
+                document.getElementById('mailboxAnteprima').style.display = 'none';
+                this.showToast(response.message, 'success');
+                await this.loadEmails();
+            } else {
+                this.showToast(response.message || 'Errore svuotamento casella', 'error');
+            }
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    // ==========================================
+    // ANTEPRIMA
+    // ==========================================
+    async showEmail(id) {
+        try {
+            const response = await this.api(`/api/admin/mailbox/${id}`);
+
+            if (!response.success) {
+                this.showToast(response.message || 'Email non trovata', 'error');
+                return;
+            }
+
+            const email = response.data;
+            this.selectedId = id;
+            this.renderEmails();
+
+            document.getElementById('mailboxMeta').innerHTML = `
+                <p><strong>Da:</strong> ${this.escapeHtml(email.from || '-')}</p>
+                <p><strong>A:</strong> ${this.escapeHtml(email.to)}</p>
+                <p><strong>Data:</strong> ${this.formatDateTime(email.data)}</p>
+                ${email.attachments.length > 0 ? `
+                    <p><strong>Allegati:</strong> ${email.attachments.map((a, index) => `
+                        <a href="${this.attachmentUrl(email.id, index)}" download>📎 ${this.escapeHtml(a.filename)}</a>
+                    `).join(' ')}</p>
+                ` : ''}
+            `;
+
+            // iframe senza permessi: l'HTML dell'email non esegue script
+            document.getElementById('mailboxOggetto').textContent = email.subject;
+            document.getElementById('mailboxFrame').srcdoc = email.html || `<pre>${this.escapeHtml(email.text)}</pre>`;
+            document.getElementById('mailboxAnteprima').style.display = 'block';
+        } catch (error) {
+            this.showToast('Errore di connessione', 'error');
+        }
+    }
+
+    // ==========================================
+    // UTILITY
+    // ==========================================
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text || '';
+        return div.innerHTML;
+    }
+
+    formatDateTime(dateStr) {
+        if (!dateStr) return '-';
+        return new Date(dateStr).toLocaleString('it-IT');
+    }
+
+    showToast(message, type = 'info') {
+        const container = document.getElementById('toastContainer');
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+        toast.innerHTML = `<span class="toast-message">${this.escapeHtml(message)}</span>`;
+        container.appendChild(toast);
+
+        setTimeout(() => toast.remove(), 5000);
+    }
+}
+
+// Initialize viewer
+new MailboxViewer();
@@ -8,11 +8,13 @@ const Database = require('better-sqlite3');
 const path = require('path');
 const fs = require('fs');
 const crypto = require('crypto');
-const SCHEMA = require('./schema');
+const { Migrator } = require('./migrator');
+
+const DEFAULT_DB_PATH = path.join(__dirname, '../../../../data/foggiano.db');
 
 class DatabaseManager {
     constructor(options = {}) {
-        this.dbPath = options.dbPath || path.join(__dirname, '../../../../data/foggiano.db');
+        this.dbPath = options.dbPath || DEFAULT_DB_PATH;
         this.backupPath = options.backupPath || path.join(__dirname, '../../../../data/backups');
         this.db = null;
         this.statements = {};
@@ -45,259 +47,1632 @@ class DatabaseManager {
         this.db.pragma('foreign_keys = ON');
         this.db.pragma('cache_size = -64000'); // 64MB cache
 
-        // Crea schema (tabelle, indici, triggers)
-        this.createSchema();
-        
-        // Prepara statements
-        this.prepareStatements();
-        
-        // Salva versione schema (dopo che gli statements sono pronti)
-        this.setConfig('schema_version', SCHEMA.version.toString());
-        
-        console.log('✅ Database inizializzato:', this.dbPath);
+        // Applica le migrazioni mancanti (tabelle, indici, triggers)
+        const migration = new Migrator(this.db).run();
+        if (!migration.success) {
+            throw new Error(`Migrazione database fallita: ${migration.error}`);
+        }
+        
+        // Prepara statements
+        this.prepareStatements();
+        
+        console.log('✅ Database inizializzato:', this.dbPath);
+    }
+
+    prepareStatements() {
+        // Edizioni
+        this.statements.getEdizioni = this.db.prepare(`
+            SELECT e.*, COUNT(i.id) as iscrizioni
+            FROM edizioni e
+            LEFT JOIN iscrizioni i ON i.edizione_id = e.id
+            GROUP BY e.id
+            ORDER BY e.anno DESC
+        `);
+
+        this.statements.getEdizioneById = this.db.prepare(
+            'SELECT * FROM edizioni WHERE id = ?'
+        );
+
+        this.statements.getEdizioneByAnno = this.db.prepare(
+            'SELECT * FROM edizioni WHERE anno = ?'
+        );
+
+        this.statements.getEdizioneCorrente = this.db.prepare(
+            'SELECT * FROM edizioni WHERE corrente = 1'
+        );
+
+        this.statements.insertEdizione = this.db.prepare(
+            'INSERT INTO edizioni (anno, nome, data_inizio) VALUES (@anno, @nome, @data_inizio)'
+        );
+
+        this.statements.clearEdizioneCorrente = this.db.prepare(
+            'UPDATE edizioni SET corrente = 0 WHERE corrente = 1'
+        );
+
+        this.statements.setEdizioneCorrente = this.db.prepare(
+            'UPDATE edizioni SET corrente = 1 WHERE id = ?'
+        );
+
+        this.statements.setEdizioneDataInizio = this.db.prepare(
+            'UPDATE edizioni SET data_inizio = ? WHERE id = ?'
+        );
+
+        // Iscrizioni
+        this.statements.insertIscrizione = this.db.prepare(`
+            INSERT INTO iscrizioni (
+                id, edizione_id, nome_squadra, citta_squadra, paese_squadra,
+                nome_capitano, cognome_capitano, email_capitano,
+                telefono_capitano, data_nascita_capitano, provincia_foggia,
+                numero_giocatori, note, lingua, status, ip_address, user_agent,
+                verificata_at, verifica_scadenza
+            ) VALUES (
+                @id, @edizione_id, @nome_squadra, @citta_squadra, @paese_squadra,
+                @nome_capitano, @cognome_capitano, @email_capitano,
+                @telefono_capitano, @data_nascita_capitano, @provincia_foggia,
+                @numero_giocatori, @note, @lingua, @status, @ip_address, @user_agent,
+                @verificata_at, @verifica_scadenza
+            )
+        `);
+
+        this.statements.getIscrizioneById = this.db.prepare(
+            'SELECT * FROM iscrizioni WHERE id = ?'
+        );
+
+        this.statements.getIscrizioneByEmail = this.db.prepare(
+            'SELECT * FROM iscrizioni WHERE email_capitano = ? AND edizione_id = ?'
+        );
+
+        this.statements.getAllIscrizioni = this.db.prepare(
+            'SELECT * FROM iscrizioni WHERE edizione_id = ? ORDER BY created_at DESC'
+        );
+
+        this.statements.getIscrizioniByStatus = this.db.prepare(
+            'SELECT * FROM iscrizioni WHERE status = ? AND edizione_id = ? ORDER BY created_at DESC'
+        );
+
+        this.statements.updateIscrizioneStatus = this.db.prepare(
+            `UPDATE iscrizioni SET status = ?, approved_at = ?, approved_by = ?,
+                motivo_rifiuto = ?, messaggio_rifiuto = ? WHERE id = ?`
+        );
+
+        this.statements.deleteIscrizione = this.db.prepare(
+            'DELETE FROM iscrizioni WHERE id = ?'
+        );
+
+        // Capienza e lista d'attesa
+        this.statements.countActiveIscrizioni = this.db.prepare(
+            "SELECT COUNT(*) as count FROM iscrizioni WHERE status IN ('pending', 'approved') AND edizione_id = ?"
+        );
+
+        this.statements.getWaitlist = this.db.prepare(
+            "SELECT * FROM iscrizioni WHERE status = 'waitlist' AND edizione_id = ? ORDER BY waitlist_at, created_at"
+        );
+
+        this.statements.setWaitlistAt = this.db.prepare(
+            'UPDATE iscrizioni SET waitlist_at = ? WHERE id = ?'
+        );
+
+        // Verifica dell'email (double opt-in)
+        this.statements.verifyIscrizione = this.db.prepare(`
+            UPDATE iscrizioni SET status = ?, verificata_at = ?, verifica_scadenza = NULL
+            WHERE id = ? AND status = 'unverified'
+        `);
+
+        this.statements.deleteIscrizioneNonVerificata = this.db.prepare(`
+            DELETE FROM iscrizioni
+            WHERE email_capitano = ? AND edizione_id = ? AND status = 'unverified'
+        `);
+
+        this.statements.cleanupIscrizioniNonVerificate = this.db.prepare(
+            "DELETE FROM iscrizioni WHERE status = 'unverified' AND verifica_scadenza <= ?"
+        );
+
+        this.statements.countIscrizioni = this.db.prepare(
+            'SELECT COUNT(*) as count FROM iscrizioni WHERE edizione_id = ?'
+        );
+
+        this.statements.countIscrizioniByStatus = this.db.prepare(
+            'SELECT status, COUNT(*) as count FROM iscrizioni WHERE edizione_id = ? GROUP BY status'
+        );
+
+        this.statements.countIscrizioniByPaese = this.db.prepare(
+            'SELECT paese_squadra, COUNT(*) as count FROM iscrizioni WHERE edizione_id = ? GROUP BY paese_squadra ORDER BY count DESC'
+        );
+
+        // Giocatori
+        this.statements.getGiocatoriByIscrizione = this.db.prepare(
+            'SELECT * FROM giocatori WHERE iscrizione_id = ? ORDER BY numero_maglia IS NULL, numero_maglia, cognome, nome'
+        );
+
+        this.statements.getGiocatoreById = this.db.prepare(
+            'SELECT * FROM giocatori WHERE id = ? AND iscrizione_id = ?'
+        );
+
+        this.statements.countGiocatoriByIscrizione = this.db.prepare(
+            'SELECT COUNT(*) as count FROM giocatori WHERE iscrizione_id = ?'
+        );
+
+        this.statements.insertGiocatore = this.db.prepare(`
+            INSERT INTO giocatori (iscrizione_id, nome, cognome, data_nascita, numero_maglia, ruolo)
+            VALUES (@iscrizione_id, @nome, @cognome, @data_nascita, @numero_maglia, @ruolo)
+        `);
+
+        this.statements.updateGiocatore = this.db.prepare(`
+            UPDATE giocatori SET
+                nome = @nome,
+                cognome = @cognome,
+                data_nascita = @data_nascita,
+                numero_maglia = @numero_maglia,
+                ruolo = @ruolo
+            WHERE id = @id AND iscrizione_id = @iscrizione_id
+        `);
+
+        this.statements.deleteGiocatore = this.db.prepare(
+            'DELETE FROM giocatori WHERE id = ? AND iscrizione_id = ?'
+        );
+
+        this.statements.deleteGiocatoriByIscrizione = this.db.prepare(
+            'DELETE FROM giocatori WHERE iscrizione_id = ?'
+        );
+
+        this.statements.updateNumeroGiocatori = this.db.prepare(
+            'UPDATE iscrizioni SET numero_giocatori = ? WHERE id = ?'
+        );
+
+        // Sorteggio gironi (uno per edizione)
+        this.statements.deleteSorteggi = this.db.prepare(
+            'DELETE FROM sorteggi WHERE edizione_id = ?'
+        );
+
+        this.statements.insertSorteggio = this.db.prepare(`
+            INSERT INTO sorteggi (edizione_id, seed, group_size, separa_paesi, teste_di_serie, conflitti)
+            VALUES (@edizione_id, @seed, @group_size, @separa_paesi, @teste_di_serie, @conflitti)
+        `);
+
+        this.statements.insertGirone = this.db.prepare(
+            'INSERT INTO gironi (sorteggio_id, nome) VALUES (?, ?)'
+        );
+
+        this.statements.insertGironeSquadra = this.db.prepare(`
+            INSERT INTO gironi_squadre (girone_id, iscrizione_id, posizione, testa_di_serie)
+            VALUES (@girone_id, @iscrizione_id, @posizione, @testa_di_serie)
+        `);
+
+        this.statements.getLatestSorteggio = this.db.prepare(
+            'SELECT * FROM sorteggi WHERE edizione_id = ? ORDER BY id DESC LIMIT 1'
+        );
+
+        this.statements.getGironiSquadre = this.db.prepare(`
+            SELECT g.id as girone_id, g.nome as girone,
+                   gs.posizione, gs.testa_di_serie,
+                   i.id as iscrizione_id, i.nome_squadra, i.citta_squadra, i.paese_squadra
+            FROM gironi g
+            JOIN gironi_squadre gs ON gs.girone_id = g.id
+            JOIN iscrizioni i ON i.id = gs.iscrizione_id
+            WHERE g.sorteggio_id = ?
+            ORDER BY g.nome, gs.posizione
+        `);
+
+        // Partite (calendario dell'edizione)
+        this.statements.insertPartita = this.db.prepare(`
+            INSERT INTO partite (edizione_id, girone_id, fase, giornata, squadra_casa_id, squadra_ospite_id, campo, inizio, fine)
+            VALUES (@edizione_id, @girone_id, @fase, @giornata, @squadra_casa_id, @squadra_ospite_id, @campo, @inizio, @fine)
+        `);
+
+        this.statements.deletePartiteByFase = this.db.prepare(
+            'DELETE FROM partite WHERE fase = ? AND edizione_id = ?'
+        );
+
+        this.statements.getPartite = this.db.prepare(`
+            SELECT p.*, g.nome as girone,
+                   casa.nome_squadra as squadra_casa, casa.paese_squadra as paese_casa,
+                   ospite.nome_squadra as squadra_ospite, ospite.paese_squadra as paese_ospite
+            FROM partite p
+            LEFT JOIN gironi g ON g.id = p.girone_id
+            LEFT JOIN iscrizioni casa ON casa.id = p.squadra_casa_id
+            LEFT JOIN iscrizioni ospite ON ospite.id = p.squadra_ospite_id
+            WHERE p.edizione_id = ?
+            ORDER BY p.inizio, p.campo
+        `);
+
+        this.statements.getPartitaById = this.db.prepare(
+            'SELECT * FROM partite WHERE id = ? AND edizione_id = ?'
+        );
+
+        this.statements.movePartita = this.db.prepare(
+            'UPDATE partite SET campo = ?, inizio = ?, fine = ? WHERE id = ?'
+        );
+
+        this.statements.setRisultato = this.db.prepare(
+            'UPDATE partite SET gol_casa = ?, gol_ospite = ? WHERE id = ?'
+        );
+
+        // Eliminazione diretta (tabellone dell'edizione)
+        this.statements.insertEliminatoria = this.db.prepare(`
+            INSERT INTO eliminatorie (edizione_id, turno, posizione, squadra_casa_id, squadra_ospite_id, etichetta_casa, etichetta_ospite)
+            VALUES (@edizione_id, @turno, @posizione, @squadra_casa_id, @squadra_ospite_id, @etichetta_casa, @etichetta_ospite)
+        `);
+
+        this.statements.deleteEliminatorie = this.db.prepare('DELETE FROM eliminatorie WHERE edizione_id = ?');
+
+        this.statements.getEliminatorie = this.db.prepare(`
+            SELECT e.*,
+                   casa.nome_squadra as squadra_casa, casa.paese_squadra as paese_casa,
+                   ospite.nome_squadra as squadra_ospite, ospite.paese_squadra as paese_ospite,
+                   vincitore.nome_squadra as vincitore
+            FROM eliminatorie e
+            LEFT JOIN iscrizioni casa ON casa.id = e.squadra_casa_id
+            LEFT JOIN iscrizioni ospite ON ospite.id = e.squadra_ospite_id
+            LEFT JOIN iscrizioni vincitore ON vincitore.id = e.vincitore_id
+            WHERE e.edizione_id = ?
+            ORDER BY e.turno, e.posizione
+        `);
+
+        this.statements.getEliminatoriaById = this.db.prepare(
+            'SELECT * FROM eliminatorie WHERE id = ? AND edizione_id = ?'
+        );
+
+        this.statements.getEliminatoriaBySlot = this.db.prepare(
+            'SELECT * FROM eliminatorie WHERE turno = ? AND posizione = ? AND edizione_id = ?'
+        );
+
+        this.statements.setRisultatoEliminatoria = this.db.prepare(`
+            UPDATE eliminatorie 
+            SET gol_casa = @gol_casa, gol_ospite = @gol_ospite, 
+                rigori_casa = @rigori_casa, rigori_ospite = @rigori_ospite, vincitore_id = @vincitore_id
+            WHERE id = @id
+        `);
+
+        this.statements.setSquadraCasaEliminatoria = this.db.prepare(
+            'UPDATE eliminatorie SET squadra_casa_id = ? WHERE turno = ? AND posizione = ? AND edizione_id = ?'
+        );
+
+        this.statements.setSquadraOspiteEliminatoria = this.db.prepare(
+            'UPDATE eliminatorie SET squadra_ospite_id = ? WHERE turno = ? AND posizione = ? AND edizione_id = ?'
+        );
+
+        // Galleria (edizione e album facoltativi: NULL = tutti)
+        const galleryFilter = 'p.status = @status AND (@edizione IS NULL OR p.edizione_id = @edizione) AND (@album IS NULL OR p.album = @album)';
+
+        this.statements.getGalleryPhotos = this.db.prepare(`
+            SELECT p.*, e.anno
+            FROM gallery_photos p
+            JOIN edizioni e ON e.id = p.edizione_id
+            WHERE ${galleryFilter}
+            ORDER BY p.created_at DESC, p.id DESC
+            LIMIT @limit OFFSET @offset
+        `);
+
+        this.statements.countGalleryPhotos = this.db.prepare(
+            `SELECT COUNT(*) as count FROM gallery_photos p WHERE ${galleryFilter}`
+        );
+
+        this.statements.getGalleryPhotoById = this.db.prepare(`
+            SELECT p.*, e.anno
+            FROM gallery_photos p
+            JOIN edizioni e ON e.id = p.edizione_id
+            WHERE p.id = ?
+        `);
+
+        this.statements.getGalleryPhotoByFile = this.db.prepare(
+            'SELECT * FROM gallery_photos WHERE file = ?'
+        );
+
+        this.statements.insertGalleryPhoto = this.db.prepare(`
+            INSERT INTO gallery_photos (edizione_id, album, didascalia, file, formato, larghezza, altezza, dimensione, status, autore, email_autore)
+            VALUES (@edizione_id, @album, @didascalia, @file, @formato, @larghezza, @altezza, @dimensione, @status, @autore, @email_autore)
+        `);
+
+        this.statements.moderateGalleryPhoto = this.db.prepare(`
+            UPDATE gallery_photos
+            SET status = @status, album = @album, didascalia = @didascalia, moderated_at = CURRENT_TIMESTAMP
+            WHERE id = @id
+        `);
+
+        this.statements.countGalleryPhotosByStatus = this.db.prepare(
+            'SELECT status, COUNT(*) as count FROM gallery_photos GROUP BY status'
+        );
+
+        this.statements.deleteGalleryPhoto = this.db.prepare(
+            'DELETE FROM gallery_photos WHERE id = ?'
+        );
+
+        // Coda email
+        this.statements.insertEmail = this.db.prepare(`
+            INSERT INTO email_outbox (tipo, iscrizione_id, broadcast_id, destinatario, oggetto, html, testo, allegati, prossimo_tentativo)
+            VALUES (@tipo, @iscrizione_id, @broadcast_id, @destinatario, @oggetto, @html, @testo, @allegati, @prossimo_tentativo)
+        `);
+
+        this.statements.getDueEmails = this.db.prepare(`
+            SELECT * FROM email_outbox
+            WHERE status = 'pending' AND prossimo_tentativo <= ?
+            ORDER BY prossimo_tentativo, id
+            LIMIT ?
+        `);
+
+        this.statements.getNextEmailDue = this.db.prepare(
+            "SELECT MIN(prossimo_tentativo) as prossimo FROM email_outbox WHERE status = 'pending'"
+        );
+
+        this.statements.claimEmail = this.db.prepare(
+            "UPDATE email_outbox SET status = 'sending' WHERE id = ? AND status = 'pending'"
+        );
+
+        this.statements.markEmailSent = this.db.prepare(`
+            UPDATE email_outbox
+            SET status = 'sent', tentativi = tentativi + 1, message_id = ?, ultimo_errore = NULL, sent_at = ?
+            WHERE id = ?
+        `);
+
+        this.statements.markEmailFailed = this.db.prepare(`
+            UPDATE email_outbox
+            SET status = @status, tentativi = tentativi + 1, ultimo_errore = @errore, prossimo_tentativo = @prossimo_tentativo
+            WHERE id = @id
+        `);
+
+        this.statements.recoverEmails = this.db.prepare(
+            "UPDATE email_outbox SET status = 'pending' WHERE status = 'sending'"
+        );
+
+        this.statements.countEmailsByStatus = this.db.prepare(
+            'SELECT status, COUNT(*) as count FROM email_outbox GROUP BY status'
+        );
+
+        this.statements.requeueEmail = this.db.prepare(`
+            UPDATE email_outbox
+            SET status = 'pending', tentativi = 0, prossimo_tentativo = ?
+            WHERE id = ? AND status = 'failed'
+        `);
+
+        // Email filtrate per iscrizione e stato (senza il corpo del messaggio)
+        const emailFilter = `
+            FROM email_outbox e
+            LEFT JOIN iscrizioni i ON i.id = e.iscrizione_id
+            WHERE (@iscrizione IS NULL OR e.iscrizione_id = @iscrizione)
+              AND (@status IS NULL OR e.status = @status)
+        `;
+
+        this.statements.getEmails = this.db.prepare(`
+            SELECT e.id, e.tipo, e.iscrizione_id, e.destinatario, e.oggetto, e.status, e.tentativi,
+                   e.prossimo_tentativo, e.ultimo_errore, e.message_id, e.created_at, e.sent_at,
+                   i.nome_squadra
+            ${emailFilter}
+            ORDER BY e.created_at DESC, e.id DESC
+            LIMIT @limit OFFSET @offset
+        `);
+
+        this.statements.countEmails = this.db.prepare(
+            `SELECT COUNT(*) as count ${emailFilter}`
+        );
+
+        this.statements.getEmailById = this.db.prepare(
+            'SELECT * FROM email_outbox WHERE id = ?'
+        );
+
+        // Registro invii
+        this.statements.insertEmailInvio = this.db.prepare(`
+            INSERT INTO email_invii (email_id, iscrizione_id, tipo, destinatario, oggetto, tentativo, esito, message_id, errore)
+            VALUES (
+                @email_id, @iscrizione_id, @tipo, @destinatario, @oggetto,
+                (SELECT COUNT(*) + 1 FROM email_invii WHERE email_id = @email_id),
+                @esito, @message_id, @errore
+            )
+        `);
+
+        this.statements.getEmailInviiByIscrizione = this.db.prepare(`
+            SELECT * FROM email_invii
+            WHERE iscrizione_id = ?
+            ORDER BY created_at, id
+        `);
+
+        // Modelli email (versione attiva = ultima)
+        this.statements.getEmailTemplate = this.db.prepare(`
+            SELECT * FROM email_templates
+            WHERE chiave = ? AND lingua = ?
+            ORDER BY versione DESC
+            LIMIT 1
+        `);
+
+        this.statements.getEmailTemplateVersions = this.db.prepare(`
+            SELECT id, versione, oggetto, corpo IS NOT NULL as personalizzato, created_at
+            FROM email_templates
+            WHERE chiave = ? AND lingua = ?
+            ORDER BY versione DESC
+        `);
+
+        this.statements.getEmailTemplateVersion = this.db.prepare(
+            'SELECT * FROM email_templates WHERE id = ?'
+        );
+
+        this.statements.getActiveEmailTemplates = this.db.prepare(`
+            SELECT t.chiave, t.lingua, t.versione, t.corpo IS NOT NULL as personalizzato, t.created_at
+            FROM email_templates t
+            WHERE t.versione = (
+                SELECT MAX(versione) FROM email_templates
+                WHERE chiave = t.chiave AND lingua = t.lingua
+            )
+        `);
+
+        this.statements.insertEmailTemplate = this.db.prepare(`
+            INSERT INTO email_templates (chiave, lingua, versione, oggetto, corpo)
+            VALUES (
+                @chiave, @lingua,
+                (SELECT COALESCE(MAX(versione), 0) + 1 FROM email_templates WHERE chiave = @chiave AND lingua = @lingua),
+                @oggetto, @corpo
+            )
+        `);
+
+        // Comunicazioni ai capitani (filtri del segmento facoltativi: NULL = tutti)
+        this.statements.getBroadcastRecipients = this.db.prepare(`
+            SELECT * FROM iscrizioni
+            WHERE status != 'unverified'
+              AND (@edizione IS NULL OR edizione_id = @edizione)
+              AND (@status IS NULL OR status = @status)
+              AND (@paese IS NULL OR paese_squadra = @paese)
+              AND (@provincia_foggia IS NULL OR provincia_foggia = @provincia_foggia)
+            ORDER BY created_at DESC
+        `);
+
+        this.statements.insertBroadcast = this.db.prepare(`
+            INSERT INTO email_broadcast (oggetto, messaggio, segmento, destinatari, intervallo)
+            VALUES (@oggetto, @messaggio, @segmento, @destinatari, @intervallo)
+        `);
+
+        const broadcastReport = `
+            b.*,
+            COALESCE(SUM(e.status = 'sent'), 0) as consegnate,
+            COALESCE(SUM(e.status IN ('pending', 'sending')), 0) as in_coda,
+            COALESCE(SUM(e.status = 'failed'), 0) as non_consegnate
+            FROM email_broadcast b
+            LEFT JOIN email_outbox e ON e.broadcast_id = b.id
+        `;
+
+        this.statements.getBroadcasts = this.db.prepare(`
+            SELECT ${broadcastReport}
+            GROUP BY b.id
+            ORDER BY b.created_at DESC, b.id DESC
+        `);
+
+        this.statements.getBroadcastById = this.db.prepare(`
+            SELECT ${broadcastReport}
+            WHERE b.id = ?
+            GROUP BY b.id
+        `);
+
+        this.statements.getBroadcastEmails = this.db.prepare(`
+            SELECT e.id, e.iscrizione_id, e.destinatario, e.status, e.tentativi, e.prossimo_tentativo,
+                   e.ultimo_errore, e.message_id, e.sent_at, i.nome_squadra
+            FROM email_outbox e
+            LEFT JOIN iscrizioni i ON i.id = e.iscrizione_id
+            WHERE e.broadcast_id = ?
+            ORDER BY e.id
+        `);
+
+        // Promemoria torneo
+        this.statements.getIscrizioniSenzaPromemoria = this.db.prepare(`
+            SELECT i.* FROM iscrizioni i
+            WHERE i.status = 'approved' AND i.edizione_id = @edizione
+              AND NOT EXISTS (
+                  SELECT 1 FROM email_promemoria p
+                  WHERE p.iscrizione_id = i.id AND p.giorni = @giorni
+              )
+            ORDER BY i.created_at
+        `);
+
+        this.statements.insertPromemoria = this.db.prepare(
+            'INSERT OR IGNORE INTO email_promemoria (iscrizione_id, giorni) VALUES (?, ?)'
+        );
+
+        this.statements.deletePromemoria = this.db.prepare(
+            'DELETE FROM email_promemoria WHERE iscrizione_id = ? AND giorni = ?'
+        );
+
+        this.statements.releaseFailedPromemoria = this.db.prepare(`
+            DELETE FROM email_promemoria
+            WHERE giorni = @giorni
+              AND email_id IN (SELECT id FROM email_outbox WHERE status = 'failed')
+              AND iscrizione_id IN (SELECT id FROM iscrizioni WHERE edizione_id = @edizione)
+        `);
+
+        this.statements.setPromemoriaEmail = this.db.prepare(
+            'UPDATE email_promemoria SET email_id = ? WHERE iscrizione_id = ? AND giorni = ?'
+        );
+
+        this.statements.getPromemoriaStats = this.db.prepare(`
+            SELECT p.giorni, COUNT(*) as inviati, MAX(p.created_at) as ultimo
+            FROM email_promemoria p
+            JOIN iscrizioni i ON i.id = p.iscrizione_id
+            WHERE i.edizione_id = ?
+            GROUP BY p.giorni
+        `);
+
+        // Notifiche admin
+        this.statements.getAdminDestinatari = this.db.prepare(
+            'SELECT * FROM admin_destinatari ORDER BY created_at, id'
+        );
+
+        this.statements.getAdminDestinatarioById = this.db.prepare(
+            'SELECT * FROM admin_destinatari WHERE id = ?'
+        );
+
+        this.statements.insertAdminDestinatario = this.db.prepare(
+            'INSERT INTO admin_destinatari (email, modalita) VALUES (@email, @modalita)'
+        );
+
+        this.statements.updateAdminDestinatario = this.db.prepare(
+            'UPDATE admin_destinatari SET modalita = ? WHERE id = ?'
+        );
+
+        this.statements.deleteAdminDestinatario = this.db.prepare(
+            'DELETE FROM admin_destinatari WHERE id = ?'
+        );
+
+        this.statements.getIscrizioniVerificateDal = this.db.prepare(`
+            SELECT * FROM iscrizioni
+            WHERE edizione_id = ? AND verificata_at >= ?
+            ORDER BY verificata_at
+        `);
+
+        // Analytics (attribuiti all'edizione corrente)
+        const edizioneCorrente = '(SELECT id FROM edizioni WHERE corrente = 1)';
+
+        this.statements.insertPageview = this.db.prepare(`
+            INSERT INTO analytics_pageviews (edizione_id, session_id, page, referrer, screen_width, screen_height, timestamp)
+            VALUES (${edizioneCorrente}, @session_id, @page, @referrer, @screen_width, @screen_height, @timestamp)
+        `);
+
+        this.statements.insertEvent = this.db.prepare(`
+            INSERT INTO analytics_events (edizione_id, session_id, category, action, label, value, metadata, timestamp)
+            VALUES (${edizioneCorrente}, @session_id, @category, @action, @label, @value, @metadata, @timestamp)
+        `);
+
+        this.statements.insertPuzzleStat = this.db.prepare(`
+            INSERT INTO analytics_puzzle (edizione_id, session_id, action, completion_time, total_clicks, timestamp)
+            VALUES (${edizioneCorrente}, @session_id, @action, @completion_time, @total_clicks, @timestamp)
+        `);
+
+        this.statements.insertFormStat = this.db.prepare(`
+            INSERT INTO analytics_form (edizione_id, session_id, action, field, timestamp)
+            VALUES (${edizioneCorrente}, @session_id, @action, @field, @timestamp)
+        `);
+
+        this.statements.upsertSession = this.db.prepare(`
+            INSERT INTO analytics_sessions (anonymous_id, device_info, funnel_progress)
+            VALUES (@anonymous_id, @device_info, @funnel_progress)
+            ON CONFLICT(anonymous_id) DO UPDATE SET
+                last_seen = CURRENT_TIMESTAMP,
+                pages_viewed = pages_viewed + 1
+        `);
+
+        // Rate limiting
+        this.statements.getRateLimit = this.db.prepare(
+            'SELECT * FROM rate_limits WHERE key = ?'
+        );
+
+        this.statements.upsertRateLimit = this.db.prepare(`
+            INSERT INTO rate_limits (key, count, window_start, last_request)
+            VALUES (@key, 1, @window_start, @last_request)
+            ON CONFLICT(key) DO UPDATE SET
+                count = count + 1,
+                last_request = @last_request
+        `);
+
+        this.statements.resetRateLimit = this.db.prepare(
+            'UPDATE rate_limits SET count = 1, window_start = ? WHERE key = ?'
+        );
+
+        this.statements.deleteOldRateLimits = this.db.prepare(
+            "DELETE FROM rate_limits WHERE datetime(window_start) < datetime('now', '-1 hour')"
+        );
+
+        // Config
+        this.statements.getConfig = this.db.prepare(
+            'SELECT value FROM config WHERE key = ?'
+        );
+
+        this.statements.setConfig = this.db.prepare(`
+            INSERT INTO config (key, value, updated_at)
+            VALUES (@key, @value, CURRENT_TIMESTAMP)
+            ON CONFLICT(key) DO UPDATE SET value = @value, updated_at = CURRENT_TIMESTAMP
+        `);
+
+        // Admin logs
+        this.statements.insertAdminLog = this.db.prepare(`
+            INSERT INTO admin_logs (action, entity_type, entity_id, old_value, new_value, admin_key, ip_address)
+            VALUES (@action, @entity_type, @entity_id, @old_value, @new_value, @admin_key, @ip_address)
+        `);
+
+        // IP Blocks
+        this.statements.getIPBlock = this.db.prepare(
+            'SELECT * FROM ip_blocks WHERE ip = ?'
+        );
+
+        this.statements.insertIPBlock = this.db.prepare(`
+            INSERT INTO ip_blocks (ip, blocked_until, reason, attempts)
+            VALUES (@ip, @blocked_until, @reason, @attempts)
+            ON CONFLICT(ip) DO UPDATE SET
+                blocked_at = CURRENT_TIMESTAMP,
+                blocked_until = @blocked_until,
+                reason = @reason,
+                attempts = attempts + 1
+        `);
+
+        this.statements.deleteIPBlock = this.db.prepare(
+            'DELETE FROM ip_blocks WHERE ip = ?'
+        );
+
+        this.statements.getActiveIPBlocks = this.db.prepare(
+            "SELECT * FROM ip_blocks WHERE datetime(blocked_until) > datetime('now')"
+        );
+
+        this.statements.cleanupExpiredIPBlocks = this.db.prepare(
+            "DELETE FROM ip_blocks WHERE datetime(blocked_until) < datetime('now')"
+        );
+    }
+
+    // ==========================================
+    // EDIZIONI
+    // ==========================================
+    getEdizioni() {
+        return this.statements.getEdizioni.all();
+    }
+
+    getEdizioneById(id) {
+        return this.statements.getEdizioneById.get(id);
+    }
+
+    getEdizioneByAnno(anno) {
+        return this.statements.getEdizioneByAnno.get(anno);
+    }
+
+    /**
+     * Edizione che riceve le nuove iscrizioni e gli analytics
+     */
+    getEdizioneCorrente() {
+        return this.statements.getEdizioneCorrente.get();
+    }
+
+    getEdizioneCorrenteId() {
+        return this.getEdizioneCorrente().id;
+    }
+
+    createEdizione(data) {
+        try {
+            const result = this.statements.insertEdizione.run({
+                anno: data.anno,
+                nome: data.nome,
+                data_inizio: data.dataInizio || null
+            });
+            return { success: true, edizione: this.getEdizioneById(result.lastInsertRowid) };
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                return { success: false, error: `Esiste già un'edizione ${data.anno}` };
+            }
+            throw error;
+        }
+    }
+
+    setEdizioneCorrente(id) {
+        return this.transaction(() => {
+            if (!this.getEdizioneById(id)) return false;
+            this.statements.clearEdizioneCorrente.run();
+            this.statements.setEdizioneCorrente.run(id);
+            return true;
+        });
+    }
+
+    setEdizioneDataInizio(id, dataInizio) {
+        return this.statements.setEdizioneDataInizio.run(dataInizio || null, id).changes > 0;
+    }
+
+    // ==========================================
+    // ISCRIZIONI CRUD
+    // ==========================================
+    /**
+     * @param {Object} data - Dati dal form di iscrizione
+     * @param {Object} options - maxTeams: capienza massima (oltre va in lista d'attesa),
+     *   verificaOre: ore per confermare l'email (l'iscrizione nasce 'unverified' e non occupa posti)
+     */
+    createIscrizione(data, options = {}) {
+        const now = new Date();
+        const id = crypto.randomUUID();
+        const iscrizione = {
+            id,
+            edizione_id: null,
+            nome_squadra: data.nomeSquadra,
+            citta_squadra: data.cittaSquadra,
+            paese_squadra: data.paeseSquadra,
+            nome_capitano: data.nomeCapitano,
+            cognome_capitano: data.cognomeCapitano,
+            email_capitano: data.emailCapitano,
+            telefono_capitano: data.telefonoCapitano,
+            data_nascita_capitano: data.dataNascitaCapitano,
+            provincia_foggia: data.provinciaFoggia,
+            numero_giocatori: data.numeroGiocatori || 11,
+            note: data.note || null,
+            lingua: data.lingua || null,
+            status: 'pending',
+            ip_address: data.ipAddress || null,
+            user_agent: data.userAgent || null,
+            verificata_at: null,
+            verifica_scadenza: null
+        };
+
+        if (options.verificaOre) {
+            iscrizione.status = 'unverified';
+            iscrizione.verifica_scadenza = new Date(now.getTime() + options.verificaOre * 3600000).toISOString();
+        }
+
+        try {
+            let sostituita = false;
+
+            // Conteggio e inserimento nella stessa transazione: nessun superamento della capienza
+            this.transaction(() => {
+                iscrizione.edizione_id = this.getEdizioneCorrenteId();
+
+                // Un'iscrizione non ancora verificata non blocca l'indirizzo: il nuovo invio
+                // (es. dati corretti) la sostituisce e solo il nuovo link di verifica vale
+                sostituita = this.statements.deleteIscrizioneNonVerificata.run(iscrizione.email_capitano, iscrizione.edizione_id).changes > 0;
+
+                if (iscrizione.status === 'pending' && options.maxTeams && this.countActiveIscrizioni(iscrizione.edizione_id) >= options.maxTeams) {
+                    iscrizione.status = 'waitlist';
+                }
+                this.statements.insertIscrizione.run(iscrizione);
+                if (iscrizione.status === 'waitlist') {
+                    this.statements.setWaitlistAt.run(new Date().toISOString(), id);
+                }
+            });
+            return { success: true, id, iscrizione: this.getIscrizioneById(id), sostituita };
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                return { success: false, error: 'Email già registrata per questa edizione' };
+            }
+            throw error;
+        }
+    }
+
+    getIscrizioneById(id) {
+        return this.statements.getIscrizioneById.get(id);
+    }
+
+    getIscrizioneByEmail(email, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.getIscrizioneByEmail.get(email, edizioneId);
+    }
+
+    getAllIscrizioni(edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.getAllIscrizioni.all(edizioneId);
+    }
+
+    getIscrizioniByStatus(status, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.getIscrizioniByStatus.all(status, edizioneId);
+    }
+
+    /**
+     * @param {Object} rifiuto - { motivo, messaggio }, salvato solo per lo stato 'rejected'
+     */
+    updateIscrizioneStatus(id, status, approvedBy = null, rifiuto = null) {
+        const approvedAt = status === 'approved' ? new Date().toISOString() : null;
+        const motivo = status === 'rejected' && rifiuto ? rifiuto.motivo || null : null;
+        const messaggio = status === 'rejected' && rifiuto ? rifiuto.messaggio || null : null;
+
+        return this.transaction(() => {
+            const previous = this.getIscrizioneById(id);
+            const result = this.statements.updateIscrizioneStatus.run(status, approvedAt, approvedBy, motivo, messaggio, id);
+            if (result.changes === 0) return false;
+
+            // Chi entra in lista d'attesa va in fondo alla coda; chi c'era già mantiene il suo posto
+            if (status !== 'waitlist') {
+                this.statements.setWaitlistAt.run(null, id);
+            } else if (previous.status !== 'waitlist') {
+                this.statements.setWaitlistAt.run(new Date().toISOString(), id);
+            }
+            return true;
+        });
+    }
+
+    deleteIscrizione(id) {
+        const result = this.statements.deleteIscrizione.run(id);
+        return result.changes > 0;
+    }
+
+    // ==========================================
+    // VERIFICA EMAIL (DOUBLE OPT-IN)
+    // ==========================================
+
+    /**
+     * Conferma l'email di un'iscrizione 'unverified': entra in revisione
+     * oppure in lista d'attesa se la capienza è già raggiunta
+     *
+     * @param {Object} options - maxTeams
+     * @returns {Object} { success, esito: 'verificata' | 'gia_verificata', iscrizione } oppure { success: false, error: 'non_trovata' | 'scaduta' }
+     */
+    verifyIscrizione(id, options = {}) {
+        const now = new Date().toISOString();
+
+        return this.transaction(() => {
+            const iscrizione = this.getIscrizioneById(id);
+            if (!iscrizione) {
+                return { success: false, error: 'non_trovata' };
+            }
+            if (iscrizione.status !== 'unverified') {
+                return { success: true, esito: 'gia_verificata', iscrizione };
+            }
+            if (iscrizione.verifica_scadenza <= now) {
+                return { success: false, error: 'scaduta' };
+            }
+
+            const status = options.maxTeams && this.countActiveIscrizioni(iscrizione.edizione_id) >= options.maxTeams
+                ? 'waitlist'
+                : 'pending';
+            this.statements.verifyIscrizione.run(status, now, id);
+            this.statements.setWaitlistAt.run(status === 'waitlist' ? now : null, id);
+
+            return { success: true, esito: 'verificata', iscrizione: this.getIscrizioneById(id) };
+        });
+    }
+
+    /**
+     * Cancella le iscrizioni non verificate entro la scadenza
+     */
+    cleanupIscrizioniNonVerificate() {
+        const result = this.statements.cleanupIscrizioniNonVerificate.run(new Date().toISOString());
+        return result.changes;
+    }
+
+    // ==========================================
+    // CAPIENZA E LISTA D'ATTESA
+    // ==========================================
+    
+    /**
+     * Iscrizioni che occupano un posto (in attesa di revisione o approvate)
+     */
+    countActiveIscrizioni(edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.countActiveIscrizioni.get(edizioneId).count;
+    }
+
+    getWaitlist(edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.getWaitlist.all(edizioneId);
+    }
+
+    /**
+     * Posizione in lista d'attesa della propria edizione (1 = prima), null se non in lista
+     */
+    getWaitlistPosition(id) {
+        const iscrizione = this.getIscrizioneById(id);
+        if (!iscrizione) return null;
+
+        const index = this.getWaitlist(iscrizione.edizione_id).findIndex(i => i.id === id);
+        return index === -1 ? null : index + 1;
+    }
+
+    /**
+     * Porta in revisione le prime squadre in lista d'attesa finché ci sono posti liberi
+     *
+     * @returns {Array} Iscrizioni promosse
+     */
+    promoteFromWaitlist(maxTeams, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.transaction(() => {
+            const freeSlots = maxTeams - this.countActiveIscrizioni(edizioneId);
+            if (freeSlots <= 0) return [];
+
+            const promoted = this.getWaitlist(edizioneId).slice(0, freeSlots);
+            for (const iscrizione of promoted) {
+                this.updateIscrizioneStatus(iscrizione.id, 'pending');
+            }
+            return promoted.map(i => this.getIscrizioneById(i.id));
+        });
+    }
+
+    getIscrizioniStats(edizioneId = this.getEdizioneCorrenteId()) {
+        const total = this.statements.countIscrizioni.get(edizioneId);
+        const byStatus = this.statements.countIscrizioniByStatus.all(edizioneId);
+        const byPaese = this.statements.countIscrizioniByPaese.all(edizioneId);
+        
+        return {
+            total: total.count,
+            byStatus: byStatus.reduce((acc, row) => {
+                acc[row.status] = row.count;
+                return acc;
+            }, {}),
+            byPaese: byPaese.reduce((acc, row) => {
+                acc[row.paese_squadra] = row.count;
+                return acc;
+            }, {})
+        };
+    }
+
+    // ==========================================
+    // GIOCATORI (ROSA)
+    // ==========================================
+    getGiocatori(iscrizioneId) {
+        return this.statements.getGiocatoriByIscrizione.all(iscrizioneId);
+    }
+
+    getGiocatoreById(iscrizioneId, id) {
+        return this.statements.getGiocatoreById.get(id, iscrizioneId);
+    }
+
+    countGiocatori(iscrizioneId) {
+        return this.statements.countGiocatoriByIscrizione.get(iscrizioneId).count;
+    }
+
+    mapGiocatore(iscrizioneId, data) {
+        return {
+            iscrizione_id: iscrizioneId,
+            nome: data.nome,
+            cognome: data.cognome,
+            data_nascita: data.dataNascita,
+            numero_maglia: data.numeroMaglia || null,
+            ruolo: data.ruolo || null
+        };
+    }
+
+    addGiocatore(iscrizioneId, data) {
+        try {
+            const result = this.statements.insertGiocatore.run(this.mapGiocatore(iscrizioneId, data));
+            return { success: true, giocatore: this.getGiocatoreById(iscrizioneId, result.lastInsertRowid) };
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                return { success: false, error: 'Numero di maglia già assegnato' };
+            }
+            throw error;
+        }
+    }
+
+    updateGiocatore(iscrizioneId, id, data) {
+        try {
+            const result = this.statements.updateGiocatore.run({
+                id,
+                ...this.mapGiocatore(iscrizioneId, data)
+            });
+            if (result.changes === 0) {
+                return { success: false, notFound: true };
+            }
+            return { success: true, giocatore: this.getGiocatoreById(iscrizioneId, id) };
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                return { success: false, error: 'Numero di maglia già assegnato' };
+            }
+            throw error;
+        }
+    }
+
+    deleteGiocatore(iscrizioneId, id) {
+        const result = this.statements.deleteGiocatore.run(id, iscrizioneId);
+        return result.changes > 0;
+    }
+
+    /**
+     * Sostituisce l'intera rosa e allinea numero_giocatori dell'iscrizione
+     */
+    replaceGiocatori(iscrizioneId, giocatori) {
+        try {
+            this.transaction(() => {
+                this.statements.deleteGiocatoriByIscrizione.run(iscrizioneId);
+                for (const giocatore of giocatori) {
+                    this.statements.insertGiocatore.run(this.mapGiocatore(iscrizioneId, giocatore));
+                }
+                this.statements.updateNumeroGiocatori.run(giocatori.length, iscrizioneId);
+            });
+            return { success: true, giocatori: this.getGiocatori(iscrizioneId) };
+        } catch (error) {
+            if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
+                return { success: false, error: 'Numeri di maglia duplicati nella rosa' };
+            }
+            throw error;
+        }
+    }
+
+    // ==========================================
+    // SORTEGGIO GIRONI
+    // ==========================================
+    
+    /**
+     * Salva un sorteggio sostituendo quello precedente della stessa edizione
+     */
+    saveSorteggio(draw, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.transaction(() => {
+            this.statements.deleteSorteggi.run(edizioneId);
+            
+            const { lastInsertRowid: sorteggioId } = this.statements.insertSorteggio.run({
+                edizione_id: edizioneId,
+                seed: draw.seed,
+                group_size: draw.groupSize,
+                separa_paesi: draw.separateCountries ? 1 : 0,
+                teste_di_serie: draw.seeds.length > 0 ? JSON.stringify(draw.seeds) : null,
+                conflitti: draw.conflicts
+            });
+            
+            for (const group of draw.groups) {
+                const { lastInsertRowid: gironeId } = this.statements.insertGirone.run(sorteggioId, group.name);
+                group.teams.forEach((team, index) => {
+                    this.statements.insertGironeSquadra.run({
+                        girone_id: gironeId,
+                        iscrizione_id: team.id,
+                        posizione: index + 1,
+                        testa_di_serie: team.seeded ? 1 : 0
+                    });
+                });
+            }
+            
+            return sorteggioId;
+        });
+    }
+
+    /**
+     * Sorteggio corrente con gironi e squadre (null se non ancora effettuato)
+     */
+    getSorteggio(edizioneId = this.getEdizioneCorrenteId()) {
+        const sorteggio = this.statements.getLatestSorteggio.get(edizioneId);
+        if (!sorteggio) return null;
+        
+        const gironi = [];
+        for (const row of this.statements.getGironiSquadre.all(sorteggio.id)) {
+            let girone = gironi.find(g => g.id === row.girone_id);
+            if (!girone) {
+                girone = { id: row.girone_id, nome: row.girone, squadre: [] };
+                gironi.push(girone);
+            }
+            girone.squadre.push({
+                id: row.iscrizione_id,
+                nome_squadra: row.nome_squadra,
+                citta_squadra: row.citta_squadra,
+                paese_squadra: row.paese_squadra,
+                posizione: row.posizione,
+                testa_di_serie: row.testa_di_serie === 1
+            });
+        }
+        
+        return {
+            id: sorteggio.id,
+            seed: sorteggio.seed,
+            groupSize: sorteggio.group_size,
+            separateCountries: sorteggio.separa_paesi === 1,
+            seeds: sorteggio.teste_di_serie ? JSON.parse(sorteggio.teste_di_serie) : [],
+            conflicts: sorteggio.conflitti,
+            createdAt: sorteggio.created_at,
+            gironi
+        };
+    }
+
+    deleteSorteggio(edizioneId = this.getEdizioneCorrenteId()) {
+        const result = this.statements.deleteSorteggi.run(edizioneId);
+        return result.changes > 0;
+    }
+
+    // ==========================================
+    // PARTITE (CALENDARIO)
+    // ==========================================
+    
+    /**
+     * Sostituisce le partite di una fase con il calendario generato
+     */
+    saveCalendario(fase, matches, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.transaction(() => {
+            this.statements.deletePartiteByFase.run(fase, edizioneId);
+            for (const match of matches) {
+                this.statements.insertPartita.run({
+                    edizione_id: edizioneId,
+                    girone_id: match.groupId || null,
+                    fase,
+                    giornata: match.round || null,
+                    squadra_casa_id: match.home || null,
+                    squadra_ospite_id: match.away || null,
+                    campo: match.field,
+                    inizio: match.start,
+                    fine: match.end
+                });
+            }
+            return matches.length;
+        });
+    }
+
+    getPartite(edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.getPartite.all(edizioneId);
+    }
+
+    getPartitaById(id, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.getPartitaById.get(id, edizioneId);
+    }
+
+    movePartita(id, campo, inizio, fine) {
+        const result = this.statements.movePartita.run(campo, inizio, fine, id);
+        return result.changes > 0;
+    }
+
+    deleteCalendario(fase, edizioneId = this.getEdizioneCorrenteId()) {
+        const result = this.statements.deletePartiteByFase.run(fase, edizioneId);
+        return result.changes;
+    }
+
+    /**
+     * Registra il risultato di una partita (null per azzerarlo)
+     */
+    setRisultato(id, golCasa, golOspite) {
+        const result = this.statements.setRisultato.run(golCasa, golOspite, id);
+        return result.changes > 0;
+    }
+
+    // ==========================================
+    // ELIMINAZIONE DIRETTA
+    // ==========================================
+    
+    /**
+     * Sostituisce il tabellone dell'edizione con quello generato
+     */
+    saveTabellone(matches, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.transaction(() => {
+            this.statements.deleteEliminatorie.run(edizioneId);
+            for (const match of matches) {
+                this.statements.insertEliminatoria.run({
+                    edizione_id: edizioneId,
+                    turno: match.round,
+                    posizione: match.position,
+                    squadra_casa_id: match.home || null,
+                    squadra_ospite_id: match.away || null,
+                    etichetta_casa: match.homeLabel || null,
+                    etichetta_ospite: match.awayLabel || null
+                });
+            }
+            return matches.length;
+        });
+    }
+
+    getEliminatorie(edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.getEliminatorie.all(edizioneId);
+    }
+
+    getEliminatoriaById(id, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.getEliminatoriaById.get(id, edizioneId);
+    }
+
+    getEliminatoriaBySlot(turno, posizione, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.getEliminatoriaBySlot.get(turno, posizione, edizioneId);
+    }
+
+    /**
+     * Registra il risultato e porta la vincente nel turno successivo
+     *
+     * @param {number} id - ID partita
+     * @param {Object} result - { golCasa, golOspite, rigoriCasa, rigoriOspite } (null per azzerare)
+     * @param {string|null} winnerId - Squadra vincente
+     * @param {Object|null} next - { round, position, side } slot del turno successivo (null per la finale)
+     */
+    saveRisultatoEliminatoria(id, result, winnerId, next, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.transaction(() => {
+            this.statements.setRisultatoEliminatoria.run({
+                id,
+                gol_casa: result.golCasa ?? null,
+                gol_ospite: result.golOspite ?? null,
+                rigori_casa: result.rigoriCasa ?? null,
+                rigori_ospite: result.rigoriOspite ?? null,
+                vincitore_id: winnerId || null
+            });
+
+            if (next) {
+                const statement = next.side === 'home'
+                    ? this.statements.setSquadraCasaEliminatoria
+                    : this.statements.setSquadraOspiteEliminatoria;
+                statement.run(winnerId || null, next.round, next.position, edizioneId);
+            }
+            return true;
+        });
+    }
+
+    deleteTabellone(edizioneId = this.getEdizioneCorrenteId()) {
+        const result = this.statements.deleteEliminatorie.run(edizioneId);
+        return result.changes;
+    }
+
+    // ==========================================
+    // GALLERIA
+    // ==========================================
+
+    /**
+     * Foto della galleria, le più recenti per prime
+     *
+     * @param {Object} filters - status (default approvate), edizioneId, album (facoltativi), page, limit
+     * @returns {Object} { photos, total }
+     */
+    getGalleryPhotos(filters = {}) {
+        const params = {
+            status: filters.status || 'approved',
+            edizione: filters.edizioneId || null,
+            album: filters.album || null
+        };
+        const limit = filters.limit || 24;
+        const offset = ((filters.page || 1) - 1) * limit;
+
+        return {
+            photos: this.statements.getGalleryPhotos.all({ ...params, limit, offset }),
+            total: this.statements.countGalleryPhotos.get(params).count
+        };
+    }
+
+    getGalleryPhotoById(id) {
+        return this.statements.getGalleryPhotoById.get(id);
+    }
+
+    getGalleryPhotoByFile(file) {
+        return this.statements.getGalleryPhotoByFile.get(file);
+    }
+
+    /**
+     * Le foto caricate dagli admin sono approvate, quelle proposte dal pubblico in attesa
+     */
+    createGalleryPhoto(data) {
+        const result = this.statements.insertGalleryPhoto.run({
+            edizione_id: data.edizioneId,
+            album: data.album || null,
+            didascalia: data.didascalia || null,
+            file: data.file,
+            formato: data.formato,
+            larghezza: data.larghezza,
+            altezza: data.altezza,
+            dimensione: data.dimensione,
+            status: data.status || 'approved',
+            autore: data.autore || null,
+            email_autore: data.emailAutore || null
+        });
+        return this.getGalleryPhotoById(result.lastInsertRowid);
+    }
+
+    /**
+     * Esito della moderazione (album e didascalia possono essere corretti dall'admin)
+     */
+    moderateGalleryPhoto(id, status, data = {}) {
+        const photo = this.getGalleryPhotoById(id);
+        if (!photo) return null;
+
+        this.statements.moderateGalleryPhoto.run({
+            id,
+            status,
+            album: data.album !== undefined ? data.album || null : photo.album,
+            didascalia: data.didascalia !== undefined ? data.didascalia || null : photo.didascalia
+        });
+        return this.getGalleryPhotoById(id);
+    }
+
+    countGalleryPhotosByStatus() {
+        const counts = { pending: 0, approved: 0, rejected: 0 };
+        for (const row of this.statements.countGalleryPhotosByStatus.all()) {
+            counts[row.status] = row.count;
+        }
+        return counts;
+    }
+
+    deleteGalleryPhoto(id) {
+        const result = this.statements.deleteGalleryPhoto.run(id);
+        return result.changes > 0;
+    }
+
+    // ==========================================
+    // CODA EMAIL
+    // ==========================================
+    enqueueEmail(data) {
+        const result = this.statements.insertEmail.run({
+            tipo: data.tipo,
+            iscrizione_id: data.iscrizioneId || null,
+            broadcast_id: data.broadcastId || null,
+            destinatario: data.to,
+            oggetto: data.subject,
+            html: data.html,
+            testo: data.text || null,
+            allegati: data.attachments && data.attachments.length > 0 ? JSON.stringify(data.attachments) : null,
+            // sendAt: invio differito (comunicazioni distribuite nel tempo)
+            prossimo_tentativo: data.sendAt || new Date().toISOString()
+        });
+        return result.lastInsertRowid;
+    }
+
+    /**
+     * Email da inviare ora (in attesa e con tentativo scaduto)
+     */
+    getDueEmails(limit = 10) {
+        return this.statements.getDueEmails.all(new Date().toISOString(), limit);
+    }
+
+    /**
+     * Data del prossimo invio in programma (null = coda vuota)
+     */
+    getNextEmailDue() {
+        return this.statements.getNextEmailDue.get().prossimo;
+    }
+
+    /**
+     * Prende in carico un'email: false se un altro invio l'ha già presa
+     */
+    claimEmail(id) {
+        return this.statements.claimEmail.run(id).changes > 0;
+    }
+
+    markEmailSent(id, messageId) {
+        this.statements.markEmailSent.run(messageId || null, new Date().toISOString(), id);
     }
 
-    createSchema() {
-        // Crea tabelle
-        for (const [name, sql] of Object.entries(SCHEMA.tables)) {
-            this.db.exec(sql);
-        }
+    /**
+     * Registra un invio fallito: nextAttempt null = tentativi esauriti
+     */
+    markEmailFailed(id, error, nextAttempt = null) {
+        this.statements.markEmailFailed.run({
+            id,
+            status: nextAttempt ? 'pending' : 'failed',
+            errore: error,
+            prossimo_tentativo: nextAttempt || new Date().toISOString()
+        });
+    }
 
-        // Crea indici
-        for (const sql of SCHEMA.indexes) {
-            this.db.exec(sql);
-        }
+    /**
+     * Dopo un riavvio le email rimaste "in invio" tornano in coda
+     */
+    recoverEmails() {
+        return this.statements.recoverEmails.run().changes;
+    }
 
-        // Crea triggers
-        for (const sql of SCHEMA.triggers) {
-            this.db.exec(sql);
+    countEmailsByStatus() {
+        const counts = { pending: 0, sending: 0, sent: 0, failed: 0 };
+        for (const row of this.statements.countEmailsByStatus.all()) {
+            counts[row.status] = row.count;
         }
+        return counts;
     }
 
-    prepareStatements() {
-        // Iscrizioni
-        this.statements.insertIscrizione = this.db.prepare(`
-            INSERT INTO iscrizioni (
-                id, nome_squadra, citta_squadra, paese_squadra,
-                nome_capitano, cognome_capitano, email_capitano,
-                telefono_capitano, data_nascita_capitano, provincia_foggia,
-                numero_giocatori, note, status, ip_address, user_agent
-            ) VALUES (
-                @id, @nome_squadra, @citta_squadra, @paese_squadra,
-                @nome_capitano, @cognome_capitano, @email_capitano,
-                @telefono_capitano, @data_nascita_capitano, @provincia_foggia,
-                @numero_giocatori, @note, @status, @ip_address, @user_agent
-            )
-        `);
+    /**
+     * Rimette in coda un'email fallita azzerando i tentativi
+     */
+    requeueEmail(id) {
+        return this.statements.requeueEmail.run(new Date().toISOString(), id).changes > 0;
+    }
 
-        this.statements.getIscrizioneById = this.db.prepare(
-            'SELECT * FROM iscrizioni WHERE id = ?'
-        );
+    getEmails(filters = {}) {
+        const params = {
+            iscrizione: filters.iscrizioneId || null,
+            status: filters.status || null
+        };
+        const limit = filters.limit || 50;
+        const offset = ((filters.page || 1) - 1) * limit;
 
-        this.statements.getIscrizioneByEmail = this.db.prepare(
-            'SELECT * FROM iscrizioni WHERE email_capitano = ?'
-        );
+        return {
+            emails: this.statements.getEmails.all({ ...params, limit, offset }),
+            total: this.statements.countEmails.get(params).count
+        };
+    }
 
-        this.statements.getAllIscrizioni = this.db.prepare(
-            'SELECT * FROM iscrizioni ORDER BY created_at DESC'
-        );
+    getEmailById(id) {
+        return this.statements.getEmailById.get(id);
+    }
 
-        this.statements.getIscrizioniByStatus = this.db.prepare(
-            'SELECT * FROM iscrizioni WHERE status = ? ORDER BY created_at DESC'
-        );
+    // ==========================================
+    // REGISTRO INVII EMAIL
+    // ==========================================
 
-        this.statements.updateIscrizioneStatus = this.db.prepare(
-            'UPDATE iscrizioni SET status = ?, approved_at = ?, approved_by = ? WHERE id = ?'
-        );
+    /**
+     * Registra l'esito di un tentativo di invio di un'email della coda
+     * (i tentativi sono numerati di seguito anche dopo un reinvio)
+     */
+    logEmailInvio(email, result) {
+        try {
+            this.statements.insertEmailInvio.run({
+                email_id: email.id,
+                iscrizione_id: email.iscrizione_id || null,
+                tipo: email.tipo,
+                destinatario: email.destinatario,
+                oggetto: email.oggetto,
+                esito: result.success ? 'sent' : 'failed',
+                message_id: result.messageId || null,
+                errore: result.success ? null : result.error
+            });
+            return true;
+        } catch (error) {
+            console.error('Errore registro invio email:', error);
+            return false;
+        }
+    }
 
-        this.statements.deleteIscrizione = this.db.prepare(
-            'DELETE FROM iscrizioni WHERE id = ?'
-        );
+    /**
+     * Email di un'iscrizione con lo storico dei tentativi di ciascuna
+     */
+    getEmailsByIscrizione(iscrizioneId) {
+        const { emails } = this.getEmails({ iscrizioneId, limit: -1 });
+        const invii = this.statements.getEmailInviiByIscrizione.all(iscrizioneId);
+
+        return emails.map(email => ({
+            ...email,
+            invii: invii.filter(invio => invio.email_id === email.id)
+        }));
+    }
 
-        this.statements.countIscrizioni = this.db.prepare(
-            'SELECT COUNT(*) as count FROM iscrizioni'
-        );
+    // ==========================================
+    // MODELLI EMAIL
+    // ==========================================
 
-        this.statements.countIscrizioniByStatus = this.db.prepare(
-            'SELECT status, COUNT(*) as count FROM iscrizioni GROUP BY status'
-        );
+    /**
+     * Versione attiva di un modello (undefined = mai modificato)
+     */
+    getEmailTemplate(chiave, lingua) {
+        return this.statements.getEmailTemplate.get(chiave, lingua);
+    }
 
-        this.statements.countIscrizioniByPaese = this.db.prepare(
-            'SELECT paese_squadra, COUNT(*) as count FROM iscrizioni GROUP BY paese_squadra ORDER BY count DESC'
-        );
+    getEmailTemplateVersions(chiave, lingua) {
+        return this.statements.getEmailTemplateVersions.all(chiave, lingua);
+    }
 
-        // Analytics
-        this.statements.insertPageview = this.db.prepare(`
-            INSERT INTO analytics_pageviews (session_id, page, referrer, screen_width, screen_height, timestamp)
-            VALUES (@session_id, @page, @referrer, @screen_width, @screen_height, @timestamp)
-        `);
+    getEmailTemplateVersion(id) {
+        return this.statements.getEmailTemplateVersion.get(id);
+    }
 
-        this.statements.insertEvent = this.db.prepare(`
-            INSERT INTO analytics_events (session_id, category, action, label, value, metadata, timestamp)
-            VALUES (@session_id, @category, @action, @label, @value, @metadata, @timestamp)
-        `);
+    getActiveEmailTemplates() {
+        return this.statements.getActiveEmailTemplates.all();
+    }
 
-        this.statements.insertPuzzleStat = this.db.prepare(`
-            INSERT INTO analytics_puzzle (session_id, action, completion_time, total_clicks, timestamp)
-            VALUES (@session_id, @action, @completion_time, @total_clicks, @timestamp)
-        `);
+    /**
+     * Salva una nuova versione (oggetto e corpo null = testo predefinito)
+     *
+     * @returns {Object} la versione creata
+     */
+    saveEmailTemplate(data) {
+        const result = this.statements.insertEmailTemplate.run({
+            chiave: data.chiave,
+            lingua: data.lingua,
+            oggetto: data.oggetto || null,
+            corpo: data.corpo || null
+        });
+        return this.getEmailTemplateVersion(result.lastInsertRowid);
+    }
 
-        this.statements.insertFormStat = this.db.prepare(`
-            INSERT INTO analytics_form (session_id, action, field, timestamp)
-            VALUES (@session_id, @action, @field, @timestamp)
-        `);
+    // ==========================================
+    // COMUNICAZIONI AI CAPITANI
+    // ==========================================
 
-        this.statements.upsertSession = this.db.prepare(`
-            INSERT INTO analytics_sessions (anonymous_id, device_info, funnel_progress)
-            VALUES (@anonymous_id, @device_info, @funnel_progress)
-            ON CONFLICT(anonymous_id) DO UPDATE SET
-                last_seen = CURRENT_TIMESTAMP,
-                pages_viewed = pages_viewed + 1
-        `);
+    /**
+     * Iscrizioni del segmento, una per indirizzo email (la più recente)
+     *
+     * @param {Object} segmento - edizione, status, paese, provinciaFoggia (assenti = tutti)
+     */
+    getBroadcastRecipients(segmento = {}) {
+        const rows = this.statements.getBroadcastRecipients.all({
+            edizione: segmento.edizione || null,
+            status: segmento.status || null,
+            paese: segmento.paese || null,
+            provincia_foggia: segmento.provinciaFoggia || null
+        });
 
-        // Rate limiting
-        this.statements.getRateLimit = this.db.prepare(
-            'SELECT * FROM rate_limits WHERE key = ?'
-        );
+        const seen = new Set();
+        return rows.filter(row => {
+            const email = row.email_capitano.toLowerCase();
+            if (seen.has(email)) return false;
+            seen.add(email);
+            return true;
+        });
+    }
 
-        this.statements.upsertRateLimit = this.db.prepare(`
-            INSERT INTO rate_limits (key, count, window_start, last_request)
-            VALUES (@key, 1, @window_start, @last_request)
-            ON CONFLICT(key) DO UPDATE SET
-                count = count + 1,
-                last_request = @last_request
-        `);
+    /**
+     * @param {Object} data - oggetto, messaggio, segmento, destinatari, intervallo (ms tra due invii)
+     * @returns {number} id della comunicazione
+     */
+    createBroadcast(data) {
+        const result = this.statements.insertBroadcast.run({
+            oggetto: data.oggetto,
+            messaggio: data.messaggio,
+            segmento: JSON.stringify(data.segmento),
+            destinatari: data.destinatari,
+            intervallo: data.intervallo || 0
+        });
+        return result.lastInsertRowid;
+    }
 
-        this.statements.resetRateLimit = this.db.prepare(
-            'UPDATE rate_limits SET count = 1, window_start = ? WHERE key = ?'
-        );
+    /**
+     * Comunicazioni inviate con il conteggio delle consegne
+     */
+    getBroadcasts() {
+        return this.statements.getBroadcasts.all().map(row => this.parseBroadcast(row));
+    }
 
-        this.statements.deleteOldRateLimits = this.db.prepare(
-            "DELETE FROM rate_limits WHERE datetime(window_start) < datetime('now', '-1 hour')"
-        );
+    /**
+     * Comunicazione con il report per destinatario
+     */
+    getBroadcastById(id) {
+        const row = this.statements.getBroadcastById.get(id);
+        if (!row) return null;
 
-        // Config
-        this.statements.getConfig = this.db.prepare(
-            'SELECT value FROM config WHERE key = ?'
-        );
+        return {
+            ...this.parseBroadcast(row),
+            email: this.statements.getBroadcastEmails.all(id)
+        };
+    }
 
-        this.statements.setConfig = this.db.prepare(`
-            INSERT INTO config (key, value, updated_at)
-            VALUES (@key, @value, CURRENT_TIMESTAMP)
-            ON CONFLICT(key) DO UPDATE SET value = @value, updated_at = CURRENT_TIMESTAMP
-        `);
+    parseBroadcast(row) {
+        return { ...row, segmento: JSON.parse(row.segmento) };
+    }
 
-        // Admin logs
-        this.statements.insertAdminLog = this.db.prepare(`
-            INSERT INTO admin_logs (action, entity_type, entity_id, old_value, new_value, admin_key, ip_address)
-            VALUES (@action, @entity_type, @entity_id, @old_value, @new_value, @admin_key, @ip_address)
-        `);
+    // ==========================================
+    // PROMEMORIA TORNEO
+    // ==========================================
 
-        // IP Blocks
-        this.statements.getIPBlock = this.db.prepare(
-            'SELECT * FROM ip_blocks WHERE ip = ?'
-        );
+    /**
+     * Squadre approvate che non hanno ancora ricevuto il promemoria
+     */
+    getIscrizioniSenzaPromemoria(giorni, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.getIscrizioniSenzaPromemoria.all({ giorni, edizione: edizioneId });
+    }
 
-        this.statements.insertIPBlock = this.db.prepare(`
-            INSERT INTO ip_blocks (ip, blocked_until, reason, attempts)
-            VALUES (@ip, @blocked_until, @reason, @attempts)
-            ON CONFLICT(ip) DO UPDATE SET
-                blocked_at = CURRENT_TIMESTAMP,
-                blocked_until = @blocked_until,
-                reason = @reason,
-                attempts = attempts + 1
-        `);
+    /**
+     * Registra il promemoria prima dell'invio: false se era già stato inviato
+     */
+    claimPromemoria(iscrizioneId, giorni) {
+        return this.statements.insertPromemoria.run(iscrizioneId, giorni).changes > 0;
+    }
 
-        this.statements.deleteIPBlock = this.db.prepare(
-            'DELETE FROM ip_blocks WHERE ip = ?'
-        );
+    /**
+     * Annulla la registrazione di un promemoria non partito: il giro successivo lo riprova
+     */
+    releasePromemoria(iscrizioneId, giorni) {
+        return this.statements.deletePromemoria.run(iscrizioneId, giorni).changes > 0;
+    }
 
-        this.statements.getActiveIPBlocks = this.db.prepare(
-            "SELECT * FROM ip_blocks WHERE datetime(blocked_until) > datetime('now')"
-        );
+    /**
+     * Libera i promemoria la cui email è stata abbandonata dalla coda (failed):
+     * il giro successivo li riprova. Restituisce quanti ne ha liberati
+     */
+    releaseFailedPromemoria(giorni, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.releaseFailedPromemoria.run({ giorni, edizione: edizioneId }).changes;
+    }
 
-        this.statements.cleanupExpiredIPBlocks = this.db.prepare(
-            "DELETE FROM ip_blocks WHERE datetime(blocked_until) < datetime('now')"
-        );
+    setPromemoriaEmail(iscrizioneId, giorni, emailId) {
+        this.statements.setPromemoriaEmail.run(emailId, iscrizioneId, giorni);
+    }
+
+    /**
+     * Promemoria inviati per l'edizione, per numero di giorni
+     */
+    getPromemoriaStats(edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.getPromemoriaStats.all(edizioneId);
     }
 
     // ==========================================
-    // ISCRIZIONI CRUD
+    // NOTIFICHE ADMIN
     // ==========================================
-    createIscrizione(data) {
-        const id = crypto.randomUUID();
-        const iscrizione = {
-            id,
-            nome_squadra: data.nomeSquadra,
-            citta_squadra: data.cittaSquadra,
-            paese_squadra: data.paeseSquadra,
-            nome_capitano: data.nomeCapitano,
-            cognome_capitano: data.cognomeCapitano,
-            email_capitano: data.emailCapitano,
-            telefono_capitano: data.telefonoCapitano,
-            data_nascita_capitano: data.dataNascitaCapitano,
-            provincia_foggia: data.provinciaFoggia,
-            numero_giocatori: data.numeroGiocatori || 11,
-            note: data.note || null,
-            status: 'pending',
-            ip_address: data.ipAddress || null,
-            user_agent: data.userAgent || null
-        };
 
+    /**
+     * @param {string} modalita - 'immediata' | 'riepilogo' (assente = tutti)
+     */
+    getAdminDestinatari(modalita = null) {
+        const destinatari = this.statements.getAdminDestinatari.all();
+        return modalita ? destinatari.filter(d => d.modalita === modalita) : destinatari;
+    }
+
+    getAdminDestinatarioById(id) {
+        return this.statements.getAdminDestinatarioById.get(id);
+    }
+
+    addAdminDestinatario(data) {
         try {
-            this.statements.insertIscrizione.run(iscrizione);
-            return { success: true, id, iscrizione: this.getIscrizioneById(id) };
+            const result = this.statements.insertAdminDestinatario.run({
+                email: data.email,
+                modalita: data.modalita || 'immediata'
+            });
+            return { success: true, destinatario: this.getAdminDestinatarioById(result.lastInsertRowid) };
         } catch (error) {
             if (error.code === 'SQLITE_CONSTRAINT_UNIQUE') {
-                return { success: false, error: 'Email già registrata' };
+                return { success: false, error: `${data.email} riceve già le notifiche` };
             }
             throw error;
         }
     }
 
-    getIscrizioneById(id) {
-        return this.statements.getIscrizioneById.get(id);
-    }
-
-    getIscrizioneByEmail(email) {
-        return this.statements.getIscrizioneByEmail.get(email);
-    }
-
-    getAllIscrizioni() {
-        return this.statements.getAllIscrizioni.all();
-    }
-
-    getIscrizioniByStatus(status) {
-        return this.statements.getIscrizioniByStatus.all(status);
-    }
-
-    updateIscrizioneStatus(id, status, approvedBy = null) {
-        const approvedAt = status === 'approved' ? new Date().toISOString() : null;
-        const result = this.statements.updateIscrizioneStatus.run(status, approvedAt, approvedBy, id);
-        return result.changes > 0;
+    updateAdminDestinatario(id, modalita) {
+        return this.statements.updateAdminDestinatario.run(modalita, id).changes > 0;
     }
 
-    deleteIscrizione(id) {
-        const result = this.statements.deleteIscrizione.run(id);
-        return result.changes > 0;
+    deleteAdminDestinatario(id) {
+        return this.statements.deleteAdminDestinatario.run(id).changes > 0;
     }
 
-    getIscrizioniStats() {
-        const total = this.statements.countIscrizioni.get();
-        const byStatus = this.statements.countIscrizioniByStatus.all();
-        const byPaese = this.statements.countIscrizioniByPaese.all();
-        
-        return {
-            total: total.count,
-            byStatus: byStatus.reduce((acc, row) => {
-                acc[row.status] = row.count;
-                return acc;
-            }, {}),
-            byPaese: byPaese.reduce((acc, row) => {
-                acc[row.paese_squadra] = row.count;
-                return acc;
-            }, {})
-        };
+    /**
+     * Iscrizioni entrate in revisione (email verificata) dalla data indicata
+     */
+    getIscrizioniVerificateDal(since, edizioneId = this.getEdizioneCorrenteId()) {
+        return this.statements.getIscrizioniVerificateDal.all(edizioneId, since);
     }
 
     // ==========================================
@@ -383,10 +1758,10 @@ class DatabaseManager {
         }
     }
 
-    getAnalyticsStats(days = 30) {
+    getAnalyticsStats(days = 30, edizioneId = this.getEdizioneCorrenteId()) {
         const since = new Date();
         since.setDate(since.getDate() - days);
-        const sinceStr = since.toISOString();
+        const params = { since: since.toISOString(), edizione: edizioneId };
 
         const pageviews = this.db.prepare(`
             SELECT COUNT(*) as total,
@@ -394,19 +1769,19 @@ class DatabaseManager {
                    page,
                    COUNT(*) as count
             FROM analytics_pageviews
-            WHERE timestamp >= ?
+            WHERE edizione_id = @edizione AND timestamp >= @since
             GROUP BY page
             ORDER BY count DESC
-        `).all(sinceStr);
+        `).all(params);
 
         const events = this.db.prepare(`
             SELECT category, action, COUNT(*) as count
             FROM analytics_events
-            WHERE timestamp >= ?
+            WHERE edizione_id = @edizione AND timestamp >= @since
             GROUP BY category, action
             ORDER BY count DESC
             LIMIT 50
-        `).all(sinceStr);
+        `).all(params);
 
         const puzzleStats = this.db.prepare(`
             SELECT 
@@ -414,8 +1789,8 @@ class DatabaseManager {
                 SUM(CASE WHEN action = 'complete' THEN 1 ELSE 0 END) as completed,
                 AVG(CASE WHEN action = 'complete' THEN completion_time END) as avg_time
             FROM analytics_puzzle
-            WHERE timestamp >= ?
-        `).get(sinceStr);
+            WHERE edizione_id = @edizione AND timestamp >= @since
+        `).get(params);
 
         const formStats = this.db.prepare(`
             SELECT 
@@ -423,16 +1798,16 @@ class DatabaseManager {
                 SUM(CASE WHEN action = 'submit' THEN 1 ELSE 0 END) as submitted,
                 SUM(CASE WHEN action = 'error' THEN 1 ELSE 0 END) as errors
             FROM analytics_form
-            WHERE timestamp >= ?
-        `).get(sinceStr);
+            WHERE edizione_id = @edizione AND timestamp >= @since
+        `).get(params);
 
         const formErrors = this.db.prepare(`
             SELECT field, COUNT(*) as count
             FROM analytics_form
-            WHERE action = 'error' AND timestamp >= ?
+            WHERE action = 'error' AND edizione_id = @edizione AND timestamp >= @since
             GROUP BY field
             ORDER BY count DESC
-        `).all(sinceStr);
+        `).all(params);
 
         const dailyStats = this.db.prepare(`
             SELECT 
@@ -440,10 +1815,10 @@ class DatabaseManager {
                 COUNT(*) as pageviews,
                 COUNT(DISTINCT session_id) as visitors
             FROM analytics_pageviews
-            WHERE timestamp >= ?
+            WHERE edizione_id = @edizione AND timestamp >= @since
             GROUP BY date(timestamp)
             ORDER BY date DESC
-        `).all(sinceStr);
+        `).all(params);
 
         const sessions = this.db.prepare(`
             SELECT COUNT(*) as total,
@@ -454,20 +1829,20 @@ class DatabaseManager {
         const recentEvents = this.db.prepare(`
             SELECT category, action, label, timestamp
             FROM analytics_events
-            WHERE timestamp >= ?
+            WHERE edizione_id = @edizione AND timestamp >= @since
             ORDER BY timestamp DESC
             LIMIT 20
-        `).all(sinceStr);
+        `).all(params);
 
         const scrollStats = this.db.prepare(`
             SELECT 
                 label as depth,
                 COUNT(*) as count
             FROM analytics_events
-            WHERE category = 'Engagement' AND action = 'Scroll Depth' AND timestamp >= ?
+            WHERE category = 'Engagement' AND action = 'Scroll Depth' AND edizione_id = @edizione AND timestamp >= @since
             GROUP BY label
             ORDER BY CAST(REPLACE(label, '%', '') AS INTEGER)
-        `).all(sinceStr);
+        `).all(params);
 
         const deviceStats = this.db.prepare(`
             SELECT 
@@ -475,19 +1850,19 @@ class DatabaseManager {
                 json_extract(metadata, '$.deviceInfo.browser') as browser,
                 COUNT(*) as count
             FROM analytics_events
-            WHERE category = 'Device' AND action = 'Info' AND timestamp >= ?
+            WHERE category = 'Device' AND action = 'Info' AND edizione_id = @edizione AND timestamp >= @since
             GROUP BY platform, browser
             ORDER BY count DESC
-        `).all(sinceStr);
+        `).all(params);
 
         const topPages = this.db.prepare(`
             SELECT page, COUNT(*) as views, COUNT(DISTINCT session_id) as unique_views
             FROM analytics_pageviews
-            WHERE timestamp >= ?
+            WHERE edizione_id = @edizione AND timestamp >= @since
             GROUP BY page
             ORDER BY views DESC
             LIMIT 10
-        `).all(sinceStr);
+        `).all(params);
 
         const engagementStats = this.db.prepare(`
             SELECT 
@@ -496,18 +1871,18 @@ class DatabaseManager {
                 MIN(value) as min_score,
                 COUNT(*) as total
             FROM analytics_events
-            WHERE category = 'Engagement' AND action = 'Score' AND timestamp >= ?
-        `).all(sinceStr);
+            WHERE category = 'Engagement' AND action = 'Score' AND edizione_id = @edizione AND timestamp >= @since
+        `).all(params);
 
         const hourlyStats = this.db.prepare(`
             SELECT 
                 strftime('%H', timestamp) as hour,
                 COUNT(*) as count
             FROM analytics_pageviews
-            WHERE timestamp >= ?
+            WHERE edizione_id = @edizione AND timestamp >= @since
             GROUP BY hour
             ORDER BY hour
-        `).all(sinceStr);
+        `).all(params);
 
         const performanceStats = this.db.prepare(`
             SELECT 
@@ -516,16 +1891,16 @@ class DatabaseManager {
                 MIN(value) as min,
                 MAX(value) as max
             FROM analytics_events
-            WHERE category = 'Performance' AND action IN ('LCP', 'FID', 'CLS') AND timestamp >= ?
+            WHERE category = 'Performance' AND action IN ('LCP', 'FID', 'CLS') AND edizione_id = @edizione AND timestamp >= @since
             GROUP BY action
-        `).all(sinceStr);
+        `).all(params);
 
         const funnelStats = {
-            pageLoad: this.db.prepare(`SELECT COUNT(DISTINCT session_id) as count FROM analytics_pageviews WHERE timestamp >= ?`).get(sinceStr)?.count || 0,
-            puzzleStart: this.db.prepare(`SELECT COUNT(DISTINCT session_id) as count FROM analytics_puzzle WHERE action = 'start' AND timestamp >= ?`).get(sinceStr)?.count || 0,
-            puzzleComplete: this.db.prepare(`SELECT COUNT(DISTINCT session_id) as count FROM analytics_puzzle WHERE action = 'complete' AND timestamp >= ?`).get(sinceStr)?.count || 0,
-            formStart: this.db.prepare(`SELECT COUNT(DISTINCT session_id) as count FROM analytics_form WHERE action = 'start' AND timestamp >= ?`).get(sinceStr)?.count || 0,
-            formSubmit: this.db.prepare(`SELECT COUNT(DISTINCT session_id) as count FROM analytics_form WHERE action = 'submit' AND timestamp >= ?`).get(sinceStr)?.count || 0
+            pageLoad: this.db.prepare(`SELECT COUNT(DISTINCT session_id) as count FROM analytics_pageviews WHERE edizione_id = @edizione AND timestamp >= @since`).get(params)?.count || 0,
+            puzzleStart: this.db.prepare(`SELECT COUNT(DISTINCT session_id) as count FROM analytics_puzzle WHERE action = 'start' AND edizione_id = @edizione AND timestamp >= @since`).get(params)?.count || 0,
+            puzzleComplete: this.db.prepare(`SELECT COUNT(DISTINCT session_id) as count FROM analytics_puzzle WHERE action = 'complete' AND edizione_id = @edizione AND timestamp >= @since`).get(params)?.count || 0,
+            formStart: this.db.prepare(`SELECT COUNT(DISTINCT session_id) as count FROM analytics_form WHERE action = 'start' AND edizione_id = @edizione AND timestamp >= @since`).get(params)?.count || 0,
+            formSubmit: this.db.prepare(`SELECT COUNT(DISTINCT session_id) as count FROM analytics_form WHERE action = 'submit' AND edizione_id = @edizione AND timestamp >= @since`).get(params)?.count || 0
         };
 
         return {
@@ -740,15 +2115,43 @@ class DatabaseManager {
         }
     }
 
-    cleanupOldBackups() {
-        const files = fs.readdirSync(this.backupPath)
+    /**
+     * File di backup presenti, dal più recente
+     */
+    listBackups() {
+        return fs.readdirSync(this.backupPath)
             .filter(f => f.startsWith('foggiano_') && f.endsWith('.db'))
-            .map(f => ({
-                name: f,
-                path: path.join(this.backupPath, f),
-                time: fs.statSync(path.join(this.backupPath, f)).mtime.getTime()
-            }))
+            .map(f => {
+                const stats = fs.statSync(path.join(this.backupPath, f));
+                return {
+                    name: f,
+                    path: path.join(this.backupPath, f),
+                    time: stats.mtime.getTime(),
+                    size: stats.size
+                };
+            })
             .sort((a, b) => b.time - a.time);
+    }
+
+    /**
+     * Ultimo backup e numero di backup conservati
+     *
+     * @returns {Object} { numero, ultimo: { file, data, dimensione } | null }
+     */
+    getBackupStatus() {
+        const backups = this.listBackups();
+        const ultimo = backups[0];
+
+        return {
+            numero: backups.length,
+            ultimo: ultimo
+                ? { file: ultimo.name, data: new Date(ultimo.time).toISOString(), dimensione: ultimo.size }
+                : null
+        };
+    }
+
+    cleanupOldBackups() {
+        const files = this.listBackups();
 
         // Mantieni solo gli ultimi 10
         files.slice(10).forEach(f => {
@@ -776,6 +2179,7 @@ class DatabaseManager {
         
         // Lista bianca delle tabelle conosciute per evitare SQL injection
         const allowedTables = [
+            'edizioni',
             'iscrizioni', 
             'analytics_pageviews', 
             'analytics_events', 
@@ -785,7 +2189,21 @@ class DatabaseManager {
             'rate_limits',
             'config',
             'admin_logs',
-            'ip_blocks'
+            'ip_blocks',
+            'giocatori',
+            'sorteggi',
+            'gironi',
+            'gironi_squadre',
+            'partite',
+            'eliminatorie',
+            'gallery_photos',
+            'email_outbox',
+            'email_invii',
+            'email_templates',
+            'email_broadcast',
+            'email_promemoria',
+            'admin_destinatari',
+            'schema_migrations'
         ];
 
         const counts = {};
@@ -817,4 +2235,4 @@ function getDatabase() {
     return instance;
 }
 
-module.exports = { DatabaseManager, getDatabase };
\ No newline at end of file
+module.exports = { DatabaseManager, getDatabase, DEFAULT_DB_PATH };
\ No newline at end of file
@@ -0,0 +1,75 @@
+/**
+ * Script migrazioni database
+ * Da eseguire con: npm run db:migrate
+ *
+ * Opzioni:
+ *   --dry-run  esegue le migrazioni mancanti e annulla le modifiche
+ *   --status   mostra le migrazioni applicate e quelle mancanti
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+const { Migrator } = require('./migrator');
+const { DEFAULT_DB_PATH } = require('./index');
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const showStatus = args.includes('--status');
+
+let db;
+
+try {
+    const exists = fs.existsSync(DEFAULT_DB_PATH);
+
+    if (!exists && (dryRun || showStatus)) {
+        // Nessun file da creare per una simulazione: si usa un database in memoria
+        console.log('ℹ️  Database non ancora creato, simulazione su database vuoto');
+        db = new Database(':memory:');
+    } else {
+        fs.mkdirSync(path.dirname(DEFAULT_DB_PATH), { recursive: true });
+        db = new Database(DEFAULT_DB_PATH);
+        db.pragma('journal_mode = WAL');
+    }
+    db.pragma('foreign_keys = ON');
+
+    const migrator = new Migrator(db);
+
+    if (showStatus) {
+        console.log('\n📋 Migrazioni:');
+        for (const m of migrator.status()) {
+            const state = m.applied ? `✅ ${m.appliedAt || 'preesistente'}` : '⏳ da applicare';
+            console.log(`  ${m.name.padEnd(28)} ${state}  ${m.description}`);
+        }
+        db.close();
+        process.exit(0);
+    }
+
+    console.log(dryRun ? 'Simulazione migrazioni (dry-run)...' : 'Avvio migrazioni database...');
+    const result = migrator.run({ dryRun });
+
+    if (result.applied.length === 0 && result.success) {
+        console.log(`\n✅ Database già aggiornato (versione ${result.version})`);
+    } else if (dryRun) {
+        result.applied.forEach(name => console.log(`  ✔ ${name}`));
+    }
+
+    if (!result.success) {
+        console.error(`\n❌ Migrazione fallita: ${result.error}`);
+        db.close();
+        process.exit(1);
+    }
+
+    if (result.applied.length > 0) {
+        console.log(dryRun
+            ? `\n✅ Dry-run completato: ${result.applied.length} migrazioni applicabili, nessuna modifica salvata`
+            : `\n✅ Migrazioni completate: versione ${result.version}`);
+    }
+
+    db.close();
+    process.exit(0);
+} catch (error) {
+    console.error('❌ Errore durante le migrazioni:', error);
+    if (db) db.close();
+    process.exit(1);
+}
@@ -1,16 +1,16 @@
 /**
- * Schema Database - Un Foggiano nel Mondo
- * 
- * Definisce la struttura delle tabelle e gli indici.
+ * Migrazione 001 - Schema iniziale
+ *
+ * Iscrizioni, analytics, rate limiting, configurazione, log admin e IP bloccati.
  */
 
-const SCHEMA = {
-    version: 1,
-    
-    tables: {
+module.exports = {
+    description: 'Schema iniziale: iscrizioni, analytics, config, log e sicurezza',
+
+    up(db) {
         // Tabella iscrizioni squadre
-        iscrizioni: `
-            CREATE TABLE IF NOT EXISTS iscrizioni (
+        db.exec(`
+            CREATE TABLE iscrizioni (
                 id TEXT PRIMARY KEY,
                 nome_squadra TEXT NOT NULL,
                 citta_squadra TEXT NOT NULL,
@@ -31,11 +31,11 @@ const SCHEMA = {
                 approved_at TEXT,
                 approved_by TEXT
             )
-        `,
-        
-        // Tabella analytics pageviews
-        analytics_pageviews: `
-            CREATE TABLE IF NOT EXISTS analytics_pageviews (
+        `);
+
+        // Tabelle analytics
+        db.exec(`
+            CREATE TABLE analytics_pageviews (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 session_id TEXT NOT NULL,
                 page TEXT NOT NULL,
@@ -44,11 +44,10 @@ const SCHEMA = {
                 screen_height INTEGER,
                 timestamp TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
             )
-        `,
-        
-        // Tabella analytics eventi
-        analytics_events: `
-            CREATE TABLE IF NOT EXISTS analytics_events (
+        `);
+
+        db.exec(`
+            CREATE TABLE analytics_events (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 session_id TEXT,
                 category TEXT NOT NULL,
@@ -58,11 +57,10 @@ const SCHEMA = {
                 metadata TEXT,
                 timestamp TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
             )
-        `,
-        
-        // Tabella statistiche puzzle
-        analytics_puzzle: `
-            CREATE TABLE IF NOT EXISTS analytics_puzzle (
+        `);
+
+        db.exec(`
+            CREATE TABLE analytics_puzzle (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 session_id TEXT,
                 action TEXT NOT NULL,
@@ -70,22 +68,20 @@ const SCHEMA = {
                 total_clicks INTEGER,
                 timestamp TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
             )
-        `,
-        
-        // Tabella statistiche form
-        analytics_form: `
-            CREATE TABLE IF NOT EXISTS analytics_form (
+        `);
+
+        db.exec(`
+            CREATE TABLE analytics_form (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 session_id TEXT,
                 action TEXT NOT NULL,
                 field TEXT,
                 timestamp TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
             )
-        `,
-        
-        // Tabella sessioni visitatori
-        analytics_sessions: `
-            CREATE TABLE IF NOT EXISTS analytics_sessions (
+        `);
+
+        db.exec(`
+            CREATE TABLE analytics_sessions (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 anonymous_id TEXT NOT NULL UNIQUE,
                 first_seen TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -95,31 +91,31 @@ const SCHEMA = {
                 device_info TEXT,
                 funnel_progress TEXT
             )
-        `,
-        
+        `);
+
         // Tabella rate limiting
-        rate_limits: `
-            CREATE TABLE IF NOT EXISTS rate_limits (
+        db.exec(`
+            CREATE TABLE rate_limits (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 key TEXT NOT NULL UNIQUE,
                 count INTEGER NOT NULL DEFAULT 1,
                 window_start TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
                 last_request TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
             )
-        `,
-        
+        `);
+
         // Tabella configurazioni
-        config: `
-            CREATE TABLE IF NOT EXISTS config (
+        db.exec(`
+            CREATE TABLE config (
                 key TEXT PRIMARY KEY,
                 value TEXT NOT NULL,
                 updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
             )
-        `,
-        
+        `);
+
         // Tabella log admin
-        admin_logs: `
-            CREATE TABLE IF NOT EXISTS admin_logs (
+        db.exec(`
+            CREATE TABLE admin_logs (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 action TEXT NOT NULL,
                 entity_type TEXT,
@@ -130,11 +126,11 @@ const SCHEMA = {
                 ip_address TEXT,
                 timestamp TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
             )
-        `,
-        
+        `);
+
         // Tabella IP bloccati (persistente)
-        ip_blocks: `
-            CREATE TABLE IF NOT EXISTS ip_blocks (
+        db.exec(`
+            CREATE TABLE ip_blocks (
                 id INTEGER PRIMARY KEY AUTOINCREMENT,
                 ip TEXT NOT NULL UNIQUE,
                 blocked_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
@@ -142,41 +138,39 @@ const SCHEMA = {
                 reason TEXT,
                 attempts INTEGER DEFAULT 1
             )
-        `
-    },
-    
-    indexes: [
-        'CREATE INDEX IF NOT EXISTS idx_iscrizioni_email ON iscrizioni(email_capitano)',
-        'CREATE INDEX IF NOT EXISTS idx_iscrizioni_status ON iscrizioni(status)',
-        'CREATE INDEX IF NOT EXISTS idx_iscrizioni_paese ON iscrizioni(paese_squadra)',
-        'CREATE INDEX IF NOT EXISTS idx_iscrizioni_created ON iscrizioni(created_at)',
-        
-        'CREATE INDEX IF NOT EXISTS idx_pageviews_session ON analytics_pageviews(session_id)',
-        'CREATE INDEX IF NOT EXISTS idx_pageviews_timestamp ON analytics_pageviews(timestamp)',
-        'CREATE INDEX IF NOT EXISTS idx_pageviews_page ON analytics_pageviews(page)',
-        
-        'CREATE INDEX IF NOT EXISTS idx_events_session ON analytics_events(session_id)',
-        'CREATE INDEX IF NOT EXISTS idx_events_category ON analytics_events(category)',
-        'CREATE INDEX IF NOT EXISTS idx_events_timestamp ON analytics_events(timestamp)',
-        
-        'CREATE INDEX IF NOT EXISTS idx_sessions_anonymous ON analytics_sessions(anonymous_id)',
-        'CREATE INDEX IF NOT EXISTS idx_sessions_first_seen ON analytics_sessions(first_seen)',
-        
-        'CREATE INDEX IF NOT EXISTS idx_rate_limits_key ON rate_limits(key)',
-        'CREATE INDEX IF NOT EXISTS idx_rate_limits_window ON rate_limits(window_start)',
-        
-        'CREATE INDEX IF NOT EXISTS idx_ip_blocks_ip ON ip_blocks(ip)',
-        'CREATE INDEX IF NOT EXISTS idx_ip_blocks_until ON ip_blocks(blocked_until)'
-    ],
-    
-    triggers: [
+        `);
+
+        db.exec(`
+            CREATE INDEX idx_iscrizioni_email ON iscrizioni(email_capitano);
+            CREATE INDEX idx_iscrizioni_status ON iscrizioni(status);
+            CREATE INDEX idx_iscrizioni_paese ON iscrizioni(paese_squadra);
+            CREATE INDEX idx_iscrizioni_created ON iscrizioni(created_at);
+
+            CREATE INDEX idx_pageviews_session ON analytics_pageviews(session_id);
+            CREATE INDEX idx_pageviews_timestamp ON analytics_pageviews(timestamp);
+            CREATE INDEX idx_pageviews_page ON analytics_pageviews(page);
+
+            CREATE INDEX idx_events_session ON analytics_events(session_id);
+            CREATE INDEX idx_events_category ON analytics_events(category);
+            CREATE INDEX idx_events_timestamp ON analytics_events(timestamp);
+
+            CREATE INDEX idx_sessions_anonymous ON analytics_sessions(anonymous_id);
+            CREATE INDEX idx_sessions_first_seen ON analytics_sessions(first_seen);
+
+            CREATE INDEX idx_rate_limits_key ON rate_limits(key);
+            CREATE INDEX idx_rate_limits_window ON rate_limits(window_start);
+
+            CREATE INDEX idx_ip_blocks_ip ON ip_blocks(ip);
+            CREATE INDEX idx_ip_blocks_until ON ip_blocks(blocked_until);
+        `);
+
         // Trigger per aggiornare updated_at automaticamente
-        `CREATE TRIGGER IF NOT EXISTS update_iscrizioni_timestamp 
-         AFTER UPDATE ON iscrizioni
-         BEGIN
-            UPDATE iscrizioni SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
-         END`
-    ]
+        db.exec(`
+            CREATE TRIGGER update_iscrizioni_timestamp 
+            AFTER UPDATE ON iscrizioni
+            BEGIN
+                UPDATE iscrizioni SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END
+        `);
+    }
 };
-
-module.exports = SCHEMA;
\ No newline at end of file
@@ -0,0 +1,34 @@
+/**
+ * Migrazione 002 - Rosa giocatori
+ */
+
+module.exports = {
+    description: 'Rosa giocatori di ogni iscrizione',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE giocatori (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                iscrizione_id TEXT NOT NULL REFERENCES iscrizioni(id) ON DELETE CASCADE,
+                nome TEXT NOT NULL,
+                cognome TEXT NOT NULL,
+                data_nascita TEXT NOT NULL,
+                numero_maglia INTEGER,
+                ruolo TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (iscrizione_id, numero_maglia)
+            )
+        `);
+
+        db.exec('CREATE INDEX idx_giocatori_iscrizione ON giocatori(iscrizione_id)');
+
+        db.exec(`
+            CREATE TRIGGER update_giocatori_timestamp 
+            AFTER UPDATE ON giocatori
+            BEGIN
+                UPDATE giocatori SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END
+        `);
+    }
+};
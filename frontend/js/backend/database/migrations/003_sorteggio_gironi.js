@@ -0,0 +1,46 @@
+/**
+ * Migrazione 003 - Sorteggio gironi
+ */
+
+module.exports = {
+    description: 'Sorteggi, gironi e squadre assegnate',
+
+    up(db) {
+        // Parametri e seed per riprodurre il sorteggio
+        db.exec(`
+            CREATE TABLE sorteggi (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                seed TEXT NOT NULL,
+                group_size INTEGER NOT NULL,
+                separa_paesi INTEGER NOT NULL DEFAULT 1,
+                teste_di_serie TEXT,
+                conflitti INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        db.exec(`
+            CREATE TABLE gironi (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                sorteggio_id INTEGER NOT NULL REFERENCES sorteggi(id) ON DELETE CASCADE,
+                nome TEXT NOT NULL,
+                UNIQUE (sorteggio_id, nome)
+            )
+        `);
+
+        db.exec(`
+            CREATE TABLE gironi_squadre (
+                girone_id INTEGER NOT NULL REFERENCES gironi(id) ON DELETE CASCADE,
+                iscrizione_id TEXT NOT NULL REFERENCES iscrizioni(id) ON DELETE CASCADE,
+                posizione INTEGER NOT NULL,
+                testa_di_serie INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (girone_id, iscrizione_id)
+            )
+        `);
+
+        db.exec(`
+            CREATE INDEX idx_gironi_sorteggio ON gironi(sorteggio_id);
+            CREATE INDEX idx_gironi_squadre_iscrizione ON gironi_squadre(iscrizione_id);
+        `);
+    }
+};
@@ -0,0 +1,38 @@
+/**
+ * Migrazione 004 - Calendario partite
+ */
+
+module.exports = {
+    description: 'Partite del calendario (campo e orario)',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE partite (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                girone_id INTEGER REFERENCES gironi(id) ON DELETE CASCADE,
+                fase TEXT NOT NULL DEFAULT 'gironi',
+                giornata INTEGER,
+                squadra_casa_id TEXT REFERENCES iscrizioni(id) ON DELETE CASCADE,
+                squadra_ospite_id TEXT REFERENCES iscrizioni(id) ON DELETE CASCADE,
+                campo TEXT NOT NULL,
+                inizio TEXT NOT NULL,
+                fine TEXT NOT NULL,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        db.exec(`
+            CREATE INDEX idx_partite_girone ON partite(girone_id);
+            CREATE INDEX idx_partite_inizio ON partite(inizio);
+        `);
+
+        db.exec(`
+            CREATE TRIGGER update_partite_timestamp 
+            AFTER UPDATE ON partite
+            BEGIN
+                UPDATE partite SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END
+        `);
+    }
+};
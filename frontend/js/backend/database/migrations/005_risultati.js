@@ -0,0 +1,12 @@
+/**
+ * Migrazione 005 - Risultati partite
+ */
+
+module.exports = {
+    description: 'Gol delle partite del calendario',
+
+    up(db) {
+        db.exec('ALTER TABLE partite ADD COLUMN gol_casa INTEGER');
+        db.exec('ALTER TABLE partite ADD COLUMN gol_ospite INTEGER');
+    }
+};
@@ -0,0 +1,39 @@
+/**
+ * Migrazione 006 - Tabellone eliminazione diretta
+ */
+
+module.exports = {
+    description: 'Tabellone a eliminazione diretta',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE eliminatorie (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                turno INTEGER NOT NULL,
+                posizione INTEGER NOT NULL,
+                squadra_casa_id TEXT REFERENCES iscrizioni(id) ON DELETE SET NULL,
+                squadra_ospite_id TEXT REFERENCES iscrizioni(id) ON DELETE SET NULL,
+                etichetta_casa TEXT,
+                etichetta_ospite TEXT,
+                gol_casa INTEGER,
+                gol_ospite INTEGER,
+                rigori_casa INTEGER,
+                rigori_ospite INTEGER,
+                vincitore_id TEXT REFERENCES iscrizioni(id) ON DELETE SET NULL,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (turno, posizione)
+            )
+        `);
+
+        db.exec('CREATE INDEX idx_eliminatorie_turno ON eliminatorie(turno, posizione)');
+
+        db.exec(`
+            CREATE TRIGGER update_eliminatorie_timestamp 
+            AFTER UPDATE ON eliminatorie
+            BEGIN
+                UPDATE eliminatorie SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END
+        `);
+    }
+};
@@ -0,0 +1,11 @@
+/**
+ * Migrazione 007 - Lista d'attesa
+ */
+
+module.exports = {
+    description: 'Ingresso in lista d\'attesa delle iscrizioni oltre la capienza',
+
+    up(db) {
+        db.exec('ALTER TABLE iscrizioni ADD COLUMN waitlist_at TEXT');
+    }
+};
@@ -0,0 +1,154 @@
+/**
+ * Migrazione 008 - Edizioni del torneo
+ *
+ * Iscrizioni, analytics, sorteggi, partite e tabellone appartengono a un'edizione
+ * e l'email del capitano diventa unica per edizione. SQLite non permette di
+ * rimuovere un vincolo UNIQUE, quindi la tabella iscrizioni viene ricostruita:
+ * le foreign key vanno disattivate, altrimenti il DROP cancellerebbe a cascata
+ * rose, gironi e partite. Anche eliminatorie viene ricostruita, perché il vincolo
+ * UNIQUE (turno, posizione) diventa per edizione.
+ */
+
+// Edizione creata con la migrazione (e assegnata ai dati esistenti)
+const EDIZIONE_INIZIALE = {
+    anno: 2026,
+    nome: 'Un Foggiano nel Mondo 2026',
+    data_inizio: '2026-06-01'
+};
+
+module.exports = {
+    description: 'Edizioni: iscrizioni, analytics e torneo per edizione, email unica per edizione',
+    foreignKeys: false,
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE edizioni (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                anno INTEGER NOT NULL UNIQUE,
+                nome TEXT NOT NULL,
+                data_inizio TEXT,
+                corrente INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const { lastInsertRowid: edizioneId } = db.prepare(
+            'INSERT INTO edizioni (anno, nome, data_inizio, corrente) VALUES (@anno, @nome, @data_inizio, 1)'
+        ).run(EDIZIONE_INIZIALE);
+
+        db.exec(`
+            CREATE TABLE iscrizioni_new (
+                id TEXT PRIMARY KEY,
+                edizione_id INTEGER NOT NULL REFERENCES edizioni(id),
+                nome_squadra TEXT NOT NULL,
+                citta_squadra TEXT NOT NULL,
+                paese_squadra TEXT NOT NULL,
+                nome_capitano TEXT NOT NULL,
+                cognome_capitano TEXT NOT NULL,
+                email_capitano TEXT NOT NULL,
+                telefono_capitano TEXT NOT NULL,
+                data_nascita_capitano TEXT NOT NULL,
+                provincia_foggia TEXT NOT NULL,
+                numero_giocatori INTEGER NOT NULL DEFAULT 11,
+                note TEXT,
+                status TEXT NOT NULL DEFAULT 'pending',
+                ip_address TEXT,
+                user_agent TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                approved_at TEXT,
+                approved_by TEXT,
+                waitlist_at TEXT,
+                UNIQUE (edizione_id, email_capitano)
+            )
+        `);
+
+        const columns = db.pragma('table_info(iscrizioni)').map(c => c.name).join(', ');
+        db.prepare(`
+            INSERT INTO iscrizioni_new (edizione_id, ${columns})
+            SELECT ?, ${columns} FROM iscrizioni
+        `).run(edizioneId);
+
+        // Il DROP elimina anche indici e trigger della vecchia tabella
+        db.exec('DROP TABLE iscrizioni');
+        db.exec('ALTER TABLE iscrizioni_new RENAME TO iscrizioni');
+
+        db.exec(`
+            CREATE INDEX idx_iscrizioni_email ON iscrizioni(email_capitano);
+            CREATE INDEX idx_iscrizioni_status ON iscrizioni(status);
+            CREATE INDEX idx_iscrizioni_paese ON iscrizioni(paese_squadra);
+            CREATE INDEX idx_iscrizioni_created ON iscrizioni(created_at);
+            CREATE INDEX idx_iscrizioni_edizione ON iscrizioni(edizione_id, status);
+        `);
+
+        db.exec(`
+            CREATE TRIGGER update_iscrizioni_timestamp 
+            AFTER UPDATE ON iscrizioni
+            BEGIN
+                UPDATE iscrizioni SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END
+        `);
+
+        // Analytics esistenti attribuiti all'edizione iniziale
+        for (const table of ['analytics_pageviews', 'analytics_events', 'analytics_puzzle', 'analytics_form']) {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN edizione_id INTEGER REFERENCES edizioni(id)`);
+            db.prepare(`UPDATE ${table} SET edizione_id = ?`).run(edizioneId);
+        }
+
+        db.exec(`
+            CREATE INDEX idx_pageviews_edizione ON analytics_pageviews(edizione_id, timestamp);
+            CREATE INDEX idx_events_edizione ON analytics_events(edizione_id, timestamp);
+        `);
+
+        // Sorteggio e calendario esistenti attribuiti all'edizione iniziale
+        for (const table of ['sorteggi', 'partite']) {
+            db.exec(`ALTER TABLE ${table} ADD COLUMN edizione_id INTEGER REFERENCES edizioni(id)`);
+            db.prepare(`UPDATE ${table} SET edizione_id = ?`).run(edizioneId);
+        }
+
+        db.exec(`
+            CREATE INDEX idx_sorteggi_edizione ON sorteggi(edizione_id);
+            CREATE INDEX idx_partite_edizione ON partite(edizione_id, fase);
+        `);
+
+        db.exec(`
+            CREATE TABLE eliminatorie_new (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                edizione_id INTEGER REFERENCES edizioni(id),
+                turno INTEGER NOT NULL,
+                posizione INTEGER NOT NULL,
+                squadra_casa_id TEXT REFERENCES iscrizioni(id) ON DELETE SET NULL,
+                squadra_ospite_id TEXT REFERENCES iscrizioni(id) ON DELETE SET NULL,
+                etichetta_casa TEXT,
+                etichetta_ospite TEXT,
+                gol_casa INTEGER,
+                gol_ospite INTEGER,
+                rigori_casa INTEGER,
+                rigori_ospite INTEGER,
+                vincitore_id TEXT REFERENCES iscrizioni(id) ON DELETE SET NULL,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                updated_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE (edizione_id, turno, posizione)
+            )
+        `);
+
+        const eliminatorie = db.pragma('table_info(eliminatorie)').map(c => c.name).join(', ');
+        db.prepare(`
+            INSERT INTO eliminatorie_new (edizione_id, ${eliminatorie})
+            SELECT ?, ${eliminatorie} FROM eliminatorie
+        `).run(edizioneId);
+
+        db.exec('DROP TABLE eliminatorie');
+        db.exec('ALTER TABLE eliminatorie_new RENAME TO eliminatorie');
+
+        db.exec(`
+            CREATE INDEX idx_eliminatorie_turno ON eliminatorie(edizione_id, turno, posizione);
+
+            CREATE TRIGGER update_eliminatorie_timestamp
+            AFTER UPDATE ON eliminatorie
+            BEGIN
+                UPDATE eliminatorie SET updated_at = CURRENT_TIMESTAMP WHERE id = NEW.id;
+            END
+        `);
+    }
+};
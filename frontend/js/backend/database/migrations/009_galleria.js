@@ -0,0 +1,29 @@
+/**
+ * Migrazione 009 - Galleria fotografica
+ *
+ * Ogni foto appartiene a un'edizione (l'anno della galleria). I file sono salvati
+ * su disco in data/galleria: la tabella conserva solo il nome e le dimensioni.
+ */
+
+module.exports = {
+    description: 'Galleria: foto per edizione con album e didascalia',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE gallery_photos (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                edizione_id INTEGER NOT NULL REFERENCES edizioni(id),
+                album TEXT,
+                didascalia TEXT,
+                file TEXT NOT NULL UNIQUE,
+                formato TEXT NOT NULL,
+                larghezza INTEGER NOT NULL,
+                altezza INTEGER NOT NULL,
+                dimensione INTEGER NOT NULL,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        db.exec('CREATE INDEX idx_gallery_photos_edizione ON gallery_photos(edizione_id, created_at)');
+    }
+};
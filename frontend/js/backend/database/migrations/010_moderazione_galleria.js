@@ -0,0 +1,19 @@
+/**
+ * Migrazione 010 - Moderazione della galleria
+ *
+ * Le foto proposte dal pubblico restano in attesa finché un admin non le approva.
+ * Le foto già presenti (caricate dagli admin) risultano approvate.
+ */
+
+module.exports = {
+    description: 'Galleria: foto proposte dal pubblico e coda di moderazione',
+
+    up(db) {
+        db.exec("ALTER TABLE gallery_photos ADD COLUMN status TEXT NOT NULL DEFAULT 'approved'");
+        db.exec('ALTER TABLE gallery_photos ADD COLUMN autore TEXT');
+        db.exec('ALTER TABLE gallery_photos ADD COLUMN email_autore TEXT');
+        db.exec('ALTER TABLE gallery_photos ADD COLUMN moderated_at TEXT');
+
+        db.exec('CREATE INDEX idx_gallery_photos_status ON gallery_photos(status, created_at)');
+    }
+};
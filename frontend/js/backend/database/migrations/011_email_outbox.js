@@ -0,0 +1,36 @@
+/**
+ * Migrazione 011 - Coda email persistente
+ *
+ * Ogni email viene scritta nella coda prima dell'invio: il worker la spedisce
+ * con backoff esponenziale e dopo un riavvio riprende quelle non ancora inviate.
+ */
+
+module.exports = {
+    description: 'Coda email (email_outbox) con tentativi ed errori',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE email_outbox (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                tipo TEXT NOT NULL,
+                iscrizione_id TEXT REFERENCES iscrizioni(id) ON DELETE SET NULL,
+                destinatario TEXT NOT NULL,
+                oggetto TEXT NOT NULL,
+                html TEXT NOT NULL,
+                testo TEXT,
+                status TEXT NOT NULL DEFAULT 'pending',
+                tentativi INTEGER NOT NULL DEFAULT 0,
+                prossimo_tentativo TEXT NOT NULL,
+                ultimo_errore TEXT,
+                message_id TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                sent_at TEXT
+            )
+        `);
+
+        db.exec(`
+            CREATE INDEX idx_email_outbox_coda ON email_outbox(status, prossimo_tentativo);
+            CREATE INDEX idx_email_outbox_iscrizione ON email_outbox(iscrizione_id);
+        `);
+    }
+};
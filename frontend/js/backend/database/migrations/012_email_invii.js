@@ -0,0 +1,34 @@
+/**
+ * Migrazione 012 - Registro degli invii email
+ *
+ * Ogni tentativo di spedizione di un'email della coda lascia una riga con
+ * l'esito: message id del server SMTP se consegnata, errore se fallita.
+ * Destinatario, tipo e oggetto sono copiati per restare leggibili nel tempo.
+ */
+
+module.exports = {
+    description: 'Registro invii email (email_invii) con esito per tentativo',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE email_invii (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email_id INTEGER NOT NULL REFERENCES email_outbox(id) ON DELETE CASCADE,
+                iscrizione_id TEXT REFERENCES iscrizioni(id) ON DELETE SET NULL,
+                tipo TEXT NOT NULL,
+                destinatario TEXT NOT NULL,
+                oggetto TEXT NOT NULL,
+                tentativo INTEGER NOT NULL,
+                esito TEXT NOT NULL,
+                message_id TEXT,
+                errore TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        db.exec(`
+            CREATE INDEX idx_email_invii_email ON email_invii(email_id);
+            CREATE INDEX idx_email_invii_iscrizione ON email_invii(iscrizione_id);
+        `);
+    }
+};
@@ -0,0 +1,14 @@
+/**
+ * Migrazione 013 - Lingua delle email
+ *
+ * Lingua scelta dal capitano per le comunicazioni. Se assente (iscrizioni
+ * precedenti o "automatica") viene ricavata dal paese della squadra.
+ */
+
+module.exports = {
+    description: 'Lingua preferita delle email per ogni iscrizione',
+
+    up(db) {
+        db.exec('ALTER TABLE iscrizioni ADD COLUMN lingua TEXT');
+    }
+};
@@ -0,0 +1,26 @@
+/**
+ * Migrazione 014 - Modelli email modificabili
+ *
+ * Ogni salvataggio dalla dashboard aggiunge una nuova versione del modello
+ * (per tipo di email e lingua): è attiva l'ultima. Una versione con oggetto
+ * e corpo vuoti riporta al testo predefinito del codice.
+ */
+
+module.exports = {
+    description: 'Modelli email con storico delle versioni',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE email_templates (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                chiave TEXT NOT NULL,
+                lingua TEXT NOT NULL,
+                versione INTEGER NOT NULL,
+                oggetto TEXT,
+                corpo TEXT,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(chiave, lingua, versione)
+            )
+        `);
+    }
+};
@@ -0,0 +1,31 @@
+/**
+ * Migrazione 015 - Comunicazioni ai capitani
+ *
+ * Un messaggio scritto dalla dashboard viene inviato a un segmento di
+ * iscrizioni (stato, paese, provincia di Foggia, edizione). Ogni destinatario
+ * riceve la propria email nella coda, collegata al messaggio tramite
+ * broadcast_id: da lì si ricava il report di consegna.
+ */
+
+module.exports = {
+    description: 'Comunicazioni ai capitani (email_broadcast) collegate alla coda email',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE email_broadcast (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                oggetto TEXT NOT NULL,
+                messaggio TEXT NOT NULL,
+                segmento TEXT NOT NULL,
+                destinatari INTEGER NOT NULL DEFAULT 0,
+                intervallo INTEGER NOT NULL DEFAULT 0,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        db.exec(`
+            ALTER TABLE email_outbox ADD COLUMN broadcast_id INTEGER REFERENCES email_broadcast(id) ON DELETE SET NULL;
+            CREATE INDEX idx_email_outbox_broadcast ON email_outbox(broadcast_id);
+        `);
+    }
+};
@@ -0,0 +1,24 @@
+/**
+ * Migrazione 016 - Promemoria prima del torneo
+ *
+ * Registro dei promemoria inviati ai capitani: una riga per iscrizione e
+ * per promemoria (giorni prima del torneo). Il vincolo UNIQUE garantisce che
+ * lo stesso promemoria non parta mai due volte, anche se il giro viene ripetuto.
+ */
+
+module.exports = {
+    description: 'Registro promemoria torneo (email_promemoria)',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE email_promemoria (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                iscrizione_id TEXT NOT NULL REFERENCES iscrizioni(id) ON DELETE CASCADE,
+                giorni INTEGER NOT NULL,
+                email_id INTEGER REFERENCES email_outbox(id) ON DELETE SET NULL,
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE(iscrizione_id, giorni)
+            )
+        `);
+    }
+};
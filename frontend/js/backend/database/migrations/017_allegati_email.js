@@ -0,0 +1,15 @@
+/**
+ * Migrazione 017 - Allegati delle email in coda
+ *
+ * Gli allegati (es. invito .ics nell'email di approvazione) vengono salvati
+ * con l'email, come JSON [{ filename, content, contentType }], così anche
+ * i nuovi tentativi e i reinvii li includono.
+ */
+
+module.exports = {
+    description: 'Allegati delle email in coda (email_outbox.allegati)',
+
+    up(db) {
+        db.exec('ALTER TABLE email_outbox ADD COLUMN allegati TEXT');
+    }
+};
@@ -0,0 +1,25 @@
+/**
+ * Migrazione 018 - Verifica dell'email del capitano (double opt-in)
+ *
+ * Le nuove iscrizioni nascono nello stato 'unverified' con una scadenza
+ * (verifica_scadenza): il capitano conferma l'indirizzo con il link firmato
+ * ricevuto via email, altrimenti l'iscrizione viene cancellata e l'email
+ * torna libera. verificata_at registra il momento della conferma; le
+ * iscrizioni già presenti sono state gestite dall'organizzazione e contano
+ * come verificate.
+ */
+
+module.exports = {
+    description: 'Verifica dell\'email del capitano: stato unverified con scadenza',
+
+    up(db) {
+        db.exec(`
+            ALTER TABLE iscrizioni ADD COLUMN verificata_at TEXT;
+            ALTER TABLE iscrizioni ADD COLUMN verifica_scadenza TEXT;
+        `);
+
+        db.exec('UPDATE iscrizioni SET verificata_at = created_at');
+
+        db.exec('CREATE INDEX idx_iscrizioni_verifica ON iscrizioni(status, verifica_scadenza)');
+    }
+};
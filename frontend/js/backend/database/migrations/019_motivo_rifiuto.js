@@ -0,0 +1,19 @@
+/**
+ * Migrazione 019 - Motivo del rifiuto di un'iscrizione
+ *
+ * Quando l'organizzazione rifiuta un'iscrizione sceglie un codice motivo
+ * (motivo_rifiuto) e può aggiungere un messaggio libero (messaggio_rifiuto):
+ * entrambi finiscono nell'email al capitano, così sa cosa correggere.
+ * Le due colonne restano vuote per gli altri stati.
+ */
+
+module.exports = {
+    description: 'Motivo e messaggio del rifiuto di un\'iscrizione',
+
+    up(db) {
+        db.exec(`
+            ALTER TABLE iscrizioni ADD COLUMN motivo_rifiuto TEXT;
+            ALTER TABLE iscrizioni ADD COLUMN messaggio_rifiuto TEXT;
+        `);
+    }
+};
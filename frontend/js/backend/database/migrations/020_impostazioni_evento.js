@@ -0,0 +1,28 @@
+/**
+ * Migrazione 020 - Dettagli dell'evento nella tabella config
+ *
+ * Orario, luogo, sede e contatti del torneo diventano impostazioni
+ * modificabili dalla dashboard (chiavi evento_*, vedi evento/index.js); la
+ * data resta quella di inizio dell'edizione corrente. I valori iniziali sono
+ * quelli finora scritti nel codice, senza sovrascrivere chiavi già presenti.
+ */
+
+const IMPOSTAZIONI_INIZIALI = {
+    evento_ora: '09:00',
+    evento_luogo: 'Foggia, Puglia',
+    evento_sede: '',
+    evento_email: 'ilfoggianonelmondo@libero.it',
+    evento_telefono: '+39 333 1234567'
+};
+
+module.exports = {
+    description: 'Dettagli dell\'evento (orario, luogo, contatti) nella tabella config',
+
+    up(db) {
+        const insert = db.prepare('INSERT OR IGNORE INTO config (key, value) VALUES (?, ?)');
+
+        for (const [key, value] of Object.entries(IMPOSTAZIONI_INIZIALI)) {
+            insert.run(key, value);
+        }
+    }
+};
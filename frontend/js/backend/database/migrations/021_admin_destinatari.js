@@ -0,0 +1,23 @@
+/**
+ * Migrazione 021 - Destinatari delle notifiche admin
+ *
+ * Ogni admin sceglie come ricevere le nuove iscrizioni: un'email per
+ * iscrizione (immediata) oppure il riepilogo giornaliero (riepilogo).
+ * Senza destinatari le notifiche restano immediate e vanno all'indirizzo
+ * predefinito (ADMIN_EMAIL o l'email di contatto dell'evento).
+ */
+
+module.exports = {
+    description: 'Destinatari delle notifiche admin: email immediata o riepilogo giornaliero',
+
+    up(db) {
+        db.exec(`
+            CREATE TABLE admin_destinatari (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                modalita TEXT NOT NULL DEFAULT 'immediata' CHECK (modalita IN ('immediata', 'riepilogo')),
+                created_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+};
@@ -0,0 +1,261 @@
+/**
+ * Migrazioni Database - Un Foggiano nel Mondo
+ *
+ * Applica in ordine le migrazioni di database/migrations (NNN_descrizione.js):
+ * - Ogni migrazione esporta { description, up(db) } ed è eseguita in una transazione
+ * - Le migrazioni applicate sono registrate in schema_migrations
+ * - I database creati prima delle migrazioni vengono allineati tramite config.schema_version
+ * - In modalità dry-run le migrazioni vengono eseguite e poi annullate
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d{3})_[a-z0-9_]+\.js$/;
+
+class Migrator {
+    /**
+     * @param {Database} db - Connessione better-sqlite3
+     * @param {Object} options - dir: cartella migrazioni, logger: console di default
+     */
+    constructor(db, options = {}) {
+        this.db = db;
+        this.dir = options.dir || MIGRATIONS_DIR;
+        this.logger = options.logger || console;
+    }
+
+    // ==========================================
+    // MIGRAZIONI DISPONIBILI
+    // ==========================================
+    loadMigrations() {
+        const migrations = fs.readdirSync(this.dir)
+            .filter(file => MIGRATION_FILE.test(file))
+            .sort()
+            .map(file => {
+                const migration = require(path.join(this.dir, file));
+                if (typeof migration.up !== 'function') {
+                    throw new Error(`Migrazione ${file} senza funzione up()`);
+                }
+                return {
+                    version: parseInt(file.match(MIGRATION_FILE)[1], 10),
+                    name: path.basename(file, '.js'),
+                    description: migration.description || '',
+                    foreignKeys: migration.foreignKeys !== false,
+                    up: migration.up
+                };
+            });
+
+        migrations.forEach((migration, index) => {
+            if (migration.version !== index + 1) {
+                throw new Error(`Numerazione migrazioni non continua: attesa ${index + 1}, trovata ${migration.name}`);
+            }
+        });
+
+        return migrations;
+    }
+
+    // ==========================================
+    // STATO
+    // ==========================================
+    tableExists(name) {
+        return !!this.db.prepare(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?"
+        ).get(name);
+    }
+
+    /**
+     * Versioni già applicate (Map versione -> data di applicazione)
+     */
+    getApplied() {
+        if (!this.tableExists('schema_migrations')) return new Map();
+
+        return new Map(
+            this.db.prepare('SELECT version, applied_at FROM schema_migrations ORDER BY version').all()
+                .map(row => [row.version, row.applied_at])
+        );
+    }
+
+    /**
+     * Versione dello schema di un database creato prima delle migrazioni
+     * (0 se il database è nuovo o già gestito con schema_migrations)
+     */
+    getLegacyVersion() {
+        if (this.tableExists('schema_migrations') || !this.tableExists('config')) return 0;
+
+        const row = this.db.prepare("SELECT value FROM config WHERE key = 'schema_version'").get();
+        return row ? parseInt(row.value, 10) || 0 : 0;
+    }
+
+    status() {
+        const applied = this.getApplied();
+        const legacyVersion = this.getLegacyVersion();
+
+        return this.loadMigrations().map(m => ({
+            version: m.version,
+            name: m.name,
+            description: m.description,
+            applied: applied.has(m.version) || m.version <= legacyVersion,
+            appliedAt: applied.get(m.version) || null
+        }));
+    }
+
+    // ==========================================
+    // ESECUZIONE
+    // ==========================================
+    ensureTable() {
+        this.db.exec(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name TEXT NOT NULL,
+                applied_at TEXT NOT NULL DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+    }
+
+    /**
+     * Registra come applicate le migrazioni già presenti in un database creato
+     * prima del sistema di migrazioni (lo schema è già quello della versione indicata)
+     */
+    baseline(migrations, version) {
+        const record = this.db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+        this.db.transaction(() => {
+            for (const migration of migrations.filter(m => m.version <= version)) {
+                record.run(migration.version, migration.name);
+            }
+        })();
+        this.logger.log(`🔄 Database esistente allineato alla versione ${version}`);
+    }
+
+    /**
+     * Applica le migrazioni mancanti
+     *
+     * @param {Object} options - dryRun: esegue le migrazioni e annulla le modifiche
+     * @returns {Object} { success, dryRun, applied: [nomi], version, error }
+     */
+    run(options = {}) {
+        const dryRun = !!options.dryRun;
+        const migrations = this.loadMigrations();
+        const legacyVersion = this.getLegacyVersion();
+        const applied = this.getApplied();
+        const pending = migrations.filter(m => !applied.has(m.version) && m.version > legacyVersion);
+
+        if (!dryRun && legacyVersion > 0) {
+            this.ensureTable();
+            this.baseline(migrations, legacyVersion);
+        }
+
+        if (pending.length === 0) {
+            return { success: true, dryRun, applied: [], version: migrations.length };
+        }
+
+        return dryRun
+            ? this.dryRun(pending, legacyVersion)
+            : this.apply(migrations, pending);
+    }
+
+    apply(migrations, pending) {
+        this.ensureTable();
+
+        const record = this.db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)');
+        const applied = [];
+
+        for (const migration of pending) {
+            try {
+                this.withForeignKeys(migration.foreignKeys, () => {
+                    this.db.transaction(() => {
+                        migration.up(this.db);
+                        this.checkForeignKeys(migration);
+                        record.run(migration.version, migration.name);
+                        this.setSchemaVersion(migration.version);
+                    })();
+                });
+            } catch (error) {
+                this.logger.error(`❌ Migrazione ${migration.name} fallita:`, error.message);
+                return { success: false, dryRun: false, applied, version: migration.version - 1, error: error.message };
+            }
+
+            applied.push(migration.name);
+            this.logger.log(`✅ Migrazione applicata: ${migration.name}`);
+        }
+
+        return { success: true, dryRun: false, applied, version: migrations.length };
+    }
+
+    /**
+     * Esegue tutte le migrazioni mancanti in un'unica transazione poi annullata:
+     * verifica che si possano applicare senza modificare il database
+     */
+    dryRun(pending, legacyVersion) {
+        const rollback = new Error('dry-run');
+        const foreignKeys = pending.every(m => m.foreignKeys);
+        const applied = [];
+        let failure = null;
+
+        this.withForeignKeys(foreignKeys, () => {
+            try {
+                this.db.transaction(() => {
+                    for (const migration of pending) {
+                        try {
+                            migration.up(this.db);
+                            this.checkForeignKeys(migration);
+                        } catch (error) {
+                            failure = { migration, error };
+                            throw rollback;
+                        }
+                        applied.push(migration.name);
+                    }
+                    throw rollback;
+                })();
+            } catch (error) {
+                if (error !== rollback) throw error;
+            }
+        });
+
+        if (failure) {
+            return {
+                success: false,
+                dryRun: true,
+                applied,
+                version: failure.migration.version - 1,
+                error: `${failure.migration.name}: ${failure.error.message}`
+            };
+        }
+
+        return { success: true, dryRun: true, applied, version: Math.max(legacyVersion, ...pending.map(m => m.version)) };
+    }
+
+    /**
+     * Le migrazioni che ricostruiscono tabelle referenziate disattivano le foreign key
+     * (il pragma non ha effetto dentro una transazione, va impostato prima)
+     */
+    withForeignKeys(enabled, fn) {
+        if (enabled) return fn();
+
+        this.db.pragma('foreign_keys = OFF');
+        try {
+            return fn();
+        } finally {
+            this.db.pragma('foreign_keys = ON');
+        }
+    }
+
+    checkForeignKeys(migration) {
+        if (!migration.foreignKeys && this.db.pragma('foreign_key_check').length > 0) {
+            throw new Error('Violazione foreign key dopo la migrazione');
+        }
+    }
+
+    // Mantenuta per compatibilità con gli strumenti che leggono config.schema_version
+    setSchemaVersion(version) {
+        if (!this.tableExists('config')) return;
+
+        this.db.prepare(`
+            INSERT INTO config (key, value, updated_at)
+            VALUES ('schema_version', ?, CURRENT_TIMESTAMP)
+            ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+        `).run(String(version));
+    }
+}
+
+module.exports = { Migrator, MIGRATIONS_DIR };
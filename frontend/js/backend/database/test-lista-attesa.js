@@ -0,0 +1,156 @@
+/**
+ * Verifica della capienza e della lista d'attesa
+ * Da eseguire con: npm run test:attesa
+ *
+ * Usa un database temporaneo: controlla l'ingresso in lista d'attesa oltre la
+ * capienza, l'ordine della coda, la promozione quando si libera un posto
+ * e la capienza separata per ogni edizione.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseManager } = require('./index');
+
+const MAX_TEAMS = 2;
+
+// Le date di ingresso in lista devono essere distinte per un ordine certo
+const tick = () => new Promise(resolve => setTimeout(resolve, 5));
+
+function setup() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'attesa-'));
+    const db = new DatabaseManager({ dbPath: path.join(dir, 'test.db'), backupPath: path.join(dir, 'backups') });
+
+    return {
+        db,
+        async iscrivi(nome, options = { maxTeams: MAX_TEAMS }) {
+            await tick();
+            const result = db.createIscrizione({
+                nomeSquadra: nome,
+                cittaSquadra: 'Foggia',
+                paeseSquadra: 'Italia',
+                nomeCapitano: 'Mario',
+                cognomeCapitano: 'Rossi',
+                emailCapitano: `${nome.toLowerCase()}@example.com`,
+                telefonoCapitano: '+39 333 1234567',
+                dataNascitaCapitano: '1960-01-01',
+                provinciaFoggia: 'si'
+            }, options);
+            assert.ok(result.success, result.error);
+            return result.iscrizione;
+        },
+        coda() {
+            return db.getWaitlist().map(i => i.nome_squadra);
+        },
+        cleanup() {
+            db.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+const checks = [
+    ['Oltre la capienza le squadre vanno in lista d\'attesa', async ({ db, iscrivi, coda }) => {
+        const stati = [];
+        for (const nome of ['Alfa', 'Beta', 'Gamma', 'Delta']) {
+            stati.push((await iscrivi(nome)).status);
+        }
+
+        assert.deepStrictEqual(stati, ['pending', 'pending', 'waitlist', 'waitlist']);
+        assert.strictEqual(db.countActiveIscrizioni(), MAX_TEAMS);
+        assert.deepStrictEqual(coda(), ['Gamma', 'Delta']);
+    }],
+
+    ['Posizione in lista d\'attesa', async ({ db, iscrivi }) => {
+        const alfa = await iscrivi('Alfa');
+        await iscrivi('Beta');
+        const gamma = await iscrivi('Gamma');
+        const delta = await iscrivi('Delta');
+
+        assert.strictEqual(db.getWaitlistPosition(gamma.id), 1);
+        assert.strictEqual(db.getWaitlistPosition(delta.id), 2);
+        assert.strictEqual(db.getWaitlistPosition(alfa.id), null);
+    }],
+
+    ['Un posto liberato promuove la prima squadra in coda', async ({ db, iscrivi, coda }) => {
+        const alfa = await iscrivi('Alfa');
+        await iscrivi('Beta');
+        await iscrivi('Gamma');
+        await iscrivi('Delta');
+
+        assert.deepStrictEqual(db.promoteFromWaitlist(MAX_TEAMS), [], 'nessun posto libero');
+
+        db.updateIscrizioneStatus(alfa.id, 'rejected');
+        const promosse = db.promoteFromWaitlist(MAX_TEAMS);
+
+        assert.deepStrictEqual(promosse.map(i => [i.nome_squadra, i.status]), [['Gamma', 'pending']]);
+        assert.strictEqual(promosse[0].waitlist_at, null);
+        assert.deepStrictEqual(coda(), ['Delta']);
+    }],
+
+    ['Capienza aumentata: promosse tante squadre quanti i posti', async ({ db, iscrivi, coda }) => {
+        for (const nome of ['Alfa', 'Beta', 'Gamma', 'Delta', 'Epsilon']) {
+            await iscrivi(nome);
+        }
+
+        const promosse = db.promoteFromWaitlist(MAX_TEAMS + 2);
+
+        assert.deepStrictEqual(promosse.map(i => i.nome_squadra), ['Gamma', 'Delta']);
+        assert.deepStrictEqual(coda(), ['Epsilon']);
+    }],
+
+    ['Chi è già in coda mantiene il suo posto, chi rientra va in fondo', async ({ db, iscrivi, coda }) => {
+        const alfa = await iscrivi('Alfa');
+        await iscrivi('Beta');
+        const gamma = await iscrivi('Gamma');
+        await iscrivi('Delta');
+
+        await tick();
+        db.updateIscrizioneStatus(gamma.id, 'waitlist');
+        assert.deepStrictEqual(coda(), ['Gamma', 'Delta']);
+
+        await tick();
+        db.updateIscrizioneStatus(alfa.id, 'waitlist');
+        assert.deepStrictEqual(coda(), ['Gamma', 'Delta', 'Alfa']);
+    }],
+
+    ['Capienza separata per ogni edizione', async ({ db, iscrivi, coda }) => {
+        await iscrivi('Alfa');
+        await iscrivi('Beta');
+        await iscrivi('Gamma');
+
+        const precedente = db.getEdizioneCorrenteId();
+        const { edizione } = db.createEdizione({ anno: 2099, nome: 'Edizione di prova' });
+        db.setEdizioneCorrente(edizione.id);
+
+        assert.strictEqual((await iscrivi('Delta')).status, 'pending');
+        assert.deepStrictEqual(coda(), []);
+        assert.deepStrictEqual(db.promoteFromWaitlist(MAX_TEAMS, edizione.id), []);
+        assert.strictEqual(db.getWaitlist(precedente).length, 1);
+    }]
+];
+
+async function main() {
+    let failed = 0;
+    for (const [name, check] of checks) {
+        const context = setup();
+        try {
+            await check(context);
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        } finally {
+            context.cleanup();
+        }
+    }
+
+    if (failed > 0) {
+        console.error(`\n❌ Verifica fallita: ${failed} controlli non superati`);
+        process.exit(1);
+    }
+    console.log('\n✅ Lista d\'attesa verificata');
+}
+
+main();
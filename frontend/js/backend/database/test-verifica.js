@@ -0,0 +1,148 @@
+/**
+ * Verifica della conferma email delle iscrizioni (double opt-in)
+ * Da eseguire con: npm run test:verifica
+ *
+ * Usa un database temporaneo: controlla la firma del link, la conferma che
+ * porta in revisione o in lista d'attesa, il link scaduto, la pulizia delle
+ * iscrizioni non confermate e la sostituzione con un nuovo invio.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseManager } = require('./index');
+const links = require('../links');
+
+const MAX_TEAMS = 2;
+const ORE = 48;
+
+function setup() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'verifica-'));
+    const db = new DatabaseManager({ dbPath: path.join(dir, 'test.db'), backupPath: path.join(dir, 'backups') });
+
+    return {
+        db,
+        iscrivi(nome, options = { maxTeams: MAX_TEAMS, verificaOre: ORE }, data = {}) {
+            const result = db.createIscrizione({
+                nomeSquadra: nome,
+                cittaSquadra: 'Foggia',
+                paeseSquadra: 'Italia',
+                nomeCapitano: 'Mario',
+                cognomeCapitano: 'Rossi',
+                emailCapitano: `${nome.toLowerCase()}@example.com`,
+                telefonoCapitano: '+39 333 1234567',
+                dataNascitaCapitano: '1960-01-01',
+                provinciaFoggia: 'si',
+                ...data
+            }, options);
+            assert.ok(result.success, result.error);
+            return result;
+        },
+        scadi(id) {
+            db.db.prepare('UPDATE iscrizioni SET verifica_scadenza = ? WHERE id = ?').run(new Date(Date.now() - 1000).toISOString(), id);
+        },
+        cleanup() {
+            db.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+const checks = [
+    ['Firma del link di verifica', () => {
+        const id = 'a1b2c3';
+        const firma = new URL(links.getVerificationUrl(id)).searchParams.get('firma');
+
+        assert.ok(links.verify('verifica', id, firma));
+        assert.ok(!links.verify('verifica', 'altra-squadra', firma), 'firma di un\'altra iscrizione');
+        assert.ok(!links.verify('calendario', id, firma), 'firma di un altro uso');
+        assert.ok(!links.verify('verifica', id, firma.slice(0, -1)), 'firma troncata');
+        assert.ok(!links.verify('verifica', id, undefined), 'firma mancante');
+    }],
+
+    ['Nuova iscrizione da confermare entro la scadenza', ({ db, iscrivi }) => {
+        const before = Date.now();
+        const { iscrizione } = iscrivi('Alfa');
+        const scadenza = new Date(iscrizione.verifica_scadenza).getTime() - before;
+
+        assert.strictEqual(iscrizione.status, 'unverified');
+        assert.ok(scadenza >= ORE * 3600000 && scadenza < ORE * 3600000 + 5000, `scadenza tra ${scadenza}ms`);
+        assert.strictEqual(db.countActiveIscrizioni(), 0, 'non occupa posti');
+    }],
+
+    ['La conferma porta in revisione, poi in lista d\'attesa', ({ db, iscrivi }) => {
+        const esiti = ['Alfa', 'Beta', 'Gamma'].map(nome => {
+            const result = db.verifyIscrizione(iscrivi(nome).id, { maxTeams: MAX_TEAMS });
+            assert.strictEqual(result.esito, 'verificata');
+            return [result.iscrizione.status, Boolean(result.iscrizione.verificata_at), result.iscrizione.verifica_scadenza];
+        });
+
+        assert.deepStrictEqual(esiti, [['pending', true, null], ['pending', true, null], ['waitlist', true, null]]);
+        assert.strictEqual(db.getWaitlist().length, 1);
+    }],
+
+    ['Un link già usato non cambia nulla', ({ db, iscrivi }) => {
+        const { id } = iscrivi('Alfa');
+        db.verifyIscrizione(id, { maxTeams: MAX_TEAMS });
+        db.updateIscrizioneStatus(id, 'approved');
+
+        const result = db.verifyIscrizione(id, { maxTeams: MAX_TEAMS });
+        assert.strictEqual(result.esito, 'gia_verificata');
+        assert.strictEqual(db.getIscrizioneById(id).status, 'approved');
+    }],
+
+    ['Link scaduto o iscrizione cancellata', ({ db, iscrivi, scadi }) => {
+        const { id } = iscrivi('Alfa');
+        scadi(id);
+
+        assert.deepStrictEqual(db.verifyIscrizione(id), { success: false, error: 'scaduta' });
+        assert.strictEqual(db.getIscrizioneById(id).status, 'unverified');
+        assert.deepStrictEqual(db.verifyIscrizione('inesistente'), { success: false, error: 'non_trovata' });
+    }],
+
+    ['Pulizia delle sole iscrizioni scadute', ({ db, iscrivi, scadi }) => {
+        const alfa = iscrivi('Alfa');
+        const beta = iscrivi('Beta');
+        const gamma = iscrivi('Gamma', { maxTeams: MAX_TEAMS });
+        scadi(alfa.id);
+
+        assert.strictEqual(db.cleanupIscrizioniNonVerificate(), 1);
+        assert.strictEqual(db.getIscrizioneById(alfa.id), undefined);
+        assert.ok(db.getIscrizioneById(beta.id));
+        assert.ok(db.getIscrizioneById(gamma.id));
+    }],
+
+    ['Un nuovo invio sostituisce l\'iscrizione non confermata', ({ db, iscrivi }) => {
+        const primo = iscrivi('Alfa');
+        const secondo = iscrivi('Alfa', undefined, { cittaSquadra: 'Lucera' });
+
+        assert.ok(!primo.sostituita);
+        assert.ok(secondo.sostituita);
+        assert.strictEqual(db.getIscrizioneById(primo.id), undefined);
+        assert.strictEqual(db.getIscrizioneByEmail('alfa@example.com').citta_squadra, 'Lucera');
+
+        db.verifyIscrizione(secondo.id);
+        assert.throws(() => iscrivi('Alfa'), /Email già registrata/, 'un\'iscrizione confermata blocca l\'indirizzo');
+    }]
+];
+
+let failed = 0;
+for (const [name, check] of checks) {
+    const context = check.length > 0 ? setup() : null;
+    try {
+        check(context);
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`❌ ${name}: ${error.message}`);
+    } finally {
+        if (context) context.cleanup();
+    }
+}
+
+if (failed > 0) {
+    console.error(`\n❌ Verifica fallita: ${failed} controlli non superati`);
+    process.exit(1);
+}
+console.log('\n✅ Conferma email verificata');
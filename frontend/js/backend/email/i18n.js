@@ -0,0 +1,1062 @@
+/**
+ * Traduzioni Email - Un Foggiano nel Mondo
+ *
+ * Catalogo dei testi delle email nelle lingue supportate. La lingua di
+ * un'iscrizione è quella scelta dal capitano nel form oppure, in mancanza,
+ * quella del paese della squadra; per tutti gli altri casi si usa l'italiano.
+ *
+ * I testi con parametri sono funzioni: i valori ricevuti sono già escapati.
+ */
+
+const DEFAULT_LANGUAGE = 'it';
+
+// Lingua predefinita per paese della squadra (OTHER e paesi assenti: italiano)
+const COUNTRY_LANGUAGES = {
+    IT: 'it',
+    US: 'en',
+    GB: 'en',
+    AU: 'en',
+    ES: 'es',
+    AR: 'es',
+    BR: 'pt',
+    DE: 'de',
+    FR: 'fr'
+};
+
+// Codici motivo del rifiuto scelti dall'organizzazione ('altro' richiede un messaggio)
+const REJECTION_REASONS = ['dati_incompleti', 'requisiti', 'capienza', 'duplicata', 'altro'];
+
+const COUNTRY_FLAGS = {
+    IT: '🇮🇹',
+    US: '🇺🇸',
+    GB: '🇬🇧',
+    DE: '🇩🇪',
+    FR: '🇫🇷',
+    ES: '🇪🇸',
+    BR: '🇧🇷',
+    AR: '🇦🇷',
+    AU: '🇦🇺',
+    OTHER: '🌍'
+};
+
+const CATALOG = {
+    // ==========================================
+    // ITALIANO
+    // ==========================================
+    it: {
+        locale: 'it-IT',
+        layout: {
+            subtitle: 'Torneo Internazionale di Calcio Over 55',
+            rights: 'Tutti i diritti riservati'
+        },
+        countries: {
+            IT: 'Italia', US: 'Stati Uniti', GB: 'Regno Unito', DE: 'Germania', FR: 'Francia',
+            ES: 'Spagna', BR: 'Brasile', AR: 'Argentina', AU: 'Australia', OTHER: 'Altro'
+        },
+        labels: {
+            teamName: 'Nome Squadra',
+            city: 'Città',
+            country: 'Paese',
+            captain: 'Capitano',
+            email: 'Email',
+            phone: 'Telefono',
+            players: 'Numero Giocatori',
+            registrationDate: 'Data Iscrizione',
+            currentStatus: 'Stato attuale',
+            notes: 'Note aggiuntive',
+            tournamentDate: 'Data Torneo',
+            date: 'Data',
+            place: 'Luogo',
+            confirmedPlayers: 'Giocatori confermati'
+        },
+        status: {
+            pending: 'In attesa di revisione',
+            waitlist: position => `In lista d'attesa${position ? ` (posizione ${position})` : ''}`
+        },
+        common: {
+            greeting: name => `Ciao <strong>${name}</strong>,`,
+            questions: 'Per qualsiasi domanda, non esitare a contattarci rispondendo a questa email.',
+            contact: email => `Per qualsiasi domanda, contattaci a ${email}`,
+            seeYou: 'A presto!',
+            regards: 'Cordiali saluti,',
+            signature: 'Il Team "Un Foggiano nel Mondo"'
+        },
+        confirmation: {
+            title: 'Conferma Iscrizione',
+            subject: team => `✅ Iscrizione Ricevuta - ${team}`,
+            subjectWaitlist: team => `⏳ Iscrizione in Lista d'Attesa - ${team}`,
+            heading: 'Grazie per la tua iscrizione! 🎉',
+            intro: team => `Abbiamo ricevuto la richiesta di iscrizione per la squadra <strong>"${team}"</strong> al torneo "Un Foggiano nel Mondo".`,
+            waitlist: 'Il numero massimo di squadre è stato raggiunto. Se si libera un posto ti scriveremo automaticamente.',
+            pending: 'Ti contatteremo a breve per confermare la tua partecipazione.',
+            summary: 'Riepilogo Iscrizione'
+        },
+        approved: {
+            title: 'Iscrizione Approvata!',
+            subject: team => `🎉 Iscrizione Approvata - ${team}`,
+            heading: '✅ Iscrizione Approvata!',
+            intro: team => `Siamo lieti di comunicarti che la tua iscrizione per la squadra <strong>"${team}"</strong> è stata <strong>approvata</strong>!`,
+            congrats: '🎉 Congratulazioni!',
+            participates: 'La tua squadra parteciperà ufficialmente al torneo "Un Foggiano nel Mondo".',
+            nextSteps: 'Prossimi Passi',
+            steps: [
+                'Riceverai a breve ulteriori informazioni sulla logistica',
+                'Ti invieremo il programma dettagliato dell\'evento',
+                'Assicurati che tutti i giocatori abbiano i documenti in regola'
+            ]
+        },
+        rejected: {
+            title: 'Aggiornamento Iscrizione',
+            subject: team => `📋 Aggiornamento Iscrizione - ${team}`,
+            heading: '❌ Iscrizione Non Approvata',
+            intro: team => `Purtroppo dobbiamo comunicarti che la tua iscrizione per la squadra <strong>"${team}"</strong> non è stata approvata.`,
+            reasonsIntro: 'Questo potrebbe essere dovuto a:',
+            reasons: [
+                'Informazioni incomplete o non verificabili',
+                'Mancanza dei requisiti richiesti',
+                'Raggiungimento del numero massimo di squadre'
+            ],
+            reasonLabel: 'Motivo:',
+            messageLabel: 'Messaggio dell\'organizzazione:',
+            reasonCodes: {
+                dati_incompleti: 'Informazioni incomplete o non verificabili',
+                requisiti: 'Mancanza dei requisiti richiesti',
+                capienza: 'Raggiungimento del numero massimo di squadre',
+                duplicata: 'Iscrizione duplicata di una squadra già registrata',
+                altro: 'Altro'
+            },
+            contact: 'Se ritieni che ci sia stato un errore o desideri maggiori informazioni, non esitare a contattarci.'
+        },
+        promotion: {
+            title: 'Posto Disponibile',
+            subject: team => `🎉 Posto Disponibile - ${team}`,
+            heading: '🎉 Si è liberato un posto!',
+            intro: team => `La squadra <strong>"${team}"</strong> è uscita dalla lista d'attesa del torneo "Un Foggiano nel Mondo".`,
+            text: 'La tua iscrizione è ora in revisione: ti contatteremo a breve per confermare la partecipazione.'
+        },
+        reminder: {
+            title: 'Promemoria Torneo',
+            subject: (team, when) => `⏰ Il torneo è ${when} - ${team}`,
+            heading: '⏰ Ci siamo quasi!',
+            intro: (team, when) => `Ti ricordiamo che il torneo "Un Foggiano nel Mondo" è <strong>${when}</strong> e la squadra <strong>"${team}"</strong> è tra le partecipanti.`,
+            checklistTitle: 'Prima del torneo',
+            checklist: [
+                'Verifica che la rosa dei giocatori sia completa e aggiornata',
+                'Porta un documento d\'identità per ogni giocatore',
+                'Presentati al campo almeno 30 minuti prima della prima partita'
+            ],
+            when: days => (days === 1 ? 'domani' : `tra ${days} giorni`)
+        },
+        calendar: {
+            addTo: 'Aggiungi il torneo e le tue partite al calendario',
+            group: 'Girone',
+            matchday: 'Giornata'
+        },
+        verification: {
+            title: 'Conferma Email',
+            subject: team => `📧 Conferma la tua email - ${team}`,
+            heading: '📧 Ultimo passo: conferma la tua email',
+            intro: team => `Abbiamo ricevuto l'iscrizione della squadra <strong>"${team}"</strong>. Per completarla conferma che questo indirizzo email è corretto.`,
+            button: 'Conferma la mia email',
+            expires: hours => `Il link è valido per ${hours} ore: trascorso questo tempo l'iscrizione viene annullata e dovrai ripeterla.`,
+            ignore: 'Se non hai richiesto tu questa iscrizione, ignora questa email.'
+        },
+        admin: {
+            title: 'Nuova Iscrizione',
+            subject: (team, city) => `🆕 Nuova Iscrizione: ${team} (${city})`,
+            heading: '🆕 Nuova Iscrizione Ricevuta!',
+            team: 'Squadra',
+            from: 'Da',
+            details: 'Dettagli Completi',
+            id: 'ID Iscrizione',
+            cityCountry: 'Città / Paese',
+            captainEmail: 'Email Capitano',
+            birthDate: 'Data Nascita',
+            provincia: 'Provincia Foggia',
+            provinciaYes: '✅ Sì',
+            provinciaNo: '❌ No (ha giocatore foggiano)',
+            ip: 'IP Address',
+            dateTime: 'Data/Ora',
+            notes: '📝 Note',
+            button: 'Vai alla Dashboard Admin',
+            footnote: 'Questa è una notifica automatica. Accedi alla dashboard per approvare o rifiutare l\'iscrizione.'
+        },
+        digest: {
+            title: 'Riepilogo Giornaliero',
+            subject: date => `📊 Riepilogo giornaliero - ${date}`,
+            heading: '📊 Riepilogo Giornaliero',
+            intro: since => `Ecco cosa è successo dal ${since}.`,
+            registrations: 'Nuove Iscrizioni',
+            noRegistrations: 'Nessuna nuova iscrizione.',
+            statuses: 'Iscrizioni per Status',
+            statusNames: { pending: 'In attesa', waitlist: 'Lista d\'attesa', approved: 'Approvate', rejected: 'Rifiutate' },
+            pending: count => `Da revisionare: <strong>${count}</strong>`,
+            formErrors: 'Errori nel Form',
+            formErrorsSummary: (count, average) => `${count} errori nelle ultime 24 ore (media dei 7 giorni precedenti: ${average} al giorno).`,
+            formErrorsSpike: '⚠️ Picco di errori: controlla il form di iscrizione.',
+            topFields: 'Campi con più errori',
+            blockedIps: 'IP Bloccati',
+            noBlockedIps: 'Nessun IP bloccato al momento.',
+            blockedUntil: until => `fino al ${until}`,
+            backup: 'Backup',
+            backupOk: (date, count) => `Ultimo backup: ${date} (${count} conservati).`,
+            backupStale: date => `⚠️ Ultimo backup: ${date}, più di 24 ore fa.`,
+            backupMissing: '⚠️ Nessun backup presente.',
+            button: 'Vai alla Dashboard Admin',
+            footnote: 'Ricevi questo riepilogo perché le tue notifiche sono impostate su "riepilogo giornaliero". Puoi cambiarle dalla dashboard.'
+        }
+    },
+
+    // ==========================================
+    // ENGLISH
+    // ==========================================
+    en: {
+        locale: 'en-GB',
+        layout: {
+            subtitle: 'International Over 55 Football Tournament',
+            rights: 'All rights reserved'
+        },
+        countries: {
+            IT: 'Italy', US: 'United States', GB: 'United Kingdom', DE: 'Germany', FR: 'France',
+            ES: 'Spain', BR: 'Brazil', AR: 'Argentina', AU: 'Australia', OTHER: 'Other'
+        },
+        labels: {
+            teamName: 'Team Name',
+            city: 'City',
+            country: 'Country',
+            captain: 'Captain',
+            email: 'Email',
+            phone: 'Phone',
+            players: 'Number of Players',
+            registrationDate: 'Registration Date',
+            currentStatus: 'Current status',
+            notes: 'Additional notes',
+            tournamentDate: 'Tournament Date',
+            date: 'Date',
+            place: 'Venue',
+            confirmedPlayers: 'Confirmed players'
+        },
+        status: {
+            pending: 'Under review',
+            waitlist: position => `On the waiting list${position ? ` (position ${position})` : ''}`
+        },
+        common: {
+            greeting: name => `Hello <strong>${name}</strong>,`,
+            questions: 'If you have any questions, just reply to this email.',
+            contact: email => `If you have any questions, contact us at ${email}`,
+            seeYou: 'See you soon!',
+            regards: 'Kind regards,',
+            signature: 'The "Un Foggiano nel Mondo" Team'
+        },
+        confirmation: {
+            title: 'Registration Confirmation',
+            subject: team => `✅ Registration Received - ${team}`,
+            subjectWaitlist: team => `⏳ Registration on the Waiting List - ${team}`,
+            heading: 'Thank you for registering! 🎉',
+            intro: team => `We have received the registration of the team <strong>"${team}"</strong> for the "Un Foggiano nel Mondo" tournament.`,
+            waitlist: 'The maximum number of teams has been reached. If a place becomes available we will write to you automatically.',
+            pending: 'We will contact you shortly to confirm your participation.',
+            summary: 'Registration Summary'
+        },
+        approved: {
+            title: 'Registration Approved!',
+            subject: team => `🎉 Registration Approved - ${team}`,
+            heading: '✅ Registration Approved!',
+            intro: team => `We are pleased to inform you that the registration of the team <strong>"${team}"</strong> has been <strong>approved</strong>!`,
+            congrats: '🎉 Congratulations!',
+            participates: 'Your team will officially take part in the "Un Foggiano nel Mondo" tournament.',
+            nextSteps: 'Next Steps',
+            steps: [
+                'You will soon receive further information about logistics',
+                'We will send you the detailed programme of the event',
+                'Make sure all players have valid identity documents'
+            ]
+        },
+        rejected: {
+            title: 'Registration Update',
+            subject: team => `📋 Registration Update - ${team}`,
+            heading: '❌ Registration Not Approved',
+            intro: team => `Unfortunately, the registration of the team <strong>"${team}"</strong> has not been approved.`,
+            reasonsIntro: 'This may be due to:',
+            reasons: [
+                'Incomplete or unverifiable information',
+                'Missing eligibility requirements',
+                'The maximum number of teams has been reached'
+            ],
+            reasonLabel: 'Reason:',
+            messageLabel: 'Message from the organizers:',
+            reasonCodes: {
+                dati_incompleti: 'Incomplete or unverifiable information',
+                requisiti: 'Missing eligibility requirements',
+                capienza: 'The maximum number of teams has been reached',
+                duplicata: 'Duplicate registration of a team already registered',
+                altro: 'Other'
+            },
+            contact: 'If you believe this is a mistake or would like more information, please do not hesitate to contact us.'
+        },
+        promotion: {
+            title: 'Place Available',
+            subject: team => `🎉 Place Available - ${team}`,
+            heading: '🎉 A place has become available!',
+            intro: team => `The team <strong>"${team}"</strong> has left the waiting list of the "Un Foggiano nel Mondo" tournament.`,
+            text: 'Your registration is now under review: we will contact you shortly to confirm your participation.'
+        },
+        reminder: {
+            title: 'Tournament Reminder',
+            subject: (team, when) => `⏰ The tournament is ${when} - ${team}`,
+            heading: '⏰ Almost there!',
+            intro: (team, when) => `Just a reminder: the "Un Foggiano nel Mondo" tournament is <strong>${when}</strong> and the team <strong>"${team}"</strong> is taking part.`,
+            checklistTitle: 'Before the tournament',
+            checklist: [
+                'Make sure your player roster is complete and up to date',
+                'Bring an ID document for every player',
+                'Arrive at the pitch at least 30 minutes before your first match'
+            ],
+            when: days => (days === 1 ? 'tomorrow' : `in ${days} days`)
+        },
+        calendar: {
+            addTo: 'Add the tournament and your matches to your calendar',
+            group: 'Group',
+            matchday: 'Matchday'
+        },
+        verification: {
+            title: 'Confirm Email',
+            subject: team => `📧 Confirm your email - ${team}`,
+            heading: '📧 One last step: confirm your email',
+            intro: team => `We have received the registration for the team <strong>"${team}"</strong>. To complete it, please confirm that this email address is correct.`,
+            button: 'Confirm my email',
+            expires: hours => `The link is valid for ${hours} hours: after that the registration is cancelled and you will need to submit it again.`,
+            ignore: 'If you did not request this registration, please ignore this email.'
+        },
+        admin: {
+            title: 'New Registration',
+            subject: (team, city) => `🆕 New Registration: ${team} (${city})`,
+            heading: '🆕 New Registration Received!',
+            team: 'Team',
+            from: 'From',
+            details: 'Full Details',
+            id: 'Registration ID',
+            cityCountry: 'City / Country',
+            captainEmail: 'Captain Email',
+            birthDate: 'Date of Birth',
+            provincia: 'Province of Foggia',
+            provinciaYes: '✅ Yes',
+            provinciaNo: '❌ No (has a player from Foggia)',
+            ip: 'IP Address',
+            dateTime: 'Date/Time',
+            notes: '📝 Notes',
+            button: 'Open the Admin Dashboard',
+            footnote: 'This is an automatic notification. Log in to the dashboard to approve or reject the registration.'
+        },
+        digest: {
+            title: 'Daily Digest',
+            subject: date => `📊 Daily digest - ${date}`,
+            heading: '📊 Daily Digest',
+            intro: since => `Here is what happened since ${since}.`,
+            registrations: 'New Registrations',
+            noRegistrations: 'No new registrations.',
+            statuses: 'Registrations by Status',
+            statusNames: { pending: 'Pending', waitlist: 'Waiting list', approved: 'Approved', rejected: 'Rejected' },
+            pending: count => `To review: <strong>${count}</strong>`,
+            formErrors: 'Form Errors',
+            formErrorsSummary: (count, average) => `${count} errors in the last 24 hours (average of the previous 7 days: ${average} per day).`,
+            formErrorsSpike: '⚠️ Error spike: please check the registration form.',
+            topFields: 'Fields with the most errors',
+            blockedIps: 'Blocked IPs',
+            noBlockedIps: 'No IPs are blocked at the moment.',
+            blockedUntil: until => `until ${until}`,
+            backup: 'Backup',
+            backupOk: (date, count) => `Last backup: ${date} (${count} kept).`,
+            backupStale: date => `⚠️ Last backup: ${date}, more than 24 hours ago.`,
+            backupMissing: '⚠️ No backups found.',
+            button: 'Open the Admin Dashboard',
+            footnote: 'You receive this digest because your notifications are set to "daily digest". You can change this from the dashboard.'
+        }
+    },
+
+    // ==========================================
+    // ESPAÑOL
+    // ==========================================
+    es: {
+        locale: 'es-ES',
+        layout: {
+            subtitle: 'Torneo Internacional de Fútbol Over 55',
+            rights: 'Todos los derechos reservados'
+        },
+        countries: {
+            IT: 'Italia', US: 'Estados Unidos', GB: 'Reino Unido', DE: 'Alemania', FR: 'Francia',
+            ES: 'España', BR: 'Brasil', AR: 'Argentina', AU: 'Australia', OTHER: 'Otro'
+        },
+        labels: {
+            teamName: 'Nombre del Equipo',
+            city: 'Ciudad',
+            country: 'País',
+            captain: 'Capitán',
+            email: 'Email',
+            phone: 'Teléfono',
+            players: 'Número de Jugadores',
+            registrationDate: 'Fecha de Inscripción',
+            currentStatus: 'Estado actual',
+            notes: 'Notas adicionales',
+            tournamentDate: 'Fecha del Torneo',
+            date: 'Fecha',
+            place: 'Lugar',
+            confirmedPlayers: 'Jugadores confirmados'
+        },
+        status: {
+            pending: 'En revisión',
+            waitlist: position => `En lista de espera${position ? ` (posición ${position})` : ''}`
+        },
+        common: {
+            greeting: name => `Hola <strong>${name}</strong>,`,
+            questions: 'Para cualquier pregunta, no dudes en contactarnos respondiendo a este email.',
+            contact: email => `Para cualquier pregunta, contáctanos en ${email}`,
+            seeYou: '¡Hasta pronto!',
+            regards: 'Saludos cordiales,',
+            signature: 'El Equipo de "Un Foggiano nel Mondo"'
+        },
+        confirmation: {
+            title: 'Confirmación de Inscripción',
+            subject: team => `✅ Inscripción Recibida - ${team}`,
+            subjectWaitlist: team => `⏳ Inscripción en Lista de Espera - ${team}`,
+            heading: '¡Gracias por tu inscripción! 🎉',
+            intro: team => `Hemos recibido la solicitud de inscripción del equipo <strong>"${team}"</strong> en el torneo "Un Foggiano nel Mondo".`,
+            waitlist: 'Se ha alcanzado el número máximo de equipos. Si se libera una plaza te escribiremos automáticamente.',
+            pending: 'Te contactaremos en breve para confirmar tu participación.',
+            summary: 'Resumen de la Inscripción'
+        },
+        approved: {
+            title: '¡Inscripción Aprobada!',
+            subject: team => `🎉 Inscripción Aprobada - ${team}`,
+            heading: '✅ ¡Inscripción Aprobada!',
+            intro: team => `Nos complace comunicarte que la inscripción del equipo <strong>"${team}"</strong> ha sido <strong>aprobada</strong>.`,
+            congrats: '🎉 ¡Enhorabuena!',
+            participates: 'Tu equipo participará oficialmente en el torneo "Un Foggiano nel Mondo".',
+            nextSteps: 'Próximos Pasos',
+            steps: [
+                'En breve recibirás más información sobre la logística',
+                'Te enviaremos el programa detallado del evento',
+                'Asegúrate de que todos los jugadores tengan la documentación en regla'
+            ]
+        },
+        rejected: {
+            title: 'Actualización de la Inscripción',
+            subject: team => `📋 Actualización de la Inscripción - ${team}`,
+            heading: '❌ Inscripción No Aprobada',
+            intro: team => `Lamentamos comunicarte que la inscripción del equipo <strong>"${team}"</strong> no ha sido aprobada.`,
+            reasonsIntro: 'Esto puede deberse a:',
+            reasons: [
+                'Información incompleta o no verificable',
+                'Falta de los requisitos necesarios',
+                'Se ha alcanzado el número máximo de equipos'
+            ],
+            reasonLabel: 'Motivo:',
+            messageLabel: 'Mensaje de la organización:',
+            reasonCodes: {
+                dati_incompleti: 'Información incompleta o no verificable',
+                requisiti: 'Falta de los requisitos necesarios',
+                capienza: 'Se ha alcanzado el número máximo de equipos',
+                duplicata: 'Inscripción duplicada de un equipo ya registrado',
+                altro: 'Otro'
+            },
+            contact: 'Si crees que se trata de un error o deseas más información, no dudes en contactarnos.'
+        },
+        promotion: {
+            title: 'Plaza Disponible',
+            subject: team => `🎉 Plaza Disponible - ${team}`,
+            heading: '🎉 ¡Se ha liberado una plaza!',
+            intro: team => `El equipo <strong>"${team}"</strong> ha salido de la lista de espera del torneo "Un Foggiano nel Mondo".`,
+            text: 'Tu inscripción está ahora en revisión: te contactaremos en breve para confirmar la participación.'
+        },
+        reminder: {
+            title: 'Recordatorio del Torneo',
+            subject: (team, when) => `⏰ El torneo es ${when} - ${team}`,
+            heading: '⏰ ¡Ya casi estamos!',
+            intro: (team, when) => `Te recordamos que el torneo "Un Foggiano nel Mondo" es <strong>${when}</strong> y el equipo <strong>"${team}"</strong> está entre los participantes.`,
+            checklistTitle: 'Antes del torneo',
+            checklist: [
+                'Comprueba que la lista de jugadores esté completa y actualizada',
+                'Trae un documento de identidad para cada jugador',
+                'Preséntate en el campo al menos 30 minutos antes del primer partido'
+            ],
+            when: days => (days === 1 ? 'mañana' : `dentro de ${days} días`)
+        },
+        calendar: {
+            addTo: 'Añade el torneo y tus partidos a tu calendario',
+            group: 'Grupo',
+            matchday: 'Jornada'
+        },
+        verification: {
+            title: 'Confirmar Email',
+            subject: team => `📧 Confirma tu email - ${team}`,
+            heading: '📧 Último paso: confirma tu email',
+            intro: team => `Hemos recibido la inscripción del equipo <strong>"${team}"</strong>. Para completarla, confirma que esta dirección de email es correcta.`,
+            button: 'Confirmar mi email',
+            expires: hours => `El enlace es válido durante ${hours} horas: pasado este tiempo la inscripción se anula y tendrás que repetirla.`,
+            ignore: 'Si no has solicitado esta inscripción, ignora este email.'
+        },
+        admin: {
+            title: 'Nueva Inscripción',
+            subject: (team, city) => `🆕 Nueva Inscripción: ${team} (${city})`,
+            heading: '🆕 ¡Nueva Inscripción Recibida!',
+            team: 'Equipo',
+            from: 'Desde',
+            details: 'Detalles Completos',
+            id: 'ID de Inscripción',
+            cityCountry: 'Ciudad / País',
+            captainEmail: 'Email del Capitán',
+            birthDate: 'Fecha de Nacimiento',
+            provincia: 'Provincia de Foggia',
+            provinciaYes: '✅ Sí',
+            provinciaNo: '❌ No (tiene un jugador de Foggia)',
+            ip: 'Dirección IP',
+            dateTime: 'Fecha/Hora',
+            notes: '📝 Notas',
+            button: 'Ir al Panel de Administración',
+            footnote: 'Esta es una notificación automática. Accede al panel para aprobar o rechazar la inscripción.'
+        },
+        digest: {
+            title: 'Resumen Diario',
+            subject: date => `📊 Resumen diario - ${date}`,
+            heading: '📊 Resumen Diario',
+            intro: since => `Esto es lo que ha pasado desde el ${since}.`,
+            registrations: 'Nuevas Inscripciones',
+            noRegistrations: 'Ninguna inscripción nueva.',
+            statuses: 'Inscripciones por Estado',
+            statusNames: { pending: 'Pendientes', waitlist: 'Lista de espera', approved: 'Aprobadas', rejected: 'Rechazadas' },
+            pending: count => `Por revisar: <strong>${count}</strong>`,
+            formErrors: 'Errores en el Formulario',
+            formErrorsSummary: (count, average) => `${count} errores en las últimas 24 horas (media de los 7 días anteriores: ${average} al día).`,
+            formErrorsSpike: '⚠️ Pico de errores: revisa el formulario de inscripción.',
+            topFields: 'Campos con más errores',
+            blockedIps: 'IP Bloqueadas',
+            noBlockedIps: 'No hay IP bloqueadas en este momento.',
+            blockedUntil: until => `hasta el ${until}`,
+            backup: 'Copia de Seguridad',
+            backupOk: (date, count) => `Última copia: ${date} (${count} conservadas).`,
+            backupStale: date => `⚠️ Última copia: ${date}, hace más de 24 horas.`,
+            backupMissing: '⚠️ No hay copias de seguridad.',
+            button: 'Ir al Panel de Administración',
+            footnote: 'Recibes este resumen porque tus notificaciones están configuradas como "resumen diario". Puedes cambiarlo desde el panel.'
+        }
+    },
+
+    // ==========================================
+    // PORTUGUÊS
+    // ==========================================
+    pt: {
+        locale: 'pt-BR',
+        layout: {
+            subtitle: 'Torneio Internacional de Futebol Over 55',
+            rights: 'Todos os direitos reservados'
+        },
+        countries: {
+            IT: 'Itália', US: 'Estados Unidos', GB: 'Reino Unido', DE: 'Alemanha', FR: 'França',
+            ES: 'Espanha', BR: 'Brasil', AR: 'Argentina', AU: 'Austrália', OTHER: 'Outro'
+        },
+        labels: {
+            teamName: 'Nome do Time',
+            city: 'Cidade',
+            country: 'País',
+            captain: 'Capitão',
+            email: 'Email',
+            phone: 'Telefone',
+            players: 'Número de Jogadores',
+            registrationDate: 'Data de Inscrição',
+            currentStatus: 'Situação atual',
+            notes: 'Observações',
+            tournamentDate: 'Data do Torneio',
+            date: 'Data',
+            place: 'Local',
+            confirmedPlayers: 'Jogadores confirmados'
+        },
+        status: {
+            pending: 'Em análise',
+            waitlist: position => `Na lista de espera${position ? ` (posição ${position})` : ''}`
+        },
+        common: {
+            greeting: name => `Olá <strong>${name}</strong>,`,
+            questions: 'Se tiver qualquer dúvida, basta responder a este email.',
+            contact: email => `Se tiver qualquer dúvida, fale conosco em ${email}`,
+            seeYou: 'Até breve!',
+            regards: 'Atenciosamente,',
+            signature: 'A Equipe "Un Foggiano nel Mondo"'
+        },
+        confirmation: {
+            title: 'Confirmação de Inscrição',
+            subject: team => `✅ Inscrição Recebida - ${team}`,
+            subjectWaitlist: team => `⏳ Inscrição na Lista de Espera - ${team}`,
+            heading: 'Obrigado pela sua inscrição! 🎉',
+            intro: team => `Recebemos o pedido de inscrição do time <strong>"${team}"</strong> no torneio "Un Foggiano nel Mondo".`,
+            waitlist: 'O número máximo de times foi atingido. Se uma vaga for liberada, escreveremos para você automaticamente.',
+            pending: 'Entraremos em contato em breve para confirmar a sua participação.',
+            summary: 'Resumo da Inscrição'
+        },
+        approved: {
+            title: 'Inscrição Aprovada!',
+            subject: team => `🎉 Inscrição Aprovada - ${team}`,
+            heading: '✅ Inscrição Aprovada!',
+            intro: team => `Temos o prazer de informar que a inscrição do time <strong>"${team}"</strong> foi <strong>aprovada</strong>!`,
+            congrats: '🎉 Parabéns!',
+            participates: 'O seu time participará oficialmente do torneio "Un Foggiano nel Mondo".',
+            nextSteps: 'Próximos Passos',
+            steps: [
+                'Em breve você receberá mais informações sobre a logística',
+                'Enviaremos a programação detalhada do evento',
+                'Verifique se todos os jogadores estão com os documentos em dia'
+            ]
+        },
+        rejected: {
+            title: 'Atualização da Inscrição',
+            subject: team => `📋 Atualização da Inscrição - ${team}`,
+            heading: '❌ Inscrição Não Aprovada',
+            intro: team => `Infelizmente, a inscrição do time <strong>"${team}"</strong> não foi aprovada.`,
+            reasonsIntro: 'Isso pode ter acontecido por:',
+            reasons: [
+                'Informações incompletas ou não verificáveis',
+                'Falta dos requisitos exigidos',
+                'O número máximo de times foi atingido'
+            ],
+            reasonLabel: 'Motivo:',
+            messageLabel: 'Mensagem da organização:',
+            reasonCodes: {
+                dati_incompleti: 'Informações incompletas ou não verificáveis',
+                requisiti: 'Falta dos requisitos exigidos',
+                capienza: 'O número máximo de times foi atingido',
+                duplicata: 'Inscrição duplicada de um time já registrado',
+                altro: 'Outro'
+            },
+            contact: 'Se você acredita que houve um erro ou deseja mais informações, não hesite em nos contatar.'
+        },
+        promotion: {
+            title: 'Vaga Disponível',
+            subject: team => `🎉 Vaga Disponível - ${team}`,
+            heading: '🎉 Uma vaga foi liberada!',
+            intro: team => `O time <strong>"${team}"</strong> saiu da lista de espera do torneio "Un Foggiano nel Mondo".`,
+            text: 'A sua inscrição está agora em análise: entraremos em contato em breve para confirmar a participação.'
+        },
+        reminder: {
+            title: 'Lembrete do Torneio',
+            subject: (team, when) => `⏰ O torneio é ${when} - ${team}`,
+            heading: '⏰ Está quase!',
+            intro: (team, when) => `Lembramos que o torneio "Un Foggiano nel Mondo" é <strong>${when}</strong> e o time <strong>"${team}"</strong> está entre os participantes.`,
+            checklistTitle: 'Antes do torneio',
+            checklist: [
+                'Verifique se a lista de jogadores está completa e atualizada',
+                'Traga um documento de identidade para cada jogador',
+                'Chegue ao campo pelo menos 30 minutos antes da primeira partida'
+            ],
+            when: days => (days === 1 ? 'amanhã' : `daqui a ${days} dias`)
+        },
+        calendar: {
+            addTo: 'Adicione o torneio e as suas partidas ao seu calendário',
+            group: 'Grupo',
+            matchday: 'Rodada'
+        },
+        verification: {
+            title: 'Confirmar Email',
+            subject: team => `📧 Confirme o seu email - ${team}`,
+            heading: '📧 Último passo: confirme o seu email',
+            intro: team => `Recebemos a inscrição da equipa <strong>"${team}"</strong>. Para a concluir, confirme que este endereço de email está correto.`,
+            button: 'Confirmar o meu email',
+            expires: hours => `O link é válido durante ${hours} horas: depois disso a inscrição é cancelada e terá de a repetir.`,
+            ignore: 'Se não pediu esta inscrição, ignore este email.'
+        },
+        admin: {
+            title: 'Nova Inscrição',
+            subject: (team, city) => `🆕 Nova Inscrição: ${team} (${city})`,
+            heading: '🆕 Nova Inscrição Recebida!',
+            team: 'Time',
+            from: 'De',
+            details: 'Detalhes Completos',
+            id: 'ID da Inscrição',
+            cityCountry: 'Cidade / País',
+            captainEmail: 'Email do Capitão',
+            birthDate: 'Data de Nascimento',
+            provincia: 'Província de Foggia',
+            provinciaYes: '✅ Sim',
+            provinciaNo: '❌ Não (tem um jogador de Foggia)',
+            ip: 'Endereço IP',
+            dateTime: 'Data/Hora',
+            notes: '📝 Observações',
+            button: 'Abrir o Painel Admin',
+            footnote: 'Esta é uma notificação automática. Acesse o painel para aprovar ou recusar a inscrição.'
+        },
+        digest: {
+            title: 'Resumo Diário',
+            subject: date => `📊 Resumo diário - ${date}`,
+            heading: '📊 Resumo Diário',
+            intro: since => `Veja o que aconteceu desde ${since}.`,
+            registrations: 'Novas Inscrições',
+            noRegistrations: 'Nenhuma nova inscrição.',
+            statuses: 'Inscrições por Status',
+            statusNames: { pending: 'Pendentes', waitlist: 'Lista de espera', approved: 'Aprovadas', rejected: 'Recusadas' },
+            pending: count => `Para revisar: <strong>${count}</strong>`,
+            formErrors: 'Erros no Formulário',
+            formErrorsSummary: (count, average) => `${count} erros nas últimas 24 horas (média dos 7 dias anteriores: ${average} por dia).`,
+            formErrorsSpike: '⚠️ Pico de erros: verifique o formulário de inscrição.',
+            topFields: 'Campos com mais erros',
+            blockedIps: 'IPs Bloqueados',
+            noBlockedIps: 'Nenhum IP bloqueado no momento.',
+            blockedUntil: until => `até ${until}`,
+            backup: 'Backup',
+            backupOk: (date, count) => `Último backup: ${date} (${count} mantidos).`,
+            backupStale: date => `⚠️ Último backup: ${date}, há mais de 24 horas.`,
+            backupMissing: '⚠️ Nenhum backup encontrado.',
+            button: 'Abrir o Painel Admin',
+            footnote: 'Você recebe este resumo porque suas notificações estão configuradas como "resumo diário". Você pode alterar isso no painel.'
+        }
+    },
+
+    // ==========================================
+    // DEUTSCH
+    // ==========================================
+    de: {
+        locale: 'de-DE',
+        layout: {
+            subtitle: 'Internationales Ü55-Fußballturnier',
+            rights: 'Alle Rechte vorbehalten'
+        },
+        countries: {
+            IT: 'Italien', US: 'Vereinigte Staaten', GB: 'Vereinigtes Königreich', DE: 'Deutschland', FR: 'Frankreich',
+            ES: 'Spanien', BR: 'Brasilien', AR: 'Argentinien', AU: 'Australien', OTHER: 'Andere'
+        },
+        labels: {
+            teamName: 'Mannschaftsname',
+            city: 'Stadt',
+            country: 'Land',
+            captain: 'Kapitän',
+            email: 'E-Mail',
+            phone: 'Telefon',
+            players: 'Anzahl Spieler',
+            registrationDate: 'Anmeldedatum',
+            currentStatus: 'Aktueller Status',
+            notes: 'Zusätzliche Hinweise',
+            tournamentDate: 'Turnierdatum',
+            date: 'Datum',
+            place: 'Ort',
+            confirmedPlayers: 'Bestätigte Spieler'
+        },
+        status: {
+            pending: 'In Prüfung',
+            waitlist: position => `Auf der Warteliste${position ? ` (Position ${position})` : ''}`
+        },
+        common: {
+            greeting: name => `Hallo <strong>${name}</strong>,`,
+            questions: 'Bei Fragen antworte einfach auf diese E-Mail.',
+            contact: email => `Bei Fragen erreichst du uns unter ${email}`,
+            seeYou: 'Bis bald!',
+            regards: 'Viele Grüße,',
+            signature: 'Das Team von "Un Foggiano nel Mondo"'
+        },
+        confirmation: {
+            title: 'Anmeldebestätigung',
+            subject: team => `✅ Anmeldung Erhalten - ${team}`,
+            subjectWaitlist: team => `⏳ Anmeldung auf der Warteliste - ${team}`,
+            heading: 'Danke für deine Anmeldung! 🎉',
+            intro: team => `Wir haben die Anmeldung der Mannschaft <strong>"${team}"</strong> für das Turnier "Un Foggiano nel Mondo" erhalten.`,
+            waitlist: 'Die maximale Anzahl an Mannschaften ist erreicht. Wird ein Platz frei, schreiben wir dir automatisch.',
+            pending: 'Wir melden uns in Kürze, um deine Teilnahme zu bestätigen.',
+            summary: 'Zusammenfassung der Anmeldung'
+        },
+        approved: {
+            title: 'Anmeldung Bestätigt!',
+            subject: team => `🎉 Anmeldung Bestätigt - ${team}`,
+            heading: '✅ Anmeldung Bestätigt!',
+            intro: team => `Wir freuen uns, dir mitzuteilen, dass die Anmeldung der Mannschaft <strong>"${team}"</strong> <strong>bestätigt</strong> wurde!`,
+            congrats: '🎉 Herzlichen Glückwunsch!',
+            participates: 'Deine Mannschaft nimmt offiziell am Turnier "Un Foggiano nel Mondo" teil.',
+            nextSteps: 'Nächste Schritte',
+            steps: [
+                'In Kürze erhältst du weitere Informationen zur Logistik',
+                'Wir schicken dir das ausführliche Programm der Veranstaltung',
+                'Stelle sicher, dass alle Spieler gültige Ausweisdokumente haben'
+            ]
+        },
+        rejected: {
+            title: 'Neuigkeiten zur Anmeldung',
+            subject: team => `📋 Neuigkeiten zur Anmeldung - ${team}`,
+            heading: '❌ Anmeldung Nicht Bestätigt',
+            intro: team => `Leider müssen wir dir mitteilen, dass die Anmeldung der Mannschaft <strong>"${team}"</strong> nicht bestätigt wurde.`,
+            reasonsIntro: 'Mögliche Gründe:',
+            reasons: [
+                'Unvollständige oder nicht überprüfbare Angaben',
+                'Fehlende Teilnahmevoraussetzungen',
+                'Die maximale Anzahl an Mannschaften ist erreicht'
+            ],
+            reasonLabel: 'Grund:',
+            messageLabel: 'Nachricht der Organisatoren:',
+            reasonCodes: {
+                dati_incompleti: 'Unvollständige oder nicht überprüfbare Angaben',
+                requisiti: 'Fehlende Teilnahmevoraussetzungen',
+                capienza: 'Die maximale Anzahl an Mannschaften ist erreicht',
+                duplicata: 'Doppelte Anmeldung einer bereits registrierten Mannschaft',
+                altro: 'Sonstiges'
+            },
+            contact: 'Wenn du glaubst, dass es sich um einen Fehler handelt, oder weitere Informationen möchtest, kontaktiere uns gerne.'
+        },
+        promotion: {
+            title: 'Platz Frei',
+            subject: team => `🎉 Platz Frei - ${team}`,
+            heading: '🎉 Ein Platz ist frei geworden!',
+            intro: team => `Die Mannschaft <strong>"${team}"</strong> ist von der Warteliste des Turniers "Un Foggiano nel Mondo" nachgerückt.`,
+            text: 'Deine Anmeldung wird jetzt geprüft: Wir melden uns in Kürze, um die Teilnahme zu bestätigen.'
+        },
+        reminder: {
+            title: 'Turnier-Erinnerung',
+            subject: (team, when) => `⏰ Das Turnier beginnt ${when} - ${team}`,
+            heading: '⏰ Bald ist es so weit!',
+            intro: (team, when) => `Zur Erinnerung: Das Turnier "Un Foggiano nel Mondo" beginnt <strong>${when}</strong> und die Mannschaft <strong>"${team}"</strong> ist dabei.`,
+            checklistTitle: 'Vor dem Turnier',
+            checklist: [
+                'Prüfe, ob der Spielerkader vollständig und aktuell ist',
+                'Bringt für jeden Spieler einen Ausweis mit',
+                'Seid mindestens 30 Minuten vor dem ersten Spiel am Platz'
+            ],
+            when: days => (days === 1 ? 'morgen' : `in ${days} Tagen`)
+        },
+        calendar: {
+            addTo: 'Füge das Turnier und eure Spiele deinem Kalender hinzu',
+            group: 'Gruppe',
+            matchday: 'Spieltag'
+        },
+        verification: {
+            title: 'E-Mail Bestätigen',
+            subject: team => `📧 Bestätige deine E-Mail - ${team}`,
+            heading: '📧 Letzter Schritt: Bestätige deine E-Mail',
+            intro: team => `Wir haben die Anmeldung der Mannschaft <strong>"${team}"</strong> erhalten. Um sie abzuschließen, bestätige bitte, dass diese E-Mail-Adresse korrekt ist.`,
+            button: 'Meine E-Mail bestätigen',
+            expires: hours => `Der Link ist ${hours} Stunden gültig: danach wird die Anmeldung storniert und du musst sie erneut absenden.`,
+            ignore: 'Wenn du diese Anmeldung nicht angefordert hast, ignoriere diese E-Mail.'
+        },
+        admin: {
+            title: 'Neue Anmeldung',
+            subject: (team, city) => `🆕 Neue Anmeldung: ${team} (${city})`,
+            heading: '🆕 Neue Anmeldung Eingegangen!',
+            team: 'Mannschaft',
+            from: 'Aus',
+            details: 'Alle Details',
+            id: 'Anmelde-ID',
+            cityCountry: 'Stadt / Land',
+            captainEmail: 'E-Mail Kapitän',
+            birthDate: 'Geburtsdatum',
+            provincia: 'Provinz Foggia',
+            provinciaYes: '✅ Ja',
+            provinciaNo: '❌ Nein (hat einen Spieler aus Foggia)',
+            ip: 'IP-Adresse',
+            dateTime: 'Datum/Uhrzeit',
+            notes: '📝 Hinweise',
+            button: 'Zum Admin-Dashboard',
+            footnote: 'Dies ist eine automatische Benachrichtigung. Melde dich im Dashboard an, um die Anmeldung zu bestätigen oder abzulehnen.'
+        },
+        digest: {
+            title: 'Tägliche Zusammenfassung',
+            subject: date => `📊 Tägliche Zusammenfassung - ${date}`,
+            heading: '📊 Tägliche Zusammenfassung',
+            intro: since => `Das ist seit ${since} passiert.`,
+            registrations: 'Neue Anmeldungen',
+            noRegistrations: 'Keine neuen Anmeldungen.',
+            statuses: 'Anmeldungen nach Status',
+            statusNames: { pending: 'Offen', waitlist: 'Warteliste', approved: 'Bestätigt', rejected: 'Abgelehnt' },
+            pending: count => `Zu prüfen: <strong>${count}</strong>`,
+            formErrors: 'Formularfehler',
+            formErrorsSummary: (count, average) => `${count} Fehler in den letzten 24 Stunden (Durchschnitt der 7 Tage davor: ${average} pro Tag).`,
+            formErrorsSpike: '⚠️ Fehlerspitze: Bitte das Anmeldeformular prüfen.',
+            topFields: 'Felder mit den meisten Fehlern',
+            blockedIps: 'Gesperrte IPs',
+            noBlockedIps: 'Derzeit sind keine IPs gesperrt.',
+            blockedUntil: until => `bis ${until}`,
+            backup: 'Backup',
+            backupOk: (date, count) => `Letztes Backup: ${date} (${count} aufbewahrt).`,
+            backupStale: date => `⚠️ Letztes Backup: ${date}, vor mehr als 24 Stunden.`,
+            backupMissing: '⚠️ Keine Backups vorhanden.',
+            button: 'Zum Admin-Dashboard',
+            footnote: 'Du erhältst diese Zusammenfassung, weil deine Benachrichtigungen auf "tägliche Zusammenfassung" eingestellt sind. Du kannst das im Dashboard ändern.'
+        }
+    },
+
+    // ==========================================
+    // FRANÇAIS
+    // ==========================================
+    fr: {
+        locale: 'fr-FR',
+        layout: {
+            subtitle: 'Tournoi International de Football Over 55',
+            rights: 'Tous droits réservés'
+        },
+        countries: {
+            IT: 'Italie', US: 'États-Unis', GB: 'Royaume-Uni', DE: 'Allemagne', FR: 'France',
+            ES: 'Espagne', BR: 'Brésil', AR: 'Argentine', AU: 'Australie', OTHER: 'Autre'
+        },
+        labels: {
+            teamName: 'Nom de l\'Équipe',
+            city: 'Ville',
+            country: 'Pays',
+            captain: 'Capitaine',
+            email: 'Email',
+            phone: 'Téléphone',
+            players: 'Nombre de Joueurs',
+            registrationDate: 'Date d\'Inscription',
+            currentStatus: 'Statut actuel',
+            notes: 'Notes complémentaires',
+            tournamentDate: 'Date du Tournoi',
+            date: 'Date',
+            place: 'Lieu',
+            confirmedPlayers: 'Joueurs confirmés'
+        },
+        status: {
+            pending: 'En cours d\'examen',
+            waitlist: position => `Sur liste d'attente${position ? ` (position ${position})` : ''}`
+        },
+        common: {
+            greeting: name => `Bonjour <strong>${name}</strong>,`,
+            questions: 'Pour toute question, n\'hésitez pas à nous contacter en répondant à cet email.',
+            contact: email => `Pour toute question, contactez-nous à ${email}`,
+            seeYou: 'À bientôt !',
+            regards: 'Cordialement,',
+            signature: 'L\'Équipe "Un Foggiano nel Mondo"'
+        },
+        confirmation: {
+            title: 'Confirmation d\'Inscription',
+            subject: team => `✅ Inscription Reçue - ${team}`,
+            subjectWaitlist: team => `⏳ Inscription sur Liste d'Attente - ${team}`,
+            heading: 'Merci pour votre inscription ! 🎉',
+            intro: team => `Nous avons bien reçu la demande d'inscription de l'équipe <strong>"${team}"</strong> au tournoi "Un Foggiano nel Mondo".`,
+            waitlist: 'Le nombre maximum d\'équipes est atteint. Si une place se libère, nous vous écrirons automatiquement.',
+            pending: 'Nous vous contacterons rapidement pour confirmer votre participation.',
+            summary: 'Récapitulatif de l\'Inscription'
+        },
+        approved: {
+            title: 'Inscription Approuvée !',
+            subject: team => `🎉 Inscription Approuvée - ${team}`,
+            heading: '✅ Inscription Approuvée !',
+            intro: team => `Nous avons le plaisir de vous informer que l'inscription de l'équipe <strong>"${team}"</strong> a été <strong>approuvée</strong> !`,
+            congrats: '🎉 Félicitations !',
+            participates: 'Votre équipe participera officiellement au tournoi "Un Foggiano nel Mondo".',
+            nextSteps: 'Prochaines Étapes',
+            steps: [
+                'Vous recevrez bientôt des informations complémentaires sur la logistique',
+                'Nous vous enverrons le programme détaillé de l\'événement',
+                'Assurez-vous que tous les joueurs disposent de documents d\'identité valides'
+            ]
+        },
+        rejected: {
+            title: 'Mise à Jour de l\'Inscription',
+            subject: team => `📋 Mise à Jour de l'Inscription - ${team}`,
+            heading: '❌ Inscription Non Approuvée',
+            intro: team => `Nous sommes au regret de vous informer que l'inscription de l'équipe <strong>"${team}"</strong> n'a pas été approuvée.`,
+            reasonsIntro: 'Cela peut être dû à :',
+            reasons: [
+                'Des informations incomplètes ou invérifiables',
+                'L\'absence des conditions requises',
+                'Le nombre maximum d\'équipes a été atteint'
+            ],
+            reasonLabel: 'Motif :',
+            messageLabel: 'Message de l\'organisation :',
+            reasonCodes: {
+                dati_incompleti: 'Des informations incomplètes ou invérifiables',
+                requisiti: 'L\'absence des conditions requises',
+                capienza: 'Le nombre maximum d\'équipes a été atteint',
+                duplicata: 'Une inscription en double d\'une équipe déjà enregistrée',
+                altro: 'Autre'
+            },
+            contact: 'Si vous pensez qu\'il s\'agit d\'une erreur ou souhaitez plus d\'informations, n\'hésitez pas à nous contacter.'
+        },
+        promotion: {
+            title: 'Place Disponible',
+            subject: team => `🎉 Place Disponible - ${team}`,
+            heading: '🎉 Une place s\'est libérée !',
+            intro: team => `L'équipe <strong>"${team}"</strong> est sortie de la liste d'attente du tournoi "Un Foggiano nel Mondo".`,
+            text: 'Votre inscription est maintenant en cours d\'examen : nous vous contacterons rapidement pour confirmer la participation.'
+        },
+        reminder: {
+            title: 'Rappel du Tournoi',
+            subject: (team, when) => `⏰ Le tournoi a lieu ${when} - ${team}`,
+            heading: '⏰ On y est presque !',
+            intro: (team, when) => `Nous vous rappelons que le tournoi "Un Foggiano nel Mondo" a lieu <strong>${when}</strong> et que l'équipe <strong>"${team}"</strong> fait partie des participants.`,
+            checklistTitle: 'Avant le tournoi',
+            checklist: [
+                'Vérifiez que la liste des joueurs est complète et à jour',
+                'Apportez une pièce d\'identité pour chaque joueur',
+                'Présentez-vous au terrain au moins 30 minutes avant le premier match'
+            ],
+            when: days => (days === 1 ? 'demain' : `dans ${days} jours`)
+        },
+        calendar: {
+            addTo: 'Ajoutez le tournoi et vos matchs à votre calendrier',
+            group: 'Groupe',
+            matchday: 'Journée'
+        },
+        verification: {
+            title: 'Confirmer l\'Email',
+            subject: team => `📧 Confirmez votre email - ${team}`,
+            heading: '📧 Dernière étape : confirmez votre email',
+            intro: team => `Nous avons reçu l'inscription de l'équipe <strong>"${team}"</strong>. Pour la finaliser, confirmez que cette adresse email est correcte.`,
+            button: 'Confirmer mon email',
+            expires: hours => `Le lien est valable ${hours} heures : passé ce délai, l'inscription est annulée et vous devrez la renouveler.`,
+            ignore: 'Si vous n\'avez pas demandé cette inscription, ignorez cet email.'
+        },
+        admin: {
+            title: 'Nouvelle Inscription',
+            subject: (team, city) => `🆕 Nouvelle Inscription : ${team} (${city})`,
+            heading: '🆕 Nouvelle Inscription Reçue !',
+            team: 'Équipe',
+            from: 'De',
+            details: 'Détails Complets',
+            id: 'ID d\'Inscription',
+            cityCountry: 'Ville / Pays',
+            captainEmail: 'Email du Capitaine',
+            birthDate: 'Date de Naissance',
+            provincia: 'Province de Foggia',
+            provinciaYes: '✅ Oui',
+            provinciaNo: '❌ Non (a un joueur de Foggia)',
+            ip: 'Adresse IP',
+            dateTime: 'Date/Heure',
+            notes: '📝 Notes',
+            button: 'Ouvrir le Tableau de Bord Admin',
+            footnote: 'Ceci est une notification automatique. Connectez-vous au tableau de bord pour approuver ou refuser l\'inscription.'
+        },
+        digest: {
+            title: 'Récapitulatif Quotidien',
+            subject: date => `📊 Récapitulatif quotidien - ${date}`,
+            heading: '📊 Récapitulatif Quotidien',
+            intro: since => `Voici ce qui s'est passé depuis le ${since}.`,
+            registrations: 'Nouvelles Inscriptions',
+            noRegistrations: 'Aucune nouvelle inscription.',
+            statuses: 'Inscriptions par Statut',
+            statusNames: { pending: 'En attente', waitlist: 'Liste d\'attente', approved: 'Approuvées', rejected: 'Refusées' },
+            pending: count => `À examiner : <strong>${count}</strong>`,
+            formErrors: 'Erreurs du Formulaire',
+            formErrorsSummary: (count, average) => `${count} erreurs au cours des dernières 24 heures (moyenne des 7 jours précédents : ${average} par jour).`,
+            formErrorsSpike: '⚠️ Pic d\'erreurs : vérifiez le formulaire d\'inscription.',
+            topFields: 'Champs avec le plus d\'erreurs',
+            blockedIps: 'IP Bloquées',
+            noBlockedIps: 'Aucune IP bloquée pour le moment.',
+            blockedUntil: until => `jusqu'au ${until}`,
+            backup: 'Sauvegarde',
+            backupOk: (date, count) => `Dernière sauvegarde : ${date} (${count} conservées).`,
+            backupStale: date => `⚠️ Dernière sauvegarde : ${date}, il y a plus de 24 heures.`,
+            backupMissing: '⚠️ Aucune sauvegarde trouvée.',
+            button: 'Ouvrir le Tableau de Bord Admin',
+            footnote: 'Vous recevez ce récapitulatif car vos notifications sont réglées sur "récapitulatif quotidien". Vous pouvez le modifier depuis le tableau de bord.'
+        }
+    }
+};
+
+const LANGUAGES = Object.keys(CATALOG);
+
+/**
+ * Lingua delle email di un'iscrizione: preferenza salvata, poi paese della squadra
+ */
+function getLanguage(iscrizione) {
+    if (iscrizione.lingua && CATALOG[iscrizione.lingua]) {
+        return iscrizione.lingua;
+    }
+    return COUNTRY_LANGUAGES[iscrizione.paese_squadra] || DEFAULT_LANGUAGE;
+}
+
+function getCatalog(lang) {
+    return CATALOG[lang] || CATALOG[DEFAULT_LANGUAGE];
+}
+
+module.exports = { LANGUAGES, DEFAULT_LANGUAGE, COUNTRY_FLAGS, REJECTION_REASONS, getLanguage, getCatalog };
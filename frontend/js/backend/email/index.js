@@ -2,12 +2,18 @@
  * Email Service - Un Foggiano nel Mondo
  * 
  * Sistema robusto per invio email con:
- * - Template HTML professionali
- * - Queue con retry automatico
+ * - Template HTML professionali, tradotti nella lingua del capitano (vedi i18n.js)
+ * - Modelli con segnaposto modificabili dalla dashboard (vedi templates.js)
+ * - Coda persistente con retry automatico (vedi outbox.js)
+ * - Trasporto selezionabile: SMTP, sendmail o casella su file per lo sviluppo (vedi transports.js)
  * - Logging
  */
 
-const nodemailer = require('nodemailer');
+const { resolveTransport, createTransport } = require('./transports');
+const { DEFAULT_LANGUAGE, COUNTRY_FLAGS, getLanguage, getCatalog } = require('./i18n');
+const { TEMPLATES, fillPlaceholders, getDefaultTemplate } = require('./templates');
+const { getSiteUrl, getVerificationUrl, getCalendarUrl } = require('../links');
+const { formatEventDate, formatEventPlace } = require('../evento');
 
 class EmailService {
     constructor(options = {}) {
@@ -21,28 +27,53 @@ class EmailService {
             }
         };
         
-        this.from = options.from || process.env.EMAIL_FROM || '"Un Foggiano nel Mondo" <ilfoggianonelmondo@libero.it>';
-        this.adminEmail = options.adminEmail || process.env.ADMIN_EMAIL || 'ilfoggianonelmondo@libero.it';
+        // Senza EMAIL_FROM e ADMIN_EMAIL si usa l'email di contatto dell'evento
+        this.from = options.from || process.env.EMAIL_FROM || null;
+        this.adminEmail = options.adminEmail || process.env.ADMIN_EMAIL || null;
+        this.adminLanguage = options.adminLanguage || process.env.ADMIN_EMAIL_LANGUAGE || DEFAULT_LANGUAGE;
+
+        // Trasporto richiesto (EMAIL_TRANSPORT): smtp, sendmail o file
+        this.transportOption = options.transport || process.env.EMAIL_TRANSPORT;
+        this.sendmailPath = options.sendmailPath || process.env.SENDMAIL_PATH;
         
-        // Queue per retry
-        this.emailQueue = [];
-        this.isProcessing = false;
-        this.maxRetries = 3;
-        this.retryDelay = 5000; // 5 secondi
+        // Coda persistente (EmailOutbox): senza coda le email partono subito, senza retry
+        this.outbox = null;
+
+        // Modelli personalizzati dalla dashboard (vedi templates.js)
+        this.templates = null;
+
+        // Dettagli dell'evento: data, luogo e contatti (vedi evento/index.js)
+        this.evento = null;
+
+        // Destinatari delle notifiche admin scelti dalla dashboard (il database)
+        this.adminRecipients = null;
         
         // Crea transporter
         this.transporter = null;
+        this.transportName = null;
         this.init();
     }
 
     init() {
-        if (!this.config.auth.user || !this.config.auth.pass) {
-            console.warn('⚠️ Email service: credenziali SMTP non configurate');
+        this.transportName = resolveTransport({ transport: this.transportOption, smtp: this.config });
+
+        if (!this.transportName) {
+            console.warn('⚠️ Email service: credenziali SMTP non configurate (imposta EMAIL_TRANSPORT per un altro trasporto)');
+            return;
+        }
+
+        this.transporter = createTransport(this.transportName, {
+            smtp: this.config,
+            sendmailPath: this.sendmailPath
+        });
+
+        if (this.transportName !== 'smtp') {
+            console.log(this.transportName === 'file'
+                ? '📭 Email service: trasporto su file, le email restano nella casella di sviluppo (/admin/mailbox)'
+                : '✅ Email service pronto (sendmail)');
             return;
         }
 
-        this.transporter = nodemailer.createTransport(this.config);
-        
         // Verifica connessione
         this.transporter.verify()
             .then(() => console.log('✅ Email service pronto'))
@@ -53,14 +84,18 @@ class EmailService {
     // TEMPLATES
     // ==========================================
     
-    getBaseTemplate(content, title) {
+    getBaseTemplate(content, title, lang = DEFAULT_LANGUAGE) {
+        const t = getCatalog(lang);
+        const evento = this.getEvent();
+        const email = this.escapeHtml(evento.email);
+
         return `
             <!DOCTYPE html>
-            <html lang="it">
+            <html lang="${lang}">
             <head>
                 <meta charset="UTF-8">
                 <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                <title>${title}</title>
+                <title>${this.escapeHtml(title)}</title>
                 <style>
                     body {
                         font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif;
@@ -146,6 +181,10 @@ class EmailService {
                         background: #fff3cd;
                         color: #856404;
                     }
+                    .status-waitlist {
+                        background: #e2e3f3;
+                        color: #383d7c;
+                    }
                     .footer {
                         background: #1a1a1a;
                         color: #999;
@@ -168,16 +207,18 @@ class EmailService {
                 <div class="container">
                     <div class="header">
                         <h1>⚽ Un Foggiano nel Mondo</h1>
-                        <p>Torneo Internazionale di Calcio Over 55</p>
+                        <p>${t.layout.subtitle}</p>
                     </div>
                     <div class="content">
                         ${content}
                     </div>
                     <div class="footer">
-                        <p>© 2025 Un Foggiano nel Mondo - Tutti i diritti riservati</p>
+                        <p>© 2025 Un Foggiano nel Mondo - ${t.layout.rights}</p>
                         <p>
-                            <a href="mailto:ilfoggianonelmondo@libero.it">ilfoggianonelmondo@libero.it</a> | 
-                            Foggia, Italia
+                            ${[
+                                email ? `<a href="mailto:${email}">${email}</a>` : '',
+                                this.escapeHtml(evento.luogo)
+                            ].filter(Boolean).join(' | ')}
                         </p>
                     </div>
                 </div>
@@ -187,223 +228,365 @@ class EmailService {
     }
 
     // ==========================================
-    // EMAIL TEMPLATES
+    // DETTAGLI EVENTO
     // ==========================================
 
-    // Email conferma iscrizione (all'utente)
-    getConfirmationEmail(iscrizione) {
-        const content = `
-            <h2>Grazie per la tua iscrizione! 🎉</h2>
-            
-            <p>Ciao <strong>${this.escapeHtml(iscrizione.nome_capitano)}</strong>,</p>
-            
-            <p>Abbiamo ricevuto la richiesta di iscrizione per la squadra <strong>"${this.escapeHtml(iscrizione.nome_squadra)}"</strong> al torneo "Un Foggiano nel Mondo".</p>
-            
-            <div class="highlight-box">
-                <p><strong>Stato attuale:</strong> <span class="status-badge status-pending">In attesa di revisione</span></p>
-                <p>Ti contatteremo a breve per confermare la tua partecipazione.</p>
-            </div>
-            
-            <h3>Riepilogo Iscrizione</h3>
-            
-            <table class="info-table">
-                <tr>
-                    <td>Nome Squadra</td>
-                    <td><strong>${this.escapeHtml(iscrizione.nome_squadra)}</strong></td>
-                </tr>
-                <tr>
-                    <td>Città</td>
-                    <td>${this.escapeHtml(iscrizione.citta_squadra)}</td>
-                </tr>
-                <tr>
-                    <td>Paese</td>
-                    <td>${this.getCountryName(iscrizione.paese_squadra)}</td>
-                </tr>
-                <tr>
-                    <td>Capitano</td>
-                    <td>${this.escapeHtml(iscrizione.nome_capitano)} ${this.escapeHtml(iscrizione.cognome_capitano)}</td>
-                </tr>
-                <tr>
-                    <td>Email</td>
-                    <td>${this.escapeHtml(iscrizione.email_capitano)}</td>
-                </tr>
-                <tr>
-                    <td>Telefono</td>
-                    <td>${this.escapeHtml(iscrizione.telefono_capitano)}</td>
-                </tr>
-                <tr>
-                    <td>Numero Giocatori</td>
-                    <td>${iscrizione.numero_giocatori}</td>
-                </tr>
-                <tr>
-                    <td>Data Iscrizione</td>
-                    <td>${new Date(iscrizione.created_at).toLocaleDateString('it-IT', { 
-                        day: 'numeric', 
-                        month: 'long', 
-                        year: 'numeric',
-                        hour: '2-digit',
-                        minute: '2-digit'
-                    })}</td>
-                </tr>
-            </table>
-            
-            ${iscrizione.note ? `
-            <div class="highlight-box">
-                <strong>Note aggiuntive:</strong><br>
-                ${this.escapeHtml(iscrizione.note)}
-            </div>
-            ` : ''}
-            
-            <div class="divider"></div>
-            
-            <p><strong>📅 Data Torneo:</strong> 1 Giugno 2026</p>
-            <p><strong>📍 Luogo:</strong> Foggia, Puglia, Italia</p>
-            
-            <p style="margin-top: 20px;">Per qualsiasi domanda, non esitare a contattarci rispondendo a questa email.</p>
-            
-            <p>A presto!<br>
-            <strong>Il Team "Un Foggiano nel Mondo"</strong></p>
-        `;
-        
-        return this.getBaseTemplate(content, 'Conferma Iscrizione - Un Foggiano nel Mondo');
+    useEvent(evento) {
+        this.evento = evento;
     }
 
-    // Email notifica admin (nuova iscrizione)
-    getAdminNotificationEmail(iscrizione) {
-        const content = `
-            <h2>🆕 Nuova Iscrizione Ricevuta!</h2>
-            
-            <div class="highlight-box">
-                <p><strong>Squadra:</strong> ${this.escapeHtml(iscrizione.nome_squadra)}</p>
-                <p><strong>Da:</strong> ${this.escapeHtml(iscrizione.citta_squadra)}, ${this.getCountryName(iscrizione.paese_squadra)}</p>
-            </div>
-            
-            <h3>Dettagli Completi</h3>
-            
+    /**
+     * Data, orario, luogo e contatti del torneo (vuoti senza impostazioni)
+     */
+    getEvent() {
+        return this.evento
+            ? this.evento.get()
+            : { data: null, ora: '', luogo: '', sede: '', email: '', telefono: '' };
+    }
+
+    // Destinatario predefinito delle notifiche admin
+    getAdminEmail() {
+        return this.adminEmail || this.getEvent().email;
+    }
+
+    // ==========================================
+    // DESTINATARI ADMIN
+    // ==========================================
+
+    useAdminRecipients(store) {
+        this.adminRecipients = store;
+    }
+
+    /**
+     * Indirizzi admin per modalità ('immediata' o 'riepilogo'): senza
+     * destinatari configurati le notifiche immediate vanno all'indirizzo
+     * predefinito e il riepilogo non parte
+     */
+    getAdminRecipients(modalita) {
+        const destinatari = this.adminRecipients ? this.adminRecipients.getAdminDestinatari() : [];
+
+        if (destinatari.length === 0) {
+            const email = this.getAdminEmail();
+            return modalita === 'immediata' && email ? [email] : [];
+        }
+        return destinatari.filter(d => d.modalita === modalita).map(d => d.email);
+    }
+
+    getFrom() {
+        if (this.from) return this.from;
+
+        const email = this.getEvent().email || this.config.auth.user;
+        return email ? `"Un Foggiano nel Mondo" <${email}>` : undefined;
+    }
+
+    // ==========================================
+    // MODELLI E SEGNAPOSTO
+    // ==========================================
+
+    /**
+     * Archivio dei modelli personalizzati (il database): senza archivio
+     * si usano sempre i testi predefiniti
+     */
+    useTemplates(store) {
+        this.templates = store;
+    }
+
+    /**
+     * Modello attivo per tipo e lingua: l'ultima versione salvata dalla
+     * dashboard oppure il testo predefinito
+     *
+     * @returns {Object} { oggetto, corpo, versione } (versione null = predefinito)
+     */
+    getTemplate(chiave, lang) {
+        const custom = this.templates ? this.templates.getEmailTemplate(chiave, lang) : null;
+        if (custom && custom.corpo) {
+            return { oggetto: custom.oggetto, corpo: custom.corpo, versione: custom.versione };
+        }
+        return { ...getDefaultTemplate(chiave, lang), versione: null };
+    }
+
+    /**
+     * Valori dei segnaposto per un'iscrizione, già escapati per l'HTML
+     * (options.text = testo semplice, per l'oggetto)
+     */
+    getPlaceholderValues(iscrizione, lang, options = {}) {
+        const t = getCatalog(lang);
+        const escape = options.text ? (value => (value == null ? '' : String(value))) : (value => this.escapeHtml(value));
+        const note = escape(iscrizione.note);
+        const labelNote = options.chiave === 'notifica_admin' ? t.admin.notes : t.labels.notes;
+        const evento = this.getEvent();
+
+        const values = {
+            squadra: escape(iscrizione.nome_squadra),
+            citta: escape(iscrizione.citta_squadra),
+            paese: this.getCountryName(iscrizione.paese_squadra, lang),
+            nome_capitano: escape(iscrizione.nome_capitano),
+            cognome_capitano: escape(iscrizione.cognome_capitano),
+            email_capitano: escape(iscrizione.email_capitano),
+            telefono_capitano: escape(iscrizione.telefono_capitano),
+            data_nascita: iscrizione.data_nascita_capitano
+                ? new Date(iscrizione.data_nascita_capitano).toLocaleDateString(t.locale)
+                : '',
+            giocatori: escape(iscrizione.numero_giocatori),
+            provincia_foggia: iscrizione.provincia_foggia === 'si' ? t.admin.provinciaYes : t.admin.provinciaNo,
+            note,
+            data_iscrizione: new Date(iscrizione.created_at || Date.now()).toLocaleDateString(t.locale, {
+                day: 'numeric',
+                month: 'long',
+                year: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            }),
+            posizione_attesa: options.waitlistPosition || '-',
+            giorni_mancanti: options.giorniMancanti || '-',
+            quando: options.giorniMancanti ? t.reminder.when(options.giorniMancanti) : '-',
+            data_torneo: evento.data ? formatEventDate(evento.data, t.locale) : '-',
+            luogo: escape(formatEventPlace(evento)),
+            email_contatto: escape(evento.email),
+            dashboard_url: `${getSiteUrl()}/admin`,
+            calendario_url: iscrizione.id ? escape(getCalendarUrl(iscrizione.id)) : '',
+            verifica_url: iscrizione.id ? escape(getVerificationUrl(iscrizione.id)) : '',
+            ore_verifica: options.oreVerifica || '-',
+            id_iscrizione: escape(iscrizione.id),
+            ip: escape(iscrizione.ip_address),
+            motivo_rifiuto: iscrizione.motivo_rifiuto ? t.rejected.reasonCodes[iscrizione.motivo_rifiuto] || '' : '',
+            messaggio_rifiuto: escape(iscrizione.messaggio_rifiuto)
+        };
+
+        values.riepilogo = `
             <table class="info-table">
                 <tr>
-                    <td>ID Iscrizione</td>
-                    <td><code>${this.escapeHtml(iscrizione.id)}</code></td>
-                </tr>
-                <tr>
-                    <td>Nome Squadra</td>
-                    <td><strong>${this.escapeHtml(iscrizione.nome_squadra)}</strong></td>
-                </tr>
-                <tr>
-                    <td>Città / Paese</td>
-                    <td>${this.escapeHtml(iscrizione.citta_squadra)}, ${this.getCountryName(iscrizione.paese_squadra)}</td>
+                    <td>${t.labels.teamName}</td>
+                    <td><strong>${values.squadra}</strong></td>
                 </tr>
                 <tr>
-                    <td>Capitano</td>
-                    <td>${this.escapeHtml(iscrizione.nome_capitano)} ${this.escapeHtml(iscrizione.cognome_capitano)}</td>
+                    <td>${t.labels.city}</td>
+                    <td>${values.citta}</td>
                 </tr>
                 <tr>
-                    <td>Email Capitano</td>
-                    <td><a href="mailto:${this.escapeHtml(iscrizione.email_capitano)}">${this.escapeHtml(iscrizione.email_capitano)}</a></td>
+                    <td>${t.labels.country}</td>
+                    <td>${values.paese}</td>
                 </tr>
                 <tr>
-                    <td>Telefono</td>
-                    <td><a href="tel:${this.escapeHtml(iscrizione.telefono_capitano)}">${this.escapeHtml(iscrizione.telefono_capitano)}</a></td>
+                    <td>${t.labels.captain}</td>
+                    <td>${values.nome_capitano} ${values.cognome_capitano}</td>
                 </tr>
                 <tr>
-                    <td>Data Nascita</td>
-                    <td>${new Date(iscrizione.data_nascita_capitano).toLocaleDateString('it-IT')}</td>
+                    <td>${t.labels.email}</td>
+                    <td>${values.email_capitano}</td>
                 </tr>
                 <tr>
-                    <td>Provincia Foggia</td>
-                    <td>${iscrizione.provincia_foggia === 'si' ? '✅ Sì' : '❌ No (ha giocatore foggiano)'}</td>
+                    <td>${t.labels.phone}</td>
+                    <td>${values.telefono_capitano}</td>
                 </tr>
                 <tr>
-                    <td>Numero Giocatori</td>
-                    <td>${iscrizione.numero_giocatori}</td>
+                    <td>${t.labels.players}</td>
+                    <td>${values.giocatori}</td>
                 </tr>
                 <tr>
-                    <td>IP Address</td>
-                    <td><code>${iscrizione.ip_address}</code></td>
-                </tr>
-                <tr>
-                    <td>Data/Ora</td>
-                    <td>${new Date(iscrizione.created_at).toLocaleString('it-IT')}</td>
+                    <td>${t.labels.registrationDate}</td>
+                    <td>${values.data_iscrizione}</td>
                 </tr>
             </table>
-            
-            ${iscrizione.note ? `
+        `;
+
+        values.blocco_note = note ? `
             <div class="highlight-box">
-                <strong>📝 Note:</strong><br>
-                ${this.escapeHtml(iscrizione.note)}
+                <strong>${labelNote}:</strong><br>
+                ${note}
             </div>
-            ` : ''}
-            
-            <div style="text-align: center; margin: 30px 0;">
-                <a href="${process.env.SITE_URL || 'http://localhost:3000'}/admin" class="btn">
-                    Vai alla Dashboard Admin
-                </a>
+        ` : '';
+
+        // Con un motivo scelto dall'organizzazione il capitano sa cosa correggere,
+        // altrimenti restano i motivi possibili
+        const motivo = values.motivo_rifiuto
+            ? `<p><strong>${t.rejected.reasonLabel}</strong> ${values.motivo_rifiuto}</p>`
+            : '';
+        const messaggio = values.messaggio_rifiuto
+            ? `<p><strong>${t.rejected.messageLabel}</strong><br>${values.messaggio_rifiuto.replace(/\n/g, '<br>')}</p>`
+            : '';
+
+        values.blocco_motivo = `
+            <div class="highlight-box" style="background: #f8d7da; border-color: #dc3545;">
+                ${motivo || messaggio ? `${motivo}${messaggio}` : `
+                <p>${t.rejected.reasonsIntro}</p>
+                <ul>
+                    ${t.rejected.reasons.map(reason => `<li>${reason}</li>`).join('\n                    ')}
+                </ul>`}
             </div>
-            
-            <p style="color: #666; font-size: 14px;">
-                <em>Questa è una notifica automatica. Accedi alla dashboard per approvare o rifiutare l'iscrizione.</em>
-            </p>
         `;
-        
-        return this.getBaseTemplate(content, 'Nuova Iscrizione - Un Foggiano nel Mondo');
+
+        return values;
+    }
+
+    /**
+     * Compone oggetto e HTML di un'email a partire dal modello
+     *
+     * @param {string} chiave - tipo di modello (vedi TEMPLATES)
+     * @param {Object} iscrizione
+     * @param {Object} options - lang, waitlistPosition, giorniMancanti, oreVerifica, template ({ oggetto, corpo } da usare al posto di quello attivo)
+     * @returns {Object} { subject, html, lang }
+     */
+    render(chiave, iscrizione, options = {}) {
+        const lang = options.lang || (chiave === 'notifica_admin' ? this.adminLanguage : getLanguage(iscrizione));
+        const template = options.template || this.getTemplate(chiave, lang);
+        const values = this.getPlaceholderValues(iscrizione, lang, { ...options, chiave });
+
+        // L'oggetto è testo semplice: segnaposto senza escape e senza blocchi HTML
+        const subject = fillPlaceholders(template.oggetto, {
+            ...this.getPlaceholderValues(iscrizione, lang, { ...options, chiave, text: true }),
+            riepilogo: '',
+            blocco_note: '',
+            blocco_motivo: ''
+        }).trim();
+
+        return {
+            subject,
+            html: this.getBaseTemplate(
+                fillPlaceholders(template.corpo, values),
+                `${TEMPLATES[chiave].titolo(getCatalog(lang))} - Un Foggiano nel Mondo`,
+                lang
+            ),
+            lang
+        };
+    }
+
+    /**
+     * Compone un messaggio libero (testo semplice con segnaposto) per un'iscrizione:
+     * le righe vuote separano i paragrafi
+     *
+     * @returns {Object} { subject, content, lang } - content va inserito nel layout
+     */
+    composeMessage(oggetto, messaggio, iscrizione, lang = getLanguage(iscrizione)) {
+        const values = this.getPlaceholderValues(iscrizione, lang);
+        const paragraphs = String(messaggio).trim().split(/\n\s*\n/)
+            .map(paragraph => `<p>${this.escapeHtml(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+            .join('\n');
+
+        return {
+            subject: fillPlaceholders(oggetto, {
+                ...this.getPlaceholderValues(iscrizione, lang, { text: true }),
+                riepilogo: '',
+                blocco_note: '',
+                blocco_motivo: ''
+            }).trim(),
+            content: fillPlaceholders(paragraphs, values),
+            lang
+        };
+    }
+
+    // ==========================================
+    // EMAIL TEMPLATES
+    // ==========================================
+
+    // Email conferma iscrizione (all'utente)
+    getConfirmationEmail(iscrizione, waitlistPosition = null, lang = getLanguage(iscrizione)) {
+        const chiave = iscrizione.status === 'waitlist' ? 'lista_attesa' : 'conferma';
+        return this.render(chiave, iscrizione, { lang, waitlistPosition }).html;
+    }
+
+    // Email notifica admin (nuova iscrizione), nella lingua dell'admin
+    getAdminNotificationEmail(iscrizione, lang = this.adminLanguage) {
+        return this.render('notifica_admin', iscrizione, { lang }).html;
     }
 
     // Email cambio status (approvato/rifiutato)
-    getStatusChangeEmail(iscrizione, newStatus) {
-        const isApproved = newStatus === 'approved';
-        
+    getStatusChangeEmail(iscrizione, newStatus, lang = getLanguage(iscrizione)) {
+        const chiave = newStatus === 'approved' ? 'approvata' : 'rifiutata';
+        return this.render(chiave, iscrizione, { lang }).html;
+    }
+
+    // Email promozione dalla lista d'attesa (all'utente)
+    getWaitlistPromotionEmail(iscrizione, lang = getLanguage(iscrizione)) {
+        return this.render('promozione', iscrizione, { lang }).html;
+    }
+
+    // ==========================================
+    // RIEPILOGO ADMIN
+    // ==========================================
+
+    /**
+     * Riepilogo giornaliero per gli admin (vedi riepilogo.js), nella lingua admin
+     */
+    getAdminDigestEmail(riepilogo, lang = this.adminLanguage) {
+        const t = getCatalog(lang);
+        const d = t.digest;
+        const formatDate = date => new Date(date).toLocaleString(t.locale, { dateStyle: 'medium', timeStyle: 'short' });
+        const formatDay = date => new Date(date).toLocaleDateString(t.locale, { day: 'numeric', month: 'long', year: 'numeric' });
+
+        const iscrizioni = riepilogo.iscrizioni.length > 0
+            ? `
+            <table class="info-table">
+                ${riepilogo.iscrizioni.map(i => `
+                <tr>
+                    <td>${this.escapeHtml(i.nome_squadra)}</td>
+                    <td>${this.escapeHtml(i.citta_squadra)}, ${this.getCountryName(i.paese_squadra, lang)} · <span class="status-badge status-${i.status}">${d.statusNames[i.status] || i.status}</span></td>
+                </tr>`).join('')}
+            </table>`
+            : `<p>${d.noRegistrations}</p>`;
+
+        const stati = Object.entries(d.statusNames)
+            .map(([status, label]) => `${label}: <strong>${riepilogo.stati[status] || 0}</strong>`)
+            .join(' · ');
+
+        const { errori } = riepilogo;
+        const campi = errori.campi.length > 0
+            ? `<p>${d.topFields}: ${errori.campi.map(c => `<code>${this.escapeHtml(c.campo)}</code> (${c.errori})`).join(', ')}</p>`
+            : '';
+
+        const ipBloccati = riepilogo.ipBloccati.length > 0
+            ? `
+            <table class="info-table">
+                ${riepilogo.ipBloccati.map(ip => `
+                <tr>
+                    <td><code>${this.escapeHtml(ip.ip)}</code></td>
+                    <td>${this.escapeHtml(ip.reason)} · ${d.blockedUntil(formatDate(ip.blocked_until))}</td>
+                </tr>`).join('')}
+            </table>`
+            : `<p>${d.noBlockedIps}</p>`;
+
+        const { backup } = riepilogo;
+        const backupStato = !backup.ultimo
+            ? d.backupMissing
+            : backup.recente
+                ? d.backupOk(formatDate(backup.ultimo.data), backup.numero)
+                : d.backupStale(formatDate(backup.ultimo.data));
+
         const content = `
-            <h2>${isApproved ? '✅ Iscrizione Approvata!' : '❌ Iscrizione Non Approvata'}</h2>
-            
-            <p>Ciao <strong>${this.escapeHtml(iscrizione.nome_capitano)}</strong>,</p>
-            
-            ${isApproved ? `
-            <p>Siamo lieti di comunicarti che la tua iscrizione per la squadra <strong>"${this.escapeHtml(iscrizione.nome_squadra)}"</strong> è stata <strong>approvata</strong>!</p>
-            
-            <div class="highlight-box" style="background: #d4edda; border-color: #28a745;">
-                <p><strong>🎉 Congratulazioni!</strong></p>
-                <p>La tua squadra parteciperà ufficialmente al torneo "Un Foggiano nel Mondo".</p>
-            </div>
-            
-            <h3>Prossimi Passi</h3>
-            <ol>
-                <li>Riceverai a breve ulteriori informazioni sulla logistica</li>
-                <li>Ti invieremo il programma dettagliato dell'evento</li>
-                <li>Assicurati che tutti i giocatori abbiano i documenti in regola</li>
-            </ol>
-            
+            <h2>${d.heading}</h2>
+            <p>${d.intro(formatDate(riepilogo.dal))}</p>
+
             <div class="highlight-box">
-                <p><strong>📅 Data:</strong> 1 Giugno 2026</p>
-                <p><strong>📍 Luogo:</strong> Foggia, Puglia, Italia</p>
-                <p><strong>👥 Giocatori confermati:</strong> ${iscrizione.numero_giocatori}</p>
+                <p>${d.pending(riepilogo.daRevisionare)}</p>
+                <p>${stati}</p>
             </div>
-            ` : `
-            <p>Purtroppo dobbiamo comunicarti che la tua iscrizione per la squadra <strong>"${this.escapeHtml(iscrizione.nome_squadra)}"</strong> non è stata approvata.</p>
-            
-            <div class="highlight-box" style="background: #f8d7da; border-color: #dc3545;">
-                <p>Questo potrebbe essere dovuto a:</p>
-                <ul>
-                    <li>Informazioni incomplete o non verificabili</li>
-                    <li>Mancanza dei requisiti richiesti</li>
-                    <li>Raggiungimento del numero massimo di squadre</li>
-                </ul>
-            </div>
-            
-            <p>Se ritieni che ci sia stato un errore o desideri maggiori informazioni, non esitare a contattarci.</p>
-            `}
-            
+
+            <h3>${d.registrations} (${riepilogo.iscrizioni.length})</h3>
+            ${iscrizioni}
+
+            <h3>${d.formErrors}</h3>
+            ${errori.picco ? `<p><strong>${d.formErrorsSpike}</strong></p>` : ''}
+            <p>${d.formErrorsSummary(errori.oggi, errori.media)}</p>
+            ${campi}
+
+            <h3>${d.blockedIps} (${riepilogo.ipBloccati.length})</h3>
+            ${ipBloccati}
+
+            <h3>${d.backup}</h3>
+            <p>${backupStato}</p>
+
+            <p style="text-align: center;">
+                <a href="${getSiteUrl()}/admin" class="btn">${d.button}</a>
+            </p>
+
             <div class="divider"></div>
-            
-            <p>Per qualsiasi domanda, contattaci a <a href="mailto:ilfoggianonelmondo@libero.it">ilfoggianonelmondo@libero.it</a></p>
-            
-            <p>Cordiali saluti,<br>
-            <strong>Il Team "Un Foggiano nel Mondo"</strong></p>
+            <p style="font-size: 12px; color: #999;">${d.footnote}</p>
         `;
-        
-        return this.getBaseTemplate(
-            content, 
-            isApproved ? 'Iscrizione Approvata! - Un Foggiano nel Mondo' : 'Aggiornamento Iscrizione - Un Foggiano nel Mondo'
-        );
+
+        return {
+            subject: d.subject(formatDay(riepilogo.al)),
+            html: this.getBaseTemplate(content, d.title, lang)
+        };
     }
 
     // ==========================================
@@ -425,20 +608,9 @@ class EmailService {
         return String(text).replace(/[&<>"']/g, char => htmlEntities[char]);
     }
 
-    getCountryName(code) {
-        const countries = {
-            'IT': '🇮🇹 Italia',
-            'US': '🇺🇸 Stati Uniti',
-            'GB': '🇬🇧 Regno Unito',
-            'DE': '🇩🇪 Germania',
-            'FR': '🇫🇷 Francia',
-            'ES': '🇪🇸 Spagna',
-            'BR': '🇧🇷 Brasile',
-            'AR': '🇦🇷 Argentina',
-            'AU': '🇦🇺 Australia',
-            'OTHER': '🌍 Altro'
-        };
-        return countries[code] || code;
+    getCountryName(code, lang = DEFAULT_LANGUAGE) {
+        const name = getCatalog(lang).countries[code];
+        return name ? `${COUNTRY_FLAGS[code]} ${name}` : code;
     }
 
     // ==========================================
@@ -452,13 +624,17 @@ class EmailService {
         }
 
         const mailOptions = {
-            from: this.from,
+            from: this.getFrom(),
             to: options.to,
             subject: options.subject,
             html: options.html,
             text: options.text || this.htmlToText(options.html)
         };
 
+        if (options.attachments) {
+            mailOptions.attachments = options.attachments;
+        }
+
         try {
             const result = await this.transporter.sendMail(mailOptions);
             console.log(`✅ Email inviata a ${options.to}: ${options.subject}`);
@@ -469,23 +645,20 @@ class EmailService {
         }
     }
 
-    // Aggiunge alla queue con retry automatico (backoff esponenziale)
-    async sendWithRetry(options, retries = 0) {
-        const result = await this.send(options);
-        
-        if (!result.success && retries < this.maxRetries) {
-            // Backoff esponenziale: 5s, 10s, 20s, 40s...
-            const delay = this.retryDelay * Math.pow(2, retries);
-            console.log(`🔄 Retry email ${retries + 1}/${this.maxRetries} tra ${delay/1000}s...`);
-            await this.delay(delay);
-            return this.sendWithRetry(options, retries + 1);
-        }
-        
-        return result;
+    useOutbox(outbox) {
+        this.outbox = outbox;
     }
 
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    /**
+     * Affida l'email alla coda persistente
+     *
+     * @param {Object} options - to, subject, html, tipo, iscrizioneId, attachments
+     */
+    async queue(options) {
+        if (!this.outbox) {
+            return this.send(options);
+        }
+        return this.outbox.enqueue(options);
     }
 
     htmlToText(html) {
@@ -500,46 +673,132 @@ class EmailService {
     // METODI PUBBLICI
     // ==========================================
 
+    // Chiede al capitano di confermare l'indirizzo email (link firmato valido oreVerifica ore)
+    async sendVerification(iscrizione, oreVerifica) {
+        const { subject, html } = this.render('verifica', iscrizione, { oreVerifica });
+
+        return this.queue({
+            tipo: 'verifica',
+            iscrizioneId: iscrizione.id,
+            to: iscrizione.email_capitano,
+            subject,
+            html
+        });
+    }
+
     // Invia conferma iscrizione all'utente
-    async sendConfirmation(iscrizione) {
-        return this.sendWithRetry({
+    async sendConfirmation(iscrizione, waitlistPosition = null) {
+        const chiave = iscrizione.status === 'waitlist' ? 'lista_attesa' : 'conferma';
+        const { subject, html } = this.render(chiave, iscrizione, { waitlistPosition });
+
+        return this.queue({
+            tipo: 'conferma',
+            iscrizioneId: iscrizione.id,
             to: iscrizione.email_capitano,
-            subject: `✅ Iscrizione Ricevuta - ${iscrizione.nome_squadra}`,
-            html: this.getConfirmationEmail(iscrizione)
+            subject,
+            html
+        });
+    }
+
+    // Notifica utente dell'uscita dalla lista d'attesa
+    async sendWaitlistPromotion(iscrizione) {
+        const { subject, html } = this.render('promozione', iscrizione);
+
+        return this.queue({
+            tipo: 'promozione',
+            iscrizioneId: iscrizione.id,
+            to: iscrizione.email_capitano,
+            subject,
+            html
         });
     }
 
-    // Notifica admin di nuova iscrizione
+    // Promemoria ai capitani approvati nei giorni che precedono il torneo
+    async sendReminder(iscrizione, giorniMancanti) {
+        const { subject, html } = this.render('promemoria', iscrizione, { giorniMancanti });
+
+        return this.queue({
+            tipo: 'promemoria',
+            iscrizioneId: iscrizione.id,
+            to: iscrizione.email_capitano,
+            subject,
+            html
+        });
+    }
+
+    // Notifica admin di nuova iscrizione (solo agli admin in modalità immediata)
     async notifyAdmin(iscrizione) {
-        return this.sendWithRetry({
-            to: this.adminEmail,
-            subject: `🆕 Nuova Iscrizione: ${iscrizione.nome_squadra} (${iscrizione.citta_squadra})`,
-            html: this.getAdminNotificationEmail(iscrizione)
+        const recipients = this.getAdminRecipients('immediata');
+        if (recipients.length === 0) return { success: true, skipped: true };
+
+        const { subject, html } = this.render('notifica_admin', iscrizione);
+        const results = await Promise.all(recipients.map(to => this.queue({
+            tipo: 'notifica_admin',
+            iscrizioneId: iscrizione.id,
+            to,
+            subject,
+            html
+        })));
+
+        const failed = results.find(result => !result.success);
+        return failed || { success: true, inviate: results.length };
+    }
+
+    // Riepilogo giornaliero a un admin in modalità riepilogo
+    async sendAdminDigest(to, riepilogo) {
+        const { subject, html } = this.getAdminDigestEmail(riepilogo);
+
+        return this.queue({
+            tipo: 'riepilogo_admin',
+            to,
+            subject,
+            html
         });
     }
 
     // Notifica utente del cambio status
-    async sendStatusUpdate(iscrizione, newStatus) {
-        if (newStatus === 'pending') return { success: true, skipped: true };
+    // options.calendario: invito .ics allegato all'email di approvazione
+    async sendStatusUpdate(iscrizione, newStatus, options = {}) {
+        if (newStatus === 'pending' || newStatus === 'waitlist') return { success: true, skipped: true };
         
-        const subject = newStatus === 'approved' 
-            ? `🎉 Iscrizione Approvata - ${iscrizione.nome_squadra}`
-            : `📋 Aggiornamento Iscrizione - ${iscrizione.nome_squadra}`;
+        const { subject, html } = this.render(newStatus === 'approved' ? 'approvata' : 'rifiutata', iscrizione);
+        const attachments = newStatus === 'approved' && options.calendario
+            ? [{
+                filename: 'un-foggiano-nel-mondo.ics',
+                content: options.calendario,
+                contentType: 'text/calendar; charset=utf-8; method=PUBLISH'
+            }]
+            : undefined;
             
-        return this.sendWithRetry({
+        return this.queue({
+            tipo: 'cambio_stato',
+            iscrizioneId: iscrizione.id,
             to: iscrizione.email_capitano,
             subject,
-            html: this.getStatusChangeEmail(iscrizione, newStatus)
+            html,
+            attachments
         });
     }
 
     // Invia email personalizzata
-    async sendCustom(to, subject, content) {
-        return this.sendWithRetry({
+    // options: iscrizioneId, broadcastId, sendAt (invio differito), lang (lingua del layout)
+    async sendCustom(to, subject, content, options = {}) {
+        return this.queue(this.getCustomEmail(to, subject, content, options));
+    }
+
+    /**
+     * Email personalizzata pronta per la coda (le comunicazioni la accodano in una transazione)
+     */
+    getCustomEmail(to, subject, content, options = {}) {
+        return {
+            tipo: 'personalizzata',
+            iscrizioneId: options.iscrizioneId,
+            broadcastId: options.broadcastId,
+            sendAt: options.sendAt,
             to,
             subject,
-            html: this.getBaseTemplate(content, subject)
-        });
+            html: this.getBaseTemplate(content, subject, options.lang)
+        };
     }
 }
 
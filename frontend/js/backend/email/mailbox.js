@@ -0,0 +1,154 @@
+/**
+ * Casella di Sviluppo - Un Foggiano nel Mondo
+ *
+ * Archivio su disco delle email catturate dal trasporto "file"
+ * (data/mailbox, modificabile con EMAIL_MAILBOX_DIR): ogni email è un file
+ * JSON con destinatario, oggetto, HTML, testo e allegati. In sviluppo le
+ * email si leggono da /admin/mailbox senza un server SMTP.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const MAILBOX_DIR = path.join(__dirname, '../../../../data/mailbox');
+const ID_REGEX = /^\d{13}-[a-f0-9]{8}$/;
+
+/**
+ * Indirizzo di nodemailer ({ name, address } o stringa) come testo
+ */
+function formatAddress(value) {
+    if (!value) return '';
+    if (typeof value === 'string') return value;
+    return value.name ? `${value.name} <${value.address}>` : value.address;
+}
+
+class Mailbox {
+    constructor(options = {}) {
+        this.dir = options.dir || process.env.EMAIL_MAILBOX_DIR || MAILBOX_DIR;
+        this.limit = options.limit || 500; // email conservate, le più vecchie vengono cancellate
+
+        fs.mkdirSync(this.dir, { recursive: true });
+    }
+
+    file(id) {
+        return path.join(this.dir, `${id}.json`);
+    }
+
+    /**
+     * Identificativi dal più recente (il nome del file inizia con il timestamp)
+     */
+    ids() {
+        return fs.readdirSync(this.dir)
+            .filter(name => name.endsWith('.json'))
+            .map(name => name.slice(0, -5))
+            .filter(id => ID_REGEX.test(id))
+            .sort()
+            .reverse();
+    }
+
+    // ==========================================
+    // SCRITTURA
+    // ==========================================
+
+    /**
+     * Salva un messaggio di nodemailer (jsonTransport)
+     *
+     * @returns {string} id dell'email
+     */
+    save(message) {
+        const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        const email = {
+            id,
+            data: new Date().toISOString(),
+            from: formatAddress(message.from),
+            to: [].concat(message.to || []).map(formatAddress).join(', '),
+            subject: message.subject || '',
+            html: message.html || '',
+            text: message.text || '',
+            attachments: (message.attachments || []).map(attachment => ({
+                filename: attachment.filename,
+                contentType: attachment.contentType,
+                encoding: attachment.encoding || null,
+                content: attachment.content
+            }))
+        };
+
+        fs.writeFileSync(this.file(id), JSON.stringify(email));
+        this.prune();
+        return id;
+    }
+
+    prune() {
+        for (const id of this.ids().slice(this.limit)) {
+            fs.rmSync(this.file(id), { force: true });
+        }
+    }
+
+    /**
+     * Svuota la casella
+     *
+     * @returns {number} email cancellate
+     */
+    clear() {
+        const ids = this.ids();
+        for (const id of ids) {
+            fs.rmSync(this.file(id), { force: true });
+        }
+        return ids.length;
+    }
+
+    // ==========================================
+    // LETTURA
+    // ==========================================
+
+    /**
+     * Elenco senza contenuto (HTML, testo e allegati)
+     */
+    list() {
+        return this.ids().map(id => this.get(id)).filter(Boolean).map(email => ({
+            id: email.id,
+            data: email.data,
+            to: email.to,
+            subject: email.subject,
+            allegati: email.attachments.map(a => a.filename)
+        }));
+    }
+
+    get(id) {
+        if (!ID_REGEX.test(String(id))) return null;
+
+        try {
+            return JSON.parse(fs.readFileSync(this.file(id), 'utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Allegato come Buffer, con nome e tipo
+     */
+    getAttachment(id, index) {
+        const email = this.get(id);
+        const attachment = email ? email.attachments[index] : null;
+        if (!attachment) return null;
+
+        return {
+            filename: attachment.filename,
+            contentType: attachment.contentType || 'application/octet-stream',
+            content: Buffer.from(attachment.content || '', attachment.encoding === 'base64' ? 'base64' : 'utf8')
+        };
+    }
+}
+
+// Singleton
+let mailboxInstance = null;
+
+function getMailbox() {
+    if (!mailboxInstance) {
+        mailboxInstance = new Mailbox();
+    }
+    return mailboxInstance;
+}
+
+module.exports = { Mailbox, getMailbox, MAILBOX_DIR };
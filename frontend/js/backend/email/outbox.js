@@ -0,0 +1,206 @@
+/**
+ * Coda Email - Un Foggiano nel Mondo
+ *
+ * Worker che spedisce le email salvate in email_outbox:
+ * - Le email vengono scritte nel database prima dell'invio
+ * - Gli invii falliti vengono ritentati con backoff esponenziale
+ * - All'avvio riprende le email rimaste in coda o interrotte da un riavvio
+ * - L'esito di ogni tentativo viene registrato in email_invii
+ * - Le email con invio differito partono all'orario previsto (sendAt)
+ */
+
+const { getDatabase } = require('../database');
+const { getEmailService } = require('./index');
+
+class EmailOutbox {
+    /**
+     * @param {Object} options - db, emailService, pollInterval, retryDelay, maxAttempts, batchSize
+     */
+    constructor(options = {}) {
+        this.db = options.db || getDatabase();
+        this.emailService = options.emailService || getEmailService();
+        this.pollInterval = options.pollInterval || 30000; // 30 secondi
+        this.retryDelay = options.retryDelay || parseInt(process.env.EMAIL_RETRY_DELAY) || 60000; // 1 minuto, poi 2, 4, 8...
+        this.maxAttempts = options.maxAttempts || parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 6;
+        this.batchSize = options.batchSize || 10;
+
+        this.timer = null;
+        this.wakeTimer = null;
+        this.running = null; // Promise del giro di invio in corso
+        this.stopping = false;
+    }
+
+    // ==========================================
+    // CODA
+    // ==========================================
+
+    /**
+     * Scrive l'email nella coda e sveglia il worker
+     *
+     * @param {Object} email - to, subject, html, text, tipo, iscrizioneId
+     * @returns {Object} { success, queued, id }
+     */
+    enqueue(email) {
+        const id = this.db.enqueueEmail(email);
+
+        if (this.timer) {
+            setImmediate(() => this.process());
+        }
+
+        return { success: true, queued: true, id };
+    }
+
+    /**
+     * Rimette in coda un'email fallita: riparte da zero tentativi
+     *
+     * @returns {boolean} false se l'email non è tra quelle fallite
+     */
+    resend(id) {
+        const requeued = this.db.requeueEmail(id);
+
+        if (requeued && this.timer) {
+            setImmediate(() => this.process());
+        }
+
+        return requeued;
+    }
+
+    /**
+     * Attesa prima del tentativo successivo (tentativi = invii già falliti)
+     */
+    getRetryDelay(tentativi) {
+        return this.retryDelay * Math.pow(2, tentativi - 1);
+    }
+
+    // ==========================================
+    // WORKER
+    // ==========================================
+    start() {
+        if (this.timer) return;
+
+        const recovered = this.db.recoverEmails();
+        const { pending } = this.db.countEmailsByStatus();
+        if (pending > 0) {
+            console.log(`📬 Coda email: ${pending} email da inviare${recovered > 0 ? ` (${recovered} interrotte dal riavvio)` : ''}`);
+        }
+
+        this.stopping = false;
+        this.timer = setInterval(() => this.process(), this.pollInterval);
+        this.process();
+    }
+
+    /**
+     * Ferma il worker attendendo la fine dell'invio in corso
+     */
+    async stop() {
+        this.stopping = true;
+        clearInterval(this.timer);
+        clearTimeout(this.wakeTimer);
+        this.timer = null;
+
+        if (this.running) {
+            await this.running;
+        }
+    }
+
+    process() {
+        // Un solo giro alla volta: le email arrivate nel frattempo restano in coda
+        if (!this.running) {
+            this.running = this.processDue()
+                .catch(error => console.error('❌ Errore coda email:', error))
+                .finally(() => {
+                    this.running = null;
+                });
+        }
+        return this.running;
+    }
+
+    async processDue() {
+        // Senza transporter le email restano in coda senza consumare tentativi
+        if (this.stopping || !this.emailService.transporter) return;
+
+        let emails = this.db.getDueEmails(this.batchSize);
+
+        while (emails.length > 0 && !this.stopping) {
+            for (const email of emails) {
+                if (this.stopping) break;
+                if (this.db.claimEmail(email.id)) {
+                    try {
+                        await this.deliver(email);
+                    } catch (error) {
+                        // Un'email rimasta in 'sending' verrebbe ripresa solo al riavvio
+                        console.error(`❌ Email ${email.id} a ${email.destinatario}: errore imprevisto`, error);
+                        this.db.markEmailFailed(email.id, error.message);
+                    }
+                }
+            }
+            emails = this.db.getDueEmails(this.batchSize);
+        }
+
+        this.scheduleWake();
+    }
+
+    /**
+     * Risveglio all'orario del prossimo invio differito, se arriva prima del polling
+     */
+    scheduleWake() {
+        const next = this.db.getNextEmailDue();
+        if (!next || this.stopping) return;
+
+        const delay = Math.max(new Date(next).getTime() - Date.now(), 0);
+        if (delay >= this.pollInterval) return;
+
+        clearTimeout(this.wakeTimer);
+        this.wakeTimer = setTimeout(() => this.process(), delay);
+        this.wakeTimer.unref();
+    }
+
+    async deliver(email) {
+        let result;
+        try {
+            result = await this.emailService.send({
+                to: email.destinatario,
+                subject: email.oggetto,
+                html: email.html,
+                text: email.testo,
+                attachments: email.allegati ? JSON.parse(email.allegati) : undefined
+            });
+        } catch (error) {
+            // Allegati illeggibili o eccezione del transporter: conta come tentativo fallito
+            result = { success: false, error: error.message };
+        }
+
+        this.db.logEmailInvio(email, result);
+
+        if (result.success) {
+            this.db.markEmailSent(email.id, result.messageId);
+            return;
+        }
+
+        const tentativi = email.tentativi + 1;
+        if (tentativi >= this.maxAttempts) {
+            this.db.markEmailFailed(email.id, result.error);
+            console.error(`❌ Email ${email.id} a ${email.destinatario} non inviata dopo ${tentativi} tentativi`);
+            return;
+        }
+
+        const delay = this.getRetryDelay(tentativi);
+        this.db.markEmailFailed(email.id, result.error, new Date(Date.now() + delay).toISOString());
+        console.log(`🔄 Email ${email.id}: nuovo tentativo ${tentativi + 1}/${this.maxAttempts} tra ${Math.round(delay / 1000)}s`);
+
+        // Risveglio alla scadenza (il polling periodico resta come rete di sicurezza)
+        setTimeout(() => this.process(), delay).unref();
+    }
+}
+
+// Singleton
+let emailOutboxInstance = null;
+
+function getEmailOutbox() {
+    if (!emailOutboxInstance) {
+        emailOutboxInstance = new EmailOutbox();
+    }
+    return emailOutboxInstance;
+}
+
+module.exports = { EmailOutbox, getEmailOutbox };
@@ -0,0 +1,189 @@
+/**
+ * Promemoria Torneo - Un Foggiano nel Mondo
+ *
+ * Email automatiche ai capitani delle squadre approvate nei giorni che
+ * precedono il torneo (data di inizio dell'edizione corrente):
+ * - I giorni di anticipo sono configurabili dalla dashboard (predefiniti: 30, 7 e 1)
+ * - Ogni promemoria inviato viene registrato in email_promemoria e non parte mai due volte
+ * - Un invio fallito libera la registrazione, così il giro successivo lo riprova;
+ *   vale anche per le email che la coda abbandona dopo l'ultimo tentativo
+ * - Se un giro salta (server spento), al successivo parte solo il promemoria più vicino
+ */
+
+const { getDatabase } = require('../database');
+const { getEmailService } = require('./index');
+
+const DEFAULT_DAYS = [30, 7, 1];
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Giorni di anticipo salvati in config ("30,7,1"), ordinati dal più lontano
+ */
+function parseDays(value) {
+    return [...new Set(String(value).split(',').map(Number).filter(n => Number.isInteger(n) && n > 0))]
+        .sort((a, b) => b - a);
+}
+
+/**
+ * Data di calendario (YYYY-MM-DD) come millisecondi UTC, senza effetti dell'ora legale
+ */
+function toDay(date) {
+    const [anno, mese, giorno] = date.split('-').map(Number);
+    return Date.UTC(anno, mese - 1, giorno);
+}
+
+class ReminderScheduler {
+    /**
+     * @param {Object} options - db, emailService
+     */
+    constructor(options = {}) {
+        this.db = options.db || getDatabase();
+        this.emailService = options.emailService || getEmailService();
+    }
+
+    // ==========================================
+    // IMPOSTAZIONI
+    // ==========================================
+
+    getSettings() {
+        const giorni = this.db.getConfig('promemoria_giorni');
+        return {
+            attivi: this.db.getConfig('promemoria_attivi') !== '0',
+            giorni: giorni === null ? DEFAULT_DAYS : parseDays(giorni)
+        };
+    }
+
+    saveSettings({ attivi, giorni }) {
+        this.db.setConfig('promemoria_attivi', attivi ? '1' : '0');
+        this.db.setConfig('promemoria_giorni', parseDays(giorni.join(',')).join(','));
+        return this.getSettings();
+    }
+
+    // ==========================================
+    // CALENDARIO
+    // ==========================================
+
+    /**
+     * Giorni tra oggi (data locale del server) e l'inizio del torneo
+     */
+    getDaysUntil(dataTorneo, now = new Date()) {
+        const oggi = Date.UTC(now.getFullYear(), now.getMonth(), now.getDate());
+        return Math.round((toDay(dataTorneo) - oggi) / DAY);
+    }
+
+    /**
+     * Promemoria da inviare: il più vicino al torneo tra quelli già scaduti
+     * (null se il torneo è iniziato o nessun promemoria è ancora dovuto)
+     */
+    getDueReminder(giorniMancanti, giorni) {
+        if (giorniMancanti < 1) return null;
+
+        const scaduti = giorni.filter(g => g >= giorniMancanti);
+        return scaduti.length > 0 ? Math.min(...scaduti) : null;
+    }
+
+    /**
+     * Stato per la dashboard: data di ogni promemoria e quanti sono già partiti
+     */
+    getSchedule(now = new Date()) {
+        const settings = this.getSettings();
+        const edizione = this.db.getEdizioneCorrente();
+        const dataTorneo = edizione.data_inizio;
+        const inviati = this.db.getPromemoriaStats(edizione.id);
+
+        return {
+            ...settings,
+            edizione: edizione.anno,
+            dataTorneo,
+            giorniMancanti: dataTorneo ? this.getDaysUntil(dataTorneo, now) : null,
+            promemoria: settings.giorni.map(giorni => {
+                const stats = inviati.find(row => row.giorni === giorni);
+                return {
+                    giorni,
+                    data: dataTorneo ? new Date(toDay(dataTorneo) - giorni * DAY).toISOString().slice(0, 10) : null,
+                    inviati: stats ? stats.inviati : 0,
+                    ultimo: stats ? stats.ultimo : null
+                };
+            })
+        };
+    }
+
+    // ==========================================
+    // INVIO
+    // ==========================================
+
+    /**
+     * Invia il promemoria dovuto alle squadre approvate che non l'hanno ancora ricevuto
+     *
+     * @returns {Object} { esito, messaggio, edizione, dataTorneo, giorniMancanti, promemoria, inviati, errori, riprovati }
+     */
+    async run(now = new Date()) {
+        const settings = this.getSettings();
+        const edizione = this.db.getEdizioneCorrente();
+        const result = {
+            edizione: edizione.anno,
+            dataTorneo: edizione.data_inizio,
+            giorniMancanti: null,
+            promemoria: null,
+            inviati: 0,
+            errori: 0,
+            riprovati: 0
+        };
+
+        if (!settings.attivi) {
+            return { ...result, esito: 'disattivati', messaggio: 'Promemoria disattivati' };
+        }
+        if (!edizione.data_inizio) {
+            return { ...result, esito: 'data_mancante', messaggio: `Data di inizio dell'edizione ${edizione.anno} non impostata` };
+        }
+
+        result.giorniMancanti = this.getDaysUntil(edizione.data_inizio, now);
+        result.promemoria = this.getDueReminder(result.giorniMancanti, settings.giorni);
+
+        if (!result.promemoria) {
+            return { ...result, esito: 'nessuno', messaggio: 'Nessun promemoria da inviare oggi' };
+        }
+
+        // sendReminder conferma solo l'accodamento: le email poi fallite tornano da inviare
+        result.riprovati = this.db.releaseFailedPromemoria(result.promemoria, edizione.id);
+
+        for (const iscrizione of this.db.getIscrizioniSenzaPromemoria(result.promemoria, edizione.id)) {
+            // Registrato prima dell'invio: un giro concorrente non lo ripete
+            if (!this.db.claimPromemoria(iscrizione.id, result.promemoria)) continue;
+
+            let sent;
+            try {
+                sent = await this.emailService.sendReminder(iscrizione, result.giorniMancanti);
+            } catch (error) {
+                sent = { success: false, error: error.message };
+            }
+
+            if (sent.success) {
+                result.inviati++;
+                if (sent.id) this.db.setPromemoriaEmail(iscrizione.id, result.promemoria, sent.id);
+            } else {
+                result.errori++;
+                this.db.releasePromemoria(iscrizione.id, result.promemoria);
+                console.error(`❌ Promemoria a ${iscrizione.email_capitano} non inviato:`, sent.error);
+            }
+        }
+
+        const messaggio = result.inviati + result.errori === 0
+            ? 'tutte le squadre approvate erano già state avvisate'
+            : `${result.inviati} squadre avvisate${result.riprovati > 0 ? ` (${result.riprovati} dopo un invio fallito)` : ''}${result.errori > 0 ? `, ${result.errori} errori` : ''}`;
+
+        return { ...result, esito: 'eseguito', messaggio: `Promemoria a ${result.promemoria} giorni: ${messaggio}` };
+    }
+}
+
+// Singleton
+let reminderSchedulerInstance = null;
+
+function getReminderScheduler() {
+    if (!reminderSchedulerInstance) {
+        reminderSchedulerInstance = new ReminderScheduler();
+    }
+    return reminderSchedulerInstance;
+}
+
+module.exports = { ReminderScheduler, getReminderScheduler, DEFAULT_DAYS };
@@ -0,0 +1,142 @@
+/**
+ * Riepilogo Admin - Un Foggiano nel Mondo
+ *
+ * Email giornaliera agli admin in modalità "riepilogo", al posto di
+ * un'email per ogni iscrizione:
+ * - Nuove iscrizioni entrate in revisione dall'ultimo riepilogo e iscrizioni da revisionare
+ * - Errori del form nelle ultime 24 ore, con un avviso se superano di molto la media della settimana
+ * - IP bloccati e stato dell'ultimo backup
+ * L'ora dell'ultimo riepilogo inviato è salvata in config (riepilogo_admin_ultimo)
+ */
+
+const { getDatabase } = require('../database');
+const { getEmailService } = require('./index');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Picco di errori: almeno SPIKE_MIN errori e più di SPIKE_FACTOR volte la media giornaliera
+const SPIKE_FACTOR = 2;
+const SPIKE_MIN = 10;
+const SPIKE_DAYS = 7;
+
+// Backup giornaliero alle 3:00: oltre 26 ore l'ultimo giro è saltato
+const BACKUP_MAX_AGE = 26 * 60 * 60 * 1000;
+
+class AdminDigest {
+    /**
+     * @param {Object} options - db, emailService
+     */
+    constructor(options = {}) {
+        this.db = options.db || getDatabase();
+        this.emailService = options.emailService || getEmailService();
+    }
+
+    /**
+     * Ora dell'ultimo riepilogo inviato (null se mai inviato)
+     */
+    getLastRun() {
+        return this.db.getConfig('riepilogo_admin_ultimo');
+    }
+
+    // ==========================================
+    // CONTENUTO
+    // ==========================================
+
+    /**
+     * Errori del form delle ultime 24 ore confrontati con la media dei giorni precedenti
+     */
+    getFormErrors() {
+        const oggi = this.db.getAnalyticsStats(1).form;
+        const settimana = this.db.getAnalyticsStats(SPIKE_DAYS + 1).form;
+        const media = Math.max(settimana.errors - oggi.errors, 0) / SPIKE_DAYS;
+
+        return {
+            oggi: oggi.errors,
+            media: Math.round(media * 10) / 10,
+            picco: oggi.errors >= SPIKE_MIN && oggi.errors > media * SPIKE_FACTOR,
+            campi: Object.entries(oggi.errorsByField)
+                .slice(0, 5)
+                .map(([campo, errori]) => ({ campo, errori }))
+        };
+    }
+
+    getBackup(now) {
+        const backup = this.db.getBackupStatus();
+        return {
+            ...backup,
+            recente: !!backup.ultimo && now - new Date(backup.ultimo.data) <= BACKUP_MAX_AGE
+        };
+    }
+
+    /**
+     * @returns {Object} { dal, al, iscrizioni, stati, daRevisionare, errori, ipBloccati, backup }
+     */
+    build(now = new Date()) {
+        const dal = this.getLastRun() || new Date(now - DAY).toISOString();
+        const stats = this.db.getIscrizioniStats();
+
+        return {
+            dal,
+            al: now.toISOString(),
+            iscrizioni: this.db.getIscrizioniVerificateDal(dal),
+            stati: stats.byStatus,
+            daRevisionare: stats.byStatus.pending || 0,
+            errori: this.getFormErrors(),
+            ipBloccati: this.db.getActiveIPBlocks(),
+            backup: this.getBackup(now)
+        };
+    }
+
+    // ==========================================
+    // INVIO
+    // ==========================================
+
+    /**
+     * Invia il riepilogo agli admin in modalità riepilogo
+     *
+     * @returns {Object} { esito, messaggio, admin, iscrizioni, inviati, errori }
+     */
+    async run(now = new Date()) {
+        const destinatari = this.emailService.getAdminRecipients('riepilogo');
+        const result = { admin: destinatari.length, iscrizioni: 0, inviati: 0, errori: 0 };
+
+        if (destinatari.length === 0) {
+            return { ...result, esito: 'nessuno', messaggio: 'Nessun admin riceve il riepilogo giornaliero' };
+        }
+
+        const riepilogo = this.build(now);
+        result.iscrizioni = riepilogo.iscrizioni.length;
+
+        for (const email of destinatari) {
+            const sent = await this.emailService.sendAdminDigest(email, riepilogo);
+            if (sent.success) {
+                result.inviati++;
+            } else {
+                result.errori++;
+                console.error(`❌ Riepilogo admin a ${email} non inviato:`, sent.error);
+            }
+        }
+
+        // Il prossimo riepilogo riparte da qui, anche se qualche invio è fallito (la coda ritenta)
+        this.db.setConfig('riepilogo_admin_ultimo', riepilogo.al);
+
+        return {
+            ...result,
+            esito: 'eseguito',
+            messaggio: `Riepilogo inviato a ${result.inviati} admin (${result.iscrizioni} nuove iscrizioni)` +
+                (result.errori > 0 ? `, ${result.errori} errori` : '')
+        };
+    }
+}
+
+// Singleton
+let adminDigestInstance = null;
+
+function getAdminDigest() {
+    if (!adminDigestInstance) {
+        adminDigestInstance = new AdminDigest();
+    }
+    return adminDigestInstance;
+}
+
+module.exports = { AdminDigest, getAdminDigest };
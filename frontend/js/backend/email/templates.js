@@ -0,0 +1,377 @@
+/**
+ * Modelli Email - Un Foggiano nel Mondo
+ *
+ * Ogni email inviata ai capitani (e la notifica admin) nasce da un modello con
+ * segnaposto nella forma {{nome}}. Il testo predefinito è costruito dal catalogo
+ * delle traduzioni; dalla dashboard è possibile sostituirlo per ogni lingua
+ * (tabella email_templates, con storico delle versioni).
+ */
+
+const { getCatalog } = require('./i18n');
+
+// Tipi di modello: titolo della pagina HTML e descrizione per la dashboard
+const TEMPLATES = {
+    verifica: {
+        descrizione: 'Verifica dell\'indirizzo email',
+        titolo: t => t.verification.title
+    },
+    conferma: {
+        descrizione: 'Conferma iscrizione',
+        titolo: t => t.confirmation.title
+    },
+    lista_attesa: {
+        descrizione: 'Conferma iscrizione in lista d\'attesa',
+        titolo: t => t.confirmation.title
+    },
+    approvata: {
+        descrizione: 'Iscrizione approvata',
+        titolo: t => t.approved.title
+    },
+    rifiutata: {
+        descrizione: 'Iscrizione rifiutata',
+        titolo: t => t.rejected.title
+    },
+    promozione: {
+        descrizione: 'Uscita dalla lista d\'attesa',
+        titolo: t => t.promotion.title
+    },
+    promemoria: {
+        descrizione: 'Promemoria prima del torneo',
+        titolo: t => t.reminder.title
+    },
+    notifica_admin: {
+        descrizione: 'Notifica admin di nuova iscrizione',
+        titolo: t => t.admin.title
+    }
+};
+
+// Segnaposto disponibili: i valori sono escapati, tranne i blocchi HTML già pronti
+const PLACEHOLDERS = {
+    squadra: 'Nome della squadra',
+    citta: 'Città della squadra',
+    paese: 'Paese della squadra (con bandiera)',
+    nome_capitano: 'Nome del capitano',
+    cognome_capitano: 'Cognome del capitano',
+    email_capitano: 'Email del capitano',
+    telefono_capitano: 'Telefono del capitano',
+    data_nascita: 'Data di nascita del capitano',
+    giocatori: 'Numero di giocatori',
+    provincia_foggia: 'Capitano della provincia di Foggia (sì/no)',
+    note: 'Note dell\'iscrizione',
+    data_iscrizione: 'Data e ora dell\'iscrizione',
+    posizione_attesa: 'Posizione in lista d\'attesa',
+    giorni_mancanti: 'Giorni mancanti al torneo (promemoria)',
+    quando: 'Quando inizia il torneo, es. "tra 7 giorni" o "domani" (promemoria)',
+    data_torneo: 'Data del torneo',
+    luogo: 'Luogo del torneo',
+    email_contatto: 'Email dell\'organizzazione',
+    dashboard_url: 'Indirizzo della dashboard admin',
+    calendario_url: 'Link al calendario .ics della squadra (torneo e partite)',
+    verifica_url: 'Link per confermare l\'indirizzo email (verifica)',
+    ore_verifica: 'Ore di validità del link di verifica (verifica)',
+    id_iscrizione: 'Codice dell\'iscrizione',
+    ip: 'Indirizzo IP dell\'iscrizione',
+    motivo_rifiuto: 'Motivo del rifiuto scelto dall\'organizzazione (rifiuto)',
+    messaggio_rifiuto: 'Messaggio dell\'organizzazione sul rifiuto (rifiuto)',
+    riepilogo: 'Tabella riepilogativa dell\'iscrizione (blocco HTML)',
+    blocco_note: 'Riquadro con le note, se presenti (blocco HTML)',
+    blocco_motivo: 'Riquadro con motivo e messaggio del rifiuto, o i motivi possibili se assenti (blocco HTML)'
+};
+
+const PLACEHOLDER_REGEX = /\{\{\s*([a-z_]+)\s*\}\}/g;
+
+// Iscrizione d'esempio per le anteprime e le email di prova
+const SAMPLE_ISCRIZIONE = {
+    id: '00000000-0000-4000-8000-000000000000',
+    nome_squadra: 'Amici di Foggia',
+    citta_squadra: 'Boston',
+    paese_squadra: 'US',
+    nome_capitano: 'Mario',
+    cognome_capitano: 'Rossi',
+    email_capitano: 'mario.rossi@example.com',
+    telefono_capitano: '+1 617 555 0123',
+    data_nascita_capitano: '1962-03-15',
+    provincia_foggia: 'si',
+    numero_giocatori: 14,
+    note: 'Arriviamo il giorno prima del torneo.',
+    status: 'pending',
+    motivo_rifiuto: 'dati_incompleti',
+    messaggio_rifiuto: 'Manca il numero di telefono del capitano: inviaci un recapito valido.',
+    ip_address: '203.0.113.10',
+    created_at: '2026-02-10T18:30:00.000Z'
+};
+
+/**
+ * Sostituisce i segnaposto con i valori (quelli sconosciuti restano invariati)
+ */
+function fillPlaceholders(text, values) {
+    return String(text || '').replace(PLACEHOLDER_REGEX, (match, name) =>
+        Object.prototype.hasOwnProperty.call(values, name) ? values[name] : match
+    );
+}
+
+/**
+ * Segnaposto usati nel testo ma non previsti
+ */
+function findUnknownPlaceholders(text) {
+    const unknown = new Set();
+    for (const [, name] of String(text || '').matchAll(PLACEHOLDER_REGEX)) {
+        if (!PLACEHOLDERS[name]) unknown.add(name);
+    }
+    return [...unknown];
+}
+
+// ==========================================
+// TESTI PREDEFINITI
+// ==========================================
+
+function getDefaultTemplate(chiave, lang) {
+    const t = getCatalog(lang);
+    const contatti = `${t.common.contact('<a href="mailto:{{email_contatto}}">{{email_contatto}}</a>')}`;
+    const saluti = `
+            <div class="divider"></div>
+
+            <p>${contatti}</p>
+
+            <p>${t.common.regards}<br>
+            <strong>${t.common.signature}</strong></p>
+    `;
+
+    const conferma = (stato, testo) => `
+            <h2>${t.confirmation.heading}</h2>
+
+            <p>${t.common.greeting('{{nome_capitano}}')}</p>
+
+            <p>${t.confirmation.intro('{{squadra}}')}</p>
+
+            <div class="highlight-box">
+                <p><strong>${t.labels.currentStatus}:</strong> ${stato}</p>
+                <p>${testo}</p>
+            </div>
+
+            <h3>${t.confirmation.summary}</h3>
+
+            {{riepilogo}}
+
+            {{blocco_note}}
+
+            <div class="divider"></div>
+
+            <p><strong>📅 ${t.labels.tournamentDate}:</strong> {{data_torneo}}</p>
+            <p><strong>📍 ${t.labels.place}:</strong> {{luogo}}</p>
+
+            <p style="margin-top: 20px;">${t.common.questions}</p>
+
+            <p>${t.common.seeYou}<br>
+            <strong>${t.common.signature}</strong></p>
+    `;
+
+    const templates = {
+        verifica: () => ({
+            oggetto: t.verification.subject('{{squadra}}'),
+            corpo: `
+            <h2>${t.verification.heading}</h2>
+
+            <p>${t.common.greeting('{{nome_capitano}}')}</p>
+
+            <p>${t.verification.intro('{{squadra}}')}</p>
+
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="{{verifica_url}}" class="btn">
+                    ${t.verification.button}
+                </a>
+            </div>
+
+            <div class="highlight-box">
+                <p>${t.verification.expires('{{ore_verifica}}')}</p>
+            </div>
+
+            <p style="color: #666; font-size: 14px;">
+                <em>${t.verification.ignore}</em>
+            </p>
+            ${saluti}`
+        }),
+
+        conferma: () => ({
+            oggetto: t.confirmation.subject('{{squadra}}'),
+            corpo: conferma(
+                `<span class="status-badge status-pending">${t.status.pending}</span>`,
+                t.confirmation.pending
+            )
+        }),
+
+        lista_attesa: () => ({
+            oggetto: t.confirmation.subjectWaitlist('{{squadra}}'),
+            corpo: conferma(
+                `<span class="status-badge status-waitlist">${t.status.waitlist('{{posizione_attesa}}')}</span>`,
+                t.confirmation.waitlist
+            )
+        }),
+
+        approvata: () => ({
+            oggetto: t.approved.subject('{{squadra}}'),
+            corpo: `
+            <h2>${t.approved.heading}</h2>
+
+            <p>${t.common.greeting('{{nome_capitano}}')}</p>
+
+            <p>${t.approved.intro('{{squadra}}')}</p>
+
+            <div class="highlight-box" style="background: #d4edda; border-color: #28a745;">
+                <p><strong>${t.approved.congrats}</strong></p>
+                <p>${t.approved.participates}</p>
+            </div>
+
+            <h3>${t.approved.nextSteps}</h3>
+            <ol>
+                ${t.approved.steps.map(step => `<li>${step}</li>`).join('\n                ')}
+            </ol>
+
+            <div class="highlight-box">
+                <p><strong>📅 ${t.labels.date}:</strong> {{data_torneo}}</p>
+                <p><strong>📍 ${t.labels.place}:</strong> {{luogo}}</p>
+                <p><strong>👥 ${t.labels.confirmedPlayers}:</strong> {{giocatori}}</p>
+                <p>📆 <a href="{{calendario_url}}">${t.calendar.addTo}</a></p>
+            </div>
+            ${saluti}`
+        }),
+
+        rifiutata: () => ({
+            oggetto: t.rejected.subject('{{squadra}}'),
+            corpo: `
+            <h2>${t.rejected.heading}</h2>
+
+            <p>${t.common.greeting('{{nome_capitano}}')}</p>
+
+            <p>${t.rejected.intro('{{squadra}}')}</p>
+
+            {{blocco_motivo}}
+
+            <p>${t.rejected.contact}</p>
+            ${saluti}`
+        }),
+
+        promozione: () => ({
+            oggetto: t.promotion.subject('{{squadra}}'),
+            corpo: `
+            <h2>${t.promotion.heading}</h2>
+
+            <p>${t.common.greeting('{{nome_capitano}}')}</p>
+
+            <p>${t.promotion.intro('{{squadra}}')}</p>
+
+            <div class="highlight-box">
+                <p><strong>${t.labels.currentStatus}:</strong> <span class="status-badge status-pending">${t.status.pending}</span></p>
+                <p>${t.promotion.text}</p>
+            </div>
+            ${saluti}`
+        }),
+
+        promemoria: () => ({
+            oggetto: t.reminder.subject('{{squadra}}', '{{quando}}'),
+            corpo: `
+            <h2>${t.reminder.heading}</h2>
+
+            <p>${t.common.greeting('{{nome_capitano}}')}</p>
+
+            <p>${t.reminder.intro('{{squadra}}', '{{quando}}')}</p>
+
+            <div class="highlight-box">
+                <p><strong>📅 ${t.labels.date}:</strong> {{data_torneo}}</p>
+                <p><strong>📍 ${t.labels.place}:</strong> {{luogo}}</p>
+                <p><strong>👥 ${t.labels.confirmedPlayers}:</strong> {{giocatori}}</p>
+                <p>📆 <a href="{{calendario_url}}">${t.calendar.addTo}</a></p>
+            </div>
+
+            <h3>${t.reminder.checklistTitle}</h3>
+            <ul>
+                ${t.reminder.checklist.map(item => `<li>${item}</li>`).join('\n                ')}
+            </ul>
+            ${saluti}`
+        }),
+
+        notifica_admin: () => ({
+            oggetto: t.admin.subject('{{squadra}}', '{{citta}}'),
+            corpo: `
+            <h2>${t.admin.heading}</h2>
+
+            <div class="highlight-box">
+                <p><strong>${t.admin.team}:</strong> {{squadra}}</p>
+                <p><strong>${t.admin.from}:</strong> {{citta}}, {{paese}}</p>
+            </div>
+
+            <h3>${t.admin.details}</h3>
+
+            <table class="info-table">
+                <tr>
+                    <td>${t.admin.id}</td>
+                    <td><code>{{id_iscrizione}}</code></td>
+                </tr>
+                <tr>
+                    <td>${t.labels.teamName}</td>
+                    <td><strong>{{squadra}}</strong></td>
+                </tr>
+                <tr>
+                    <td>${t.admin.cityCountry}</td>
+                    <td>{{citta}}, {{paese}}</td>
+                </tr>
+                <tr>
+                    <td>${t.labels.captain}</td>
+                    <td>{{nome_capitano}} {{cognome_capitano}}</td>
+                </tr>
+                <tr>
+                    <td>${t.admin.captainEmail}</td>
+                    <td><a href="mailto:{{email_capitano}}">{{email_capitano}}</a></td>
+                </tr>
+                <tr>
+                    <td>${t.labels.phone}</td>
+                    <td><a href="tel:{{telefono_capitano}}">{{telefono_capitano}}</a></td>
+                </tr>
+                <tr>
+                    <td>${t.admin.birthDate}</td>
+                    <td>{{data_nascita}}</td>
+                </tr>
+                <tr>
+                    <td>${t.admin.provincia}</td>
+                    <td>{{provincia_foggia}}</td>
+                </tr>
+                <tr>
+                    <td>${t.labels.players}</td>
+                    <td>{{giocatori}}</td>
+                </tr>
+                <tr>
+                    <td>${t.admin.ip}</td>
+                    <td><code>{{ip}}</code></td>
+                </tr>
+                <tr>
+                    <td>${t.admin.dateTime}</td>
+                    <td>{{data_iscrizione}}</td>
+                </tr>
+            </table>
+
+            {{blocco_note}}
+
+            <div style="text-align: center; margin: 30px 0;">
+                <a href="{{dashboard_url}}" class="btn">
+                    ${t.admin.button}
+                </a>
+            </div>
+
+            <p style="color: #666; font-size: 14px;">
+                <em>${t.admin.footnote}</em>
+            </p>
+    `
+        })
+    };
+
+    return templates[chiave] ? templates[chiave]() : null;
+}
+
+module.exports = {
+    TEMPLATES,
+    PLACEHOLDERS,
+    SAMPLE_ISCRIZIONE,
+    fillPlaceholders,
+    findUnknownPlaceholders,
+    getDefaultTemplate
+};
@@ -0,0 +1,173 @@
+/**
+ * Verifica della coda email
+ * Da eseguire con: npm run test:outbox
+ *
+ * Usa un database temporaneo e un servizio email finto: controlla l'invio
+ * riuscito, il backoff esponenziale tra i tentativi, l'abbandono dopo
+ * l'ultimo tentativo, il reinvio manuale, la coda ferma senza transporter
+ * e la ripresa delle email interrotte da un riavvio.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseManager } = require('../database');
+const { EmailOutbox } = require('./outbox');
+
+const RETRY_DELAY = 60000;
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Servizio email finto: risponde con gli esiti in "results", poi con successo
+ */
+function createEmailService() {
+    return {
+        transporter: {},
+        results: [],
+        sent: [],
+        async send(message) {
+            this.sent.push(message);
+            return this.results.shift() || { success: true, messageId: `<${this.sent.length}@test>` };
+        }
+    };
+}
+
+function setup() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+    const db = new DatabaseManager({ dbPath: path.join(dir, 'test.db'), backupPath: path.join(dir, 'backups') });
+    const emailService = createEmailService();
+    const outbox = new EmailOutbox({ db, emailService, retryDelay: RETRY_DELAY, maxAttempts: MAX_ATTEMPTS });
+
+    return {
+        db, emailService, outbox,
+        enqueue() {
+            return outbox.enqueue({ tipo: 'test', to: 'capitano@example.com', subject: 'Prova', html: '<p>Prova</p>' }).id;
+        },
+        invii(id) {
+            return db.db.prepare('SELECT tentativo, esito, errore FROM email_invii WHERE email_id = ? ORDER BY id').all(id);
+        },
+        cleanup() {
+            db.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Tentativo di invio come nel worker, senza attendere il backoff
+ */
+async function attempt({ db, outbox }, id) {
+    assert.ok(db.claimEmail(id), `email ${id} non in coda`);
+    await outbox.deliver(db.getEmailById(id));
+    return db.getEmailById(id);
+}
+
+const checks = [
+    ['Backoff esponenziale tra i tentativi', () => {
+        const outbox = new EmailOutbox({ db: {}, emailService: {}, retryDelay: 1000 });
+        assert.deepStrictEqual([1, 2, 3, 4, 5].map(n => outbox.getRetryDelay(n)), [1000, 2000, 4000, 8000, 16000]);
+    }],
+
+    ['Invio riuscito registrato una volta', async (context) => {
+        const id = context.enqueue();
+        await context.outbox.processDue();
+        const email = context.db.getEmailById(id);
+
+        assert.strictEqual(email.status, 'sent');
+        assert.strictEqual(email.tentativi, 1);
+        assert.strictEqual(email.message_id, '<1@test>');
+        assert.deepStrictEqual(context.invii(id).map(i => [i.tentativo, i.esito]), [[1, 'sent']]);
+    }],
+
+    ['Invio fallito: nuovo tentativo dopo il backoff', async (context) => {
+        const id = context.enqueue();
+        context.emailService.results.push({ success: false, error: 'SMTP non raggiungibile' });
+
+        const before = Date.now();
+        await context.outbox.processDue();
+        const email = context.db.getEmailById(id);
+        const wait = new Date(email.prossimo_tentativo).getTime() - before;
+
+        assert.strictEqual(email.status, 'pending');
+        assert.strictEqual(email.tentativi, 1);
+        assert.strictEqual(email.ultimo_errore, 'SMTP non raggiungibile');
+        assert.ok(wait >= RETRY_DELAY && wait < RETRY_DELAY + 5000, `attesa ${wait}ms`);
+        assert.strictEqual(context.db.getDueEmails().length, 0, 'non ritentata prima della scadenza');
+        assert.strictEqual(context.emailService.sent.length, 1);
+    }],
+
+    ['Email abbandonata dopo l\'ultimo tentativo', async (context) => {
+        const id = context.enqueue();
+        for (let i = 0; i < MAX_ATTEMPTS; i++) {
+            context.emailService.results.push({ success: false, error: `Errore ${i + 1}` });
+        }
+
+        let email;
+        for (let i = 0; i < MAX_ATTEMPTS; i++) {
+            email = await attempt(context, id);
+        }
+
+        assert.strictEqual(email.status, 'failed');
+        assert.strictEqual(email.tentativi, MAX_ATTEMPTS);
+        assert.strictEqual(email.ultimo_errore, `Errore ${MAX_ATTEMPTS}`);
+        assert.deepStrictEqual(context.invii(id).map(i => i.tentativo), [1, 2, 3]);
+        assert.ok(context.invii(id).every(i => i.esito === 'failed'));
+    }],
+
+    ['Reinvio manuale di un\'email fallita', async (context) => {
+        const id = context.enqueue();
+        assert.ok(!context.outbox.resend(id), 'solo le email fallite');
+
+        context.db.claimEmail(id);
+        context.db.markEmailFailed(id, 'Tentativi esauriti');
+        assert.ok(context.outbox.resend(id));
+        assert.strictEqual(context.db.getEmailById(id).tentativi, 0);
+
+        const email = await attempt(context, id);
+        assert.strictEqual(email.status, 'sent');
+        assert.strictEqual(context.invii(id).length, 1);
+    }],
+
+    ['Senza transporter le email restano in coda', async (context) => {
+        const id = context.enqueue();
+        context.emailService.transporter = null;
+        await context.outbox.processDue();
+
+        assert.strictEqual(context.db.getEmailById(id).status, 'pending');
+        assert.strictEqual(context.db.getEmailById(id).tentativi, 0);
+        assert.strictEqual(context.emailService.sent.length, 0);
+    }],
+
+    ['Email interrotte da un riavvio tornano in coda', (context) => {
+        const id = context.enqueue();
+        context.db.claimEmail(id);
+
+        assert.strictEqual(context.db.recoverEmails(), 1);
+        assert.strictEqual(context.db.getEmailById(id).status, 'pending');
+    }]
+];
+
+async function main() {
+    let failed = 0;
+    for (const [name, check] of checks) {
+        const context = check.length > 0 ? setup() : null;
+        try {
+            await check(context);
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        } finally {
+            if (context) context.cleanup();
+        }
+    }
+
+    if (failed > 0) {
+        console.error(`\n❌ Verifica fallita: ${failed} controlli non superati`);
+        process.exit(1);
+    }
+    console.log('\n✅ Coda email verificata');
+}
+
+main();
@@ -0,0 +1,172 @@
+/**
+ * Verifica dei promemoria torneo
+ * Da eseguire con: npm run test:promemoria
+ *
+ * Usa un database temporaneo e un servizio email finto che accoda nella
+ * email_outbox: controlla il promemoria dovuto, l'invio unico per squadra,
+ * la registrazione liberata dopo un invio fallito (subito o dalla coda)
+ * e la registrazione che blocca un secondo giro concorrente.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseManager } = require('../database');
+const { ReminderScheduler } = require('./promemoria');
+
+const NOW = new Date(2026, 5, 1, 9, 0);
+const DATA_TORNEO = '2026-06-08'; // 7 giorni dopo NOW
+
+/**
+ * Servizio email finto: accoda come quello vero, tranne per gli indirizzi in "failing"
+ */
+function createEmailService(db) {
+    return {
+        failing: new Set(),
+        async sendReminder(iscrizione) {
+            if (this.failing.has(iscrizione.email_capitano)) {
+                return { success: false, error: 'Invio non riuscito' };
+            }
+            const id = db.enqueueEmail({
+                tipo: 'promemoria',
+                iscrizioneId: iscrizione.id,
+                to: iscrizione.email_capitano,
+                subject: 'Promemoria',
+                html: '<p>Promemoria</p>'
+            });
+            return { success: true, queued: true, id };
+        }
+    };
+}
+
+function addSquadra(db, nome, status) {
+    const { id } = db.createIscrizione({
+        nomeSquadra: nome,
+        cittaSquadra: 'Foggia',
+        paeseSquadra: 'Italia',
+        nomeCapitano: 'Mario',
+        cognomeCapitano: 'Rossi',
+        emailCapitano: `${nome.toLowerCase()}@example.com`,
+        telefonoCapitano: '+39 333 1234567',
+        dataNascitaCapitano: '1960-01-01',
+        provinciaFoggia: 'si'
+    });
+    if (status !== 'pending') db.updateIscrizioneStatus(id, status);
+    return id;
+}
+
+function setup() {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'promemoria-'));
+    const db = new DatabaseManager({ dbPath: path.join(dir, 'test.db'), backupPath: path.join(dir, 'backups') });
+    db.setEdizioneDataInizio(db.getEdizioneCorrenteId(), DATA_TORNEO);
+
+    const emailService = createEmailService(db);
+    const scheduler = new ReminderScheduler({ db, emailService });
+    const squadre = {
+        alfa: addSquadra(db, 'Alfa', 'approved'),
+        beta: addSquadra(db, 'Beta', 'approved'),
+        gamma: addSquadra(db, 'Gamma', 'pending')
+    };
+
+    return {
+        db, emailService, scheduler, squadre,
+        cleanup() {
+            db.close();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+}
+
+const checks = [
+    ['Promemoria dovuto in base ai giorni mancanti', () => {
+        const scheduler = new ReminderScheduler({ db: {}, emailService: {} });
+        const giorni = [30, 7, 1];
+
+        assert.strictEqual(scheduler.getDaysUntil(DATA_TORNEO, NOW), 7);
+        assert.strictEqual(scheduler.getDueReminder(40, giorni), null);
+        assert.strictEqual(scheduler.getDueReminder(30, giorni), 30);
+        assert.strictEqual(scheduler.getDueReminder(10, giorni), 30);
+        assert.strictEqual(scheduler.getDueReminder(7, giorni), 7);
+        assert.strictEqual(scheduler.getDueReminder(1, giorni), 1);
+        assert.strictEqual(scheduler.getDueReminder(0, giorni), null, 'torneo iniziato');
+    }],
+
+    ['Un solo promemoria per squadra approvata', async ({ db, scheduler, squadre }) => {
+        const primo = await scheduler.run(NOW);
+        const secondo = await scheduler.run(NOW);
+
+        assert.strictEqual(primo.promemoria, 7);
+        assert.strictEqual(primo.inviati, 2, 'solo le squadre approvate');
+        assert.strictEqual(secondo.inviati, 0);
+        assert.strictEqual(db.getEmailsByIscrizione(squadre.alfa).length, 1);
+        assert.strictEqual(db.getEmailsByIscrizione(squadre.gamma).length, 0);
+    }],
+
+    ['Invio fallito: il giro successivo lo riprova', async ({ db, emailService, scheduler, squadre }) => {
+        emailService.failing.add('beta@example.com');
+        const primo = await scheduler.run(NOW);
+        emailService.failing.clear();
+        const secondo = await scheduler.run(NOW);
+
+        assert.strictEqual(primo.inviati, 1);
+        assert.strictEqual(primo.errori, 1);
+        assert.strictEqual(secondo.inviati, 1);
+        assert.strictEqual(db.getEmailsByIscrizione(squadre.beta).length, 1);
+    }],
+
+    ['Email abbandonata dalla coda: il giro successivo la riprova', async ({ db, scheduler, squadre }) => {
+        await scheduler.run(NOW);
+        const [email] = db.getEmailsByIscrizione(squadre.alfa);
+        db.markEmailFailed(email.id, 'Tentativi esauriti');
+
+        const secondo = await scheduler.run(NOW);
+        const terzo = await scheduler.run(NOW);
+
+        assert.strictEqual(secondo.riprovati, 1);
+        assert.strictEqual(secondo.inviati, 1);
+        assert.strictEqual(terzo.riprovati, 0, 'la nuova email non è fallita');
+        assert.strictEqual(terzo.inviati, 0);
+        assert.strictEqual(db.getEmailsByIscrizione(squadre.alfa).length, 2);
+    }],
+
+    ['La registrazione blocca un secondo giro concorrente', ({ db, squadre }) => {
+        assert.ok(db.claimPromemoria(squadre.alfa, 7));
+        assert.ok(!db.claimPromemoria(squadre.alfa, 7), 'già registrato');
+        assert.ok(db.releasePromemoria(squadre.alfa, 7));
+        assert.ok(db.claimPromemoria(squadre.alfa, 7), 'registrabile dopo il rilascio');
+    }],
+
+    ['Nessun invio con promemoria disattivati o senza data', async ({ db, scheduler }) => {
+        scheduler.saveSettings({ attivi: false, giorni: [7] });
+        assert.strictEqual((await scheduler.run(NOW)).esito, 'disattivati');
+
+        scheduler.saveSettings({ attivi: true, giorni: [7] });
+        db.setEdizioneDataInizio(db.getEdizioneCorrenteId(), null);
+        assert.strictEqual((await scheduler.run(NOW)).esito, 'data_mancante');
+    }]
+];
+
+async function main() {
+    let failed = 0;
+    for (const [name, check] of checks) {
+        const context = check.length > 0 ? setup() : null;
+        try {
+            await check(context);
+            console.log(`✅ ${name}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${name}: ${error.message}`);
+        } finally {
+            if (context) context.cleanup();
+        }
+    }
+
+    if (failed > 0) {
+        console.error(`\n❌ Verifica fallita: ${failed} controlli non superati`);
+        process.exit(1);
+    }
+    console.log('\n✅ Promemoria verificati');
+}
+
+main();
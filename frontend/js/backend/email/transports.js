@@ -0,0 +1,90 @@
+/**
+ * Trasporti Email - Un Foggiano nel Mondo
+ *
+ * Il trasporto si sceglie con EMAIL_TRANSPORT:
+ * - smtp      server SMTP (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ * - sendmail  binario sendmail locale (SENDMAIL_PATH)
+ * - file      nessun invio: le email finiscono nella casella di sviluppo (vedi mailbox.js),
+ *             rifiutato in produzione perché nessuna email arriverebbe a destinazione
+ * Senza EMAIL_TRANSPORT si usa SMTP se ci sono le credenziali, altrimenti
+ * in sviluppo la casella su file; in produzione l'invio resta disattivato.
+ */
+
+const nodemailer = require('nodemailer');
+const { getMailbox } = require('./mailbox');
+
+const TRANSPORTS = ['smtp', 'sendmail', 'file'];
+
+// Nomi alternativi accettati in EMAIL_TRANSPORT
+const ALIASES = {
+    json: 'file',
+    mailbox: 'file'
+};
+
+/**
+ * Trasporto da usare: quello richiesto oppure quello predefinito
+ *
+ * @param {Object} config - transport (richiesto), smtp (opzioni nodemailer)
+ * @returns {string|null} null = nessun trasporto disponibile
+ */
+function resolveTransport(config = {}) {
+    const requested = String(config.transport || '').trim().toLowerCase();
+    if (requested) {
+        const name = ALIASES[requested] || requested;
+        if (!TRANSPORTS.includes(name)) {
+            throw new Error(`EMAIL_TRANSPORT non valido: "${requested}" (ammessi: ${TRANSPORTS.join(', ')})`);
+        }
+        if (name === 'file' && process.env.NODE_ENV === 'production') {
+            throw new Error('EMAIL_TRANSPORT=file non è ammesso in produzione: le email non verrebbero consegnate (usa smtp o sendmail)');
+        }
+        return name;
+    }
+
+    if (config.smtp && config.smtp.auth && config.smtp.auth.user && config.smtp.auth.pass) {
+        return 'smtp';
+    }
+    return process.env.NODE_ENV === 'production' ? null : 'file';
+}
+
+/**
+ * Casella su file: il messaggio viene composto da nodemailer (jsonTransport)
+ * e salvato su disco; il messageId restituito è l'id nella casella
+ */
+function createFileTransport(mailbox = getMailbox()) {
+    const json = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+        async sendMail(mailOptions) {
+            const info = await json.sendMail(mailOptions);
+            const id = mailbox.save(JSON.parse(info.message));
+            return { ...info, messageId: `mailbox:${id}` };
+        },
+        async verify() {
+            return true;
+        }
+    };
+}
+
+/**
+ * @param {string} name - smtp | sendmail | file
+ * @param {Object} config - smtp (opzioni nodemailer), sendmailPath, mailbox
+ * @returns {Object} transporter con sendMail() e verify()
+ */
+function createTransport(name, config = {}) {
+    switch (name) {
+        case 'smtp':
+            return nodemailer.createTransport(config.smtp);
+        case 'sendmail':
+            return nodemailer.createTransport({
+                sendmail: true,
+                newline: 'unix',
+                path: config.sendmailPath || 'sendmail'
+            });
+        case 'file':
+            return createFileTransport(config.mailbox);
+        default:
+            throw new Error(`Trasporto email sconosciuto: ${name}`);
+    }
+}
+
+module.exports = { TRANSPORTS, resolveTransport, createTransport };
@@ -0,0 +1,129 @@
+/**
+ * Dettagli Evento - Un Foggiano nel Mondo
+ *
+ * Data, orario, luogo e contatti del torneo, modificabili dalla dashboard:
+ * email, countdown della home, controllo dell'età e /api/event leggono da qui.
+ * - La data è quella di inizio dell'edizione corrente (la stessa del calendario .ics e dei promemoria):
+ *   resta in edizioni.data_inizio e non in config perché ogni edizione ha la sua, e
+ *   una chiave unica verrebbe riscritta ogni anno perdendo le date delle edizioni passate
+ * - Orario, luogo, sede e contatti stanno nella tabella config (chiavi evento_*)
+ */
+
+const { getDatabase } = require('../database');
+const { TIMEZONE } = require('../torneo/ics');
+
+// Campo -> chiave in config
+const CONFIG_KEYS = {
+    ora: 'evento_ora',
+    luogo: 'evento_luogo',
+    sede: 'evento_sede',
+    email: 'evento_email',
+    telefono: 'evento_telefono'
+};
+
+const DEFAULT_TIME = '09:00';
+
+const clock = new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+/**
+ * Differenza (ms) tra l'ora di Foggia e UTC nell'istante indicato
+ */
+function zoneOffset(time) {
+    const parts = Object.fromEntries(clock.formatToParts(new Date(time)).map(p => [p.type, Number(p.value)]));
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute) - time;
+}
+
+/**
+ * "2026-06-01" -> "1 giugno 2026" nella lingua indicata (senza effetti del fuso orario)
+ */
+function formatEventDate(data, locale = 'it-IT') {
+    if (!data) return '';
+
+    const [anno, mese, giorno] = data.split('-').map(Number);
+    return new Date(Date.UTC(anno, mese - 1, giorno)).toLocaleDateString(locale, {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        timeZone: 'UTC'
+    });
+}
+
+/**
+ * Sede e luogo in una riga, es. "Stadio Pino Zaccheria, Foggia, Puglia"
+ */
+function formatEventPlace(settings) {
+    return [settings.sede, settings.luogo].filter(Boolean).join(', ');
+}
+
+class EventSettings {
+    /**
+     * @param {Object} options - db
+     */
+    constructor(options = {}) {
+        this.db = options.db || getDatabase();
+    }
+
+    /**
+     * @returns {Object} { data, ora, luogo, sede, email, telefono } (data null = non ancora fissata)
+     */
+    get() {
+        const edizione = this.db.getEdizioneCorrente();
+        const settings = { data: edizione && edizione.data_inizio ? edizione.data_inizio : null };
+
+        for (const [campo, key] of Object.entries(CONFIG_KEYS)) {
+            settings[campo] = this.db.getConfig(key) || '';
+        }
+        settings.ora = settings.ora || DEFAULT_TIME;
+        return settings;
+    }
+
+    save(settings) {
+        this.db.transaction(() => {
+            this.db.setEdizioneDataInizio(this.db.getEdizioneCorrenteId(), settings.data);
+            for (const [campo, key] of Object.entries(CONFIG_KEYS)) {
+                this.db.setConfig(key, settings[campo] || '');
+            }
+        });
+        return this.get();
+    }
+
+    /**
+     * Inizio del torneo: data e orario sono ora di Foggia, qualunque sia il fuso del server
+     * (null se la data non è fissata)
+     */
+    getStart(settings = this.get()) {
+        if (!settings.data) return null;
+
+        const [anno, mese, giorno] = settings.data.split('-').map(Number);
+        const [ore, minuti] = settings.ora.split(':').map(Number);
+        const wallClock = Date.UTC(anno, mese - 1, giorno, ore, minuti);
+
+        // Seconda correzione con la differenza dell'istante trovato (cambio dell'ora legale)
+        const time = wallClock - zoneOffset(wallClock);
+        return new Date(wallClock - zoneOffset(time));
+    }
+
+    getPlace(settings = this.get()) {
+        return formatEventPlace(settings);
+    }
+}
+
+// Singleton
+let eventSettingsInstance = null;
+
+function getEventSettings() {
+    if (!eventSettingsInstance) {
+        eventSettingsInstance = new EventSettings();
+    }
+    return eventSettingsInstance;
+}
+
+module.exports = { EventSettings, getEventSettings, formatEventDate, formatEventPlace, CONFIG_KEYS };
@@ -0,0 +1,174 @@
+/**
+ * Galleria - Un Foggiano nel Mondo
+ *
+ * Archivio su disco delle foto della galleria (data/galleria):
+ * - originali/  immagine caricata a piena risoluzione, non pubblicata
+ * - web/        versione per la visualizzazione a schermo intero
+ * - thumb/      miniatura per la griglia
+ * Il formato reale dell'immagine viene verificato leggendone il contenuto.
+ *
+ * Nessun file viene salvato così come è stato caricato: ogni immagine è
+ * ricodificata con l'orientamento applicato ai pixel e senza metadati
+ * (EXIF, GPS, XMP, IPTC, profili colore), che sharp non copia in uscita.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const GALLERY_DIR = path.join(__dirname, '../../../../data/galleria');
+
+// Formati accettati (rilevati da sharp) ed estensione del file originale
+const FORMATS = {
+    jpeg: 'jpg',
+    png: 'png',
+    webp: 'webp'
+};
+
+// Opzioni di ricodifica dell'originale (qualità alta: è l'archivio della foto)
+const ENCODERS = {
+    jpeg: image => image.jpeg({ quality: 92, mozjpeg: true }),
+    png: image => image.png({ compressionLevel: 9 }),
+    webp: image => image.webp({ quality: 92 })
+};
+
+class GalleryStorage {
+    constructor(options = {}) {
+        this.dir = options.dir || GALLERY_DIR;
+        this.variants = {
+            web: { size: options.webSize || 1600, quality: 82 },
+            thumb: { size: options.thumbSize || 480, quality: 75 }
+        };
+        this.maxPixels = options.maxPixels || 50 * 1000 * 1000; // 50 megapixel
+
+        for (const folder of ['originali', 'web', 'thumb']) {
+            fs.mkdirSync(path.join(this.dir, folder), { recursive: true });
+        }
+    }
+
+    path(folder, file) {
+        return path.join(this.dir, folder, file);
+    }
+
+    /**
+     * URL pubblici delle varianti di una foto (file = nome senza estensione)
+     */
+    urls(file) {
+        return {
+            web: `/media/galleria/web/${file}.webp`,
+            thumb: `/media/galleria/thumb/${file}.webp`
+        };
+    }
+
+    // ==========================================
+    // VERIFICA
+    // ==========================================
+
+    /**
+     * Legge formato e dimensioni dal contenuto del file
+     *
+     * @returns {Object} { success, formato, larghezza, altezza, error }
+     */
+    async inspect(buffer) {
+        let metadata;
+        try {
+            metadata = await sharp(buffer, { limitInputPixels: this.maxPixels }).metadata();
+        } catch (error) {
+            return { success: false, error: 'Il file non è un\'immagine valida' };
+        }
+
+        if (!FORMATS[metadata.format]) {
+            return { success: false, error: 'Formato non supportato (ammessi JPEG, PNG e WebP)' };
+        }
+        if (metadata.width * metadata.height > this.maxPixels) {
+            return { success: false, error: 'Immagine troppo grande' };
+        }
+
+        // Dimensioni dopo la rotazione indicata dall'orientamento EXIF
+        const { width, height } = metadata.autoOrient || metadata;
+
+        return {
+            success: true,
+            formato: metadata.format,
+            larghezza: width,
+            altezza: height
+        };
+    }
+
+    // ==========================================
+    // SALVATAGGIO
+    // ==========================================
+
+    /**
+     * Ricodifica l'immagine nel formato originale: ruota i pixel secondo
+     * l'orientamento EXIF e scarta tutti i metadati
+     */
+    async normalize(buffer, formato) {
+        const image = sharp(buffer, { limitInputPixels: this.maxPixels }).rotate();
+        return ENCODERS[formato](image).toBuffer();
+    }
+
+    /**
+     * Salva l'originale ricodificato e genera le varianti web e miniatura
+     *
+     * @returns {Object} { success, file, formato, larghezza, altezza, dimensione, error }
+     */
+    async save(buffer) {
+        const info = await this.inspect(buffer);
+        if (!info.success) return info;
+
+        const file = crypto.randomUUID();
+        const original = `${file}.${FORMATS[info.formato]}`;
+        const normalized = await this.normalize(buffer, info.formato);
+
+        try {
+            await fs.promises.writeFile(this.path('originali', original), normalized);
+
+            // Le varianti partono dall'immagine già ruotata e ripulita
+            for (const [folder, variant] of Object.entries(this.variants)) {
+                await sharp(normalized)
+                    .resize({ width: variant.size, height: variant.size, fit: 'inside', withoutEnlargement: true })
+                    .webp({ quality: variant.quality })
+                    .toFile(this.path(folder, `${file}.webp`));
+            }
+        } catch (error) {
+            await this.remove(file, info.formato);
+            throw error;
+        }
+
+        return {
+            success: true,
+            file,
+            formato: info.formato,
+            larghezza: info.larghezza,
+            altezza: info.altezza,
+            dimensione: normalized.length
+        };
+    }
+
+    /**
+     * Elimina originale e varianti (i file mancanti vengono ignorati)
+     */
+    async remove(file, formato) {
+        const files = [
+            this.path('originali', `${file}.${FORMATS[formato]}`),
+            this.path('web', `${file}.webp`),
+            this.path('thumb', `${file}.webp`)
+        ];
+
+        await Promise.all(files.map(f => fs.promises.rm(f, { force: true })));
+    }
+}
+
+// Singleton
+let galleryStorageInstance = null;
+
+function getGalleryStorage() {
+    if (!galleryStorageInstance) {
+        galleryStorageInstance = new GalleryStorage();
+    }
+    return galleryStorageInstance;
+}
+
+module.exports = { GalleryStorage, getGalleryStorage, GALLERY_DIR };
@@ -0,0 +1,90 @@
+/**
+ * Verifica della rimozione dei metadati dalle foto della galleria
+ * Da eseguire con: npm run test:galleria
+ *
+ * Per ogni formato accettato crea una foto "da telefono" (orientamento ruotato,
+ * coordinate GPS, XMP), la salva in una cartella temporanea e controlla che
+ * nessuno dei file su disco contenga metadati e che l'orientamento sia applicato.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { GalleryStorage } = require('./index');
+
+const WIDTH = 600;
+const HEIGHT = 400;
+
+const EXIF = {
+    IFD0: { Make: 'TestPhone', Model: 'Fotocamera', Copyright: 'Mario Rossi' },
+    IFD3: {
+        GPSLatitudeRef: 'N',
+        GPSLatitude: '41/1 27/1 3000/100',
+        GPSLongitudeRef: 'E',
+        GPSLongitude: '15/1 32/1 4500/100'
+    }
+};
+
+const XMP = '<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">'
+    + '<rdf:Description xmlns:exif="http://ns.adobe.com/exif/1.0/" exif:GPSLatitude="41,27.5N"/>'
+    + '</rdf:RDF></x:xmpmeta>';
+
+// Foto orizzontale salvata "di lato": orientamento EXIF 6 = ruotare di 90°
+function createPhoneImage(format) {
+    return sharp({ create: { width: WIDTH, height: HEIGHT, channels: 3, background: '#c41e3a' } })[format]()
+        .withMetadata({ orientation: 6 })
+        .withExif(EXIF)
+        .withXmp(XMP)
+        .toBuffer();
+}
+
+async function checkFile(file, expectedFormat) {
+    const buffer = await fs.promises.readFile(file);
+    const metadata = await sharp(buffer).metadata();
+    const name = path.relative(os.tmpdir(), file);
+
+    assert.strictEqual(metadata.format, expectedFormat, `${name}: formato ${metadata.format}`);
+    for (const field of ['exif', 'xmp', 'iptc', 'icc', 'comments']) {
+        assert.ok(!metadata[field], `${name}: contiene ancora ${field}`);
+    }
+    assert.ok(!metadata.orientation || metadata.orientation === 1, `${name}: orientamento ${metadata.orientation}`);
+    assert.ok(metadata.height > metadata.width, `${name}: la rotazione non è stata applicata ai pixel`);
+    assert.ok(!buffer.includes('Exif\0') && !buffer.includes('TestPhone'), `${name}: dati EXIF nel file`);
+}
+
+async function run() {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'galleria-'));
+    const storage = new GalleryStorage({ dir });
+
+    try {
+        for (const format of ['jpeg', 'png', 'webp']) {
+            const upload = await createPhoneImage(format);
+            const source = await sharp(upload).metadata();
+            assert.ok(source.exif && source.xmp && source.orientation === 6, `${format}: immagine di prova senza metadati`);
+
+            const result = await storage.save(upload);
+            assert.ok(result.success, `${format}: ${result.error}`);
+            assert.deepStrictEqual([result.larghezza, result.altezza], [HEIGHT, WIDTH], `${format}: dimensioni non ruotate`);
+
+            await checkFile(storage.path('originali', `${result.file}.${format === 'jpeg' ? 'jpg' : format}`), format);
+            await checkFile(storage.path('web', `${result.file}.webp`), 'webp');
+            await checkFile(storage.path('thumb', `${result.file}.webp`), 'webp');
+
+            console.log(`✅ ${format.toUpperCase()}: metadati rimossi e orientamento applicato`);
+        }
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+}
+
+run()
+    .then(() => {
+        console.log('\n✅ Nessun metadato nei file salvati');
+        process.exit(0);
+    })
+    .catch(error => {
+        console.error('❌ Verifica fallita:', error.message);
+        process.exit(1);
+    });
@@ -0,0 +1,58 @@
+/**
+ * Link Firmati - Un Foggiano nel Mondo
+ *
+ * Link personali inviati via email ai capitani (verifica dell'email, calendario della squadra):
+ * l'identificativo è accompagnato da una firma HMAC, così il link non può
+ * essere costruito a mano per un'altra squadra.
+ * Segreto: LINK_SECRET, in mancanza derivato dalla chiave admin.
+ */
+
+const crypto = require('crypto');
+
+function getSecret() {
+    return process.env.LINK_SECRET || `link:${process.env.ADMIN_KEY || 'dev_only_foggiano2026'}`;
+}
+
+/**
+ * Indirizzo pubblico del sito, senza slash finale
+ */
+function getSiteUrl() {
+    return (process.env.SITE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+}
+
+/**
+ * Firma di un valore per un uso specifico (scope), es. sign('calendario', id)
+ */
+function sign(scope, value) {
+    return crypto.createHmac('sha256', getSecret())
+        .update(`${scope}:${value}`)
+        .digest('base64url');
+}
+
+function verify(scope, value, signature) {
+    if (typeof signature !== 'string' || !signature) return false;
+
+    const expected = Buffer.from(sign(scope, value));
+    const received = Buffer.from(signature);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// ==========================================
+// LINK
+// ==========================================
+
+/**
+ * Conferma dell'indirizzo email di una nuova iscrizione (double opt-in)
+ */
+function getVerificationUrl(iscrizioneId) {
+    return `${getSiteUrl()}/api/iscrizione/${iscrizioneId}/verifica?firma=${sign('verifica', iscrizioneId)}`;
+}
+
+/**
+ * Calendario .ics della squadra (torneo e partite in programma)
+ */
+function getCalendarUrl(iscrizioneId) {
+    return `${getSiteUrl()}/api/calendario/${iscrizioneId}.ics?firma=${sign('calendario', iscrizioneId)}`;
+}
+
+module.exports = { sign, verify, getSiteUrl, getVerificationUrl, getCalendarUrl };
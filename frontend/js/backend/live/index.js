@@ -0,0 +1,128 @@
+/**
+ * Live Feed - Un Foggiano nel Mondo
+ *
+ * Aggiornamenti in tempo reale (Server-Sent Events) per la pagina /live:
+ * - Registro dei client collegati, con un limite totale e uno per IP
+ * - Invio dello stato completo ad ogni modifica
+ * - Heartbeat per mantenere aperte le connessioni dietro proxy
+ */
+
+class LiveFeed {
+    constructor(options = {}) {
+        this.clients = new Set();
+        this.perIp = new Map(); // IP -> connessioni aperte
+        this.maxClients = options.maxClients || 500;
+        this.maxPerIp = options.maxPerIp || 5; // più schede o dispositivi dietro la stessa rete
+        this.heartbeatInterval = options.heartbeatInterval || 25000; // 25 secondi
+        this.retry = options.retry || 5000; // riconnessione client
+        this.heartbeatTimer = null;
+    }
+
+    get size() {
+        return this.clients.size;
+    }
+
+    /**
+     * Registra una risposta HTTP come stream SSE
+     *
+     * @returns {boolean} false se il limite di connessioni (totale o dell'IP) è raggiunto
+     */
+    addClient(req, res, initialData) {
+        const ip = req.ip;
+        const fromIp = this.perIp.get(ip) || 0;
+
+        if (this.clients.size >= this.maxClients || fromIp >= this.maxPerIp) {
+            return false;
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache, no-transform',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disabilita il buffering di nginx
+        });
+        res.write(`retry: ${this.retry}\n\n`);
+
+        this.clients.add(res);
+        this.perIp.set(ip, fromIp + 1);
+        this.startHeartbeat();
+
+        if (initialData) {
+            this.send(res, 'update', initialData);
+        }
+
+        req.on('close', () => {
+            this.clients.delete(res);
+            const remaining = (this.perIp.get(ip) || 1) - 1;
+            if (remaining > 0) {
+                this.perIp.set(ip, remaining);
+            } else {
+                this.perIp.delete(ip);
+            }
+            if (this.clients.size === 0) {
+                this.stopHeartbeat();
+            }
+        });
+
+        return true;
+    }
+
+    send(res, event, data) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    }
+
+    /**
+     * Invia un evento a tutti i client collegati
+     */
+    broadcast(event, data) {
+        for (const res of this.clients) {
+            try {
+                this.send(res, event, data);
+            } catch (error) {
+                this.clients.delete(res);
+            }
+        }
+    }
+
+    startHeartbeat() {
+        if (this.heartbeatTimer) return;
+
+        this.heartbeatTimer = setInterval(() => {
+            for (const res of this.clients) {
+                res.write(': ping\n\n');
+            }
+        }, this.heartbeatInterval);
+        this.heartbeatTimer.unref();
+    }
+
+    stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+    }
+
+    /**
+     * Chiude tutte le connessioni (necessario per lo shutdown del server)
+     */
+    close() {
+        this.stopHeartbeat();
+        for (const res of this.clients) {
+            res.end();
+        }
+        this.clients.clear();
+        this.perIp.clear();
+    }
+}
+
+// Singleton
+let liveFeedInstance = null;
+
+function getLiveFeed() {
+    if (!liveFeedInstance) {
+        liveFeedInstance = new LiveFeed();
+    }
+    return liveFeedInstance;
+}
+
+module.exports = { LiveFeed, getLiveFeed };
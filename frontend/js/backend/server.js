@@ -5,18 +5,46 @@ const rateLimit = require('express-rate-limit');
 const csrf = require('csurf');
 const cookieParser = require('cookie-parser');
 const validator = require('validator');
-const { body, validationResult } = require('express-validator');
+const { body, query, validationResult } = require('express-validator');
 const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
 const cron = require('node-cron');
+const multer = require('multer');
 require('dotenv').config();
 const { getEmailService } = require('./email');
+const { LANGUAGES: EMAIL_LANGUAGES, REJECTION_REASONS, getLanguage, getCatalog } = require('./email/i18n');
+const { TEMPLATES: EMAIL_TEMPLATES, PLACEHOLDERS: EMAIL_PLACEHOLDERS, SAMPLE_ISCRIZIONE, findUnknownPlaceholders, getDefaultTemplate } = require('./email/templates');
 const emailService = getEmailService();
+const { getEmailOutbox } = require('./email/outbox');
+const { getMailbox } = require('./email/mailbox');
+const emailOutbox = getEmailOutbox();
+emailService.useOutbox(emailOutbox);
+const { getReminderScheduler } = require('./email/promemoria');
+const reminderScheduler = getReminderScheduler();
+const { getAdminDigest } = require('./email/riepilogo');
+const adminDigest = getAdminDigest();
+const { getLiveFeed } = require('./live');
+const liveFeed = getLiveFeed();
+const { getGalleryStorage } = require('./galleria');
+const galleryStorage = getGalleryStorage();
+const { drawGroups } = require('./torneo/draw');
+const { computeStandings } = require('./torneo/standings');
+const { seedQualifiers, createBracket, resolveWinner, nextSlot, roundName } = require('./torneo/bracket');
+const { scheduleGroupStage, findConflicts, parseDateTime, formatDateTime, SCHEDULE_DEFAULTS } = require('./torneo/schedule');
+const { buildCalendar, tournamentEvent, matchEvent, TIMEZONE } = require('./torneo/ics');
+const links = require('./links');
 
 // Database
 const { getDatabase } = require('./database');
 const db = getDatabase();
+emailService.useTemplates(db);
+emailService.useAdminRecipients(db);
+
+// Dettagli dell'evento (data, luogo, contatti)
+const { getEventSettings } = require('./evento');
+const eventSettings = getEventSettings();
+emailService.useEvent(eventSettings);
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -41,6 +69,25 @@ const SECURITY_CONFIG = {
     ENABLE_SECURITY_LOGS: true
 };
 
+// ==========================================
+// REGOLE TORNEO
+// ==========================================
+const TOURNAMENT_RULES = {
+    MIN_AGE: 55,
+    MAX_AGE: 100,
+    MIN_PLAYERS: 11,
+    MAX_PLAYERS: 25,
+    PLAYER_ROLES: ['portiere', 'difensore', 'centrocampista', 'attaccante'],
+    MAX_TEAMS: 32, // Capienza predefinita, modificabile dalla dashboard (config: max_squadre)
+    VERIFICATION_HOURS: 48 // Ore per confermare l'email, modificabili dalla dashboard (config: verifica_ore)
+};
+
+const ISCRIZIONE_STATUSES = ['pending', 'approved', 'rejected', 'waitlist'];
+const SQUADRA_COUNTRIES = ['IT', 'US', 'GB', 'DE', 'FR', 'ES', 'BR', 'AR', 'AU', 'OTHER'];
+
+// Comunicazioni ai capitani: email al minuto, per non superare i limiti del server SMTP
+const BROADCAST_RATE = parseInt(process.env.EMAIL_BROADCAST_RATE) || 20;
+
 // Hash della chiave admin per confronto sicuro
 const ADMIN_KEY_HASH = crypto.createHash('sha256')
     .update(SECURITY_CONFIG.ADMIN_KEY)
@@ -63,6 +110,18 @@ cron.schedule('0 3 * * *', () => {
     }
 });
 
+// Promemoria ai capitani prima del torneo (ogni giorno alle 9:00, orario modificabile con REMINDER_CRON)
+const REMINDER_CRON = cron.validate(process.env.REMINDER_CRON || '') ? process.env.REMINDER_CRON : '0 9 * * *';
+cron.schedule(REMINDER_CRON, () => {
+    runReminders().catch(error => console.error('❌ Errore promemoria torneo:', error));
+});
+
+// Riepilogo giornaliero agli admin (ogni giorno alle 8:00, orario modificabile con DIGEST_CRON)
+const DIGEST_CRON = cron.validate(process.env.DIGEST_CRON || '') ? process.env.DIGEST_CRON : '0 8 * * *';
+cron.schedule(DIGEST_CRON, () => {
+    runAdminDigest().catch(error => console.error('❌ Errore riepilogo admin:', error));
+});
+
 // Pulizia rate limits ogni ora
 cron.schedule('0 * * * *', () => {
     const cleaned = db.cleanupRateLimits();
@@ -71,6 +130,14 @@ cron.schedule('0 * * * *', () => {
     }
 });
 
+// Pulizia iscrizioni con email non verificata entro la scadenza (ogni ora)
+cron.schedule('30 * * * *', () => {
+    const cleaned = db.cleanupIscrizioniNonVerificate();
+    if (cleaned > 0) {
+        console.log(`🧹 Cancellate ${cleaned} iscrizioni con email non verificata`);
+    }
+});
+
 // Pulizia IP bloccati ogni 15 minuti (ora persistente nel DB)
 cron.schedule('*/15 * * * *', () => {
     const now = Date.now();
@@ -135,6 +202,9 @@ app.use(cors({
     credentials: true
 }));
 
+// I modelli email (HTML modificato dalla dashboard) e le comunicazioni superano il limite generale
+app.use('/api/admin/email-template', express.json({ limit: '100kb' }));
+app.use('/api/admin/broadcast', express.json({ limit: '100kb' }));
 app.use(express.json({ limit: '10kb' }));
 app.use(express.urlencoded({ extended: true, limit: '10kb' }));
 app.use(cookieParser());
@@ -170,6 +240,19 @@ app.use('/js', express.static(path.join(frontendPath, 'js')));
 app.use('/images', express.static(path.join(frontendPath, 'images')));
 app.use('/assets', express.static(path.join(__dirname, '../../../assets')));
 
+// Foto della galleria: solo le varianti web e miniatura, l'originale non viene mai servito.
+// Le foto in attesa di moderazione non sono pubbliche (la dashboard usa l'anteprima admin)
+function approvedPhotoOnly(req, res, next) {
+    const photo = db.getGalleryPhotoByFile(path.basename(req.path, '.webp'));
+    if (!photo || photo.status !== 'approved') {
+        return res.status(404).end();
+    }
+    next();
+}
+
+app.use('/media/galleria/web', approvedPhotoOnly, express.static(galleryStorage.path('web', ''), { maxAge: '30d', immutable: true }));
+app.use('/media/galleria/thumb', approvedPhotoOnly, express.static(galleryStorage.path('thumb', ''), { maxAge: '30d', immutable: true }));
+
 // ==========================================
 // RATE LIMITING
 // ==========================================
@@ -179,6 +262,8 @@ const generalLimiter = rateLimit({
     message: { success: false, message: 'Troppe richieste. Riprova più tardi.' },
     standardHeaders: true,
     legacyHeaders: false,
+    // Lo stream live si riconnette da solo: ha il suo limite di connessioni (totale e per IP)
+    skip: (req) => req.path === '/api/live/stream',
 });
 
 const formLimiter = rateLimit({
@@ -189,6 +274,15 @@ const formLimiter = rateLimit({
     legacyHeaders: false,
 });
 
+// Foto proposte dal pubblico (contatore separato da quello delle iscrizioni)
+const photoLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 5,
+    message: { success: false, message: 'Troppi invii di foto. Riprova tra 15 minuti.' },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 const analyticsLimiter = rateLimit({
     windowMs: 1 * 60 * 1000,
     max: 60,
@@ -220,6 +314,36 @@ function sanitizeInput(input) {
     return sanitized;
 }
 
+/**
+ * Calcola l'età compiuta a partire dalla data di nascita (a oggi o alla data indicata)
+ */
+function calculateAge(dateString, referenceDate = new Date()) {
+    const birthDate = new Date(dateString);
+    const age = referenceDate.getFullYear() - birthDate.getFullYear();
+    const monthDiff = referenceDate.getMonth() - birthDate.getMonth();
+    return monthDiff < 0 || (monthDiff === 0 && referenceDate.getDate() < birthDate.getDate()) 
+        ? age - 1 
+        : age;
+}
+
+/**
+ * Validatore età (Over 55) condiviso da capitano e giocatori:
+ * conta l'età il giorno del torneo (a oggi se la data non è fissata o è passata)
+ */
+function checkEligibleAge(value) {
+    const now = new Date();
+    const start = eventSettings.getStart();
+    const actualAge = calculateAge(value, start && start > now ? start : now);
+    
+    if (actualAge < TOURNAMENT_RULES.MIN_AGE) {
+        throw new Error(`Età minima: ${TOURNAMENT_RULES.MIN_AGE} anni`);
+    }
+    if (actualAge > TOURNAMENT_RULES.MAX_AGE) {
+        throw new Error('Data di nascita non valida');
+    }
+    return true;
+}
+
 function generateAnonymousId(ip, userAgent) {
     const data = `${ip}-${userAgent}-${new Date().toDateString()}`;
     return crypto.createHash('sha256').update(data).digest('hex').substring(0, 16);
@@ -388,6 +512,24 @@ function adminAuthMiddleware(req, res, next) {
     next();
 }
 
+/**
+ * Edizione richiesta dalla dashboard (?edizione=ID), altrimenti quella corrente
+ */
+function edizioneMiddleware(req, res, next) {
+    if (!req.query.edizione) {
+        req.edizione = db.getEdizioneCorrente();
+        return next();
+    }
+    
+    const edizione = db.getEdizioneById(parseInt(req.query.edizione));
+    if (!edizione) {
+        return res.status(404).json({ success: false, message: 'Edizione non trovata' });
+    }
+    
+    req.edizione = edizione;
+    next();
+}
+
 // ==========================================
 // ENDPOINT: CSRF TOKEN
 // ==========================================
@@ -420,6 +562,14 @@ app.get('/admin.html', (req, res) => {
     res.redirect('/admin');
 });
 
+// Casella di sviluppo: email catturate dal trasporto su file (mai in produzione)
+const MAILBOX_ENABLED = process.env.NODE_ENV !== 'production' && emailService.transportName === 'file';
+
+app.get('/admin/mailbox', (req, res, next) => {
+    if (!MAILBOX_ENABLED) return next();
+    res.sendFile(path.join(frontendPath, 'html', 'admin', 'mailbox.html'));
+});
+
 // ==========================================
 // ENDPOINT: PAGINA PRIVACY
 // ==========================================
@@ -442,6 +592,17 @@ app.get('/regolamento.html', (req, res) => {
     res.redirect('/regolamento');
 });
 
+// ==========================================
+// ENDPOINT: PAGINA LIVE
+// ==========================================
+app.get('/live', (req, res) => {
+    res.sendFile(path.join(frontendPath, 'html', 'live.html'));
+});
+
+app.get('/live.html', (req, res) => {
+    res.redirect('/live');
+});
+
 // ==========================================
 // ENDPOINT: LOG ADMIN
 // ==========================================
@@ -623,10 +784,10 @@ app.post('/api/analytics/form', analyticsLimiter, (req, res) => {
 });
 
 // Dashboard analytics (Admin)
-app.get('/api/analytics/dashboard', adminAuthMiddleware, (req, res) => {
+app.get('/api/analytics/dashboard', adminAuthMiddleware, edizioneMiddleware, (req, res) => {
     const days = parseInt(req.query.days) || 30;
-    const analyticsStats = db.getAnalyticsStats(days);
-    const iscrizioniStats = db.getIscrizioniStats();
+    const analyticsStats = db.getAnalyticsStats(days, req.edizione.id);
+    const iscrizioniStats = db.getIscrizioniStats(req.edizione.id);
     const dbStats = db.getStats();
     
     res.json({
@@ -685,7 +846,7 @@ const validationRules = [
         .customSanitizer(sanitizeInput),
     
     body('paeseSquadra')
-        .isIn(['IT', 'US', 'GB', 'DE', 'FR', 'ES', 'BR', 'AR', 'AU', 'OTHER'])
+        .isIn(SQUADRA_COUNTRIES)
         .withMessage('Paese non valido'),
     
     body('nomeCapitano')
@@ -717,37 +878,27 @@ const validationRules = [
     body('dataNascitaCapitano')
         .isISO8601()
         .withMessage('Data non valida')
-        .custom((value) => {
-            const birthDate = new Date(value);
-            const today = new Date();
-            const age = today.getFullYear() - birthDate.getFullYear();
-            const monthDiff = today.getMonth() - birthDate.getMonth();
-            const actualAge = monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate()) 
-                ? age - 1 
-                : age;
-            
-            if (actualAge < 55) {
-                throw new Error('Età minima: 55 anni');
-            }
-            if (actualAge > 100) {
-                throw new Error('Data di nascita non valida');
-            }
-            return true;
-        }),
+        .custom(checkEligibleAge),
     
     body('provinciaFoggia')
         .isIn(['si', 'no'])
         .withMessage('Seleziona un\'opzione'),
     
     body('numeroGiocatori')
-        .isInt({ min: 11, max: 25 })
-        .withMessage('Numero giocatori deve essere tra 11 e 25'),
+        .isInt({ min: TOURNAMENT_RULES.MIN_PLAYERS, max: TOURNAMENT_RULES.MAX_PLAYERS })
+        .withMessage(`Numero giocatori deve essere tra ${TOURNAMENT_RULES.MIN_PLAYERS} e ${TOURNAMENT_RULES.MAX_PLAYERS}`),
     
     body('note')
         .optional()
         .trim()
         .isLength({ max: 500 })
         .customSanitizer(sanitizeInput),
+
+    // Vuota = automatica (lingua del paese della squadra)
+    body('lingua')
+        .optional({ values: 'falsy' })
+        .isIn(EMAIL_LANGUAGES)
+        .withMessage('Lingua non valida'),
     
     body('privacy')
         .equals('on')
@@ -758,6 +909,67 @@ const validationRules = [
         .withMessage('Devi accettare il Regolamento'),
 ];
 
+// ==========================================
+// VALIDAZIONE ROSA GIOCATORI
+// ==========================================
+
+// Regole per un singolo giocatore (prefix '' per il body, 'giocatori.*.' per la rosa)
+function giocatoreRules(prefix = '') {
+    return [
+        body(`${prefix}nome`)
+            .trim()
+            .isLength({ min: 2, max: 30 })
+            .matches(/^[A-Za-zÀ-ÿ\s'\-]+$/)
+            .withMessage('Nome giocatore non valido')
+            .customSanitizer(sanitizeInput),
+        
+        body(`${prefix}cognome`)
+            .trim()
+            .isLength({ min: 2, max: 30 })
+            .matches(/^[A-Za-zÀ-ÿ\s'\-]+$/)
+            .withMessage('Cognome giocatore non valido')
+            .customSanitizer(sanitizeInput),
+        
+        body(`${prefix}dataNascita`)
+            .isISO8601()
+            .withMessage('Data di nascita non valida')
+            .custom(checkEligibleAge),
+        
+        body(`${prefix}numeroMaglia`)
+            .optional({ values: 'falsy' })
+            .isInt({ min: 1, max: 99 })
+            .withMessage('Numero di maglia tra 1 e 99')
+            .toInt(),
+        
+        body(`${prefix}ruolo`)
+            .optional({ values: 'falsy' })
+            .isIn(TOURNAMENT_RULES.PLAYER_ROLES)
+            .withMessage('Ruolo non valido')
+    ];
+}
+
+const rosterValidationRules = [
+    body('giocatori')
+        .isArray({ min: TOURNAMENT_RULES.MIN_PLAYERS, max: TOURNAMENT_RULES.MAX_PLAYERS })
+        .withMessage(`La rosa deve avere tra ${TOURNAMENT_RULES.MIN_PLAYERS} e ${TOURNAMENT_RULES.MAX_PLAYERS} giocatori`),
+    ...giocatoreRules('giocatori.*.')
+];
+
+/**
+ * Risponde 400 con gli errori di express-validator, se presenti
+ */
+function rejectInvalid(req, res) {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+    
+    res.status(400).json({
+        success: false,
+        message: errors.array()[0].msg || 'Dati non validi',
+        errors: errors.array()
+    });
+    return true;
+}
+
 // ==========================================
 // ENDPOINT: ISCRIZIONE (Database + Email)
 // ==========================================
@@ -776,6 +988,18 @@ app.post('/api/iscrizione',
                 });
             }
             
+            // Finestra di apertura/chiusura delle iscrizioni
+            const finestra = getRegistrationWindow();
+            if (finestra.stato !== 'open') {
+                return res.status(403).json({
+                    success: false,
+                    message: finestra.stato === 'not_open'
+                        ? `Le iscrizioni apriranno il ${formatWindowDate(finestra.apertura)}`
+                        : `Le iscrizioni sono chiuse dal ${formatWindowDate(finestra.chiusura)}`,
+                    finestra
+                });
+            }
+            
             const errors = validationResult(req);
             if (!errors.isEmpty()) {
                 // Traccia errori per analytics
@@ -797,8 +1021,8 @@ app.post('/api/iscrizione',
             const ip = req.ip || req.connection.remoteAddress;
             const userAgent = req.get('User-Agent') || '';
 
-            // Rate limiting con database
-            const emailRateLimit = db.checkRateLimit(`email:${email}`, 1, 3600000);
+            // Rate limiting con database (qualche invio in più per correggere un'iscrizione non ancora verificata)
+            const emailRateLimit = db.checkRateLimit(`email:${email}`, 3, 3600000);
             if (!emailRateLimit.allowed) {
                 return res.status(429).json({
                     success: false,
@@ -827,9 +1051,10 @@ app.post('/api/iscrizione',
                 provinciaFoggia: req.body.provinciaFoggia,
                 numeroGiocatori: parseInt(req.body.numeroGiocatori),
                 note: req.body.note ? sanitizeInput(req.body.note) : null,
+                lingua: req.body.lingua || null,
                 ipAddress: ip,
                 userAgent: userAgent
-            });
+            }, { verificaOre: getVerificaOre() });
 
             if (!result.success) {
                 return res.status(400).json({
@@ -838,39 +1063,26 @@ app.post('/api/iscrizione',
                 });
             }
 
-            console.log(`✅ Nuova iscrizione: ${result.iscrizione.nome_squadra} - ${result.iscrizione.email_capitano}`);
-
-            // Invia email di conferma all'utente
-            emailService.sendConfirmation(result.iscrizione)
-                .then(emailResult => {
-                    if (emailResult.success) {
-                        console.log(`📧 Email conferma inviata a ${result.iscrizione.email_capitano}`);
-                    }
-                })
-                .catch(err => console.error('Errore invio email conferma:', err));
-
-            // notifica admin
-            emailService.notifyAdmin(result.iscrizione)
-                .then(emailResult => {
-                    if (emailResult.success) {
-                        console.log(`📧 Notifica admin inviata per: ${result.iscrizione.nome_squadra}`);
-                    }
-                })
-                .catch(err => console.error('Errore invio notifica admin:', err));
+            console.log(`✅ Nuova iscrizione: ${result.iscrizione.nome_squadra} - ${result.iscrizione.email_capitano} (email da verificare${result.sostituita ? ', sostituisce la precedente' : ''})`);
+
+            // Email con il link di verifica: conferma e notifica admin partono dopo la verifica
+            emailService.sendVerification(result.iscrizione, getVerificaOre())
+                .catch(err => console.error('Errore accodamento email verifica:', err));
 
             // Log admin
             db.logAdminAction({
                 action: 'iscrizione_created',
                 entityType: 'iscrizione',
                 entityId: result.id,
-                newValue: { nomeSquadra: result.iscrizione.nome_squadra },
+                newValue: { nomeSquadra: result.iscrizione.nome_squadra, status: result.iscrizione.status },
                 ipAddress: ip
             });
 
             res.json({
                 success: true,
-                message: 'Iscrizione inviata con successo! Ti contatteremo a breve.',
-                id: result.id
+                message: `Ti abbiamo inviato un'email: apri il link entro ${getVerificaOre()} ore per confermare l'indirizzo e completare l'iscrizione.`,
+                id: result.id,
+                status: result.iscrizione.status
             });
         } catch (error) {
             console.error('❌ Errore nell\'invio dell\'iscrizione:', error);
@@ -882,153 +1094,2533 @@ app.post('/api/iscrizione',
     }
 );
 
-// ==========================================
-// ENDPOINT: GALLERIA
-// ==========================================
-app.get('/api/galleria', (req, res) => {
-    const year = req.query.year || 'all';
-    // TODO: Implementare query al database per le foto
+// Link di verifica inviato al capitano: non cambia nulla, porta sulla home dove il
+// capitano conferma con un pulsante. I filtri antispam che aprono i link delle email
+// non possono così confermare l'indirizzo al suo posto.
+app.get('/api/iscrizione/:id/verifica', (req, res) => {
+    const esito = esito => res.redirect(`/?verifica=${esito}#contatti`);
+    const { firma } = req.query;
+
+    if (!links.verify('verifica', req.params.id, firma)) {
+        return esito('non_valida');
+    }
+
+    // Firma valida ma iscrizione assente: cancellata alla scadenza o sostituita da un nuovo invio
+    const iscrizione = db.getIscrizioneById(req.params.id);
+    if (!iscrizione || (iscrizione.status === 'unverified' && iscrizione.verifica_scadenza <= new Date().toISOString())) {
+        return esito('scaduta');
+    }
+    if (iscrizione.status !== 'unverified') {
+        return esito('gia_verificata');
+    }
+
+    res.redirect(`/?verifica=conferma&id=${encodeURIComponent(iscrizione.id)}&firma=${encodeURIComponent(firma)}#contatti`);
+});
+
+// Conferma dell'email dal pulsante sulla home
+app.post('/api/iscrizione/:id/verifica', csrfProtection, (req, res) => {
+    if (!links.verify('verifica', req.params.id, req.body.firma)) {
+        return res.status(400).json({ success: false, esito: 'non_valida' });
+    }
+
+    const result = db.verifyIscrizione(req.params.id, { maxTeams: getMaxSquadre() });
+
+    if (!result.success) {
+        return res.status(410).json({ success: false, esito: 'scaduta' });
+    }
+    if (result.esito === 'gia_verificata') {
+        return res.json({ success: true, esito: 'gia_verificata' });
+    }
+
+    const iscrizione = result.iscrizione;
+    const waitlistPosition = iscrizione.status === 'waitlist' ? db.getWaitlistPosition(iscrizione.id) : null;
+
+    console.log(`📧 Email verificata: ${iscrizione.nome_squadra} - ${iscrizione.email_capitano}${waitlistPosition ? ` (lista d'attesa #${waitlistPosition})` : ''}`);
+
+    emailService.sendConfirmation(iscrizione, waitlistPosition)
+        .catch(err => console.error('Errore accodamento email conferma:', err));
+
+    emailService.notifyAdmin(iscrizione)
+        .catch(err => console.error('Errore accodamento notifica admin:', err));
+
+    db.logAdminAction({
+        action: 'iscrizione_verified',
+        entityType: 'iscrizione',
+        entityId: iscrizione.id,
+        oldValue: { status: 'unverified' },
+        newValue: { status: iscrizione.status },
+        ipAddress: req.ip
+    });
+
     res.json({
         success: true,
-        data: [],
-        message: 'Galleria in costruzione'
+        esito: waitlistPosition ? 'lista_attesa' : 'ok',
+        posizione: waitlistPosition
     });
 });
 
-app.post('/api/admin/galleria', adminAuthMiddleware, (req, res) => {
-    // TODO: Implementare upload foto
-    res.json({ success: true, message: 'Foto caricata' });
-});
-
 // ==========================================
-// ENDPOINT: LISTA ISCRIZIONI (Admin)
+// ENDPOINT: GALLERIA
 // ==========================================
-app.get('/api/iscrizioni', adminAuthMiddleware, (req, res) => {
-    // Il middleware già verifica l'autenticazione
+const GALLERY_CONFIG = {
+    MAX_FILE_SIZE: 10 * 1024 * 1024, // 10 MB per foto
+    MAX_FILES: 10, // foto per singolo caricamento
+    MAX_SUBMISSION_FILES: 5, // foto per proposta dal pubblico
+    MIME_TYPES: ['image/jpeg', 'image/png', 'image/webp'],
+    PAGE_SIZE: 24,
+    MAX_PAGE_SIZE: 60
+};
+
+// I file restano in memoria solo il tempo di verificarli e generare le varianti
+const galleryUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: GALLERY_CONFIG.MAX_FILE_SIZE, files: GALLERY_CONFIG.MAX_FILES },
+    fileFilter: (req, file, cb) => {
+        if (!GALLERY_CONFIG.MIME_TYPES.includes(file.mimetype)) {
+            return cb(new multer.MulterError('INVALID_FILE_TYPE', file.fieldname));
+        }
+        cb(null, true);
+    }
+});
+
+const GALLERY_UPLOAD_ERRORS = {
+    LIMIT_FILE_SIZE: `Foto troppo grande (massimo ${GALLERY_CONFIG.MAX_FILE_SIZE / 1024 / 1024} MB)`,
+    LIMIT_FILE_COUNT: 'Troppe foto in un solo invio',
+    LIMIT_UNEXPECTED_FILE: 'Le foto vanno inviate nel campo "foto"',
+    INVALID_FILE_TYPE: 'Formato non supportato (ammessi JPEG, PNG e WebP)'
+};
+
+const GALLERY_STATUSES = ['pending', 'approved', 'rejected'];
+
+function formatGalleryPhoto(photo) {
+    return {
+        id: photo.id,
+        anno: photo.anno,
+        album: photo.album,
+        didascalia: photo.didascalia,
+        larghezza: photo.larghezza,
+        altezza: photo.altezza,
+        ...galleryStorage.urls(photo.file),
+        createdAt: photo.created_at
+    };
+}
+
+// Vista admin: autore della proposta e stato di moderazione
+function formatGalleryPhotoAdmin(photo) {
+    return {
+        ...formatGalleryPhoto(photo),
+        status: photo.status,
+        autore: photo.autore,
+        emailAutore: photo.email_autore,
+        moderatedAt: photo.moderated_at
+    };
+}
+
+/**
+ * Verifica il contenuto di tutti i file e li salva: il caricamento è tutto o niente
+ *
+ * @returns {Object} { success, saved: [risultati di galleryStorage.save], error }
+ */
+async function saveGalleryFiles(files) {
+    for (const file of files) {
+        const check = await galleryStorage.inspect(file.buffer);
+        if (!check.success) {
+            return { success: false, error: `${file.originalname}: ${check.error}` };
+        }
+    }
+
+    const saved = [];
     try {
-        const iscrizioni = db.getAllIscrizioni();
-        res.json({
-            success: true,
-            data: iscrizioni,
-            count: iscrizioni.length
-        });
+        for (const file of files) {
+            saved.push(await galleryStorage.save(file.buffer));
+        }
     } catch (error) {
-        console.error('Errore recupero iscrizioni:', error);
-        res.status(500).json({ success: false, message: 'Errore server' });
+        await removeGalleryFiles(saved);
+        throw error;
     }
-});
 
-// Aggiorna status iscrizione + email
-app.patch('/api/iscrizioni/:id', adminAuthMiddleware, (req, res) => {
-    const { id } = req.params;
-    const { status } = req.body;
+    return { success: true, saved };
+}
+
+function removeGalleryFiles(saved) {
+    return Promise.all(saved.map(result => galleryStorage.remove(result.file, result.formato)));
+}
+
+app.get('/api/galleria', [
+    query('year').optional().custom(value => value === 'all' || /^\d{4}$/.test(value)).withMessage('Anno non valido'),
+    query('album').optional().isString().trim().isLength({ max: 60 }),
+    query('page').optional().isInt({ min: 1 }).withMessage('Pagina non valida').toInt(),
+    query('limit').optional().isInt({ min: 1, max: GALLERY_CONFIG.MAX_PAGE_SIZE }).withMessage('Limite non valido').toInt()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    const year = req.query.year || 'all';
     
-    if (!['pending', 'approved', 'rejected'].includes(status)) {
-        return res.status(400).json({ success: false, message: 'Status non valido' });
+    // Ogni anno della galleria corrisponde a un'edizione del torneo
+    const edizione = year === 'all' ? null : db.getEdizioneByAnno(parseInt(year));
+    if (year !== 'all' && !edizione) {
+        return res.status(404).json({ success: false, message: 'Edizione non trovata' });
     }
     
-    const oldIscrizione = db.getIscrizioneById(id);
-    if (!oldIscrizione) {
-        return res.status(404).json({ success: false, message: 'Iscrizione non trovata' });
+    const page = req.query.page || 1;
+    const limit = req.query.limit || GALLERY_CONFIG.PAGE_SIZE;
+    const { photos, total } = db.getGalleryPhotos({
+        edizioneId: edizione ? edizione.id : null,
+        album: req.query.album,
+        page,
+        limit
+    });
+
+    res.json({
+        success: true,
+        data: photos.map(formatGalleryPhoto),
+        edizione: edizione ? edizione.anno : null,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+});
+
+app.post('/api/admin/galleria', adminAuthMiddleware, galleryUpload.array('foto', GALLERY_CONFIG.MAX_FILES), [
+    body('anno').optional({ values: 'falsy' }).isInt({ min: 2020, max: 2100 }).withMessage('Anno non valido').toInt(),
+    body('album').optional().isString().trim().isLength({ max: 60 }).withMessage('Nome album troppo lungo'),
+    body('didascalia').optional().isString().trim().isLength({ max: 300 }).withMessage('Didascalia troppo lunga')
+], async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    if (!req.files || req.files.length === 0) {
+        return res.status(400).json({ success: false, message: 'Nessuna foto ricevuta' });
     }
-    
-    const updated = db.updateIscrizioneStatus(id, status, req.query.key);
-    
-    if (updated) {
-        // Invia email di notifica cambio status
-        if (status === 'approved' || status === 'rejected') {
-            emailService.sendStatusUpdate(oldIscrizione, status)
-                .then(emailResult => {
-                    if (emailResult.success) {
-                        console.log(`📧 Email status update inviata a ${oldIscrizione.email_capitano}`);
-                    }
-                })
-                .catch(err => console.error('Errore invio email status:', err));
+
+    const edizione = req.body.anno ? db.getEdizioneByAnno(req.body.anno) : db.getEdizioneCorrente();
+    if (!edizione) {
+        return res.status(404).json({ success: false, message: 'Edizione non trovata' });
+    }
+
+    let saved = [];
+    try {
+        const result = await saveGalleryFiles(req.files);
+        if (!result.success) {
+            return res.status(400).json({ success: false, message: result.error });
         }
+        saved = result.saved;
+
+        const photos = db.transaction(() => saved.map(file => db.createGalleryPhoto({
+            edizioneId: edizione.id,
+            album: req.body.album ? sanitizeInput(req.body.album) : null,
+            didascalia: req.body.didascalia ? sanitizeInput(req.body.didascalia) : null,
+            ...file
+        })));
 
         db.logAdminAction({
-            action: 'iscrizione_status_changed',
-            entityType: 'iscrizione',
-            entityId: id,
-            oldValue: { status: oldIscrizione.status },
-            newValue: { status },
+            action: 'foto_caricate',
+            entityType: 'galleria',
+            entityId: String(edizione.anno),
+            newValue: { foto: photos.map(p => p.id), album: photos[0].album },
             adminKey: req.query.key,
             ipAddress: req.ip
         });
-        
-        res.json({ success: true, message: 'Status aggiornato' });
-    } else {
-        res.status(500).json({ success: false, message: 'Errore aggiornamento' });
+
+        res.status(201).json({
+            success: true,
+            message: photos.length === 1 ? 'Foto caricata' : `${photos.length} foto caricate`,
+            data: photos.map(formatGalleryPhoto)
+        });
+    } catch (error) {
+        await removeGalleryFiles(saved);
+        console.error('❌ Errore caricamento foto:', error);
+        res.status(500).json({ success: false, message: 'Errore durante il salvataggio delle foto' });
     }
 });
 
-// Elimina iscrizione
-app.delete('/api/iscrizioni/:id', adminAuthMiddleware, (req, res) => {
-    const { id } = req.params;
-    const oldIscrizione = db.getIscrizioneById(id);
-    
-    if (!oldIscrizione) {
-        return res.status(404).json({ success: false, message: 'Iscrizione non trovata' });
+// Proposte dal pubblico: entrano nella coda di moderazione
+app.post('/api/galleria/proposte',
+    photoLimiter,
+    csrfProtection,
+    galleryUpload.array('foto', GALLERY_CONFIG.MAX_SUBMISSION_FILES),
+    [
+        body('nome')
+            .trim()
+            .isLength({ min: 2, max: 60 })
+            .matches(/^[A-Za-zÀ-ÿ\s'.-]+$/)
+            .withMessage('Nome non valido')
+            .customSanitizer(sanitizeInput),
+        body('email')
+            .optional({ values: 'falsy' })
+            .isEmail()
+            .withMessage('Email non valida')
+            .normalizeEmail()
+            .isLength({ max: 100 }),
+        body('didascalia')
+            .optional()
+            .trim()
+            .isLength({ max: 300 })
+            .withMessage('Didascalia troppo lunga')
+            .customSanitizer(sanitizeInput),
+        body('privacy')
+            .equals('on')
+            .withMessage('Devi accettare la Privacy Policy')
+    ],
+    async (req, res) => {
+        // 🔒 HONEYPOT CHECK - Anti-bot
+        if (!checkHoneypot(req)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Si è verificato un errore. Riprova.'
+            });
+        }
+
+        if (rejectInvalid(req, res)) return;
+
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ success: false, message: 'Seleziona almeno una foto' });
+        }
+
+        const edizione = db.getEdizioneCorrente();
+        let saved = [];
+        try {
+            const result = await saveGalleryFiles(req.files);
+            if (!result.success) {
+                return res.status(400).json({ success: false, message: result.error });
+            }
+            saved = result.saved;
+
+            const photos = db.transaction(() => saved.map(file => db.createGalleryPhoto({
+                edizioneId: edizione.id,
+                didascalia: req.body.didascalia || null,
+                status: 'pending',
+                autore: req.body.nome,
+                emailAutore: req.body.email || null,
+                ...file
+            })));
+
+            db.logAdminAction({
+                action: 'foto_proposte',
+                entityType: 'galleria',
+                entityId: String(edizione.anno),
+                newValue: { foto: photos.map(p => p.id), autore: req.body.nome },
+                ipAddress: req.ip
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Grazie! Le foto saranno pubblicate dopo la verifica degli organizzatori.'
+            });
+        } catch (error) {
+            await removeGalleryFiles(saved);
+            console.error('❌ Errore invio foto:', error);
+            res.status(500).json({ success: false, message: 'Si è verificato un errore durante l\'invio delle foto' });
+        }
     }
-    
-    const deleted = db.deleteIscrizione(id);
-    
-    if (deleted) {
-        db.logAdminAction({
-            action: 'iscrizione_deleted',
-            entityType: 'iscrizione',
-            entityId: id,
-            oldValue: oldIscrizione,
-            adminKey: req.query.key,
-            ipAddress: req.ip
-        });
-        
-        res.json({ success: true, message: 'Iscrizione eliminata' });
-    } else {
-        res.status(500).json({ success: false, message: 'Errore eliminazione' });
+);
+
+// Elenco admin per stato (coda di moderazione: status=pending)
+app.get('/api/admin/galleria', adminAuthMiddleware, [
+    query('status').optional().isIn(GALLERY_STATUSES).withMessage('Stato non valido'),
+    query('year').optional().matches(/^\d{4}$/).withMessage('Anno non valido'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Pagina non valida').toInt()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    const edizione = req.query.year ? db.getEdizioneByAnno(parseInt(req.query.year)) : null;
+    if (req.query.year && !edizione) {
+        return res.status(404).json({ success: false, message: 'Edizione non trovata' });
     }
-});
 
-// ==========================================
-// ENDPOINT: STATISTICHE DATABASE
-// ==========================================
-app.get('/api/admin/stats', adminAuthMiddleware, (req, res) => {
-    const dbStats = db.getStats();
-    const iscrizioniStats = db.getIscrizioniStats();
-    
+    const page = req.query.page || 1;
+    const limit = GALLERY_CONFIG.PAGE_SIZE;
+    const { photos, total } = db.getGalleryPhotos({
+        status: req.query.status || 'approved',
+        edizioneId: edizione ? edizione.id : null,
+        page,
+        limit
+    });
+
     res.json({
         success: true,
-        data: {
-            database: dbStats,
-            iscrizioni: iscrizioniStats
+        data: photos.map(formatGalleryPhotoAdmin),
+        counts: db.countGalleryPhotosByStatus(),
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
         }
     });
 });
 
-// ==========================================
-// HEALTH CHECK
-// ==========================================
-app.get('/health', (req, res) => {
-    const dbStats = db.getStats();
-    res.json({ 
-        status: 'ok', 
-        timestamp: new Date().toISOString(),
-        uptime: process.uptime(),
-        database: dbStats
-    });
+// Anteprima di una foto in qualsiasi stato
+app.get('/api/admin/galleria/:id/anteprima', adminAuthMiddleware, (req, res) => {
+    const photo = db.getGalleryPhotoById(parseInt(req.params.id));
+    if (!photo || photo.status === 'rejected') {
+        return res.status(404).json({ success: false, message: 'Foto non trovata' });
+    }
+
+    const variante = req.query.variante === 'web' ? 'web' : 'thumb';
+    res.set('Cache-Control', 'no-store');
+    res.sendFile(galleryStorage.path(variante, `${photo.file}.webp`));
 });
 
-// ==========================================
-// ERROR HANDLER
-// ==========================================
-app.use((err, req, res, next) => {
-    if (err.code === 'EBADCSRFTOKEN') {
-        return res.status(403).json({
-            success: false,
+// Moderazione: approvazione (con eventuale correzione di album e didascalia) o rifiuto
+app.patch('/api/admin/galleria/:id', adminAuthMiddleware, [
+    body('status').isIn(['approved', 'rejected']).withMessage('Stato non valido'),
+    body('album').optional().isString().trim().isLength({ max: 60 }).withMessage('Nome album troppo lungo').customSanitizer(sanitizeInput),
+    body('didascalia').optional().isString().trim().isLength({ max: 300 }).withMessage('Didascalia troppo lunga').customSanitizer(sanitizeInput)
+], async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    const photo = db.getGalleryPhotoById(parseInt(req.params.id));
+    if (!photo) {
+        return res.status(404).json({ success: false, message: 'Foto non trovata' });
+    }
+    if (photo.status === 'rejected') {
+        return res.status(409).json({ success: false, message: 'La foto è già stata rifiutata' });
+    }
+
+    const updated = db.moderateGalleryPhoto(photo.id, req.body.status, {
+        album: req.body.album,
+        didascalia: req.body.didascalia
+    });
+
+    // Delle foto rifiutate resta solo il record: i file vengono eliminati
+    if (updated.status === 'rejected') {
+        await galleryStorage.remove(photo.file, photo.formato);
+    }
+
+    db.logAdminAction({
+        action: updated.status === 'approved' ? 'foto_approved' : 'foto_rejected',
+        entityType: 'galleria',
+        entityId: String(photo.id),
+        oldValue: { status: photo.status },
+        newValue: { status: updated.status, album: updated.album, autore: updated.autore },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+
+    res.json({
+        success: true,
+        message: updated.status === 'approved' ? 'Foto pubblicata' : 'Foto rifiutata',
+        data: formatGalleryPhotoAdmin(updated)
+    });
+});
+
+app.delete('/api/admin/galleria/:id', adminAuthMiddleware, async (req, res) => {
+    const photo = db.getGalleryPhotoById(parseInt(req.params.id));
+    if (!photo) {
+        return res.status(404).json({ success: false, message: 'Foto non trovata' });
+    }
+
+    db.deleteGalleryPhoto(photo.id);
+    await galleryStorage.remove(photo.file, photo.formato);
+
+    db.logAdminAction({
+        action: 'foto_deleted',
+        entityType: 'galleria',
+        entityId: String(photo.id),
+        oldValue: { anno: photo.anno, album: photo.album, didascalia: photo.didascalia },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+
+    res.json({ success: true, message: 'Foto eliminata' });
+});
+
+// ==========================================
+// ENDPOINT: CLASSIFICHE (pubblico, sola lettura)
+// ==========================================
+app.get('/api/classifiche', (req, res) => {
+    res.json({ success: true, data: buildClassifiche() });
+});
+
+app.get('/api/tabellone', (req, res) => {
+    res.json({ success: true, data: buildTabellone() });
+});
+
+// ==========================================
+// ENDPOINT: CALENDARIO ICS (pubblico)
+// ==========================================
+
+/**
+ * File .ics del torneo; con un'iscrizione aggiunge le partite della squadra
+ * (testi nella lingua delle email del capitano)
+ */
+function buildIcsCalendar(edizione, iscrizione = null) {
+    const t = getCatalog(iscrizione ? getLanguage(iscrizione) : 'it');
+    const domain = new URL(links.getSiteUrl()).hostname;
+    const events = [];
+
+    const luogo = eventSettings.getPlace();
+
+    if (edizione.data_inizio) {
+        events.push(tournamentEvent(edizione, { luogo, url: links.getSiteUrl(), domain }));
+    }
+
+    if (iscrizione) {
+        const options = { luogo, domain, labels: { girone: t.calendar.group, giornata: t.calendar.matchday } };
+        // Partite dell'edizione della squadra, anche se non è quella corrente
+        db.getPartite(edizione.id)
+            .filter(p => p.squadra_casa_id === iscrizione.id || p.squadra_ospite_id === iscrizione.id)
+            .forEach(p => events.push(matchEvent(p, options)));
+    }
+
+    return {
+        events: events.length,
+        ics: buildCalendar(events, {
+            nome: iscrizione ? `Un Foggiano nel Mondo - ${iscrizione.nome_squadra}` : (edizione.nome || 'Un Foggiano nel Mondo')
+        })
+    };
+}
+
+function sendIcs(res, ics, filename) {
+    res.set({
+        'Content-Type': 'text/calendar; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${filename}"`,
+        'Cache-Control': 'no-cache'
+    });
+    res.send(ics);
+}
+
+// Evento del torneo (edizione corrente)
+app.get('/api/calendario.ics', (req, res) => {
+    const edizione = db.getEdizioneCorrente();
+    if (!edizione.data_inizio) {
+        return res.status(404).json({ success: false, message: 'Data del torneo non ancora definita' });
+    }
+
+    sendIcs(res, buildIcsCalendar(edizione).ics, `un-foggiano-nel-mondo-${edizione.anno}.ics`);
+});
+
+// Torneo e partite della squadra: link firmato inviato al capitano
+app.get('/api/calendario/:id.ics', (req, res) => {
+    if (!links.verify('calendario', req.params.id, req.query.firma)) {
+        return res.status(403).json({ success: false, message: 'Link non valido' });
+    }
+
+    const iscrizione = db.getIscrizioneById(req.params.id);
+    if (!iscrizione || iscrizione.status !== 'approved') {
+        return res.status(404).json({ success: false, message: 'Squadra non trovata' });
+    }
+
+    const { events, ics } = buildIcsCalendar(db.getEdizioneById(iscrizione.edizione_id), iscrizione);
+    if (events === 0) {
+        return res.status(404).json({ success: false, message: 'Data del torneo non ancora definita' });
+    }
+
+    sendIcs(res, ics, `un-foggiano-nel-mondo-${iscrizione.id.slice(0, 8)}.ics`);
+});
+
+// ==========================================
+// ENDPOINT: LIVE (pubblico, aggiornamenti in tempo reale)
+// ==========================================
+const LIVE_CONFIG = {
+    UPCOMING_MATCHES: 6,
+    RECENT_RESULTS: 6,
+    REFRESH_INTERVAL: 60 * 1000 // aggiorna "in corso" anche senza modifiche
+};
+
+const liveClock = new Intl.DateTimeFormat('en-GB', {
+    timeZone: TIMEZONE,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+});
+
+/**
+ * Data/ora nel fuso del torneo, nel formato del calendario (YYYY-MM-DDTHH:MM).
+ * Gli orari delle partite sono quelli di Foggia, qualunque sia il fuso del server.
+ */
+function localDateTime(date = new Date()) {
+    const parts = Object.fromEntries(liveClock.formatToParts(date).map(p => [p.type, p.value]));
+    return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+}
+
+function toPublicPartita(p) {
+    return {
+        id: p.id,
+        fase: p.fase,
+        girone: p.girone,
+        giornata: p.giornata,
+        campo: p.campo,
+        inizio: p.inizio,
+        fine: p.fine,
+        squadraCasa: p.squadra_casa,
+        paeseCasa: p.paese_casa,
+        squadraOspite: p.squadra_ospite,
+        paeseOspite: p.paese_ospite,
+        golCasa: p.gol_casa,
+        golOspite: p.gol_ospite
+    };
+}
+
+function buildLiveSnapshot() {
+    const now = localDateTime();
+    const partite = db.getPartite();
+    const played = p => p.gol_casa !== null && p.gol_ospite !== null;
+    
+    return {
+        updatedAt: new Date().toISOString(),
+        inCorso: partite
+            .filter(p => p.inizio <= now && now < p.fine)
+            .map(toPublicPartita),
+        prossime: partite
+            .filter(p => p.inizio > now && !played(p))
+            .slice(0, LIVE_CONFIG.UPCOMING_MATCHES)
+            .map(toPublicPartita),
+        risultati: partite
+            .filter(played)
+            .sort((a, b) => b.inizio.localeCompare(a.inizio))
+            .slice(0, LIVE_CONFIG.RECENT_RESULTS)
+            .map(toPublicPartita),
+        classifiche: buildClassifiche().map(g => ({ nome: g.nome, classifica: g.classifica })),
+        tabellone: buildTabellone()
+    };
+}
+
+/**
+ * Invia lo stato aggiornato ai client collegati a /api/live/stream
+ *
+ * @param {Object} change - Modifica che ha generato l'aggiornamento (es. { type: 'risultato', partitaId })
+ */
+function publishLiveUpdate(change = null) {
+    if (liveFeed.size === 0) return;
+    
+    try {
+        liveFeed.broadcast('update', { ...buildLiveSnapshot(), change });
+    } catch (error) {
+        console.error('Errore aggiornamento live:', error);
+    }
+}
+
+app.get('/api/live', (req, res) => {
+    res.json({ success: true, data: buildLiveSnapshot() });
+});
+
+app.get('/api/live/stream', (req, res) => {
+    const accepted = liveFeed.addClient(req, res, { ...buildLiveSnapshot(), change: null });
+    
+    if (!accepted) {
+        res.status(503).json({ success: false, message: 'Troppe connessioni attive, riprova più tardi' });
+    }
+});
+
+setInterval(() => publishLiveUpdate(), LIVE_CONFIG.REFRESH_INTERVAL).unref();
+
+// ==========================================
+// ENDPOINT: DETTAGLI EVENTO
+// ==========================================
+
+// Data, orario, luogo e contatti del torneo per la home (countdown, contatti, età minima)
+app.get('/api/event', (req, res) => {
+    const evento = eventSettings.get();
+    res.json({
+        success: true,
+        data: {
+            ...evento,
+            luogoCompleto: eventSettings.getPlace(evento),
+            etaMinima: TOURNAMENT_RULES.MIN_AGE,
+            etaMassima: TOURNAMENT_RULES.MAX_AGE
+        }
+    });
+});
+
+app.get('/api/admin/evento', adminAuthMiddleware, (req, res) => {
+    res.json({ success: true, data: eventSettings.get() });
+});
+
+// La data è quella di inizio dell'edizione corrente (calendario .ics e promemoria)
+app.put('/api/admin/evento', adminAuthMiddleware, [
+    body('data').optional({ values: 'falsy' }).isDate({ format: 'YYYY-MM-DD', strictMode: true }).withMessage('Data del torneo non valida'),
+    body('ora').matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Orario non valido (HH:MM)'),
+    body('luogo').isString().trim().notEmpty().withMessage('Luogo obbligatorio').isLength({ max: 120 }).withMessage('Luogo troppo lungo'),
+    body('sede').optional({ values: 'null' }).isString().trim().isLength({ max: 120 }).withMessage('Sede troppo lunga'),
+    body('email').isString().trim().isEmail().withMessage('Email di contatto non valida'),
+    body('telefono').optional({ values: 'null' }).isString().trim().isLength({ max: 30 }).withMessage('Telefono troppo lungo')
+        .matches(/^[+\d\s().-]*$/).withMessage('Telefono non valido')
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    const previous = eventSettings.get();
+    const evento = eventSettings.save({
+        data: req.body.data || null,
+        ora: req.body.ora,
+        luogo: req.body.luogo,
+        sede: req.body.sede,
+        email: req.body.email,
+        telefono: req.body.telefono
+    });
+
+    db.logAdminAction({
+        action: 'evento_updated',
+        entityType: 'config',
+        entityId: 'evento',
+        oldValue: previous,
+        newValue: evento,
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+
+    res.json({ success: true, message: 'Dettagli dell\'evento aggiornati', data: evento });
+});
+
+// ==========================================
+// ENDPOINT: EDIZIONI
+// ==========================================
+app.get('/api/edizione', (req, res) => {
+    const { anno, nome, data_inizio } = db.getEdizioneCorrente();
+    res.json({ success: true, data: { anno, nome, dataInizio: data_inizio } });
+});
+
+app.get('/api/admin/edizioni', adminAuthMiddleware, (req, res) => {
+    res.json({ success: true, data: db.getEdizioni() });
+});
+
+app.post('/api/admin/edizioni', adminAuthMiddleware, [
+    body('anno').isInt({ min: 2020, max: 2100 }).withMessage('Anno non valido').toInt(),
+    body('nome').optional({ values: 'falsy' }).isString().trim().isLength({ max: 100 }).withMessage('Nome troppo lungo'),
+    body('dataInizio').optional({ values: 'falsy' }).isISO8601({ strict: true }).withMessage('Data di inizio non valida'),
+    body('corrente').optional().isBoolean().toBoolean()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    
+    const result = db.createEdizione({
+        anno: req.body.anno,
+        nome: req.body.nome ? sanitizeInput(req.body.nome) : `Un Foggiano nel Mondo ${req.body.anno}`,
+        dataInizio: req.body.dataInizio
+    });
+    
+    if (!result.success) {
+        return res.status(409).json({ success: false, message: result.error });
+    }
+    
+    if (req.body.corrente) {
+        db.setEdizioneCorrente(result.edizione.id);
+    }
+    
+    db.logAdminAction({
+        action: 'edizione_created',
+        entityType: 'edizione',
+        entityId: String(result.edizione.id),
+        newValue: { anno: result.edizione.anno, nome: result.edizione.nome, corrente: !!req.body.corrente },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.status(201).json({
+        success: true,
+        message: `Edizione ${result.edizione.anno} creata`,
+        data: db.getEdizioneById(result.edizione.id)
+    });
+});
+
+// Imposta l'edizione che riceve le nuove iscrizioni
+app.put('/api/admin/edizioni/:id/corrente', adminAuthMiddleware, (req, res) => {
+    const edizione = db.getEdizioneById(parseInt(req.params.id));
+    if (!edizione) {
+        return res.status(404).json({ success: false, message: 'Edizione non trovata' });
+    }
+    
+    const previous = db.getEdizioneCorrente();
+    db.setEdizioneCorrente(edizione.id);
+    
+    db.logAdminAction({
+        action: 'edizione_corrente_updated',
+        entityType: 'edizione',
+        entityId: String(edizione.id),
+        oldValue: { anno: previous.anno },
+        newValue: { anno: edizione.anno },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({ success: true, message: `Edizione corrente: ${edizione.anno}`, data: db.getEdizioneById(edizione.id) });
+});
+
+// ==========================================
+// CAPIENZA E LISTA D'ATTESA
+// ==========================================
+function getMaxSquadre() {
+    return parseInt(db.getConfig('max_squadre')) || TOURNAMENT_RULES.MAX_TEAMS;
+}
+
+/**
+ * Promuove le squadre in lista d'attesa se si sono liberati posti e le avvisa via email
+ */
+function promoteWaitlist(req, edizioneId = db.getEdizioneCorrenteId()) {
+    const promoted = db.promoteFromWaitlist(getMaxSquadre(), edizioneId);
+    
+    for (const iscrizione of promoted) {
+        emailService.sendWaitlistPromotion(iscrizione)
+            .catch(err => console.error('Errore accodamento email promozione:', err));
+        
+        db.logAdminAction({
+            action: 'iscrizione_promoted',
+            entityType: 'iscrizione',
+            entityId: iscrizione.id,
+            oldValue: { status: 'waitlist' },
+            newValue: { status: iscrizione.status },
+            adminKey: req.query.key,
+            ipAddress: req.ip
+        });
+    }
+    
+    return promoted;
+}
+
+app.get('/api/admin/capienza', adminAuthMiddleware, edizioneMiddleware, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            maxSquadre: getMaxSquadre(),
+            occupate: db.countActiveIscrizioni(req.edizione.id),
+            listaAttesa: db.getWaitlist(req.edizione.id).length
+        }
+    });
+});
+
+app.put('/api/admin/capienza', adminAuthMiddleware, [
+    body('maxSquadre').isInt({ min: 2, max: 500 }).withMessage('Capienza tra 2 e 500 squadre').toInt()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    
+    const oldValue = getMaxSquadre();
+    db.setConfig('max_squadre', req.body.maxSquadre);
+    
+    db.logAdminAction({
+        action: 'capienza_updated',
+        entityType: 'config',
+        entityId: 'max_squadre',
+        oldValue: { maxSquadre: oldValue },
+        newValue: { maxSquadre: req.body.maxSquadre },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    // Aumentando la capienza entrano le prime squadre in attesa
+    const promoted = promoteWaitlist(req);
+    
+    res.json({
+        success: true,
+        message: promoted.length > 0
+            ? `Capienza aggiornata: ${promoted.length} squadre promosse dalla lista d'attesa`
+            : 'Capienza aggiornata',
+        data: {
+            maxSquadre: getMaxSquadre(),
+            occupate: db.countActiveIscrizioni(),
+            listaAttesa: db.getWaitlist().length
+        }
+    });
+});
+
+// ==========================================
+// FINESTRA ISCRIZIONI
+// ==========================================
+/**
+ * Stato delle iscrizioni in base alle date salvate in config
+ * (valori ISO 8601; una data assente significa nessun limite)
+ *
+ * @returns {Object} { apertura, chiusura, stato: 'open' | 'not_open' | 'closed', now }
+ */
+function getRegistrationWindow(now = new Date()) {
+    const apertura = db.getConfig('iscrizioni_apertura') || null;
+    const chiusura = db.getConfig('iscrizioni_chiusura') || null;
+
+    let stato = 'open';
+    if (apertura && now < new Date(apertura)) {
+        stato = 'not_open';
+    } else if (chiusura && now >= new Date(chiusura)) {
+        stato = 'closed';
+    }
+
+    return { apertura, chiusura, stato, now: now.toISOString() };
+}
+
+function formatWindowDate(iso) {
+    return new Date(iso).toLocaleString('it-IT', {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit',
+        timeZone: 'Europe/Rome'
+    });
+}
+
+app.get('/api/iscrizione/finestra', (req, res) => {
+    res.json({ success: true, data: getRegistrationWindow() });
+});
+
+app.get('/api/admin/finestra-iscrizioni', adminAuthMiddleware, (req, res) => {
+    res.json({ success: true, data: getRegistrationWindow() });
+});
+
+app.put('/api/admin/finestra-iscrizioni', adminAuthMiddleware, [
+    body('apertura').optional({ values: 'falsy' }).isISO8601().withMessage('Data di apertura non valida'),
+    body('chiusura').optional({ values: 'falsy' }).isISO8601().withMessage('Data di chiusura non valida')
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    
+    const apertura = req.body.apertura ? new Date(req.body.apertura).toISOString() : null;
+    const chiusura = req.body.chiusura ? new Date(req.body.chiusura).toISOString() : null;
+    
+    if (apertura && chiusura && new Date(chiusura) <= new Date(apertura)) {
+        return res.status(400).json({
+            success: false,
+            message: 'La chiusura deve essere successiva all\'apertura'
+        });
+    }
+    
+    const oldValue = getRegistrationWindow();
+    db.setConfig('iscrizioni_apertura', apertura || '');
+    db.setConfig('iscrizioni_chiusura', chiusura || '');
+    
+    db.logAdminAction({
+        action: 'finestra_iscrizioni_updated',
+        entityType: 'config',
+        entityId: 'iscrizioni_finestra',
+        oldValue: { apertura: oldValue.apertura, chiusura: oldValue.chiusura },
+        newValue: { apertura, chiusura },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({
+        success: true,
+        message: 'Finestra iscrizioni aggiornata',
+        data: getRegistrationWindow()
+    });
+});
+
+// ==========================================
+// VERIFICA EMAIL (DOUBLE OPT-IN)
+// ==========================================
+function getVerificaOre() {
+    return parseInt(db.getConfig('verifica_ore')) || TOURNAMENT_RULES.VERIFICATION_HOURS;
+}
+
+function getVerificationSettings(edizioneId = db.getEdizioneCorrenteId()) {
+    return {
+        ore: getVerificaOre(),
+        daVerificare: db.getIscrizioniByStatus('unverified', edizioneId).length
+    };
+}
+
+app.get('/api/admin/verifica-email', adminAuthMiddleware, edizioneMiddleware, (req, res) => {
+    res.json({ success: true, data: getVerificationSettings(req.edizione.id) });
+});
+
+app.put('/api/admin/verifica-email', adminAuthMiddleware, [
+    body('ore').isInt({ min: 1, max: 720 }).withMessage('Scadenza tra 1 e 720 ore').toInt()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    const oldValue = getVerificaOre();
+    db.setConfig('verifica_ore', req.body.ore);
+
+    db.logAdminAction({
+        action: 'verifica_email_updated',
+        entityType: 'config',
+        entityId: 'verifica_ore',
+        oldValue: { ore: oldValue },
+        newValue: { ore: req.body.ore },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+
+    // La nuova scadenza vale per le iscrizioni successive
+    res.json({
+        success: true,
+        message: 'Scadenza della verifica aggiornata (vale per le nuove iscrizioni)',
+        data: getVerificationSettings()
+    });
+});
+
+// ==========================================
+// ENDPOINT: LISTA ISCRIZIONI (Admin)
+// ==========================================
+app.get('/api/iscrizioni', adminAuthMiddleware, edizioneMiddleware, (req, res) => {
+    // Il middleware già verifica l'autenticazione
+    try {
+        const waitlist = db.getWaitlist(req.edizione.id).map(i => i.id);
+        const iscrizioni = db.getAllIscrizioni(req.edizione.id).map(i => ({
+            ...i,
+            posizione_attesa: i.status === 'waitlist' ? waitlist.indexOf(i.id) + 1 : null
+        }));
+        res.json({
+            success: true,
+            data: iscrizioni,
+            count: iscrizioni.length
+        });
+    } catch (error) {
+        console.error('Errore recupero iscrizioni:', error);
+        res.status(500).json({ success: false, message: 'Errore server' });
+    }
+});
+
+// Aggiorna status iscrizione + email (il rifiuto può avere motivo e messaggio)
+app.patch('/api/iscrizioni/:id', adminAuthMiddleware, [
+    body('status').isIn(ISCRIZIONE_STATUSES).withMessage('Status non valido'),
+    body('motivo').optional({ values: 'falsy' }).isIn(REJECTION_REASONS).withMessage('Motivo del rifiuto non valido'),
+    body('messaggio').optional({ values: 'null' }).isString().trim().isLength({ max: 1000 }).withMessage('Messaggio troppo lungo (max 1000 caratteri)'),
+    body('messaggio').if(body('motivo').equals('altro')).notEmpty().withMessage('Con il motivo "altro" il messaggio è obbligatorio')
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    const { id } = req.params;
+    const { status } = req.body;
+    const rifiuto = status === 'rejected'
+        ? { motivo: req.body.motivo || null, messaggio: req.body.messaggio || null }
+        : null;
+    
+    const oldIscrizione = db.getIscrizioneById(id);
+    if (!oldIscrizione) {
+        return res.status(404).json({ success: false, message: 'Iscrizione non trovata' });
+    }
+
+    // Finché il capitano non conferma l'email l'iscrizione non entra in revisione (double opt-in)
+    if (oldIscrizione.status === 'unverified') {
+        return res.status(409).json({
+            success: false,
+            message: 'Email del capitano non ancora verificata: lo stato si potrà cambiare dopo la conferma'
+        });
+    }
+
+    // Una squadra in lista d'attesa o rifiutata occupa un posto solo se la capienza lo consente
+    const occupaPosto = s => s === 'pending' || s === 'approved';
+    if (occupaPosto(status) && !occupaPosto(oldIscrizione.status) &&
+        db.countActiveIscrizioni(oldIscrizione.edizione_id) >= getMaxSquadre()) {
+        return res.status(409).json({
+            success: false,
+            message: `Capienza raggiunta (${getMaxSquadre()} squadre): libera un posto o lascia la squadra in lista d'attesa`
+        });
+    }
+    
+    const updated = db.updateIscrizioneStatus(id, status, req.query.key, rifiuto);
+    
+    if (updated) {
+        // Invia email di notifica cambio status
+        if (status === 'approved' || status === 'rejected') {
+            // L'approvazione porta con sé l'invito .ics del torneo
+            const calendario = status === 'approved'
+                ? buildIcsCalendar(db.getEdizioneById(oldIscrizione.edizione_id), oldIscrizione)
+                : null;
+
+            // Iscrizione aggiornata: l'email di rifiuto riporta motivo e messaggio
+            emailService.sendStatusUpdate(db.getIscrizioneById(id), status, {
+                calendario: calendario && calendario.events > 0 ? calendario.ics : null
+            }).catch(err => console.error('Errore accodamento email status:', err));
+        }
+
+        db.logAdminAction({
+            action: 'iscrizione_status_changed',
+            entityType: 'iscrizione',
+            entityId: id,
+            oldValue: { status: oldIscrizione.status },
+            newValue: rifiuto ? { status, ...rifiuto } : { status },
+            adminKey: req.query.key,
+            ipAddress: req.ip
+        });
+        
+        const promoted = promoteWaitlist(req, oldIscrizione.edizione_id);
+        
+        res.json({ success: true, message: 'Status aggiornato', promoted: promoted.length });
+    } else {
+        res.status(500).json({ success: false, message: 'Errore aggiornamento' });
+    }
+});
+
+// Elimina iscrizione
+app.delete('/api/iscrizioni/:id', adminAuthMiddleware, (req, res) => {
+    const { id } = req.params;
+    const oldIscrizione = db.getIscrizioneById(id);
+    
+    if (!oldIscrizione) {
+        return res.status(404).json({ success: false, message: 'Iscrizione non trovata' });
+    }
+    
+    const deleted = db.deleteIscrizione(id);
+    
+    if (deleted) {
+        db.logAdminAction({
+            action: 'iscrizione_deleted',
+            entityType: 'iscrizione',
+            entityId: id,
+            oldValue: oldIscrizione,
+            adminKey: req.query.key,
+            ipAddress: req.ip
+        });
+        
+        const promoted = promoteWaitlist(req, oldIscrizione.edizione_id);
+        
+        res.json({ success: true, message: 'Iscrizione eliminata', promoted: promoted.length });
+    } else {
+        res.status(500).json({ success: false, message: 'Errore eliminazione' });
+    }
+});
+
+// ==========================================
+// ENDPOINT: ROSA GIOCATORI (Admin)
+// ==========================================
+app.get('/api/iscrizioni/:id/giocatori', adminAuthMiddleware, (req, res) => {
+    const iscrizione = db.getIscrizioneById(req.params.id);
+    if (!iscrizione) {
+        return res.status(404).json({ success: false, message: 'Iscrizione non trovata' });
+    }
+    
+    const giocatori = db.getGiocatori(iscrizione.id);
+    res.json({
+        success: true,
+        data: giocatori,
+        count: giocatori.length,
+        limits: {
+            min: TOURNAMENT_RULES.MIN_PLAYERS,
+            max: TOURNAMENT_RULES.MAX_PLAYERS
+        }
+    });
+});
+
+// Sostituisce l'intera rosa (validazione 11-25 giocatori)
+app.put('/api/iscrizioni/:id/giocatori', adminAuthMiddleware, rosterValidationRules, (req, res) => {
+    const { id } = req.params;
+    const iscrizione = db.getIscrizioneById(id);
+    if (!iscrizione) {
+        return res.status(404).json({ success: false, message: 'Iscrizione non trovata' });
+    }
+    
+    if (rejectInvalid(req, res)) return;
+    
+    const oldGiocatori = db.getGiocatori(id);
+    const result = db.replaceGiocatori(id, req.body.giocatori);
+    
+    if (!result.success) {
+        return res.status(400).json({ success: false, message: result.error });
+    }
+    
+    db.logAdminAction({
+        action: 'roster_updated',
+        entityType: 'iscrizione',
+        entityId: id,
+        oldValue: { count: oldGiocatori.length },
+        newValue: { count: result.giocatori.length },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({
+        success: true,
+        message: 'Rosa aggiornata',
+        data: result.giocatori,
+        count: result.giocatori.length
+    });
+});
+
+// Aggiunge un giocatore
+app.post('/api/iscrizioni/:id/giocatori', adminAuthMiddleware, giocatoreRules(), (req, res) => {
+    const { id } = req.params;
+    const iscrizione = db.getIscrizioneById(id);
+    if (!iscrizione) {
+        return res.status(404).json({ success: false, message: 'Iscrizione non trovata' });
+    }
+    
+    if (rejectInvalid(req, res)) return;
+    
+    if (db.countGiocatori(id) >= TOURNAMENT_RULES.MAX_PLAYERS) {
+        return res.status(400).json({
+            success: false,
+            message: `Rosa completa: massimo ${TOURNAMENT_RULES.MAX_PLAYERS} giocatori`
+        });
+    }
+    
+    const result = db.addGiocatore(id, req.body);
+    if (!result.success) {
+        return res.status(400).json({ success: false, message: result.error });
+    }
+    
+    db.logAdminAction({
+        action: 'giocatore_added',
+        entityType: 'iscrizione',
+        entityId: id,
+        newValue: result.giocatore,
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.status(201).json({ success: true, message: 'Giocatore aggiunto', data: result.giocatore, count: db.countGiocatori(id) });
+});
+
+// Modifica un giocatore
+app.patch('/api/iscrizioni/:id/giocatori/:giocatoreId', adminAuthMiddleware, giocatoreRules(), (req, res) => {
+    const { id, giocatoreId } = req.params;
+    const oldGiocatore = db.getGiocatoreById(id, giocatoreId);
+    if (!oldGiocatore) {
+        return res.status(404).json({ success: false, message: 'Giocatore non trovato' });
+    }
+    
+    if (rejectInvalid(req, res)) return;
+    
+    const result = db.updateGiocatore(id, giocatoreId, req.body);
+    if (!result.success) {
+        return res.status(400).json({ success: false, message: result.error });
+    }
+    
+    db.logAdminAction({
+        action: 'giocatore_updated',
+        entityType: 'iscrizione',
+        entityId: id,
+        oldValue: oldGiocatore,
+        newValue: result.giocatore,
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({ success: true, message: 'Giocatore aggiornato', data: result.giocatore });
+});
+
+// Rimuove un giocatore
+app.delete('/api/iscrizioni/:id/giocatori/:giocatoreId', adminAuthMiddleware, (req, res) => {
+    const { id, giocatoreId } = req.params;
+    const oldGiocatore = db.getGiocatoreById(id, giocatoreId);
+    if (!oldGiocatore) {
+        return res.status(404).json({ success: false, message: 'Giocatore non trovato' });
+    }
+    
+    // Una rosa completa non può scendere sotto il minimo (per sostituire un giocatore: modifica o PUT della rosa)
+    const count = db.countGiocatori(id);
+    if (count >= TOURNAMENT_RULES.MIN_PLAYERS && count - 1 < TOURNAMENT_RULES.MIN_PLAYERS) {
+        return res.status(400).json({
+            success: false,
+            message: `La rosa deve avere almeno ${TOURNAMENT_RULES.MIN_PLAYERS} giocatori: modifica il giocatore invece di rimuoverlo`
+        });
+    }
+    
+    db.deleteGiocatore(id, giocatoreId);
+    
+    db.logAdminAction({
+        action: 'giocatore_deleted',
+        entityType: 'iscrizione',
+        entityId: id,
+        oldValue: oldGiocatore,
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    // Rosa ancora in costruzione: rimozione consentita, con avviso
+    const rimasti = count - 1;
+    res.json({
+        success: true,
+        message: 'Giocatore rimosso',
+        count: rimasti,
+        warning: rimasti < TOURNAMENT_RULES.MIN_PLAYERS
+            ? `Rosa incompleta: ${rimasti} giocatori su un minimo di ${TOURNAMENT_RULES.MIN_PLAYERS}`
+            : undefined
+    });
+});
+
+// ==========================================
+// ENDPOINT: EMAIL INVIATE (Admin)
+// ==========================================
+const EMAIL_STATUSES = ['pending', 'sending', 'sent', 'failed'];
+
+// Registro di tutte le email (status=failed per quelle da reinviare)
+app.get('/api/admin/email', adminAuthMiddleware, [
+    query('status').optional().isIn(EMAIL_STATUSES).withMessage('Stato non valido'),
+    query('iscrizione').optional().isString().trim().notEmpty().withMessage('Iscrizione non valida'),
+    query('page').optional().isInt({ min: 1 }).withMessage('Pagina non valida').toInt()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    const page = req.query.page || 1;
+    const limit = 50;
+    const { emails, total } = db.getEmails({
+        status: req.query.status,
+        iscrizioneId: req.query.iscrizione,
+        page,
+        limit
+    });
+
+    res.json({
+        success: true,
+        data: emails,
+        counts: db.countEmailsByStatus(),
+        mailbox: MAILBOX_ENABLED,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+});
+
+// Email di un'iscrizione con l'esito di ogni tentativo
+app.get('/api/iscrizioni/:id/email', adminAuthMiddleware, (req, res) => {
+    const iscrizione = db.getIscrizioneById(req.params.id);
+    if (!iscrizione) {
+        return res.status(404).json({ success: false, message: 'Iscrizione non trovata' });
+    }
+
+    res.json({ success: true, data: db.getEmailsByIscrizione(iscrizione.id) });
+});
+
+// Rimette in coda un'email non consegnata
+app.post('/api/admin/email/:id/reinvia', adminAuthMiddleware, (req, res) => {
+    const email = db.getEmailById(parseInt(req.params.id));
+    if (!email) {
+        return res.status(404).json({ success: false, message: 'Email non trovata' });
+    }
+    if (email.status !== 'failed') {
+        return res.status(409).json({ success: false, message: 'Si possono reinviare solo le email non consegnate' });
+    }
+
+    if (!emailOutbox.resend(email.id)) {
+        return res.status(409).json({ success: false, message: 'Email già rimessa in coda' });
+    }
+
+    db.logAdminAction({
+        action: 'email_reinviata',
+        entityType: 'email',
+        entityId: String(email.id),
+        oldValue: { status: email.status, tentativi: email.tentativi, errore: email.ultimo_errore },
+        newValue: { status: 'pending', destinatario: email.destinatario, tipo: email.tipo },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+
+    res.json({ success: true, message: 'Email rimessa in coda' });
+});
+
+// ==========================================
+// ENDPOINT: CASELLA DI SVILUPPO (Admin, solo con EMAIL_TRANSPORT=file)
+// ==========================================
+function mailboxOnly(req, res, next) {
+    if (!MAILBOX_ENABLED) {
+        return res.status(404).json({ success: false, message: 'Casella di sviluppo non attiva' });
+    }
+    next();
+}
+
+app.get('/api/admin/mailbox', adminAuthMiddleware, mailboxOnly, (req, res) => {
+    const emails = getMailbox().list();
+    res.json({ success: true, data: emails, count: emails.length });
+});
+
+app.get('/api/admin/mailbox/:id', adminAuthMiddleware, mailboxOnly, (req, res) => {
+    const email = getMailbox().get(req.params.id);
+    if (!email) {
+        return res.status(404).json({ success: false, message: 'Email non trovata' });
+    }
+
+    res.json({
+        success: true,
+        data: { ...email, attachments: email.attachments.map(a => ({ filename: a.filename, contentType: a.contentType })) }
+    });
+});
+
+app.get('/api/admin/mailbox/:id/allegati/:index', adminAuthMiddleware, mailboxOnly, (req, res) => {
+    const attachment = getMailbox().getAttachment(req.params.id, parseInt(req.params.index));
+    if (!attachment) {
+        return res.status(404).json({ success: false, message: 'Allegato non trovato' });
+    }
+
+    res.set({
+        'Content-Type': attachment.contentType,
+        'Content-Disposition': `attachment; filename="${String(attachment.filename).replace(/"/g, '')}"`
+    });
+    res.send(attachment.content);
+});
+
+app.delete('/api/admin/mailbox', adminAuthMiddleware, mailboxOnly, (req, res) => {
+    const deleted = getMailbox().clear();
+    res.json({ success: true, message: `${deleted} email cancellate dalla casella` });
+});
+
+// ==========================================
+// ENDPOINT: MODELLI EMAIL (Admin)
+// ==========================================
+function checkPlaceholders(value) {
+    const unknown = findUnknownPlaceholders(value);
+    if (unknown.length > 0) {
+        throw new Error(`Segnaposto sconosciuti: ${unknown.map(name => `{{${name}}}`).join(', ')}`);
+    }
+    return true;
+}
+
+const templateRules = [
+    body('lingua').isIn(EMAIL_LANGUAGES).withMessage('Lingua non valida'),
+    body('oggetto').optional().isString().trim().isLength({ min: 1, max: 200 }).withMessage('Oggetto obbligatorio (max 200 caratteri)')
+        .custom(checkPlaceholders),
+    body('corpo').optional().isString().isLength({ min: 1, max: 50000 }).withMessage('Testo obbligatorio (max 50000 caratteri)')
+        .custom(checkPlaceholders)
+];
+
+function getTemplateKey(req, res) {
+    if (!EMAIL_TEMPLATES[req.params.chiave]) {
+        res.status(404).json({ success: false, message: 'Modello non trovato' });
+        return null;
+    }
+    return req.params.chiave;
+}
+
+/**
+ * Modello inviato dalla dashboard (bozza non salvata) o, in mancanza, quello attivo
+ */
+function getTemplateDraft(chiave, req) {
+    const active = emailService.getTemplate(chiave, req.body.lingua);
+    return {
+        oggetto: req.body.oggetto || active.oggetto,
+        corpo: req.body.corpo || active.corpo
+    };
+}
+
+/**
+ * Iscrizione per anteprime e prove: quella indicata oppure l'esempio
+ */
+function getTemplateSample(req) {
+    const iscrizione = req.body.iscrizione ? db.getIscrizioneById(req.body.iscrizione) : null;
+    return iscrizione || { ...SAMPLE_ISCRIZIONE, created_at: new Date().toISOString() };
+}
+
+// Tipi di modello con la versione attiva per lingua
+app.get('/api/admin/email-template', adminAuthMiddleware, (req, res) => {
+    const active = db.getActiveEmailTemplates();
+
+    res.json({
+        success: true,
+        data: Object.entries(EMAIL_TEMPLATES).map(([chiave, template]) => ({
+            chiave,
+            descrizione: template.descrizione,
+            personalizzati: active
+                .filter(row => row.chiave === chiave && row.personalizzato)
+                .map(row => row.lingua)
+        })),
+        lingue: EMAIL_LANGUAGES,
+        segnaposto: EMAIL_PLACEHOLDERS
+    });
+});
+
+// Modello attivo, testo predefinito e storico delle versioni
+app.get('/api/admin/email-template/:chiave', adminAuthMiddleware, [
+    query('lingua').isIn(EMAIL_LANGUAGES).withMessage('Lingua non valida')
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    const chiave = getTemplateKey(req, res);
+    if (!chiave) return;
+
+    res.json({
+        success: true,
+        data: {
+            chiave,
+            lingua: req.query.lingua,
+            attivo: emailService.getTemplate(chiave, req.query.lingua),
+            predefinito: getDefaultTemplate(chiave, req.query.lingua),
+            versioni: db.getEmailTemplateVersions(chiave, req.query.lingua)
+        }
+    });
+});
+
+// Salva una nuova versione
+app.put('/api/admin/email-template/:chiave', adminAuthMiddleware, [
+    ...templateRules,
+    body('oggetto').exists().withMessage('Oggetto obbligatorio'),
+    body('corpo').exists().withMessage('Testo obbligatorio')
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    const chiave = getTemplateKey(req, res);
+    if (!chiave) return;
+
+    const previous = db.getEmailTemplate(chiave, req.body.lingua);
+    const version = db.saveEmailTemplate({
+        chiave,
+        lingua: req.body.lingua,
+        oggetto: req.body.oggetto,
+        corpo: req.body.corpo
+    });
+
+    db.logAdminAction({
+        action: 'email_template_updated',
+        entityType: 'email_template',
+        entityId: `${chiave}:${req.body.lingua}`,
+        oldValue: previous ? { versione: previous.versione } : null,
+        newValue: { versione: version.versione, oggetto: version.oggetto },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+
+    res.json({ success: true, message: `Modello salvato (versione ${version.versione})`, data: version });
+});
+
+// Ripristina una versione precedente o il testo predefinito (come nuova versione)
+app.post('/api/admin/email-template/:chiave/ripristina', adminAuthMiddleware, [
+    body('lingua').isIn(EMAIL_LANGUAGES).withMessage('Lingua non valida'),
+    body('versione').optional({ values: 'null' }).isInt({ min: 1 }).withMessage('Versione non valida').toInt()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    const chiave = getTemplateKey(req, res);
+    if (!chiave) return;
+
+    // Senza versione si torna al testo predefinito
+    let source = { oggetto: null, corpo: null };
+    if (req.body.versione) {
+        source = db.getEmailTemplateVersion(req.body.versione);
+        if (!source || source.chiave !== chiave || source.lingua !== req.body.lingua) {
+            return res.status(404).json({ success: false, message: 'Versione non trovata' });
+        }
+    }
+
+    const version = db.saveEmailTemplate({ chiave, lingua: req.body.lingua, oggetto: source.oggetto, corpo: source.corpo });
+
+    db.logAdminAction({
+        action: 'email_template_restored',
+        entityType: 'email_template',
+        entityId: `${chiave}:${req.body.lingua}`,
+        newValue: { versione: version.versione, da: source.versione || 'predefinito' },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+
+    res.json({
+        success: true,
+        message: source.corpo ? `Ripristinata la versione ${source.versione}` : 'Ripristinato il testo predefinito',
+        data: version
+    });
+});
+
+// Anteprima con un'iscrizione d'esempio (o reale), anche di una bozza non salvata
+app.post('/api/admin/email-template/:chiave/anteprima', adminAuthMiddleware, templateRules, (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    const chiave = getTemplateKey(req, res);
+    if (!chiave) return;
+
+    const { subject, html } = emailService.render(chiave, getTemplateSample(req), {
+        lang: req.body.lingua,
+        template: getTemplateDraft(chiave, req),
+        waitlistPosition: 3,
+        giorniMancanti: 7
+    });
+
+    res.json({ success: true, data: { oggetto: subject, html } });
+});
+
+// Invia il modello (anche in bozza) all'indirizzo indicato o a quello dell'admin
+app.post('/api/admin/email-template/:chiave/prova', adminAuthMiddleware, [
+    ...templateRules,
+    body('email').optional({ values: 'falsy' }).isEmail().withMessage('Email non valida').normalizeEmail()
+], async (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    const chiave = getTemplateKey(req, res);
+    if (!chiave) return;
+
+    try {
+        const to = req.body.email || emailService.getAdminEmail();
+        const { subject, html } = emailService.render(chiave, getTemplateSample(req), {
+            lang: req.body.lingua,
+            template: getTemplateDraft(chiave, req),
+            waitlistPosition: 3,
+            giorniMancanti: 7
+        });
+
+        const result = await emailService.queue({ tipo: 'prova', to, subject: `[PROVA] ${subject}`, html });
+        if (!result.success) {
+            return res.status(502).json({ success: false, message: result.error || 'Invio non riuscito' });
+        }
+
+        db.logAdminAction({
+            action: 'email_template_test',
+            entityType: 'email_template',
+            entityId: `${chiave}:${req.body.lingua}`,
+            newValue: { destinatario: to },
+            adminKey: req.query.key,
+            ipAddress: req.ip
+        });
+
+        res.json({ success: true, message: `Email di prova in invio a ${to}` });
+    } catch (error) {
+        console.error('❌ Errore invio email di prova:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Si è verificato un errore durante l\'invio dell\'email di prova'
+        });
+    }
+});
+
+// ==========================================
+// ENDPOINT: COMUNICAZIONI AI CAPITANI (Admin)
+// ==========================================
+const broadcastSegmentRules = [
+    body('status').optional({ values: 'falsy' }).isIn(ISCRIZIONE_STATUSES).withMessage('Stato non valido'),
+    body('paese').optional({ values: 'falsy' }).isIn(SQUADRA_COUNTRIES).withMessage('Paese non valido'),
+    body('provinciaFoggia').optional({ values: 'falsy' }).isIn(['si', 'no']).withMessage('Valore non valido'),
+    // Vuota = edizione corrente, 'tutte' = tutte le edizioni
+    body('edizione').optional({ values: 'falsy' }).custom(value => value === 'tutte' || Number.isInteger(Number(value)))
+        .withMessage('Edizione non valida')
+];
+
+const broadcastMessageRules = [
+    body('oggetto').isString().trim().isLength({ min: 1, max: 200 }).withMessage('Oggetto obbligatorio (max 200 caratteri)')
+        .custom(checkPlaceholders),
+    body('messaggio').isString().trim().isLength({ min: 1, max: 20000 }).withMessage('Messaggio obbligatorio (max 20000 caratteri)')
+        .custom(checkPlaceholders)
+];
+
+/**
+ * Segmento richiesto (null se l'edizione non esiste: risposta già inviata)
+ */
+function getBroadcastSegment(req, res) {
+    let edizione = null;
+
+    if (req.body.edizione !== 'tutte') {
+        edizione = req.body.edizione ? db.getEdizioneById(parseInt(req.body.edizione)) : db.getEdizioneCorrente();
+        if (!edizione) {
+            res.status(404).json({ success: false, message: 'Edizione non trovata' });
+            return null;
+        }
+    }
+
+    return {
+        edizione: edizione ? edizione.id : null,
+        status: req.body.status || null,
+        paese: req.body.paese || null,
+        provinciaFoggia: req.body.provinciaFoggia || null
+    };
+}
+
+app.get('/api/admin/broadcast', adminAuthMiddleware, (req, res) => {
+    res.json({ success: true, data: db.getBroadcasts(), rate: BROADCAST_RATE });
+});
+
+// Report di consegna per destinatario
+app.get('/api/admin/broadcast/:id', adminAuthMiddleware, (req, res) => {
+    const broadcast = db.getBroadcastById(parseInt(req.params.id));
+    if (!broadcast) {
+        return res.status(404).json({ success: false, message: 'Comunicazione non trovata' });
+    }
+
+    res.json({ success: true, data: broadcast });
+});
+
+// Numero di destinatari del segmento e, se c'è il messaggio, anteprima per il primo
+app.post('/api/admin/broadcast/anteprima', adminAuthMiddleware, [
+    ...broadcastSegmentRules,
+    body('oggetto').optional().isString().isLength({ max: 200 }).custom(checkPlaceholders),
+    body('messaggio').optional().isString().isLength({ max: 20000 }).custom(checkPlaceholders)
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    const segmento = getBroadcastSegment(req, res);
+    if (!segmento) return;
+
+    const recipients = db.getBroadcastRecipients(segmento);
+    const data = { destinatari: recipients.length };
+
+    if (req.body.oggetto && req.body.messaggio) {
+        const iscrizione = recipients[0] || SAMPLE_ISCRIZIONE;
+        const { subject, content, lang } = emailService.composeMessage(req.body.oggetto, req.body.messaggio, iscrizione);
+
+        data.anteprima = {
+            squadra: iscrizione.nome_squadra,
+            oggetto: subject,
+            html: emailService.getBaseTemplate(content, subject, lang)
+        };
+    }
+
+    res.json({ success: true, data });
+});
+
+// Mette in coda un'email per destinatario, distanziate secondo BROADCAST_RATE
+app.post('/api/admin/broadcast', adminAuthMiddleware, [
+    ...broadcastSegmentRules,
+    ...broadcastMessageRules
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    const segmento = getBroadcastSegment(req, res);
+    if (!segmento) return;
+
+    const recipients = db.getBroadcastRecipients(segmento);
+    if (recipients.length === 0) {
+        return res.status(400).json({ success: false, message: 'Nessun destinatario nel segmento selezionato' });
+    }
+
+    try {
+        const intervallo = Math.round(60000 / BROADCAST_RATE);
+        const start = Date.now();
+
+        // Comunicazione e email in coda insieme: mai una comunicazione con meno email del previsto
+        const broadcastId = db.transaction(() => {
+            const id = db.createBroadcast({
+                oggetto: req.body.oggetto,
+                messaggio: req.body.messaggio,
+                segmento,
+                destinatari: recipients.length,
+                intervallo
+            });
+
+            for (const [index, iscrizione] of recipients.entries()) {
+                const { subject, content, lang } = emailService.composeMessage(req.body.oggetto, req.body.messaggio, iscrizione);
+
+                emailOutbox.enqueue(emailService.getCustomEmail(iscrizione.email_capitano, subject, content, {
+                    iscrizioneId: iscrizione.id,
+                    broadcastId: id,
+                    sendAt: new Date(start + index * intervallo).toISOString(),
+                    lang
+                }));
+            }
+            return id;
+        });
+
+        db.logAdminAction({
+            action: 'broadcast_sent',
+            entityType: 'email_broadcast',
+            entityId: String(broadcastId),
+            newValue: { oggetto: req.body.oggetto, segmento, destinatari: recipients.length },
+            adminKey: req.query.key,
+            ipAddress: req.ip
+        });
+
+        const minuti = Math.ceil((recipients.length - 1) * intervallo / 60000);
+        res.status(201).json({
+            success: true,
+            message: `Comunicazione in coda per ${recipients.length} destinatari` +
+                (minuti > 1 ? ` (invio completato in circa ${minuti} minuti)` : ''),
+            data: db.getBroadcastById(broadcastId)
+        });
+    } catch (error) {
+        console.error('❌ Errore invio comunicazione:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Si è verificato un errore durante l\'invio della comunicazione'
+        });
+    }
+});
+
+// ==========================================
+// ENDPOINT: PROMEMORIA TORNEO (Admin)
+// ==========================================
+
+/**
+ * Esegue un giro di promemoria e lo registra nei log (req assente = giro automatico)
+ */
+async function runReminders(req = null) {
+    const result = await reminderScheduler.run();
+
+    db.logAdminAction({
+        action: 'promemoria_run',
+        entityType: 'promemoria',
+        entityId: result.promemoria ? String(result.promemoria) : null,
+        newValue: { ...result, origine: req ? 'manuale' : 'automatica' },
+        adminKey: req ? req.query.key : null,
+        ipAddress: req ? req.ip : null
+    });
+
+    if (result.inviati > 0) {
+        console.log(`⏰ ${result.messaggio}`);
+    }
+    return result;
+}
+
+app.get('/api/admin/promemoria', adminAuthMiddleware, (req, res) => {
+    res.json({ success: true, data: { ...reminderScheduler.getSchedule(), orario: REMINDER_CRON } });
+});
+
+app.put('/api/admin/promemoria', adminAuthMiddleware, [
+    body('attivi').isBoolean().withMessage('Valore non valido').toBoolean(),
+    body('giorni').isArray({ min: 1, max: 10 }).withMessage('Indica da 1 a 10 promemoria'),
+    body('giorni.*').isInt({ min: 1, max: 365 }).withMessage('I giorni devono essere tra 1 e 365').toInt()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    const previous = reminderScheduler.getSettings();
+    const settings = reminderScheduler.saveSettings({ attivi: req.body.attivi, giorni: req.body.giorni });
+
+    db.logAdminAction({
+        action: 'promemoria_updated',
+        entityType: 'config',
+        entityId: 'promemoria',
+        oldValue: previous,
+        newValue: settings,
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+
+    res.json({
+        success: true,
+        message: 'Promemoria aggiornati',
+        data: { ...reminderScheduler.getSchedule(), orario: REMINDER_CRON }
+    });
+});
+
+// Esegue subito il giro del giorno (i promemoria già inviati non vengono ripetuti)
+app.post('/api/admin/promemoria/esegui', adminAuthMiddleware, async (req, res) => {
+    try {
+        const result = await runReminders(req);
+
+        res.json({ success: true, message: result.messaggio, data: result });
+    } catch (error) {
+        console.error('❌ Errore invio promemoria:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Si è verificato un errore durante l\'invio dei promemoria'
+        });
+    }
+});
+
+// ==========================================
+// ENDPOINT: NOTIFICHE ADMIN (Admin)
+// ==========================================
+const ADMIN_NOTIFICATION_MODES = ['immediata', 'riepilogo'];
+
+/**
+ * Invia il riepilogo giornaliero e lo registra nei log (req assente = giro automatico)
+ */
+async function runAdminDigest(req = null) {
+    const result = await adminDigest.run();
+
+    db.logAdminAction({
+        action: 'riepilogo_admin_run',
+        entityType: 'notifiche',
+        newValue: { ...result, origine: req ? 'manuale' : 'automatica' },
+        adminKey: req ? req.query.key : null,
+        ipAddress: req ? req.ip : null
+    });
+
+    if (result.inviati > 0) {
+        console.log(`📊 ${result.messaggio}`);
+    }
+    return result;
+}
+
+function getAdminNotifications() {
+    return {
+        destinatari: db.getAdminDestinatari(),
+        predefinito: emailService.getAdminEmail(),
+        ultimoRiepilogo: adminDigest.getLastRun(),
+        orario: DIGEST_CRON
+    };
+}
+
+app.get('/api/admin/notifiche', adminAuthMiddleware, (req, res) => {
+    res.json({ success: true, data: getAdminNotifications() });
+});
+
+app.post('/api/admin/notifiche', adminAuthMiddleware, [
+    body('email').trim().isEmail().withMessage('Email non valida').normalizeEmail(),
+    body('modalita').isIn(ADMIN_NOTIFICATION_MODES).withMessage('Modalità non valida')
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    const result = db.addAdminDestinatario({ email: req.body.email, modalita: req.body.modalita });
+    if (!result.success) {
+        return res.status(409).json({ success: false, message: result.error });
+    }
+
+    db.logAdminAction({
+        action: 'admin_destinatario_added',
+        entityType: 'notifiche',
+        entityId: String(result.destinatario.id),
+        newValue: { email: result.destinatario.email, modalita: result.destinatario.modalita },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+
+    res.status(201).json({ success: true, message: 'Destinatario aggiunto', data: getAdminNotifications() });
+});
+
+app.patch('/api/admin/notifiche/:id', adminAuthMiddleware, [
+    body('modalita').isIn(ADMIN_NOTIFICATION_MODES).withMessage('Modalità non valida')
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+
+    const destinatario = db.getAdminDestinatarioById(parseInt(req.params.id));
+    if (!destinatario) {
+        return res.status(404).json({ success: false, message: 'Destinatario non trovato' });
+    }
+
+    db.updateAdminDestinatario(destinatario.id, req.body.modalita);
+
+    db.logAdminAction({
+        action: 'admin_destinatario_updated',
+        entityType: 'notifiche',
+        entityId: String(destinatario.id),
+        oldValue: { email: destinatario.email, modalita: destinatario.modalita },
+        newValue: { email: destinatario.email, modalita: req.body.modalita },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+
+    res.json({ success: true, message: 'Modalità aggiornata', data: getAdminNotifications() });
+});
+
+app.delete('/api/admin/notifiche/:id', adminAuthMiddleware, (req, res) => {
+    const destinatario = db.getAdminDestinatarioById(parseInt(req.params.id));
+    if (!destinatario) {
+        return res.status(404).json({ success: false, message: 'Destinatario non trovato' });
+    }
+
+    db.deleteAdminDestinatario(destinatario.id);
+
+    db.logAdminAction({
+        action: 'admin_destinatario_deleted',
+        entityType: 'notifiche',
+        entityId: String(destinatario.id),
+        oldValue: { email: destinatario.email, modalita: destinatario.modalita },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+
+    res.json({ success: true, message: 'Destinatario rimosso', data: getAdminNotifications() });
+});
+
+// Invia subito il riepilogo (copre il periodo dall'ultimo riepilogo inviato)
+app.post('/api/admin/notifiche/riepilogo', adminAuthMiddleware, async (req, res) => {
+    try {
+        const result = await runAdminDigest(req);
+
+        res.json({ success: true, message: result.messaggio, data: { ...result, ...getAdminNotifications() } });
+    } catch (error) {
+        console.error('❌ Errore invio riepilogo admin:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Si è verificato un errore durante l\'invio del riepilogo'
+        });
+    }
+});
+
+// ==========================================
+// ENDPOINT: SORTEGGIO GIRONI (Admin)
+// ==========================================
+app.get('/api/admin/gironi', adminAuthMiddleware, (req, res) => {
+    res.json({
+        success: true,
+        data: db.getSorteggio()
+    });
+});
+
+// Esegue il sorteggio (passando un seed salvato si riproduce lo stesso risultato)
+app.post('/api/admin/gironi/sorteggio', adminAuthMiddleware, [
+    body('groupSize').optional().isInt().toInt(),
+    body('separateCountries').optional().isBoolean().toBoolean(),
+    body('seeds')
+        .optional()
+        .isArray().withMessage('Teste di serie non valide')
+        .bail()
+        .custom(seeds => seeds.length <= db.getIscrizioniByStatus('approved').length)
+        .withMessage('Più teste di serie che squadre approvate'),
+    body('seeds.*')
+        .isString().withMessage('Testa di serie non valida')
+        .bail()
+        .custom(id => {
+            const iscrizione = db.getIscrizioneById(id);
+            return !!iscrizione && iscrizione.status === 'approved' && iscrizione.edizione_id === db.getEdizioneCorrenteId();
+        })
+        .withMessage('Le teste di serie devono essere squadre approvate'),
+    body('seed').optional({ values: 'falsy' }).isString().trim().isLength({ max: 64 })
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    
+    // Il tabellone è costruito sui gironi attuali: va eliminato prima di rifare il sorteggio
+    if (db.getEliminatorie().length > 0) {
+        return res.status(409).json({
+            success: false,
+            message: 'Elimina prima il tabellone della fase finale: è stato generato dai gironi attuali'
+        });
+    }
+    
+    const teams = db.getIscrizioniByStatus('approved').map(i => ({
+        id: i.id,
+        paese: i.paese_squadra
+    }));
+    
+    const draw = drawGroups(teams, {
+        groupSize: req.body.groupSize,
+        separateCountries: req.body.separateCountries,
+        seeds: req.body.seeds,
+        seed: req.body.seed
+    });
+    
+    if (!draw.success) {
+        return res.status(400).json({ success: false, message: draw.error });
+    }
+    
+    const previous = db.getSorteggio();
+    db.saveSorteggio(draw);
+    publishLiveUpdate({ type: 'sorteggio' });
+    
+    db.logAdminAction({
+        action: 'sorteggio_created',
+        entityType: 'torneo',
+        entityId: draw.seed,
+        oldValue: previous ? { seed: previous.seed } : null,
+        newValue: {
+            seed: draw.seed,
+            groupSize: draw.groupSize,
+            groups: draw.groups.length,
+            teams: teams.length,
+            conflicts: draw.conflicts
+        },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({
+        success: true,
+        message: draw.conflicts > 0 
+            ? `Sorteggio completato con ${draw.conflicts} squadre nello stesso girone di un connazionale (inevitabile con queste squadre e questi gironi)`
+            : 'Sorteggio completato',
+        data: db.getSorteggio()
+    });
+});
+
+app.delete('/api/admin/gironi', adminAuthMiddleware, (req, res) => {
+    const previous = db.getSorteggio();
+    if (!previous) {
+        return res.status(404).json({ success: false, message: 'Nessun sorteggio da annullare' });
+    }
+    if (db.getEliminatorie().length > 0) {
+        return res.status(409).json({
+            success: false,
+            message: 'Elimina prima il tabellone della fase finale: è stato generato da questi gironi'
+        });
+    }
+    
+    db.deleteSorteggio();
+    publishLiveUpdate({ type: 'sorteggio' });
+    
+    db.logAdminAction({
+        action: 'sorteggio_deleted',
+        entityType: 'torneo',
+        entityId: previous.seed,
+        oldValue: { seed: previous.seed, groups: previous.gironi.length },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({ success: true, message: 'Sorteggio annullato' });
+});
+
+// ==========================================
+// ENDPOINT: CALENDARIO PARTITE (Admin)
+// ==========================================
+function getCalendarioParams() {
+    const stored = db.getConfig('calendario_params');
+    return stored ? JSON.parse(stored) : null;
+}
+
+app.get('/api/admin/calendario', adminAuthMiddleware, (req, res) => {
+    const partite = db.getPartite();
+    res.json({
+        success: true,
+        data: partite,
+        count: partite.length,
+        params: getCalendarioParams()
+    });
+});
+
+// Genera il calendario della fase a gironi (sostituisce quello esistente)
+app.post('/api/admin/calendario', adminAuthMiddleware, [
+    body('date').optional().isISO8601({ strict: true }).withMessage('Data non valida'),
+    body('startTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Orario di inizio non valido (HH:MM)'),
+    body('fields').optional().custom(value => 
+        Array.isArray(value) 
+            ? value.length > 0 && value.length <= 20 && value.every(f => typeof f === 'string' && f.trim().length > 0 && f.length <= 30)
+            : Number.isInteger(Number(value)) && value >= 1 && value <= 20
+    ).withMessage('Campi non validi (da 1 a 20)'),
+    body('matchDuration').optional().isInt({ min: 5, max: 120 }).withMessage('Durata partita tra 5 e 120 minuti').toInt(),
+    body('changeover').optional().isInt({ min: 0, max: 60 }).withMessage('Cambio campo tra 0 e 60 minuti').toInt(),
+    body('restGap').optional().isInt({ min: 0, max: 240 }).withMessage('Riposo tra 0 e 240 minuti').toInt()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    
+    const sorteggio = db.getSorteggio();
+    if (!sorteggio) {
+        return res.status(400).json({ success: false, message: 'Effettua prima il sorteggio dei gironi' });
+    }
+    
+    const fields = Array.isArray(req.body.fields)
+        ? req.body.fields.map(sanitizeInput)
+        : req.body.fields;
+    
+    // Senza data e orario si usano quelli dell'evento
+    const evento = eventSettings.get();
+    const calendario = scheduleGroupStage(
+        sorteggio.gironi.map(g => ({ id: g.id, teams: g.squadre.map(s => s.id) })),
+        {
+            date: req.body.date ? req.body.date.substring(0, 10) : evento.data,
+            startTime: req.body.startTime || evento.ora,
+            fields,
+            matchDuration: req.body.matchDuration,
+            changeover: req.body.changeover,
+            restGap: req.body.restGap
+        }
+    );
+    
+    if (!calendario.success) {
+        return res.status(400).json({ success: false, message: calendario.error });
+    }
+    
+    db.saveCalendario('gironi', calendario.matches);
+    db.setConfig('calendario_params', JSON.stringify(calendario.params));
+    publishLiveUpdate({ type: 'calendario' });
+    
+    db.logAdminAction({
+        action: 'calendario_generated',
+        entityType: 'torneo',
+        newValue: { ...calendario.params, matches: calendario.matches.length, endsAt: calendario.endsAt },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({
+        success: true,
+        message: `Calendario generato: ${calendario.matches.length} partite, fine prevista ${calendario.endsAt.split('T')[1]}`,
+        data: db.getPartite(),
+        params: calendario.params
+    });
+});
+
+// Sposta manualmente una partita (campo e/o orario)
+app.patch('/api/admin/partite/:id', adminAuthMiddleware, [
+    body('campo').optional().isString().trim().isLength({ min: 1, max: 30 }).customSanitizer(sanitizeInput),
+    body('inizio').optional().matches(/^\d{4}-\d{2}-\d{2}T([01]\d|2[0-3]):[0-5]\d$/).withMessage('Orario non valido (YYYY-MM-DDTHH:MM)'),
+    body('force').optional().isBoolean().withMessage('Valore non valido').toBoolean()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    
+    const partita = db.getPartitaById(req.params.id);
+    if (!partita) {
+        return res.status(404).json({ success: false, message: 'Partita non trovata' });
+    }
+    
+    const campo = req.body.campo || partita.campo;
+    const inizio = req.body.inizio || partita.inizio;
+    const start = parseDateTime(inizio);
+    const durata = parseDateTime(partita.fine).minutes - parseDateTime(partita.inizio).minutes;
+    if (start.minutes + durata > SCHEDULE_DEFAULTS.DAY_END) {
+        return res.status(400).json({ success: false, message: 'La partita deve terminare entro la mezzanotte' });
+    }
+    const fine = formatDateTime(start.date, start.minutes + durata);
+    
+    const toSlot = p => ({
+        id: p.id,
+        home: p.squadra_casa_id,
+        away: p.squadra_ospite_id,
+        field: p.campo,
+        start: p.inizio,
+        end: p.fine
+    });
+    
+    const params = getCalendarioParams();
+    const conflicts = findConflicts(
+        toSlot({ ...partita, campo, inizio, fine }),
+        db.getPartite().map(toSlot),
+        params ? params.restGap : SCHEDULE_DEFAULTS.REST_GAP
+    );
+    
+    if (conflicts.length > 0 && !req.body.force) {
+        return res.status(409).json({
+            success: false,
+            message: 'Spostamento in conflitto con il calendario',
+            conflicts
+        });
+    }
+    
+    db.movePartita(partita.id, campo, inizio, fine);
+    publishLiveUpdate({ type: 'calendario', partitaId: partita.id });
+    
+    db.logAdminAction({
+        action: 'partita_moved',
+        entityType: 'partita',
+        entityId: String(partita.id),
+        oldValue: { campo: partita.campo, inizio: partita.inizio },
+        newValue: { campo, inizio, forced: conflicts.length > 0 },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({ success: true, message: 'Partita spostata', data: db.getPartitaById(partita.id) });
+});
+
+app.delete('/api/admin/calendario', adminAuthMiddleware, (req, res) => {
+    const deleted = db.deleteCalendario('gironi');
+    publishLiveUpdate({ type: 'calendario' });
+    
+    db.logAdminAction({
+        action: 'calendario_deleted',
+        entityType: 'torneo',
+        oldValue: { matches: deleted },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({ success: true, message: `Calendario eliminato (${deleted} partite)` });
+});
+
+// ==========================================
+// ENDPOINT: RISULTATI E CLASSIFICHE (Admin)
+// ==========================================
+
+/**
+ * Classifiche di tutti i gironi dell'ultimo sorteggio.
+ * Include le partite (senza dati personali) per l'uso pubblico.
+ */
+function buildClassifiche() {
+    const sorteggio = db.getSorteggio();
+    if (!sorteggio) return [];
+    
+    const partite = db.getPartite().filter(p => p.fase === 'gironi');
+    
+    return sorteggio.gironi.map(girone => {
+        const matches = partite
+            .filter(p => p.girone_id === girone.id)
+            .map(p => ({
+                id: p.id,
+                giornata: p.giornata,
+                campo: p.campo,
+                inizio: p.inizio,
+                home: p.squadra_casa_id,
+                away: p.squadra_ospite_id,
+                squadraCasa: p.squadra_casa,
+                paeseCasa: p.paese_casa,
+                squadraOspite: p.squadra_ospite,
+                paeseOspite: p.paese_ospite,
+                golCasa: p.gol_casa,
+                golOspite: p.gol_ospite
+            }));
+        
+        const teams = girone.squadre.map(s => ({
+            id: s.id,
+            nome: s.nome_squadra,
+            paese: s.paese_squadra
+        }));
+        
+        return {
+            nome: girone.nome,
+            classifica: computeStandings(teams, matches),
+            partite: matches
+        };
+    });
+}
+
+app.get('/api/admin/classifiche', adminAuthMiddleware, (req, res) => {
+    res.json({ success: true, data: buildClassifiche() });
+});
+
+app.put('/api/admin/partite/:id/risultato', adminAuthMiddleware, [
+    body('golCasa').isInt({ min: 0, max: 99 }).withMessage('Gol squadra di casa non validi').toInt(),
+    body('golOspite').isInt({ min: 0, max: 99 }).withMessage('Gol squadra ospite non validi').toInt()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    
+    const partita = db.getPartitaById(req.params.id);
+    if (!partita) {
+        return res.status(404).json({ success: false, message: 'Partita non trovata' });
+    }
+    
+    const { golCasa, golOspite } = req.body;
+    db.setRisultato(partita.id, golCasa, golOspite);
+    publishLiveUpdate({ type: 'risultato', partitaId: partita.id });
+    
+    db.logAdminAction({
+        action: 'risultato_saved',
+        entityType: 'partita',
+        entityId: String(partita.id),
+        oldValue: partita.gol_casa === null ? null : { golCasa: partita.gol_casa, golOspite: partita.gol_ospite },
+        newValue: { golCasa, golOspite },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({ success: true, message: 'Risultato salvato', data: db.getPartitaById(partita.id) });
+});
+
+app.delete('/api/admin/partite/:id/risultato', adminAuthMiddleware, (req, res) => {
+    const partita = db.getPartitaById(req.params.id);
+    if (!partita) {
+        return res.status(404).json({ success: false, message: 'Partita non trovata' });
+    }
+    
+    db.setRisultato(partita.id, null, null);
+    publishLiveUpdate({ type: 'risultato', partitaId: partita.id });
+    
+    db.logAdminAction({
+        action: 'risultato_deleted',
+        entityType: 'partita',
+        entityId: String(partita.id),
+        oldValue: { golCasa: partita.gol_casa, golOspite: partita.gol_ospite },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({ success: true, message: 'Risultato eliminato' });
+});
+
+// ==========================================
+// ENDPOINT: ELIMINAZIONE DIRETTA (Admin)
+// ==========================================
+
+/**
+ * Tabellone raggruppato per turno, null se non ancora generato
+ */
+function buildTabellone() {
+    const eliminatorie = db.getEliminatorie();
+    if (eliminatorie.length === 0) return null;
+    
+    const totalRounds = Math.max(...eliminatorie.map(e => e.turno));
+    const turni = [];
+    
+    for (let turno = 1; turno <= totalRounds; turno++) {
+        turni.push({
+            turno,
+            nome: roundName(turno, totalRounds),
+            partite: eliminatorie
+                .filter(e => e.turno === turno)
+                .map(e => ({
+                    id: e.id,
+                    posizione: e.posizione,
+                    squadraCasa: e.squadra_casa,
+                    paeseCasa: e.paese_casa,
+                    etichettaCasa: e.etichetta_casa,
+                    squadraOspite: e.squadra_ospite,
+                    paeseOspite: e.paese_ospite,
+                    etichettaOspite: e.etichetta_ospite,
+                    golCasa: e.gol_casa,
+                    golOspite: e.gol_ospite,
+                    rigoriCasa: e.rigori_casa,
+                    rigoriOspite: e.rigori_ospite,
+                    vincitore: e.vincitore,
+                    vincente: e.vincitore_id
+                        ? (e.vincitore_id === e.squadra_casa_id ? 'casa' : 'ospite')
+                        : null
+                }))
+        });
+    }
+    
+    const finale = turni[turni.length - 1].partite[0];
+    
+    return {
+        turni,
+        campione: finale && finale.vincitore ? finale.vincitore : null
+    };
+}
+
+/**
+ * Il risultato non è modificabile se la vincente ha già giocato il turno successivo
+ */
+function nextMatchPlayed(partita) {
+    const next = nextSlot(partita.turno, partita.posizione);
+    const successiva = db.getEliminatoriaBySlot(next.round, next.position);
+    return Boolean(successiva && successiva.vincitore_id);
+}
+
+app.get('/api/admin/tabellone', adminAuthMiddleware, (req, res) => {
+    res.json({ success: true, data: buildTabellone() });
+});
+
+app.post('/api/admin/tabellone', adminAuthMiddleware, [
+    body('qualificatePerGirone').optional().isInt({ min: 1, max: 4 }).withMessage('Qualificate per girone tra 1 e 4').toInt(),
+    body('force').optional().isBoolean().withMessage('Valore non valido').toBoolean()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    
+    const classifiche = buildClassifiche();
+    if (classifiche.length === 0) {
+        return res.status(400).json({ success: false, message: 'Effettua prima il sorteggio dei gironi' });
+    }
+    
+    const daGiocare = classifiche
+        .flatMap(g => g.partite)
+        .filter(p => p.golCasa === null || p.golOspite === null).length;
+    
+    if (daGiocare > 0 && !req.body.force) {
+        return res.status(409).json({
+            success: false,
+            message: `Fase a gironi non conclusa: ${daGiocare} partite senza risultato`,
+            pending: daGiocare
+        });
+    }
+    
+    const qualificatePerGirone = req.body.qualificatePerGirone || 2;
+    const tabellone = createBracket(seedQualifiers(classifiche, qualificatePerGirone));
+    
+    if (!tabellone.success) {
+        return res.status(400).json({ success: false, message: tabellone.error });
+    }
+    
+    db.saveTabellone(tabellone.matches);
+    
+    // Le squadre senza avversario (bye) passano direttamente il turno
+    for (const match of tabellone.matches.filter(m => m.round === 1 && m.home && !m.away)) {
+        const partita = db.getEliminatoriaBySlot(1, match.position);
+        db.saveRisultatoEliminatoria(partita.id, {}, match.home, nextSlot(1, match.position));
+    }
+    publishLiveUpdate({ type: 'tabellone' });
+    
+    db.logAdminAction({
+        action: 'tabellone_created',
+        entityType: 'torneo',
+        newValue: { qualificatePerGirone, rounds: tabellone.rounds, forced: daGiocare > 0 },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({
+        success: true,
+        message: `Tabellone generato: ${roundName(1, tabellone.rounds)}`,
+        data: buildTabellone()
+    });
+});
+
+app.put('/api/admin/tabellone/:id/risultato', adminAuthMiddleware, [
+    body('golCasa').isInt({ min: 0, max: 99 }).withMessage('Gol squadra di casa non validi').toInt(),
+    body('golOspite').isInt({ min: 0, max: 99 }).withMessage('Gol squadra ospite non validi').toInt(),
+    body('rigoriCasa').optional({ values: 'null' }).isInt({ min: 0, max: 99 }).withMessage('Rigori squadra di casa non validi').toInt(),
+    body('rigoriOspite').optional({ values: 'null' }).isInt({ min: 0, max: 99 }).withMessage('Rigori squadra ospite non validi').toInt()
+], (req, res) => {
+    if (rejectInvalid(req, res)) return;
+    
+    const partita = db.getEliminatoriaById(req.params.id);
+    if (!partita) {
+        return res.status(404).json({ success: false, message: 'Partita non trovata' });
+    }
+    if (!partita.squadra_casa_id || !partita.squadra_ospite_id) {
+        return res.status(400).json({ success: false, message: 'Squadre non ancora definite' });
+    }
+    if (nextMatchPlayed(partita)) {
+        return res.status(409).json({ success: false, message: 'Risultato del turno successivo già inserito' });
+    }
+    
+    const result = {
+        golCasa: req.body.golCasa,
+        golOspite: req.body.golOspite,
+        rigoriCasa: req.body.rigoriCasa ?? null,
+        rigoriOspite: req.body.rigoriOspite ?? null
+    };
+    
+    const esito = resolveWinner({ home: partita.squadra_casa_id, away: partita.squadra_ospite_id }, result);
+    if (!esito.success) {
+        return res.status(400).json({ success: false, message: esito.error });
+    }
+    
+    const isFinal = !db.getEliminatoriaBySlot(partita.turno + 1, 1);
+    db.saveRisultatoEliminatoria(
+        partita.id,
+        result,
+        esito.winner,
+        isFinal ? null : nextSlot(partita.turno, partita.posizione)
+    );
+    publishLiveUpdate({ type: 'eliminatoria', partitaId: partita.id });
+    
+    db.logAdminAction({
+        action: 'eliminatoria_result_saved',
+        entityType: 'eliminatoria',
+        entityId: String(partita.id),
+        oldValue: partita.vincitore_id ? {
+            golCasa: partita.gol_casa,
+            golOspite: partita.gol_ospite,
+            rigoriCasa: partita.rigori_casa,
+            rigoriOspite: partita.rigori_ospite
+        } : null,
+        newValue: { ...result, vincitore: esito.winner },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({ success: true, message: 'Risultato salvato', data: buildTabellone() });
+});
+
+app.delete('/api/admin/tabellone/:id/risultato', adminAuthMiddleware, (req, res) => {
+    const partita = db.getEliminatoriaById(req.params.id);
+    if (!partita) {
+        return res.status(404).json({ success: false, message: 'Partita non trovata' });
+    }
+    if (!partita.squadra_ospite_id && partita.turno === 1) {
+        return res.status(400).json({ success: false, message: 'Turno libero: nessun risultato da eliminare' });
+    }
+    if (nextMatchPlayed(partita)) {
+        return res.status(409).json({ success: false, message: 'Risultato del turno successivo già inserito' });
+    }
+    
+    const isFinal = !db.getEliminatoriaBySlot(partita.turno + 1, 1);
+    db.saveRisultatoEliminatoria(partita.id, {}, null, isFinal ? null : nextSlot(partita.turno, partita.posizione));
+    publishLiveUpdate({ type: 'eliminatoria', partitaId: partita.id });
+    
+    db.logAdminAction({
+        action: 'eliminatoria_result_deleted',
+        entityType: 'eliminatoria',
+        entityId: String(partita.id),
+        oldValue: { golCasa: partita.gol_casa, golOspite: partita.gol_ospite },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({ success: true, message: 'Risultato eliminato', data: buildTabellone() });
+});
+
+app.delete('/api/admin/tabellone', adminAuthMiddleware, (req, res) => {
+    const deleted = db.deleteTabellone();
+    publishLiveUpdate({ type: 'tabellone' });
+    
+    db.logAdminAction({
+        action: 'tabellone_deleted',
+        entityType: 'torneo',
+        oldValue: { matches: deleted },
+        adminKey: req.query.key,
+        ipAddress: req.ip
+    });
+    
+    res.json({ success: true, message: 'Tabellone eliminato' });
+});
+
+// ==========================================
+// ENDPOINT: STATISTICHE DATABASE
+// ==========================================
+app.get('/api/admin/stats', adminAuthMiddleware, edizioneMiddleware, (req, res) => {
+    const dbStats = db.getStats();
+    const iscrizioniStats = db.getIscrizioniStats(req.edizione.id);
+    
+    res.json({
+        success: true,
+        data: {
+            database: dbStats,
+            iscrizioni: iscrizioniStats
+        }
+    });
+});
+
+// ==========================================
+// HEALTH CHECK
+// ==========================================
+app.get('/health', (req, res) => {
+    const dbStats = db.getStats();
+    res.json({ 
+        status: 'ok', 
+        timestamp: new Date().toISOString(),
+        uptime: process.uptime(),
+        database: dbStats,
+        email: db.countEmailsByStatus()
+    });
+});
+
+// ==========================================
+// ERROR HANDLER
+// ==========================================
+app.use((err, req, res, next) => {
+    if (err.code === 'EBADCSRFTOKEN') {
+        return res.status(403).json({
+            success: false,
             message: 'Token CSRF non valido. Ricarica la pagina e riprova.'
         });
     }
 
+    if (err instanceof multer.MulterError) {
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+            success: false,
+            message: GALLERY_UPLOAD_ERRORS[err.code] || 'Caricamento non valido'
+        });
+    }
+
     console.error('❌ Errore:', err);
     res.status(500).json({
         success: false,
@@ -1053,6 +3645,9 @@ const server = app.listen(PORT, () => {
 
 ${process.env.NODE_ENV !== 'production' ? '⚠️  ATTENZIONE: Modalità sviluppo attiva' : '✅ Modalità produzione'}
     `);
+
+    // Riprende le email rimaste in coda prima del riavvio
+    emailOutbox.start();
 });
 
 // ==========================================
@@ -1061,9 +3656,16 @@ ${process.env.NODE_ENV !== 'production' ? '⚠️  ATTENZIONE: Modalità svilupp
 const gracefulShutdown = (signal) => {
     console.log(`\n🛑 ${signal} ricevuto. Chiusura in corso...`);
     
-    server.close(() => {
+    // Le connessioni SSE resterebbero aperte bloccando server.close()
+    liveFeed.close();
+    
+    server.close(async () => {
         console.log('📡 Server HTTP chiuso');
         
+        // Le email non ancora inviate restano in coda per il prossimo avvio
+        await emailOutbox.stop();
+        console.log('📬 Coda email fermata');
+        
         try {
             db.close();
             console.log('💾 Database chiuso');
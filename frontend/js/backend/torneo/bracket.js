@@ -0,0 +1,169 @@
+/**
+ * Tabellone Eliminazione Diretta - Un Foggiano nel Mondo
+ *
+ * Costruisce la fase a eliminazione diretta dalle classifiche dei gironi:
+ * - Qualificate le prime N di ogni girone
+ * - Teste di serie ordinate per piazzamento (prime, poi seconde...) e rendimento
+ * - Accoppiamenti classici (1 vs ultima, 2 vs penultima...) evitando squadre dello stesso girone al primo turno
+ * - Turni liberi (bye) se le qualificate non sono una potenza di 2
+ */
+
+const BRACKET_LIMITS = {
+    MIN_TEAMS: 2,
+    MAX_TEAMS: 32
+};
+
+/**
+ * Nome del turno in base a quanti turni mancano alla finale
+ */
+function roundName(round, totalRounds) {
+    const names = { 1: 'Finale', 2: 'Semifinali', 3: 'Quarti di finale', 4: 'Ottavi di finale', 5: 'Sedicesimi di finale' };
+    return names[totalRounds - round + 1] || `Turno ${round}`;
+}
+
+/**
+ * Ordine delle posizioni nel tabellone, così le teste di serie più alte
+ * si incontrano il più tardi possibile (size=8 -> 1,8,4,5,2,7,3,6)
+ */
+function bracketOrder(size) {
+    let order = [1, 2];
+    while (order.length < size) {
+        const next = order.length * 2 + 1;
+        order = order.flatMap(seed => [seed, next - seed]);
+    }
+    return order;
+}
+
+/**
+ * Estrae le squadre qualificate dalle classifiche
+ *
+ * @param {Array<{nome: string, classifica: Array}>} gironi - Classifiche calcolate
+ * @param {number} perGroup - Qualificate per girone
+ */
+function seedQualifiers(gironi, perGroup) {
+    const qualifiers = [];
+
+    for (let place = 1; place <= perGroup; place++) {
+        const tier = gironi
+            .map(g => ({ girone: g.nome, row: g.classifica.find(r => r.posizione === place) }))
+            .filter(q => q.row)
+            .sort((a, b) =>
+                b.row.punti - a.row.punti
+                || b.row.differenza - a.row.differenza
+                || b.row.golFatti - a.row.golFatti
+                || a.girone.localeCompare(b.girone)
+            );
+
+        qualifiers.push(...tier.map(q => ({
+            id: q.row.id,
+            girone: q.girone,
+            label: `${place}° ${q.girone}`
+        })));
+    }
+
+    return qualifiers;
+}
+
+/**
+ * Crea il tabellone
+ *
+ * @param {Array<{id: string, girone: string, label: string}>} qualifiers - Qualificate in ordine di testa di serie
+ * @returns {Object} { success, rounds, matches: [{ round, position, home, away, homeLabel, awayLabel }] }
+ */
+function createBracket(qualifiers) {
+    if (qualifiers.length < BRACKET_LIMITS.MIN_TEAMS || qualifiers.length > BRACKET_LIMITS.MAX_TEAMS) {
+        return {
+            success: false,
+            error: `Servono tra ${BRACKET_LIMITS.MIN_TEAMS} e ${BRACKET_LIMITS.MAX_TEAMS} squadre qualificate`
+        };
+    }
+
+    const size = 2 ** Math.ceil(Math.log2(qualifiers.length));
+    const rounds = Math.log2(size);
+    const order = bracketOrder(size);
+
+    // Coppie del primo turno: [testa di serie alta, testa di serie bassa o bye]
+    const pairs = [];
+    for (let i = 0; i < order.length; i += 2) {
+        pairs.push([qualifiers[order[i] - 1] || null, qualifiers[order[i + 1] - 1] || null]);
+    }
+
+    // Evita scontri tra squadre dello stesso girone al primo turno
+    // scambiando la squadra più debole con quella di un'altra coppia
+    for (const pair of pairs) {
+        if (!pair[1] || pair[0].girone !== pair[1].girone) continue;
+
+        const swap = pairs.find(other =>
+            other !== pair && other[1]
+            && other[1].girone !== pair[0].girone
+            && other[0].girone !== pair[1].girone
+        );
+        if (swap) {
+            [pair[1], swap[1]] = [swap[1], pair[1]];
+        }
+    }
+
+    const matches = pairs.map(([home, away], index) => ({
+        round: 1,
+        position: index + 1,
+        home: home ? home.id : null,
+        away: away ? away.id : null,
+        homeLabel: home ? home.label : null,
+        awayLabel: away ? away.label : 'Bye'
+    }));
+
+    for (let round = 2; round <= rounds; round++) {
+        const count = size / 2 ** round;
+        for (let position = 1; position <= count; position++) {
+            matches.push({ round, position, home: null, away: null, homeLabel: null, awayLabel: null });
+        }
+    }
+
+    return { success: true, rounds, matches };
+}
+
+/**
+ * Determina la vincente di una partita a eliminazione diretta.
+ * In caso di pareggio nei tempi regolamentari servono i rigori.
+ */
+function resolveWinner(match, result) {
+    const { golCasa, golOspite } = result;
+    const hasPenalties = Number.isInteger(result.rigoriCasa) && Number.isInteger(result.rigoriOspite);
+
+    if (golCasa !== golOspite) {
+        if (hasPenalties) {
+            return { success: false, error: 'I rigori sono previsti solo in caso di pareggio' };
+        }
+        return { success: true, winner: golCasa > golOspite ? match.home : match.away };
+    }
+
+    if (!hasPenalties) {
+        return { success: false, error: 'Partita in parità: inserire il risultato dei rigori' };
+    }
+    if (result.rigoriCasa === result.rigoriOspite) {
+        return { success: false, error: 'I rigori non possono terminare in parità' };
+    }
+
+    return { success: true, winner: result.rigoriCasa > result.rigoriOspite ? match.home : match.away };
+}
+
+/**
+ * Posizione nel turno successivo della vincente di una partita
+ */
+function nextSlot(round, position) {
+    return {
+        round: round + 1,
+        position: Math.ceil(position / 2),
+        side: position % 2 === 1 ? 'home' : 'away'
+    };
+}
+
+module.exports = {
+    seedQualifiers,
+    createBracket,
+    resolveWinner,
+    nextSlot,
+    roundName,
+    bracketOrder,
+    BRACKET_LIMITS
+};
@@ -0,0 +1,202 @@
+/**
+ * Sorteggio Gironi - Un Foggiano nel Mondo
+ *
+ * Distribuisce le squadre approvate nei gironi con:
+ * - Dimensione gironi configurabile
+ * - Teste di serie (una per girone)
+ * - Separazione per paese (evita due squadre dello stesso paese nel girone):
+ *   la distribuzione è ottima, i conflitti restano solo se sono inevitabili
+ * - Seed casuale salvato, così ogni sorteggio è riproducibile
+ */
+
+const crypto = require('crypto');
+
+const DRAW_LIMITS = {
+    MIN_GROUP_SIZE: 2,
+    MAX_GROUP_SIZE: 8
+};
+
+/**
+ * Genera un nuovo seed casuale
+ */
+function generateSeed() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+/**
+ * PRNG deterministico (mulberry32) inizializzato da un seed testuale
+ */
+function createRandom(seed) {
+    let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function shuffle(items, random) {
+    const result = [...items];
+    for (let i = result.length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [result[i], result[j]] = [result[j], result[i]];
+    }
+    return result;
+}
+
+/**
+ * Separazione per paese come abbinamento paesi -> gironi (algoritmo dei cammini
+ * aumentanti): ogni girone riceve al massimo una squadra per paese e il numero
+ * di squadre sistemate senza connazionali è il massimo possibile. Un'assegnazione
+ * già fatta può essere spostata su un altro girone per fare spazio (backtracking).
+ *
+ * @returns {Array<Array<boolean>>} assigned[paese][girone] (paesi nell'ordine di countries)
+ */
+function matchCountries(pool, groups, countries, random) {
+    const assigned = countries.map(() => groups.map(() => false));
+    const blocked = countries.map(paese => groups.map(g => g.teams.some(t => t.paese === paese)));
+    const used = groups.map(() => 0);
+    const free = groups.map(g => g.capacity - g.teams.length);
+
+    function augment(c, visited) {
+        for (const g of shuffle(groups.map((_, i) => i), random)) {
+            if (visited[g] || blocked[c][g] || assigned[c][g]) continue;
+            visited[g] = true;
+
+            if (used[g] < free[g]) {
+                assigned[c][g] = true;
+                used[g]++;
+                return true;
+            }
+            // Girone pieno: prova a spostare altrove un altro paese che lo occupa
+            for (let other = 0; other < countries.length; other++) {
+                if (assigned[other][g] && augment(other, visited)) {
+                    assigned[other][g] = false;
+                    assigned[c][g] = true;
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    for (const team of pool) {
+        augment(countries.indexOf(team.paese), groups.map(() => false));
+    }
+    return assigned;
+}
+
+function groupName(index) {
+    return String.fromCharCode(65 + index); // A, B, C...
+}
+
+/**
+ * Esegue il sorteggio
+ *
+ * @param {Array<{id: string, paese: string}>} teams - Squadre approvate
+ * @param {Object} options
+ * @param {number} options.groupSize - Squadre per girone (massimo)
+ * @param {boolean} options.separateCountries - Evita squadre dello stesso paese nello stesso girone
+ * @param {string[]} options.seeds - ID delle teste di serie, in ordine (una per girone)
+ * @param {string} options.seed - Seed per riprodurre un sorteggio precedente
+ */
+function drawGroups(teams, options = {}) {
+    const groupSize = parseInt(options.groupSize) || 4;
+    const separateCountries = options.separateCountries !== false;
+    const seedIds = options.seeds || [];
+    const seed = options.seed || generateSeed();
+
+    if (groupSize < DRAW_LIMITS.MIN_GROUP_SIZE || groupSize > DRAW_LIMITS.MAX_GROUP_SIZE) {
+        return {
+            success: false,
+            error: `Dimensione girone deve essere tra ${DRAW_LIMITS.MIN_GROUP_SIZE} e ${DRAW_LIMITS.MAX_GROUP_SIZE}`
+        };
+    }
+
+    const groupCount = Math.ceil(teams.length / groupSize);
+    if (teams.length < 2 || Math.floor(teams.length / groupCount) < DRAW_LIMITS.MIN_GROUP_SIZE) {
+        return { success: false, error: 'Squadre approvate insufficienti per formare i gironi' };
+    }
+
+    const teamsById = new Map(teams.map(t => [t.id, t]));
+    const unknownSeed = seedIds.find(id => !teamsById.has(id));
+    if (unknownSeed) {
+        return { success: false, error: `Testa di serie non valida: ${unknownSeed}` };
+    }
+    if (new Set(seedIds).size !== seedIds.length || seedIds.length > groupCount) {
+        return { success: false, error: `Massimo ${groupCount} teste di serie distinte` };
+    }
+
+    // Capienza bilanciata: i gironi differiscono al massimo di una squadra
+    const baseSize = Math.floor(teams.length / groupCount);
+    const remainder = teams.length % groupCount;
+    const groups = Array.from({ length: groupCount }, (_, i) => ({
+        name: groupName(i),
+        capacity: baseSize + (i < remainder ? 1 : 0),
+        teams: []
+    }));
+
+    const random = createRandom(seed);
+    seedIds.forEach((id, i) => {
+        groups[i].teams.push({ ...teamsById.get(id), seeded: true });
+    });
+
+    const countryCount = teams.reduce((acc, t) => {
+        acc[t.paese] = (acc[t.paese] || 0) + 1;
+        return acc;
+    }, {});
+
+    // Input ordinato per ID (stesso seed => stesso risultato), poi mescolato.
+    // Prima i paesi più rappresentati, così la separazione ha più margine
+    const pool = shuffle(
+        teams.filter(t => !seedIds.includes(t.id)).sort((a, b) => a.id.localeCompare(b.id)),
+        random
+    ).sort((a, b) => separateCountries ? countryCount[b.paese] - countryCount[a.paese] : 0);
+
+    let conflicts = 0;
+    let unplaced = pool;
+
+    if (separateCountries) {
+        const countries = [...new Set(pool.map(t => t.paese))];
+        const assigned = matchCountries(pool, groups, countries, random);
+
+        unplaced = [];
+        for (const team of pool) {
+            const c = countries.indexOf(team.paese);
+            const g = assigned[c].indexOf(true);
+            if (g === -1) {
+                unplaced.push(team);
+                continue;
+            }
+            assigned[c][g] = false;
+            groups[g].teams.push({ ...team, seeded: false });
+        }
+        conflicts = unplaced.length;
+    }
+
+    for (const team of unplaced) {
+        // Girone con meno connazionali (se richiesto), poi il più vuoto; a parità, scelta casuale
+        const open = groups.filter(g => g.teams.length < g.capacity);
+        const compatriots = g => separateCountries ? g.teams.filter(t => t.paese === team.paese).length : 0;
+        const score = g => compatriots(g) * 100 + g.teams.length;
+        const best = Math.min(...open.map(score));
+        const candidates = open.filter(g => score(g) === best);
+        const target = candidates[Math.floor(random() * candidates.length)];
+        target.teams.push({ ...team, seeded: false });
+    }
+
+    return {
+        success: true,
+        seed,
+        groupSize,
+        separateCountries,
+        seeds: seedIds,
+        conflicts,
+        groups: groups.map(g => ({ name: g.name, teams: g.teams }))
+    };
+}
+
+module.exports = { drawGroups, generateSeed, createRandom, shuffle, DRAW_LIMITS };
@@ -0,0 +1,191 @@
+/**
+ * Calendario iCalendar (.ics) - Un Foggiano nel Mondo
+ *
+ * Genera i file .ics (RFC 5545) da importare nei calendari dei capitani:
+ * - Il torneo come evento di un'intera giornata
+ * - Le partite di una squadra con orario, campo e girone
+ * Gli orari del calendario partite sono ora locale di Foggia: gli eventi
+ * indicano il fuso Europe/Rome, così chi è all'estero li vede nel proprio orario.
+ */
+
+const TIMEZONE = 'Europe/Rome';
+const PRODID = '-//Un Foggiano nel Mondo//Torneo//IT';
+
+// Definizione del fuso (ora legale dall'ultima domenica di marzo all'ultima di ottobre)
+const VTIMEZONE = [
+    'BEGIN:VTIMEZONE',
+    `TZID:${TIMEZONE}`,
+    'BEGIN:DAYLIGHT',
+    'TZOFFSETFROM:+0100',
+    'TZOFFSETTO:+0200',
+    'TZNAME:CEST',
+    'DTSTART:19700329T020000',
+    'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU',
+    'END:DAYLIGHT',
+    'BEGIN:STANDARD',
+    'TZOFFSETFROM:+0200',
+    'TZOFFSETTO:+0100',
+    'TZNAME:CET',
+    'DTSTART:19701025T030000',
+    'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU',
+    'END:STANDARD',
+    'END:VTIMEZONE'
+];
+
+/**
+ * Testo di una proprietà: escape di \ ; , e a capo
+ */
+function escapeText(value) {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Spezza le righe oltre i 75 byte (continuazione con uno spazio), senza dividere i caratteri UTF-8
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let bytes = 0;
+
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        if (bytes + size > (parts.length === 0 ? 75 : 74)) {
+            parts.push(current);
+            current = '';
+            bytes = 0;
+        }
+        current += char;
+        bytes += size;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * "2026-06-01" -> "20260601"
+ */
+function formatDate(date) {
+    return date.replace(/-/g, '');
+}
+
+/**
+ * "2026-06-01T09:30" -> "20260601T093000"
+ */
+function formatLocal(dateTime) {
+    return `${formatDate(dateTime.slice(0, 10))}T${dateTime.slice(11, 16).replace(':', '')}00`;
+}
+
+/**
+ * Date -> "20260601T073000Z"
+ */
+function formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Giorno successivo (fine esclusiva degli eventi di un'intera giornata)
+ */
+function nextDay(date) {
+    const [anno, mese, giorno] = date.split('-').map(Number);
+    return new Date(Date.UTC(anno, mese - 1, giorno + 1)).toISOString().slice(0, 10);
+}
+
+// ==========================================
+// EVENTI
+// ==========================================
+
+/**
+ * Il torneo come evento di un'intera giornata
+ *
+ * @param {Object} edizione - anno, nome, data_inizio
+ * @param {Object} options - luogo, descrizione, url, domain
+ */
+function tournamentEvent(edizione, options = {}) {
+    return {
+        uid: `torneo-${edizione.anno}@${options.domain || 'unfoggianonelmondo'}`,
+        date: edizione.data_inizio,
+        summary: edizione.nome || `Un Foggiano nel Mondo ${edizione.anno}`,
+        location: options.luogo,
+        description: options.descrizione,
+        url: options.url
+    };
+}
+
+/**
+ * Una partita del calendario
+ *
+ * @param {Object} partita - riga di getPartite (con nomi delle squadre e girone)
+ * @param {Object} options - luogo, domain, labels ({ girone, giornata })
+ */
+function matchEvent(partita, options = {}) {
+    const labels = options.labels || { girone: 'Girone', giornata: 'Giornata' };
+    const dettagli = [];
+    if (partita.girone) dettagli.push(`${labels.girone} ${partita.girone}`);
+    if (partita.giornata) dettagli.push(`${labels.giornata} ${partita.giornata}`);
+
+    return {
+        uid: `partita-${partita.id}@${options.domain || 'unfoggianonelmondo'}`,
+        start: partita.inizio,
+        end: partita.fine,
+        summary: `⚽ ${partita.squadra_casa} - ${partita.squadra_ospite}`,
+        location: [partita.campo, options.luogo].filter(Boolean).join(', '),
+        description: dettagli.join(' • ')
+    };
+}
+
+// ==========================================
+// CALENDARIO
+// ==========================================
+
+/**
+ * Compone il file .ics
+ *
+ * @param {Array} events - eventi di tournamentEvent/matchEvent
+ * @param {Object} options - nome (nome del calendario), now
+ * @returns {string} contenuto con terminatori di riga CRLF
+ */
+function buildCalendar(events, options = {}) {
+    const stamp = formatUtc(options.now || new Date());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH'
+    ];
+
+    if (options.nome) {
+        lines.push(`X-WR-CALNAME:${escapeText(options.nome)}`);
+    }
+
+    // Il fuso serve solo agli eventi con orario
+    if (events.some(event => event.start)) {
+        lines.push(...VTIMEZONE);
+    }
+
+    for (const event of events) {
+        lines.push('BEGIN:VEVENT', `UID:${event.uid}`, `DTSTAMP:${stamp}`);
+
+        if (event.date) {
+            lines.push(`DTSTART;VALUE=DATE:${formatDate(event.date)}`, `DTEND;VALUE=DATE:${formatDate(nextDay(event.date))}`);
+        } else {
+            lines.push(`DTSTART;TZID=${TIMEZONE}:${formatLocal(event.start)}`, `DTEND;TZID=${TIMEZONE}:${formatLocal(event.end)}`);
+        }
+
+        lines.push(`SUMMARY:${escapeText(event.summary)}`);
+        if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+        if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        if (event.url) lines.push(`URL:${event.url}`);
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { buildCalendar, tournamentEvent, matchEvent, TIMEZONE };
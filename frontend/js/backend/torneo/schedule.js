@@ -0,0 +1,221 @@
+/**
+ * Calendario Partite - Un Foggiano nel Mondo
+ *
+ * Genera il calendario della fase a gironi:
+ * - Girone all'italiana (metodo del cerchio) per ogni girone
+ * - Assegnazione a campi e fasce orarie senza sovrapposizioni
+ * - Riposo minimo garantito tra due partite della stessa squadra
+ */
+
+const SCHEDULE_DEFAULTS = {
+    START_TIME: '09:00',
+    FIELDS: 2,
+    MATCH_DURATION: 30, // minuti
+    CHANGEOVER: 5,      // minuti tra una partita e la successiva sullo stesso campo
+    REST_GAP: 20,       // minuti minimi di riposo per squadra
+    MAX_SLOTS: 200,
+    DAY_END: 24 * 60
+};
+
+/**
+ * "09:30" -> 570
+ */
+function toMinutes(time) {
+    const [hours, minutes] = String(time).split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * (2026-06-01, 570) -> "2026-06-01T09:30"
+ */
+function formatDateTime(date, minutes) {
+    const hours = Math.floor(minutes / 60).toString().padStart(2, '0');
+    const mins = (minutes % 60).toString().padStart(2, '0');
+    return `${date}T${hours}:${mins}`;
+}
+
+/**
+ * "2026-06-01T09:30" -> { date: "2026-06-01", minutes: 570 }
+ */
+function parseDateTime(value) {
+    const [date, time] = String(value).split('T');
+    return { date, minutes: toMinutes(time) };
+}
+
+/**
+ * Accoppiamenti girone all'italiana (metodo del cerchio).
+ * Restituisce un array di giornate, ognuna con le coppie [casa, ospite].
+ */
+function generateRoundRobin(teamIds) {
+    const teams = [...teamIds];
+    if (teams.length % 2 === 1) teams.push(null); // riposo
+
+    const rounds = [];
+    const half = teams.length / 2;
+
+    for (let round = 0; round < teams.length - 1; round++) {
+        const pairs = [];
+        for (let i = 0; i < half; i++) {
+            const home = teams[i];
+            const away = teams[teams.length - 1 - i];
+            if (home && away) {
+                // Alterna casa/ospite per bilanciare
+                pairs.push(round % 2 === 0 ? [home, away] : [away, home]);
+            }
+        }
+        rounds.push(pairs);
+        // Ruota tutti tranne il primo
+        teams.splice(1, 0, teams.pop());
+    }
+
+    return rounds;
+}
+
+function normalizeFields(fields) {
+    if (Array.isArray(fields)) {
+        return fields.map(f => String(f).trim()).filter(Boolean);
+    }
+    const count = parseInt(fields) || SCHEDULE_DEFAULTS.FIELDS;
+    return Array.from({ length: count }, (_, i) => `Campo ${i + 1}`);
+}
+
+/**
+ * Genera il calendario per i gironi
+ *
+ * @param {Array<{id: number, teams: string[]}>} groups - Gironi con gli ID delle squadre
+ * @param {Object} options - date (YYYY-MM-DD, obbligatoria), startTime, fields, matchDuration, changeover, restGap
+ */
+function scheduleGroupStage(groups, options = {}) {
+    const date = options.date;
+    const startTime = options.startTime || SCHEDULE_DEFAULTS.START_TIME;
+    const fields = normalizeFields(options.fields);
+    const matchDuration = options.matchDuration ?? SCHEDULE_DEFAULTS.MATCH_DURATION;
+    const changeover = options.changeover ?? SCHEDULE_DEFAULTS.CHANGEOVER;
+    const restGap = options.restGap ?? SCHEDULE_DEFAULTS.REST_GAP;
+
+    if (!date) {
+        return { success: false, error: 'Indicare la data del torneo' };
+    }
+    if (fields.length === 0) {
+        return { success: false, error: 'Indicare almeno un campo' };
+    }
+    if (matchDuration <= 0) {
+        return { success: false, error: 'Durata partita non valida' };
+    }
+
+    // Coda di priorità: prima giornata di tutti i gironi, poi la seconda...
+    const queue = [];
+    const roundsByGroup = groups.map(g => ({ id: g.id, rounds: generateRoundRobin(g.teams) }));
+    const maxRounds = Math.max(0, ...roundsByGroup.map(g => g.rounds.length));
+    for (let round = 0; round < maxRounds; round++) {
+        for (const group of roundsByGroup) {
+            for (const [home, away] of group.rounds[round] || []) {
+                queue.push({ groupId: group.id, round: round + 1, home, away });
+            }
+        }
+    }
+
+    if (queue.length === 0) {
+        return { success: false, error: 'Nessuna partita da programmare' };
+    }
+
+    const slotLength = matchDuration + changeover;
+    const startMinutes = toMinutes(startTime);
+    const lastEnd = new Map(); // squadra -> minuto di fine ultima partita
+    const matches = [];
+
+    for (let slot = 0; queue.length > 0; slot++) {
+        if (slot >= SCHEDULE_DEFAULTS.MAX_SLOTS) {
+            return { success: false, error: 'Impossibile completare il calendario con i parametri indicati' };
+        }
+
+        const slotStart = startMinutes + slot * slotLength;
+        const busy = new Set();
+        let fieldIndex = 0;
+
+        for (let i = 0; i < queue.length && fieldIndex < fields.length; ) {
+            const match = queue[i];
+            const rested = [match.home, match.away].every(team =>
+                !busy.has(team) && (!lastEnd.has(team) || slotStart - lastEnd.get(team) >= restGap)
+            );
+
+            if (!rested) {
+                i++;
+                continue;
+            }
+
+            const end = slotStart + matchDuration;
+            if (end > SCHEDULE_DEFAULTS.DAY_END) {
+                return { success: false, error: 'Il calendario supera la mezzanotte: aumentare i campi o ridurre la durata' };
+            }
+
+            matches.push({
+                ...match,
+                field: fields[fieldIndex++],
+                start: formatDateTime(date, slotStart),
+                end: formatDateTime(date, end)
+            });
+            busy.add(match.home).add(match.away);
+            lastEnd.set(match.home, end);
+            lastEnd.set(match.away, end);
+            queue.splice(i, 1);
+        }
+    }
+
+    return {
+        success: true,
+        params: { date, startTime, fields, matchDuration, changeover, restGap },
+        matches,
+        endsAt: matches.reduce((max, m) => m.end > max ? m.end : max, '')
+    };
+}
+
+/**
+ * Verifica che spostare una partita non crei conflitti di campo o di squadra
+ *
+ * @param {Object} match - { id, home, away, field, start, end }
+ * @param {Array} others - Altre partite in calendario (stesso formato)
+ * @param {number} restGap - Riposo minimo tra due partite della stessa squadra
+ * @returns {string[]} Elenco dei conflitti (vuoto se ok)
+ */
+function findConflicts(match, others, restGap = 0) {
+    const conflicts = [];
+    const start = parseDateTime(match.start);
+    const end = parseDateTime(match.end);
+
+    for (const other of others) {
+        if (other.id === match.id) continue;
+
+        const otherStart = parseDateTime(other.start);
+        const otherEnd = parseDateTime(other.end);
+        if (otherStart.date !== start.date) continue;
+
+        const overlaps = start.minutes < otherEnd.minutes && otherStart.minutes < end.minutes;
+
+        if (overlaps && other.field === match.field) {
+            conflicts.push(`${match.field} già occupato alle ${other.start.split('T')[1]}`);
+        }
+
+        const sharedTeam = [match.home, match.away].some(t => t && (t === other.home || t === other.away));
+        if (sharedTeam) {
+            const gap = start.minutes >= otherEnd.minutes
+                ? start.minutes - otherEnd.minutes
+                : otherStart.minutes - end.minutes;
+            if (overlaps || gap < restGap) {
+                conflicts.push(`Squadra impegnata o senza riposo (partita delle ${other.start.split('T')[1]})`);
+            }
+        }
+    }
+
+    return conflicts;
+}
+
+module.exports = {
+    scheduleGroupStage,
+    generateRoundRobin,
+    findConflicts,
+    formatDateTime,
+    parseDateTime,
+    toMinutes,
+    SCHEDULE_DEFAULTS
+};
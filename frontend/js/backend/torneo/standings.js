@@ -0,0 +1,119 @@
+/**
+ * Classifiche Gironi - Un Foggiano nel Mondo
+ *
+ * Calcola la classifica di ogni girone dai risultati delle partite.
+ * Criteri di ordinamento:
+ * 1. Punti
+ * 2. Differenza reti
+ * 3. Gol fatti
+ * 4. Scontri diretti tra le squadre ancora a pari merito (punti, differenza reti, gol fatti)
+ * 5. Nome squadra (ordine alfabetico)
+ */
+
+const POINTS = {
+    WIN: 3,
+    DRAW: 1,
+    LOSS: 0
+};
+
+function isPlayed(match) {
+    return Number.isInteger(match.golCasa) && Number.isInteger(match.golOspite);
+}
+
+function emptyRow(team) {
+    return {
+        id: team.id,
+        nome: team.nome,
+        paese: team.paese,
+        giocate: 0,
+        vinte: 0,
+        pareggiate: 0,
+        perse: 0,
+        golFatti: 0,
+        golSubiti: 0,
+        differenza: 0,
+        punti: 0
+    };
+}
+
+function applyResult(row, scored, conceded) {
+    row.giocate++;
+    row.golFatti += scored;
+    row.golSubiti += conceded;
+    row.differenza = row.golFatti - row.golSubiti;
+
+    if (scored > conceded) {
+        row.vinte++;
+        row.punti += POINTS.WIN;
+    } else if (scored === conceded) {
+        row.pareggiate++;
+        row.punti += POINTS.DRAW;
+    } else {
+        row.perse++;
+        row.punti += POINTS.LOSS;
+    }
+}
+
+/**
+ * Tabella parziale con le sole partite giocate tra le squadre indicate
+ */
+function buildTable(teams, matches) {
+    const rows = new Map(teams.map(t => [t.id, emptyRow(t)]));
+
+    for (const match of matches) {
+        if (!isPlayed(match)) continue;
+        const home = rows.get(match.home);
+        const away = rows.get(match.away);
+        if (!home || !away) continue;
+
+        applyResult(home, match.golCasa, match.golOspite);
+        applyResult(away, match.golOspite, match.golCasa);
+    }
+
+    return rows;
+}
+
+function compareOverall(a, b) {
+    return b.punti - a.punti
+        || b.differenza - a.differenza
+        || b.golFatti - a.golFatti;
+}
+
+/**
+ * Ordina un gruppo di squadre a pari merito con gli scontri diretti
+ */
+function resolveTie(tied, matches) {
+    const ids = new Set(tied.map(r => r.id));
+    const h2h = buildTable(tied, matches.filter(m => ids.has(m.home) && ids.has(m.away)));
+
+    return [...tied].sort((a, b) =>
+        compareOverall(h2h.get(a.id), h2h.get(b.id))
+        || a.nome.localeCompare(b.nome)
+    );
+}
+
+/**
+ * Calcola la classifica di un girone
+ *
+ * @param {Array<{id: string, nome: string, paese: string}>} teams - Squadre del girone
+ * @param {Array<{home: string, away: string, golCasa: ?number, golOspite: ?number}>} matches - Partite del girone
+ * @returns {Array} Righe di classifica ordinate, con posizione
+ */
+function computeStandings(teams, matches) {
+    const sorted = [...buildTable(teams, matches).values()].sort(compareOverall);
+
+    // Raggruppa le squadre a pari merito e applica gli scontri diretti
+    const result = [];
+    for (let i = 0; i < sorted.length; ) {
+        let j = i + 1;
+        while (j < sorted.length && compareOverall(sorted[i], sorted[j]) === 0) j++;
+
+        const group = sorted.slice(i, j);
+        result.push(...(group.length > 1 ? resolveTie(group, matches) : group));
+        i = j;
+    }
+
+    return result.map((row, index) => ({ posizione: index + 1, ...row }));
+}
+
+module.exports = { computeStandings, isPlayed, POINTS };
@@ -0,0 +1,152 @@
+/**
+ * Verifica del tabellone a eliminazione diretta
+ * Da eseguire con: npm run test:tabellone
+ *
+ * Controlla l'ordine delle teste di serie, gli accoppiamenti del primo turno
+ * (mai due squadre dello stesso girone), i turni liberi, la vincente con o
+ * senza rigori e il passaggio al turno successivo.
+ */
+
+const assert = require('assert');
+const { seedQualifiers, createBracket, resolveWinner, nextSlot, roundName, bracketOrder } = require('./bracket');
+const { createRandom } = require('./draw');
+
+/**
+ * Classifiche finte: squadre "<posizione><girone>" (es. 1A) con punti casuali
+ * decrescenti per posizione
+ */
+function makeGironi(count, perGroup, random) {
+    return Array.from({ length: count }, (_, g) => {
+        const nome = String.fromCharCode(65 + g);
+        let punti = 9;
+        return {
+            nome,
+            classifica: Array.from({ length: perGroup }, (_, i) => {
+                punti -= 1 + Math.floor(random() * 3);
+                return { posizione: i + 1, id: `${i + 1}${nome}`, punti, differenza: Math.floor(random() * 5), golFatti: Math.floor(random() * 8) };
+            })
+        };
+    });
+}
+
+function firstRound(bracket) {
+    return bracket.matches.filter(m => m.round === 1);
+}
+
+// Girone di una squadra dall'ID finto (es. "2C" -> "C")
+function gironeOf(id) {
+    return id ? id.slice(-1) : null;
+}
+
+const checks = [
+    ['Ordine delle posizioni nel tabellone', () => {
+        assert.deepStrictEqual(bracketOrder(2), [1, 2]);
+        assert.deepStrictEqual(bracketOrder(4), [1, 4, 2, 3]);
+        assert.deepStrictEqual(bracketOrder(8), [1, 8, 4, 5, 2, 7, 3, 6]);
+    }],
+
+    ['Teste di serie: prima le vincitrici dei gironi, ordinate per rendimento', () => {
+        const gironi = [
+            { nome: 'A', classifica: [{ posizione: 1, id: '1A', punti: 7, differenza: 4, golFatti: 6 }, { posizione: 2, id: '2A', punti: 6, differenza: 2, golFatti: 5 }] },
+            { nome: 'B', classifica: [{ posizione: 1, id: '1B', punti: 9, differenza: 5, golFatti: 7 }, { posizione: 2, id: '2B', punti: 4, differenza: 0, golFatti: 3 }] },
+            { nome: 'C', classifica: [{ posizione: 1, id: '1C', punti: 7, differenza: 4, golFatti: 8 }, { posizione: 2, id: '2C', punti: 4, differenza: 0, golFatti: 3 }] }
+        ];
+        const qualifiers = seedQualifiers(gironi, 2);
+
+        assert.deepStrictEqual(qualifiers.map(q => q.id), ['1B', '1C', '1A', '2A', '2B', '2C']);
+        assert.deepStrictEqual(qualifiers.map(q => q.label), ['1° B', '1° C', '1° A', '2° A', '2° B', '2° C']);
+    }],
+
+    ['Turni e partite del tabellone', () => {
+        const random = createRandom('turni');
+        const bracket = createBracket(seedQualifiers(makeGironi(4, 2, random), 2));
+        const perRound = [1, 2, 3].map(round => bracket.matches.filter(m => m.round === round).length);
+        const ids = firstRound(bracket).flatMap(m => [m.home, m.away]).sort();
+
+        assert.strictEqual(bracket.rounds, 3);
+        assert.deepStrictEqual(perRound, [4, 2, 1]);
+        assert.deepStrictEqual(ids, ['1A', '1B', '1C', '1D', '2A', '2B', '2C', '2D']);
+        bracket.matches.filter(m => m.round > 1).forEach(m => assert.ok(!m.home && !m.away, 'turni successivi vuoti'));
+    }],
+
+    ['Le prime due teste di serie in metà opposte', () => {
+        const random = createRandom('meta');
+        const qualifiers = seedQualifiers(makeGironi(4, 2, random), 2);
+        const bracket = createBracket(qualifiers);
+        const position = id => firstRound(bracket).find(m => m.home === id || m.away === id).position;
+
+        assert.strictEqual(position(qualifiers[0].id), 1);
+        assert.ok(position(qualifiers[1].id) > 2, 'la seconda testa di serie è nella metà bassa');
+    }],
+
+    ['Mai due squadre dello stesso girone al primo turno', () => {
+        const random = createRandom('stesso-girone');
+
+        for (let k = 0; k < 300; k++) {
+            const count = 2 + Math.floor(random() * 7);
+            const perGroup = 2 + Math.floor(random() * 2);
+            if (count * perGroup > 32) continue;
+
+            const bracket = createBracket(seedQualifiers(makeGironi(count, perGroup, random), perGroup));
+            for (const m of firstRound(bracket)) {
+                if (!m.away) continue;
+                assert.notStrictEqual(gironeOf(m.home), gironeOf(m.away), `${count} gironi da ${perGroup}: ${m.home} contro ${m.away}`);
+            }
+        }
+    }],
+
+    ['Turni liberi alle teste di serie più alte', () => {
+        const random = createRandom('bye');
+        const qualifiers = seedQualifiers(makeGironi(3, 2, random), 2);
+        const bracket = createBracket(qualifiers);
+        const byes = firstRound(bracket).filter(m => !m.away);
+
+        assert.strictEqual(bracket.rounds, 3);
+        assert.deepStrictEqual(byes.map(m => m.home).sort(), [qualifiers[0].id, qualifiers[1].id].sort());
+        byes.forEach(m => assert.strictEqual(m.awayLabel, 'Bye'));
+    }],
+
+    ['Numero di qualificate non valido', () => {
+        const qualifier = (id) => ({ id, girone: 'A', label: id });
+
+        assert.ok(!createBracket([qualifier('x')]).success, 'una sola squadra');
+        assert.ok(!createBracket(Array.from({ length: 33 }, (_, i) => qualifier(`q${i}`))).success, '33 squadre');
+    }],
+
+    ['Vincente nei tempi regolamentari e ai rigori', () => {
+        const match = { home: 'casa', away: 'ospite' };
+
+        assert.strictEqual(resolveWinner(match, { golCasa: 2, golOspite: 1 }).winner, 'casa');
+        assert.strictEqual(resolveWinner(match, { golCasa: 0, golOspite: 1 }).winner, 'ospite');
+        assert.strictEqual(resolveWinner(match, { golCasa: 1, golOspite: 1, rigoriCasa: 3, rigoriOspite: 4 }).winner, 'ospite');
+        assert.ok(!resolveWinner(match, { golCasa: 1, golOspite: 1 }).success, 'pareggio senza rigori');
+        assert.ok(!resolveWinner(match, { golCasa: 1, golOspite: 1, rigoriCasa: 4, rigoriOspite: 4 }).success, 'rigori in parità');
+        assert.ok(!resolveWinner(match, { golCasa: 2, golOspite: 1, rigoriCasa: 4, rigoriOspite: 3 }).success, 'rigori senza pareggio');
+    }],
+
+    ['Passaggio al turno successivo e nomi dei turni', () => {
+        assert.deepStrictEqual(nextSlot(1, 1), { round: 2, position: 1, side: 'home' });
+        assert.deepStrictEqual(nextSlot(1, 2), { round: 2, position: 1, side: 'away' });
+        assert.deepStrictEqual(nextSlot(2, 3), { round: 3, position: 2, side: 'home' });
+
+        assert.deepStrictEqual([1, 2, 3].map(round => roundName(round, 3)), ['Quarti di finale', 'Semifinali', 'Finale']);
+        assert.strictEqual(roundName(1, 6), 'Turno 1');
+    }]
+];
+
+let failed = 0;
+for (const [name, check] of checks) {
+    try {
+        check();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`❌ ${name}: ${error.message}`);
+    }
+}
+
+if (failed > 0) {
+    console.error(`\n❌ Verifica fallita: ${failed} controlli non superati`);
+    process.exit(1);
+}
+console.log('\n✅ Tabellone verificato');
@@ -0,0 +1,166 @@
+/**
+ * Verifica del sorteggio dei gironi
+ * Da eseguire con: npm run test:sorteggio
+ *
+ * Controlla riproducibilità, capienza bilanciata, teste di serie e separazione
+ * per paese: su tanti sorteggi piccoli i conflitti riportati devono coincidere
+ * con quelli reali e con il minimo trovato provando tutte le distribuzioni.
+ */
+
+const assert = require('assert');
+const { drawGroups, createRandom } = require('./draw');
+
+function makeTeams(paesi) {
+    return paesi.map((paese, i) => ({ id: `t${String(i).padStart(2, '0')}`, paese }));
+}
+
+// Squadre nello stesso girone di un connazionale (oltre la prima per paese)
+function countConflicts(groups) {
+    return groups.reduce((total, g) => total + g.teams.length - new Set(g.teams.map(t => t.paese)).size, 0);
+}
+
+/**
+ * Minimo dei conflitti provando tutte le distribuzioni con le stesse capienze
+ * e le stesse teste di serie del sorteggio
+ */
+function bruteForceMinimum(draw, teams) {
+    const seeded = new Set(draw.seeds);
+    const pool = teams.filter(t => !seeded.has(t.id));
+    const groups = draw.groups.map(g => ({
+        capacity: g.teams.length,
+        teams: g.teams.filter(t => t.seeded)
+    }));
+    let best = Infinity;
+
+    (function place(index) {
+        if (index === pool.length) {
+            best = Math.min(best, countConflicts(groups));
+            return;
+        }
+        for (const group of groups) {
+            if (group.teams.length >= group.capacity) continue;
+            group.teams.push(pool[index]);
+            place(index + 1);
+            group.teams.pop();
+        }
+    })(0);
+
+    return best;
+}
+
+const checks = [
+    ['Stesso seed, stesso sorteggio', () => {
+        const teams = makeTeams(['IT', 'IT', 'DE', 'FR', 'FR', 'US', 'ES', 'BR']);
+        const first = drawGroups(teams, { groupSize: 4, seed: 'riproducibile' });
+        const again = drawGroups([...teams].reverse(), { groupSize: 4, seed: 'riproducibile' });
+
+        assert.ok(first.success, first.error);
+        assert.deepStrictEqual(again.groups, first.groups);
+    }],
+
+    ['Gironi bilanciati e ogni squadra sorteggiata una volta', () => {
+        const teams = makeTeams(['IT', 'IT', 'DE', 'FR', 'FR', 'US', 'ES', 'BR', 'AR', 'AU', 'GB']);
+        const draw = drawGroups(teams, { groupSize: 4, seed: 'bilanciati' });
+        const sizes = draw.groups.map(g => g.teams.length);
+        const ids = draw.groups.flatMap(g => g.teams.map(t => t.id)).sort();
+
+        assert.deepStrictEqual(draw.groups.map(g => g.name), ['A', 'B', 'C']);
+        assert.ok(Math.max(...sizes) - Math.min(...sizes) <= 1, `dimensioni ${sizes}`);
+        assert.deepStrictEqual(ids, teams.map(t => t.id).sort());
+    }],
+
+    ['Teste di serie: una per girone, nell\'ordine indicato', () => {
+        const teams = makeTeams(['IT', 'IT', 'DE', 'FR', 'FR', 'US', 'ES', 'BR', 'AR']);
+        const draw = drawGroups(teams, { groupSize: 3, seeds: ['t05', 't00', 't03'], seed: 'teste' });
+
+        assert.deepStrictEqual(draw.groups.map(g => g.teams[0].id), ['t05', 't00', 't03']);
+        draw.groups.forEach(g => {
+            assert.strictEqual(g.teams.filter(t => t.seeded).length, 1, `girone ${g.name}`);
+        });
+    }],
+
+    ['Separazione per paese senza conflitti quando è possibile', () => {
+        const random = createRandom('senza-conflitti');
+        const paesi = ['IT', 'DE', 'FR', 'US', 'ES', 'BR'];
+
+        for (let k = 0; k < 200; k++) {
+            const groupCount = 2 + Math.floor(random() * 3);
+            const teams = makeTeams(Array.from({ length: groupCount * 4 }, (_, i) => paesi[i % paesi.length]))
+                .filter(() => random() < 0.9);
+            const draw = drawGroups(teams, { groupSize: 4, seed: `k${k}` });
+            if (!draw.success) continue;
+
+            // Nessun paese con più squadre dei gironi: una distribuzione perfetta esiste sempre
+            const perCountry = teams.reduce((acc, t) => ({ ...acc, [t.paese]: (acc[t.paese] || 0) + 1 }), {});
+            if (Math.max(...Object.values(perCountry)) > draw.groups.length) continue;
+
+            assert.strictEqual(draw.conflicts, 0, `sorteggio k${k}: ${draw.conflicts} conflitti`);
+            assert.strictEqual(countConflicts(draw.groups), 0, `sorteggio k${k}`);
+        }
+    }],
+
+    ['Conflitti solo se inevitabili (confronto con tutte le distribuzioni)', () => {
+        const random = createRandom('minimo');
+        const paesi = ['IT', 'DE', 'FR', 'US'];
+
+        for (let k = 0; k < 300; k++) {
+            const teams = makeTeams(Array.from({ length: 4 + Math.floor(random() * 5) }, () =>
+                paesi[Math.floor(random() * (2 + Math.floor(random() * 3)))]
+            ));
+            const groupSize = 2 + Math.floor(random() * 3);
+            const groupCount = Math.ceil(teams.length / groupSize);
+            const seeds = teams.slice(0, Math.floor(random() * (groupCount + 1))).map(t => t.id);
+            const draw = drawGroups(teams, { groupSize, seeds, seed: `k${k}` });
+            if (!draw.success) continue;
+
+            assert.strictEqual(draw.conflicts, countConflicts(draw.groups), `sorteggio k${k}: conflitti riportati`);
+            assert.strictEqual(draw.conflicts, bruteForceMinimum(draw, teams), `sorteggio k${k}: conflitti evitabili`);
+        }
+    }],
+
+    ['Separazione che richiede di spostare una squadra già sistemata', () => {
+        // Testa di serie tedesca nel girone A: la distribuzione "avida" lasciava 3 conflitti, il minimo è 2
+        const teams = makeTeams(['DE', 'IT', 'IT', 'FR', 'DE', 'FR', 'FR', 'IT']);
+        const draw = drawGroups(teams, { groupSize: 4, seeds: ['t00'], seed: 'k2' });
+
+        assert.strictEqual(draw.conflicts, 2);
+        assert.strictEqual(countConflicts(draw.groups), 2);
+    }],
+
+    ['Senza separazione per paese tutte le squadre vengono sorteggiate', () => {
+        const teams = makeTeams(['IT', 'IT', 'IT', 'IT', 'IT', 'IT']);
+        const draw = drawGroups(teams, { groupSize: 3, separateCountries: false, seed: 'libero' });
+
+        assert.ok(draw.success, draw.error);
+        assert.strictEqual(draw.conflicts, 0);
+        assert.deepStrictEqual(draw.groups.map(g => g.teams.length), [3, 3]);
+    }],
+
+    ['Parametri non validi', () => {
+        const teams = makeTeams(['IT', 'DE', 'FR', 'US']);
+
+        assert.ok(!drawGroups(teams, { groupSize: 1 }).success, 'girone da 1');
+        assert.ok(!drawGroups(teams, { groupSize: 9 }).success, 'girone da 9');
+        assert.ok(!drawGroups(makeTeams(['IT']), { groupSize: 4 }).success, 'una sola squadra');
+        assert.ok(!drawGroups(teams, { groupSize: 2, seeds: ['sconosciuta'] }).success, 'testa di serie sconosciuta');
+        assert.ok(!drawGroups(teams, { groupSize: 2, seeds: ['t00', 't00'] }).success, 'testa di serie ripetuta');
+        assert.ok(!drawGroups(teams, { groupSize: 2, seeds: ['t00', 't01', 't02'] }).success, 'troppe teste di serie');
+    }]
+];
+
+let failed = 0;
+for (const [name, check] of checks) {
+    try {
+        check();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`❌ ${name}: ${error.message}`);
+    }
+}
+
+if (failed > 0) {
+    console.error(`\n❌ Verifica fallita: ${failed} controlli non superati`);
+    process.exit(1);
+}
+console.log('\n✅ Sorteggio verificato');
@@ -0,0 +1,146 @@
+/**
+ * Verifica del calendario della fase a gironi
+ * Da eseguire con: npm run test:calendario
+ *
+ * Controlla gli accoppiamenti all'italiana e, sul calendario generato, che
+ * nessun campo ospiti due partite insieme, che nessuna squadra giochi due
+ * partite sovrapposte e che il riposo minimo sia rispettato; poi i conflitti
+ * segnalati quando una partita viene spostata a mano.
+ */
+
+const assert = require('assert');
+const { scheduleGroupStage, generateRoundRobin, findConflicts, parseDateTime } = require('./schedule');
+
+function makeGroups(count, size) {
+    return Array.from({ length: count }, (_, g) => ({
+        id: g + 1,
+        teams: Array.from({ length: size }, (_, t) => `g${g + 1}t${t + 1}`)
+    }));
+}
+
+function pairKey(a, b) {
+    return [a, b].sort().join('-');
+}
+
+/**
+ * Controlla campi, squadre e riposo su tutte le coppie di partite
+ */
+function checkCalendar(matches, restGap) {
+    for (const [i, a] of matches.entries()) {
+        const aStart = parseDateTime(a.start).minutes;
+        const aEnd = parseDateTime(a.end).minutes;
+
+        for (const b of matches.slice(i + 1)) {
+            const bStart = parseDateTime(b.start).minutes;
+            const bEnd = parseDateTime(b.end).minutes;
+            const overlaps = aStart < bEnd && bStart < aEnd;
+
+            assert.ok(!(overlaps && a.field === b.field), `${a.field} occupato due volte alle ${a.start}`);
+
+            if ([a.home, a.away].some(team => team === b.home || team === b.away)) {
+                const gap = aStart >= bEnd ? aStart - bEnd : bStart - aEnd;
+                assert.ok(!overlaps && gap >= restGap, `squadra senza riposo: ${a.start} e ${b.start}`);
+            }
+        }
+    }
+}
+
+const checks = [
+    ['Girone all\'italiana: ogni coppia si incontra una volta', () => {
+        for (const size of [2, 3, 4, 5, 6]) {
+            const teams = Array.from({ length: size }, (_, i) => `t${i + 1}`);
+            const rounds = generateRoundRobin(teams);
+            const pairs = rounds.flat().map(([home, away]) => pairKey(home, away));
+
+            assert.strictEqual(rounds.length, size % 2 === 0 ? size - 1 : size, `${size} squadre: giornate`);
+            assert.strictEqual(pairs.length, size * (size - 1) / 2, `${size} squadre: partite`);
+            assert.strictEqual(new Set(pairs).size, pairs.length, `${size} squadre: coppia ripetuta`);
+
+            for (const round of rounds) {
+                const playing = round.flat();
+                assert.strictEqual(new Set(playing).size, playing.length, `${size} squadre: squadra due volte nella giornata`);
+            }
+        }
+    }],
+
+    ['Calendario senza sovrapposizioni di campo o di squadra', () => {
+        const options = { date: '2026-06-01', startTime: '09:00', fields: 3, matchDuration: 30, changeover: 5, restGap: 20 };
+
+        for (const [count, size] of [[1, 4], [2, 4], [4, 4], [3, 5], [8, 4]]) {
+            const groups = makeGroups(count, size);
+            const result = scheduleGroupStage(groups, options);
+
+            assert.ok(result.success, result.error);
+            assert.strictEqual(result.matches.length, count * size * (size - 1) / 2, `${count}x${size}: partite`);
+            checkCalendar(result.matches, options.restGap);
+        }
+    }],
+
+    ['Orari, durata e nomi dei campi', () => {
+        const result = scheduleGroupStage(makeGroups(2, 4), {
+            date: '2026-06-01',
+            startTime: '10:15',
+            fields: ['Zaccheria', 'Campo B'],
+            matchDuration: 25,
+            changeover: 10,
+            restGap: 0
+        });
+
+        assert.strictEqual(result.matches[0].start, '2026-06-01T10:15');
+        assert.strictEqual(result.matches[0].end, '2026-06-01T10:40');
+        assert.deepStrictEqual([...new Set(result.matches.map(m => m.field))].sort(), ['Campo B', 'Zaccheria']);
+        // Fasce ogni 35 minuti (partita + cambio campo)
+        result.matches.forEach(m => {
+            assert.strictEqual((parseDateTime(m.start).minutes - 615) % 35, 0, `inizio ${m.start}`);
+        });
+        assert.strictEqual(result.endsAt, result.matches.map(m => m.end).sort().pop());
+    }],
+
+    ['Parametri non validi', () => {
+        const groups = makeGroups(2, 4);
+
+        assert.ok(!scheduleGroupStage(groups, {}).success, 'senza data');
+        assert.ok(!scheduleGroupStage(groups, { date: '2026-06-01', fields: [] }).success, 'senza campi');
+        assert.ok(!scheduleGroupStage(groups, { date: '2026-06-01', matchDuration: 0 }).success, 'durata zero');
+        assert.ok(!scheduleGroupStage([], { date: '2026-06-01' }).success, 'senza partite');
+        assert.ok(!scheduleGroupStage(groups, { date: '2026-06-01', startTime: '22:00', fields: 1 }).success, 'oltre la mezzanotte');
+    }],
+
+    ['Conflitti di uno spostamento manuale', () => {
+        const others = [
+            { id: 1, home: 'a', away: 'b', field: 'Campo 1', start: '2026-06-01T09:00', end: '2026-06-01T09:30' },
+            { id: 2, home: 'c', away: 'd', field: 'Campo 2', start: '2026-06-01T09:00', end: '2026-06-01T09:30' }
+        ];
+        const move = (changes) => findConflicts(
+            { id: 3, home: 'e', away: 'f', field: 'Campo 3', start: '2026-06-01T09:00', end: '2026-06-01T09:30', ...changes },
+            others,
+            20
+        );
+
+        assert.deepStrictEqual(move({}), [], 'campo libero');
+        assert.strictEqual(move({ field: 'Campo 1' }).length, 1, 'campo occupato');
+        assert.strictEqual(move({ field: 'Campo 1', start: '2026-06-01T09:30', end: '2026-06-01T10:00' }).length, 0, 'campo libero dopo la fine');
+        assert.strictEqual(move({ home: 'a' }).length, 1, 'squadra impegnata');
+        assert.strictEqual(move({ home: 'a', start: '2026-06-01T09:40', end: '2026-06-01T10:10' }).length, 1, 'riposo insufficiente');
+        assert.strictEqual(move({ home: 'a', start: '2026-06-01T09:50', end: '2026-06-01T10:20' }).length, 0, 'riposo sufficiente');
+        assert.strictEqual(move({ field: 'Campo 1', home: 'a', start: '2026-06-02T09:00', end: '2026-06-02T09:30' }).length, 0, 'altro giorno');
+        assert.deepStrictEqual(findConflicts(others[0], others, 20), [], 'la partita stessa non è un conflitto');
+    }]
+];
+
+let failed = 0;
+for (const [name, check] of checks) {
+    try {
+        check();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`❌ ${name}: ${error.message}`);
+    }
+}
+
+if (failed > 0) {
+    console.error(`\n❌ Verifica fallita: ${failed} controlli non superati`);
+    process.exit(1);
+}
+console.log('\n✅ Calendario verificato');
@@ -0,0 +1,130 @@
+/**
+ * Verifica delle classifiche dei gironi
+ * Da eseguire con: npm run test:classifiche
+ *
+ * Controlla punti e statistiche e ogni criterio di spareggio nell'ordine
+ * del regolamento: punti, differenza reti, gol fatti, scontri diretti
+ * (anche a tre squadre) e infine ordine alfabetico.
+ */
+
+const assert = require('assert');
+const { computeStandings } = require('./standings');
+
+function makeTeams(...nomi) {
+    return nomi.map(nome => ({ id: nome.toLowerCase(), nome, paese: 'IT' }));
+}
+
+function match(home, away, golCasa = null, golOspite = null) {
+    return { home, away, golCasa, golOspite };
+}
+
+function order(classifica) {
+    return classifica.map(r => r.id);
+}
+
+const checks = [
+    ['Punti, gol e statistiche', () => {
+        const classifica = computeStandings(makeTeams('Alfa', 'Beta', 'Gamma'), [
+            match('alfa', 'beta', 2, 0),
+            match('beta', 'gamma', 1, 1),
+            match('gamma', 'alfa', 0, 3)
+        ]);
+        const alfa = classifica.find(r => r.id === 'alfa');
+        const beta = classifica.find(r => r.id === 'beta');
+
+        assert.deepStrictEqual(order(classifica), ['alfa', 'beta', 'gamma']);
+        assert.deepStrictEqual(classifica.map(r => r.posizione), [1, 2, 3]);
+        assert.deepStrictEqual(
+            [alfa.giocate, alfa.vinte, alfa.pareggiate, alfa.perse, alfa.golFatti, alfa.golSubiti, alfa.differenza, alfa.punti],
+            [2, 2, 0, 0, 5, 0, 5, 6]
+        );
+        assert.deepStrictEqual([beta.pareggiate, beta.perse, beta.differenza, beta.punti], [1, 1, -2, 1]);
+    }],
+
+    ['Partite senza risultato ignorate', () => {
+        const classifica = computeStandings(makeTeams('Alfa', 'Beta'), [
+            match('alfa', 'beta'),
+            match('beta', 'alfa', 1, null)
+        ]);
+
+        classifica.forEach(r => assert.strictEqual(r.giocate, 0, r.nome));
+    }],
+
+    ['A pari punti conta la differenza reti', () => {
+        const classifica = computeStandings(makeTeams('Alfa', 'Beta', 'Gamma'), [
+            match('alfa', 'gamma', 1, 0),
+            match('beta', 'gamma', 4, 0),
+            match('alfa', 'beta', 0, 0)
+        ]);
+
+        assert.deepStrictEqual(order(classifica), ['beta', 'alfa', 'gamma']);
+    }],
+
+    ['A pari differenza reti contano i gol fatti', () => {
+        const classifica = computeStandings(makeTeams('Alfa', 'Beta', 'Gamma'), [
+            match('alfa', 'gamma', 1, 0),
+            match('beta', 'gamma', 3, 2),
+            match('alfa', 'beta', 1, 1)
+        ]);
+
+        assert.deepStrictEqual(order(classifica), ['beta', 'alfa', 'gamma']);
+    }],
+
+    ['Scontro diretto tra due squadre a pari merito', () => {
+        // Tutte a 3 punti e differenza 0: Gamma avanti per i gol fatti, poi Beta su Alfa per lo scontro diretto
+        const classifica = computeStandings(makeTeams('Alfa', 'Beta', 'Gamma'), [
+            match('alfa', 'gamma', 2, 1),
+            match('gamma', 'beta', 2, 1),
+            match('beta', 'alfa', 1, 0)
+        ]);
+
+        assert.deepStrictEqual(classifica.map(r => [r.punti, r.differenza]), [[3, 0], [3, 0], [3, 0]]);
+        assert.deepStrictEqual(order(classifica), ['gamma', 'beta', 'alfa']);
+    }],
+
+    ['Classifica avulsa tra tre squadre a pari merito', () => {
+        // Alfa, Beta e Gamma: 6 punti, 5 gol fatti e 3 subiti ciascuna.
+        // Tra loro: Gamma +1, Beta 0, Alfa -1
+        const classifica = computeStandings(makeTeams('Alfa', 'Beta', 'Gamma', 'Delta'), [
+            match('alfa', 'beta', 1, 0),
+            match('beta', 'gamma', 1, 0),
+            match('gamma', 'alfa', 3, 1),
+            match('alfa', 'delta', 3, 0),
+            match('beta', 'delta', 4, 2),
+            match('gamma', 'delta', 2, 1)
+        ]);
+
+        assert.deepStrictEqual(
+            classifica.slice(0, 3).map(r => [r.punti, r.golFatti, r.golSubiti]),
+            [[6, 5, 3], [6, 5, 3], [6, 5, 3]]
+        );
+        assert.deepStrictEqual(order(classifica), ['gamma', 'beta', 'alfa', 'delta']);
+    }],
+
+    ['Ordine alfabetico quando anche gli scontri diretti sono pari', () => {
+        const classifica = computeStandings(makeTeams('Zeta', 'Alfa', 'Emme'), [
+            match('zeta', 'alfa', 1, 1),
+            match('alfa', 'emme', 1, 1),
+            match('emme', 'zeta', 1, 1)
+        ]);
+
+        assert.deepStrictEqual(order(classifica), ['alfa', 'emme', 'zeta']);
+    }]
+];
+
+let failed = 0;
+for (const [name, check] of checks) {
+    try {
+        check();
+        console.log(`✅ ${name}`);
+    } catch (error) {
+        failed++;
+        console.error(`❌ ${name}: ${error.message}`);
+    }
+}
+
+if (failed > 0) {
+    console.error(`\n❌ Verifica fallita: ${failed} controlli non superati`);
+    process.exit(1);
+}
+console.log('\n✅ Classifiche verificate');
@@ -0,0 +1,101 @@
+// Invio di foto alla galleria da parte del pubblico (pubblicate dopo la moderazione)
+
+class PropostaFotoForm {
+    constructor() {
+        this.form = document.getElementById('propostaFotoForm');
+        this.submitBtn = document.getElementById('propostaSubmit');
+        this.maxFiles = 5;
+        this.maxFileSize = 10 * 1024 * 1024; // 10 MB
+        this.isSubmitting = false;
+        this.init();
+    }
+
+    init() {
+        if (!this.form) return;
+
+        this.form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (this.isSubmitting) return;
+            this.handleSubmit();
+        });
+    }
+
+    // Il token viene chiesto al momento dell'invio: il cookie CSRF è condiviso con il form iscrizioni
+    async getCSRFToken() {
+        const response = await fetch('/api/csrf-token', { credentials: 'include' });
+        const data = await response.json();
+        return data.token;
+    }
+
+    validate() {
+        const files = [...document.getElementById('propostaFoto').files];
+
+        if (document.getElementById('propostaNome').value.trim().length < 2) {
+            return 'Inserisci il tuo nome';
+        }
+        if (files.length === 0) {
+            return 'Seleziona almeno una foto';
+        }
+        if (files.length > this.maxFiles) {
+            return `Puoi inviare al massimo ${this.maxFiles} foto alla volta`;
+        }
+        if (files.some(file => file.size > this.maxFileSize)) {
+            return 'Ogni foto può pesare al massimo 10 MB';
+        }
+        if (!document.getElementById('propostaPrivacy').checked) {
+            return 'Devi accettare la Privacy Policy';
+        }
+        return null;
+    }
+
+    async handleSubmit() {
+        const error = this.validate();
+        if (error) {
+            this.showMessage(error, 'error');
+            return;
+        }
+
+        this.isSubmitting = true;
+        this.submitBtn.disabled = true;
+        this.showMessage('Invio in corso...', 'info', false);
+
+        try {
+            const response = await fetch('/api/galleria/proposte', {
+                method: 'POST',
+                headers: { 'X-CSRF-Token': await this.getCSRFToken() },
+                body: new FormData(this.form),
+                credentials: 'include'
+            });
+
+            const result = await response.json();
+
+            if (response.ok) {
+                this.showMessage(result.message, 'success');
+                this.form.reset();
+            } else {
+                this.showMessage(result.message || 'Si è verificato un errore durante l\'invio delle foto', 'error');
+            }
+        } catch (error) {
+            console.error('Errore nell\'invio delle foto:', error);
+            this.showMessage('Si è verificato un errore di connessione. Riprova più tardi.', 'error');
+        } finally {
+            this.isSubmitting = false;
+            this.submitBtn.disabled = false;
+        }
+    }
+
+    showMessage(message, type, scroll = true) {
+        const messageDiv = document.getElementById('propostaMessage');
+        messageDiv.textContent = message;
+        messageDiv.className = `form-message ${type}`;
+        messageDiv.style.display = 'block';
+
+        if (scroll) {
+            messageDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new PropostaFotoForm();
+});
@@ -18,7 +18,10 @@ document.addEventListener('DOMContentLoaded', () => {
     initScrollAnimations();
     initSmoothScroll();
     updatePuzzleProgress();
-    initCountdown();
+    initEvento();
+    initRegistrationMilestone();
+    initBracket();
+    initGalleria();
 });
 
 // ==========================================
@@ -224,12 +227,59 @@ function initSmoothScroll() {
 }
 
 // ==========================================
-// COUNTDOWN TIMER
+// DETTAGLI EVENTO
 // ==========================================
-function initCountdown() {
-    // Data del torneo: 1 Giugno 2026, ore 09:00
-    const tournamentDate = new Date('2026-06-01T09:00:00').getTime();
+async function initEvento() {
+    let evento;
+    try {
+        const response = await fetch('/api/event');
+        const result = await response.json();
+        if (!result.success) return;
+        evento = result.data;
+    } catch (error) {
+        console.error('Errore caricamento dettagli evento:', error);
+        return;
+    }
+    
+    const data = evento.data
+        ? new Date(`${evento.data}T00:00:00`).toLocaleDateString('it-IT', { day: 'numeric', month: 'long', year: 'numeric' })
+        : 'Da definire';
+    const valori = {
+        data,
+        luogo: evento.luogo,
+        luogoCompleto: evento.luogoCompleto,
+        dataLuogo: [data, evento.luogo].filter(Boolean).join(' - '),
+        email: evento.email,
+        telefono: evento.telefono
+    };
+    
+    document.querySelectorAll('[data-evento]').forEach(el => {
+        const valore = valori[el.dataset.evento] || '';
+        el.textContent = valore;
+        // Contatto non impostato: la riga non viene mostrata
+        (el.closest('.contatto-item') || el).hidden = !valore;
+    });
+    
+    if (evento.email) {
+        document.querySelectorAll('[data-evento-mailto]').forEach(el => {
+            el.href = `mailto:${evento.email}`;
+        });
+    }
+    if (evento.telefono) {
+        document.querySelectorAll('[data-evento-tel]').forEach(el => {
+            el.href = `tel:${evento.telefono.replace(/[^\d+]/g, '')}`;
+        });
+    }
     
+    if (evento.data) {
+        initCountdown(new Date(`${evento.data}T${evento.ora}:00`).getTime());
+    }
+}
+
+// ==========================================
+// COUNTDOWN TIMER
+// ==========================================
+function initCountdown(tournamentDate) {
     const daysEl = document.getElementById('countdown-days');
     const hoursEl = document.getElementById('countdown-hours');
     const minutesEl = document.getElementById('countdown-minutes');
@@ -288,3 +338,238 @@ function initCountdown() {
     setInterval(updateCountdown, 1000);
     
 }
+
+// ==========================================
+// APERTURA/CHIUSURA ISCRIZIONI
+// ==========================================
+async function initRegistrationMilestone() {
+    const milestone = document.getElementById('registrationMilestone');
+    if (!milestone) return;
+    
+    let finestra;
+    try {
+        const response = await fetch('/api/iscrizione/finestra');
+        const result = await response.json();
+        if (!result.success) return;
+        finestra = result.data;
+    } catch (error) {
+        console.error('Errore caricamento finestra iscrizioni:', error);
+        return;
+    }
+    
+    const labelEl = document.getElementById('milestoneLabel');
+    const dateEl = document.getElementById('milestoneDate');
+    const remainingEl = document.getElementById('milestoneRemaining');
+    const noteEl = document.getElementById('countdownNote');
+    const deadlineEl = document.getElementById('registrationDeadline');
+    const regDaysEl = document.getElementById('regDays');
+    
+    // Differenza tra orologio del server e del browser
+    const offset = new Date(finestra.now).getTime() - Date.now();
+    
+    const formatDate = (iso, withTime = true) => new Date(iso).toLocaleString('it-IT', {
+        day: 'numeric',
+        month: 'long',
+        year: 'numeric',
+        ...(withTime ? { hour: '2-digit', minute: '2-digit' } : {})
+    });
+    
+    if (deadlineEl && finestra.chiusura) {
+        deadlineEl.textContent = formatDate(finestra.chiusura, false);
+    }
+    
+    function update() {
+        const now = Date.now() + offset;
+        const apertura = finestra.apertura ? new Date(finestra.apertura).getTime() : null;
+        const chiusura = finestra.chiusura ? new Date(finestra.chiusura).getTime() : null;
+        
+        let target = null;
+        if (apertura && now < apertura) {
+            labelEl.textContent = 'Apertura Iscrizioni';
+            dateEl.textContent = formatDate(finestra.apertura);
+            if (noteEl) noteEl.textContent = `Le iscrizioni apriranno il ${formatDate(finestra.apertura)}.`;
+            target = apertura;
+        } else if (chiusura && now < chiusura) {
+            labelEl.textContent = 'Chiusura Iscrizioni';
+            dateEl.textContent = formatDate(finestra.chiusura);
+            if (noteEl) noteEl.textContent = 'Le iscrizioni sono aperte. Posti limitati.';
+            target = chiusura;
+        } else if (chiusura) {
+            labelEl.textContent = 'Iscrizioni Chiuse';
+            dateEl.textContent = `dal ${formatDate(finestra.chiusura)}`;
+            if (noteEl) noteEl.textContent = 'Le iscrizioni sono chiuse.';
+        } else {
+            milestone.hidden = true;
+            return;
+        }
+        
+        if (target) {
+            const distance = target - now;
+            const days = Math.floor(distance / (1000 * 60 * 60 * 24));
+            const hours = Math.floor((distance % (1000 * 60 * 60 * 24)) / (1000 * 60 * 60));
+            const minutes = Math.floor((distance % (1000 * 60 * 60)) / (1000 * 60));
+            remainingEl.textContent = `tra ${days}g ${hours}h ${minutes}m`;
+        } else {
+            remainingEl.textContent = '';
+        }
+        
+        if (regDaysEl) {
+            regDaysEl.textContent = chiusura && now < chiusura
+                ? Math.floor((chiusura - now) / (1000 * 60 * 60 * 24))
+                : 0;
+        }
+        
+        milestone.hidden = false;
+    }
+    
+    update();
+    
+    // Aggiorna ogni minuto
+    setInterval(update, 60000);
+}
+
+// ==========================================
+// TABELLONE FASE FINALE
+// ==========================================
+async function initBracket() {
+    const section = document.getElementById('tabellone');
+    const container = document.getElementById('bracket');
+    if (!section || !container) return;
+
+    try {
+        const response = await fetch('/api/tabellone');
+        const result = await response.json();
+        if (!result.success || !result.data) return;
+
+        renderBracket(container, result.data);
+
+        const campione = document.getElementById('tabelloneCampione');
+        if (result.data.campione) {
+            campione.textContent = `🏆 Campione: ${result.data.campione}`;
+            campione.hidden = false;
+        }
+
+        section.hidden = false;
+    } catch (error) {
+        // Tabellone non disponibile: la sezione resta nascosta
+    }
+}
+
+function renderBracket(container, tabellone) {
+    container.innerHTML = '';
+
+    tabellone.turni.forEach(turno => {
+        const round = document.createElement('div');
+        round.className = 'bracket-round';
+
+        const title = document.createElement('h4');
+        title.textContent = turno.nome;
+        round.appendChild(title);
+
+        turno.partite.forEach(partita => {
+            const match = document.createElement('div');
+            match.className = 'bracket-match';
+
+            match.appendChild(createBracketTeam(
+                partita.squadraCasa || partita.etichettaCasa,
+                partita.golCasa,
+                partita.rigoriCasa,
+                partita.vincente === 'casa'
+            ));
+            match.appendChild(createBracketTeam(
+                partita.squadraOspite || partita.etichettaOspite,
+                partita.golOspite,
+                partita.rigoriOspite,
+                partita.vincente === 'ospite'
+            ));
+
+            round.appendChild(match);
+        });
+
+        container.appendChild(round);
+    });
+}
+
+function createBracketTeam(name, goals, penalties, winner) {
+    const row = document.createElement('div');
+    row.className = winner ? 'bracket-team winner' : 'bracket-team';
+
+    const label = document.createElement('span');
+    label.className = 'bracket-name';
+    label.textContent = name || 'Da definire';
+
+    const score = document.createElement('span');
+    score.className = 'bracket-score';
+    score.textContent = goals ?? '-';
+    if (penalties !== null && penalties !== undefined) {
+        score.textContent += ` (${penalties})`;
+    }
+
+    row.append(label, score);
+    return row;
+}
+
+// ==========================================
+// GALLERIA
+// ==========================================
+const GALLERIA_PAGE_SIZE = 6;
+// Posizioni della griglia con riquadro grande (stesso schema dei segnaposto)
+const GALLERIA_LAYOUT = { 0: 'large', 4: 'tall' };
+
+async function initGalleria() {
+    const grid = document.getElementById('galleriaGrid');
+    const moreBtn = document.getElementById('galleriaMore');
+    if (!grid) return;
+
+    let page = 0;
+    let loaded = 0;
+
+    async function loadPage() {
+        try {
+            const response = await fetch(`/api/galleria?page=${page + 1}&limit=${GALLERIA_PAGE_SIZE}`);
+            const result = await response.json();
+            if (!result.success || result.data.length === 0) return;
+
+            // Alla prima pagina i segnaposto lasciano il posto alle foto
+            if (page === 0) grid.innerHTML = '';
+
+            result.data.forEach(photo => {
+                grid.appendChild(createGalleriaItem(photo, GALLERIA_LAYOUT[loaded]));
+                loaded++;
+            });
+
+            page = result.pagination.page;
+            moreBtn.hidden = page >= result.pagination.pages;
+        } catch (error) {
+            // Galleria non disponibile: restano i segnaposto
+        }
+    }
+
+    moreBtn.addEventListener('click', loadPage);
+    await loadPage();
+}
+
+function createGalleriaItem(photo, layout) {
+    const item = document.createElement('figure');
+    item.className = layout ? `galleria-item ${layout}` : 'galleria-item';
+
+    const link = document.createElement('a');
+    link.href = photo.web;
+    link.target = '_blank';
+    link.rel = 'noopener';
+
+    const img = document.createElement('img');
+    img.src = photo.thumb;
+    img.alt = photo.didascalia || `Foto ${photo.anno}`;
+    img.loading = 'lazy';
+    link.appendChild(img);
+    item.appendChild(link);
+
+    if (photo.didascalia) {
+        const caption = document.createElement('figcaption');
+        caption.textContent = photo.didascalia;
+        item.appendChild(caption);
+    }
+
+    return item;
+}
@@ -6,6 +6,9 @@ class IscrizioneForm {
         this.submitBtn = document.getElementById('submitBtn');
         this.recaptchaWidgetId = null;
         this.isSubmitting = false; // Flag per prevenire doppio submit
+        this.registrationOpen = true;
+        this.evento = null; // dettagli del torneo da /api/event
+        this.ageLimits = { min: 55, max: 100 };
         this.init();
     }
 
@@ -13,10 +16,13 @@ class IscrizioneForm {
         if (!this.form) return;
 
         this.setupEventListeners();
+        // L'esito della verifica email ha la precedenza sul messaggio della finestra iscrizioni
+        this.loadRegistrationWindow().then(() => this.showVerificationResult());
         this.loadCSRFToken();
         this.setupCharacterCounter();
         this.setupDateValidation();
         this.setupAgeValidation();
+        this.loadEvento();
     }
 
     setupEventListeners() {
@@ -47,6 +53,146 @@ class IscrizioneForm {
         }
     }
 
+    // Apertura/chiusura iscrizioni decisa dal server
+    async loadRegistrationWindow() {
+        try {
+            const response = await fetch('/api/iscrizione/finestra');
+            const result = await response.json();
+            if (result.success) {
+                this.applyRegistrationWindow(result.data);
+            }
+        } catch (error) {
+            // In caso di errore il form resta attivo: il server verifica comunque la finestra
+            console.error('Errore nel caricamento della finestra iscrizioni:', error);
+        }
+    }
+
+    // L'età si calcola al giorno del torneo, come sul server
+    async loadEvento() {
+        try {
+            const response = await fetch('/api/event');
+            const result = await response.json();
+            if (result.success) {
+                this.evento = result.data;
+                this.ageLimits = { min: result.data.etaMinima, max: result.data.etaMassima };
+                this.setupDateValidation();
+            }
+        } catch (error) {
+            console.error('Errore nel caricamento dei dettagli evento:', error);
+        }
+    }
+
+    // Giorno del torneo, oppure oggi se la data non è fissata o è passata
+    getAgeReferenceDate() {
+        const today = new Date();
+        if (!this.evento || !this.evento.data) return today;
+
+        const start = new Date(`${this.evento.data}T${this.evento.ora}:00`);
+        return start > today ? start : today;
+    }
+
+    applyRegistrationWindow(finestra) {
+        const isOpen = finestra.stato === 'open';
+        this.registrationOpen = isOpen;
+
+        this.form.querySelectorAll('input, select, textarea, button').forEach(el => {
+            el.disabled = !isOpen;
+        });
+
+        if (isOpen) {
+            this.hideMessage();
+        } else if (finestra.stato === 'not_open') {
+            this.showMessage(`Le iscrizioni apriranno il ${this.formatDate(finestra.apertura)}`, 'info', false);
+        } else {
+            this.showMessage(`Iscrizioni chiuse dal ${this.formatDate(finestra.chiusura)}`, 'info', false);
+        }
+
+        // Ricontrolla allo scadere se il cambio di stato è vicino (entro 24 ore)
+        const next = finestra.stato === 'not_open' ? finestra.apertura : (isOpen ? finestra.chiusura : null);
+        if (next) {
+            const delay = new Date(next) - new Date(finestra.now);
+            if (delay > 0 && delay <= 24 * 60 * 60 * 1000) {
+                setTimeout(() => this.loadRegistrationWindow(), delay + 1000);
+            }
+        }
+    }
+
+    // Link di verifica email (il server reindirizza qui con ?verifica=...)
+    showVerificationResult() {
+        const params = new URLSearchParams(window.location.search);
+        const esito = params.get('verifica');
+        if (!esito) return;
+
+        if (esito === 'conferma') {
+            this.showVerificationPrompt(params.get('id'), params.get('firma'));
+        } else {
+            this.showVerificationMessage(esito, params.get('posizione'));
+        }
+
+        // Un ricaricamento della pagina non ripete il messaggio
+        window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+    }
+
+    showVerificationMessage(esito, posizione) {
+        const messages = {
+            ok: ['Email confermata! La tua iscrizione è in revisione: ti contatteremo a breve.', 'success'],
+            lista_attesa: [`Email confermata! Il numero massimo di squadre è stato raggiunto: sei in lista d'attesa (posizione ${posizione}). Ti avviseremo se si libera un posto.`, 'success'],
+            gia_verificata: ['Il tuo indirizzo email è già stato confermato.', 'info'],
+            scaduta: ['Il link di conferma non è più valido (scaduto o sostituito da un invio più recente): usa l\'ultimo link ricevuto o invia di nuovo il modulo.', 'error'],
+            non_valida: ['Link di conferma non valido: controlla di aver aperto l\'indirizzo completo ricevuto via email.', 'error']
+        };
+        const [message, type] = messages[esito] || messages.non_valida;
+        this.showMessage(message, type);
+    }
+
+    // La conferma parte solo dal pulsante: aprire il link non basta a verificare l'email
+    showVerificationPrompt(id, firma) {
+        this.showMessage('Ci sei quasi! Conferma il tuo indirizzo email per completare l\'iscrizione.', 'info');
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'verifica-btn';
+        button.textContent = 'Conferma email';
+        button.addEventListener('click', () => this.confirmEmail(id, firma, button));
+        document.getElementById('formMessage').appendChild(button);
+    }
+
+    async confirmEmail(id, firma, button) {
+        button.disabled = true;
+
+        try {
+            const response = await fetch(`/api/iscrizione/${encodeURIComponent(id)}/verifica`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-CSRF-Token': document.getElementById('csrfToken').value
+                },
+                body: JSON.stringify({ firma }),
+                credentials: 'include'
+            });
+            const result = await response.json();
+
+            if (result.esito) {
+                this.showVerificationMessage(result.esito, result.posizione);
+            } else {
+                this.showMessage(result.message || 'Si è verificato un errore. Riapri il link ricevuto via email e riprova.', 'error');
+            }
+        } catch (error) {
+            console.error('Errore nella conferma dell\'email:', error);
+            this.showMessage('Si è verificato un errore di connessione. Riapri il link ricevuto via email e riprova.', 'error');
+        }
+    }
+
+    formatDate(iso) {
+        return new Date(iso).toLocaleString('it-IT', {
+            day: 'numeric',
+            month: 'long',
+            year: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+
     setupCharacterCounter() {
         const noteField = document.getElementById('note');
         const charCount = document.getElementById('charCount');
@@ -62,12 +208,12 @@ class IscrizioneForm {
         const dateField = document.getElementById('dataNascitaCapitano');
 
         if (dateField) {
-            const maxDate = new Date();
-            maxDate.setFullYear(maxDate.getFullYear() - 55);
+            const maxDate = this.getAgeReferenceDate();
+            maxDate.setFullYear(maxDate.getFullYear() - this.ageLimits.min);
             dateField.max = maxDate.toISOString().split('T')[0];
 
-            const minDate = new Date();
-            minDate.setFullYear(minDate.getFullYear() - 100);
+            const minDate = this.getAgeReferenceDate();
+            minDate.setFullYear(minDate.getFullYear() - this.ageLimits.max);
             dateField.min = minDate.toISOString().split('T')[0];
         }
     }
@@ -78,17 +224,17 @@ class IscrizioneForm {
         if (dateField) {
             dateField.addEventListener('change', () => {
                 const birthDate = new Date(dateField.value);
-                const today = new Date();
-                let age = today.getFullYear() - birthDate.getFullYear();
-                const monthDiff = today.getMonth() - birthDate.getMonth();
+                const reference = this.getAgeReferenceDate();
+                let age = reference.getFullYear() - birthDate.getFullYear();
+                const monthDiff = reference.getMonth() - birthDate.getMonth();
 
-                if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+                if (monthDiff < 0 || (monthDiff === 0 && reference.getDate() < birthDate.getDate())) {
                     age--;
                 }
 
-                if (age < 55) {
-                    this.showFieldError(dateField, 'L\'età minima per partecipare è 55 anni');
-                } else if (age > 100) {
+                if (age < this.ageLimits.min) {
+                    this.showFieldError(dateField, `L'età minima per partecipare è ${this.ageLimits.min} anni (il giorno del torneo)`);
+                } else if (age > this.ageLimits.max) {
                     this.showFieldError(dateField, 'Data di nascita non valida');
                 } else {
                     this.clearFieldError(dateField);
@@ -233,12 +379,15 @@ class IscrizioneForm {
             const result = await response.json();
 
             if (response.ok) {
-                this.showMessage('Iscrizione inviata con successo! Riceverai una email di conferma.', 'success');
+                this.showMessage(result.message || 'Iscrizione inviata! Controlla la tua email per confermare l\'indirizzo.', 'success');
                 this.form.reset();
                 this.loadCSRFToken();
                 // Reset contatore caratteri
                 const charCount = document.getElementById('charCount');
                 if (charCount) charCount.textContent = '0';
+            } else if (response.status === 403 && result.finestra) {
+                // Iscrizioni aperte/chiuse nel frattempo
+                this.applyRegistrationWindow(result.finestra);
             } else {
                 this.showMessage(result.message || 'Si è verificato un errore durante l\'invio dell\'iscrizione', 'error');
             }
@@ -269,7 +418,7 @@ class IscrizioneForm {
         const btnText = this.submitBtn.querySelector('.btn-text');
         const btnLoader = this.submitBtn.querySelector('.btn-loader');
 
-        this.submitBtn.disabled = loading;
+        this.submitBtn.disabled = loading || !this.registrationOpen;
 
         if (loading) {
             btnText.style.display = 'none';
@@ -280,13 +429,15 @@ class IscrizioneForm {
         }
     }
 
-    showMessage(message, type) {
+    showMessage(message, type, scroll = true) {
         const messageDiv = document.getElementById('formMessage');
         messageDiv.textContent = message;
         messageDiv.className = `form-message ${type}`;
         messageDiv.style.display = 'block';
 
-        messageDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        if (scroll) {
+            messageDiv.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        }
     }
 
     hideMessage() {
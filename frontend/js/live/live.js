@@ -0,0 +1,212 @@
+// Pagina live: risultati, partite in corso e classifiche in tempo reale (SSE con fallback a polling)
+
+class LiveScoreboard {
+    constructor() {
+        this.source = null;
+        this.pollTimer = null;
+        this.pollInterval = 30000; // 30 secondi
+        this.failures = 0;
+        this.maxFailures = 3; // dopo 3 errori consecutivi passa al polling
+        this.init();
+    }
+
+    init() {
+        if (!document.getElementById('liveInCorso')) return;
+
+        if ('EventSource' in window) {
+            this.connect();
+        } else {
+            this.startPolling();
+        }
+    }
+
+    // ==========================================
+    // CONNESSIONE
+    // ==========================================
+    connect() {
+        this.source = new EventSource('/api/live/stream');
+
+        this.source.addEventListener('update', (e) => {
+            this.failures = 0;
+            this.setStatus(true, 'In diretta');
+            this.render(JSON.parse(e.data));
+        });
+
+        this.source.addEventListener('error', () => {
+            this.failures++;
+            this.setStatus(false, 'Riconnessione...');
+
+            if (this.source.readyState === EventSource.CLOSED || this.failures >= this.maxFailures) {
+                this.source.close();
+                this.startPolling();
+            }
+        });
+    }
+
+    startPolling() {
+        if (this.pollTimer) return;
+
+        const poll = async () => {
+            try {
+                const response = await fetch('/api/live');
+                const result = await response.json();
+                if (result.success) {
+                    this.setStatus(true, 'Aggiornamento automatico');
+                    this.render(result.data);
+                }
+            } catch (error) {
+                this.setStatus(false, 'Connessione assente');
+            }
+        };
+
+        poll();
+        this.pollTimer = setInterval(poll, this.pollInterval);
+    }
+
+    setStatus(connected, text) {
+        document.getElementById('liveStatus').classList.toggle('connected', connected);
+        document.getElementById('liveStatusText').textContent = text;
+    }
+
+    // ==========================================
+    // RENDERING
+    // ==========================================
+    render(data) {
+        this.renderMatches('liveInCorso', data.inCorso, 'Nessuna partita in corso');
+        this.renderMatches('liveRisultati', data.risultati, 'Nessun risultato disponibile');
+        this.renderMatches('liveProssime', data.prossime, 'Nessuna partita in programma');
+        this.renderStandings(data.classifiche);
+        this.renderBracket(data.tabellone);
+
+        if (data.change && data.change.partitaId) {
+            document.querySelectorAll(`.live-match[data-id="${data.change.partitaId}"]`).forEach(el => {
+                el.classList.add('flash');
+            });
+        }
+    }
+
+    createElement(tag, className, text) {
+        const el = document.createElement(tag);
+        if (className) el.className = className;
+        if (text !== undefined && text !== null) el.textContent = text;
+        return el;
+    }
+
+    renderMatches(containerId, matches, emptyText) {
+        const container = document.getElementById(containerId);
+        container.innerHTML = '';
+
+        if (!matches || matches.length === 0) {
+            container.appendChild(this.createElement('p', 'live-empty', emptyText));
+            return;
+        }
+
+        matches.forEach(match => {
+            const card = this.createElement('div', 'live-match');
+            card.dataset.id = match.id;
+
+            const meta = this.createElement('div', 'live-match-meta');
+            meta.appendChild(this.createElement('span', null,
+                match.girone ? `Girone ${match.girone} • ${match.campo}` : match.campo
+            ));
+            meta.appendChild(this.createElement('span', null, match.inizio.split('T')[1]));
+
+            const played = match.golCasa !== null && match.golOspite !== null;
+            const teams = this.createElement('div', 'live-match-teams');
+            teams.appendChild(this.createElement('span', 'home', match.squadraCasa || 'Da definire'));
+            teams.appendChild(this.createElement('span', 'live-score',
+                played ? `${match.golCasa} - ${match.golOspite}` : 'vs'
+            ));
+            teams.appendChild(this.createElement('span', 'away', match.squadraOspite || 'Da definire'));
+
+            card.append(meta, teams);
+            container.appendChild(card);
+        });
+    }
+
+    renderStandings(gironi) {
+        const container = document.getElementById('liveClassifiche');
+        container.innerHTML = '';
+
+        if (!gironi || gironi.length === 0) {
+            container.appendChild(this.createElement('p', 'live-empty', 'Classifiche non ancora disponibili'));
+            return;
+        }
+
+        gironi.forEach(girone => {
+            const table = this.createElement('table', 'live-table');
+            table.appendChild(this.createElement('caption', null, `Girone ${girone.nome}`));
+
+            const head = this.createElement('tr');
+            ['#', 'Squadra', 'G', 'DR', 'Pt'].forEach(label => {
+                head.appendChild(this.createElement('th', null, label));
+            });
+            table.appendChild(this.createElement('thead')).appendChild(head);
+
+            const body = this.createElement('tbody');
+            girone.classifica.forEach(row => {
+                const tr = this.createElement('tr');
+                [
+                    row.posizione,
+                    row.nome,
+                    row.giocate,
+                    `${row.differenza > 0 ? '+' : ''}${row.differenza}`,
+                    row.punti
+                ].forEach(value => tr.appendChild(this.createElement('td', null, value)));
+                body.appendChild(tr);
+            });
+            table.appendChild(body);
+
+            container.appendChild(table);
+        });
+    }
+
+    renderBracket(tabellone) {
+        const block = document.getElementById('liveTabelloneBlock');
+        const container = document.getElementById('liveTabellone');
+        const campione = document.getElementById('liveCampione');
+
+        if (!tabellone) {
+            block.hidden = true;
+            return;
+        }
+
+        container.innerHTML = '';
+        tabellone.turni.forEach(turno => {
+            const round = this.createElement('div', 'bracket-round');
+            round.appendChild(this.createElement('h4', null, turno.nome));
+
+            turno.partite.forEach(partita => {
+                const match = this.createElement('div', 'bracket-match');
+                match.append(
+                    this.createBracketTeam(partita.squadraCasa || partita.etichettaCasa, partita.golCasa, partita.rigoriCasa, partita.vincente === 'casa'),
+                    this.createBracketTeam(partita.squadraOspite || partita.etichettaOspite, partita.golOspite, partita.rigoriOspite, partita.vincente === 'ospite')
+                );
+                round.appendChild(match);
+            });
+
+            container.appendChild(round);
+        });
+
+        campione.hidden = !tabellone.campione;
+        campione.textContent = tabellone.campione ? `🏆 Campione: ${tabellone.campione}` : '';
+        block.hidden = false;
+    }
+
+    createBracketTeam(name, goals, penalties, winner) {
+        const row = this.createElement('div', winner ? 'bracket-team winner' : 'bracket-team');
+        const score = penalties !== null && penalties !== undefined
+            ? `${goals ?? '-'} (${penalties})`
+            : `${goals ?? '-'}`;
+
+        row.append(
+            this.createElement('span', 'bracket-name', name || 'Da definire'),
+            this.createElement('span', 'bracket-score', score)
+        );
+        return row;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new LiveScoreboard();
+});